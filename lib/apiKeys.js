@@ -0,0 +1,201 @@
+/**
+ * =============================================================
+ * AUTENTICAÇÃO POR API KEY
+ * =============================================================
+ *
+ * Chaves definidas por variável de ambiente (API_KEY / API_KEYS) ou
+ * criadas pela API de administração (persistidas em DATA_FOLDER, apenas
+ * o hash SHA-256 é gravado). Cada chave tem escopos e, opcionalmente,
+ * uma lista de sessões às quais tem acesso.
+ *
+ * Enquanto nenhuma chave existir, a API continua aberta (modo legado),
+ * exceto o cadastro de chaves: a primeira chave vem do ambiente
+ * (API_KEY / API_KEYS), senão qualquer um criaria a chave admin.
+ * =============================================================
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { readJson, writeJson } = require('./jsonFile');
+
+const SCOPES = ['messages:read', 'send', 'media:read', 'groups', 'metrics', 'admin'];
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// API_KEYS="chave1=send,messages:read;chave2=*"  (sem "=" a chave tem todos os escopos)
+function parseEnvKeys(adminKey, keysSpec) {
+    const keys = [];
+
+    if (adminKey) {
+        keys.push({ key: adminKey, scopes: ['*'] });
+    }
+
+    (keysSpec || '').split(';').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const separator = entry.indexOf('=');
+        if (separator === -1) {
+            keys.push({ key: entry, scopes: ['*'] });
+            return;
+        }
+        const scopes = entry.slice(separator + 1).split(',').map(scope => scope.trim()).filter(Boolean);
+        keys.push({ key: entry.slice(0, separator), scopes });
+    });
+
+    return keys.map(({ key, scopes }, index) => ({
+        id: `env-${index + 1}`,
+        name: `env-${index + 1}`,
+        hash: hashKey(key),
+        prefix: key.slice(0, 6),
+        scopes,
+        sessions: null,
+        source: 'env',
+        createdAt: null
+    }));
+}
+
+function createApiKeyStore({ dataFolder, adminKey, keysSpec, log }) {
+    const keysFile = path.join(dataFolder, 'api_keys.json');
+    const envKeys = parseEnvKeys(adminKey, keysSpec);
+    let storedKeys = readJson(keysFile, []);
+
+    function save() {
+        writeJson(keysFile, storedKeys);
+    }
+
+    function allKeys() {
+        return [...envKeys, ...storedKeys];
+    }
+
+    function isEnabled() {
+        return allKeys().length > 0;
+    }
+
+    function find(key) {
+        if (!key) return null;
+        const hash = hashKey(key);
+        return allKeys().find(entry => entry.hash === hash) || null;
+    }
+
+    function hasScope(entry, scope) {
+        if (!scope) return true;
+        return entry.scopes.includes('*') || entry.scopes.includes('admin') || entry.scopes.includes(scope);
+    }
+
+    function canAccessSession(entry, sessionId) {
+        if (!entry || !entry.sessions) return true;
+        return entry.sessions.includes(sessionId);
+    }
+
+    // A chave da requisição tem o escopo? (sem chaves configuradas, tudo é permitido)
+    function allows(req, scope) {
+        if (!isEnabled()) return true;
+        const entry = identify(req);
+        return !!entry && hasScope(entry, scope);
+    }
+
+    function list() {
+        return allKeys().map(({ hash, ...entry }) => entry);
+    }
+
+    function create({ name, scopes, sessions }) {
+        const key = `wa_${crypto.randomBytes(24).toString('hex')}`;
+        const entry = {
+            id: crypto.randomUUID(),
+            name: name || 'sem nome',
+            hash: hashKey(key),
+            prefix: key.slice(0, 6),
+            scopes,
+            sessions: Array.isArray(sessions) && sessions.length > 0 ? sessions : null,
+            source: 'api',
+            createdAt: new Date().toISOString()
+        };
+
+        storedKeys.push(entry);
+        save();
+        log(`API key criada: ${entry.name} (${scopes.join(', ')})`);
+
+        const { hash, ...publicEntry } = entry;
+        return { ...publicEntry, key };
+    }
+
+    function remove(id) {
+        const before = storedKeys.length;
+        storedKeys = storedKeys.filter(entry => entry.id !== id);
+        if (storedKeys.length === before) {
+            return false;
+        }
+        save();
+        log(`API key removida: ${id}`);
+        return true;
+    }
+
+    function extractKey(req) {
+        const header = req.get('x-api-key');
+        if (header) return header;
+
+        const authorization = req.get('authorization') || '';
+        if (authorization.toLowerCase().startsWith('bearer ')) {
+            return authorization.slice(7).trim();
+        }
+
+        // Necessário para links de mídia e EventSource, que não enviam cabeçalhos
+        return req.query.apiKey || null;
+    }
+
+    // Chave da requisição (ou null), resolvida uma única vez por requisição
+    function identify(req) {
+        if (req.apiKey === undefined) {
+            req.apiKey = find(extractKey(req));
+        }
+        return req.apiKey;
+    }
+
+    // Middleware: exige uma chave válida com o escopo informado
+    // (o escopo fica em middleware.scope para a descrição OpenAPI).
+    // allSessions: rotas que valem para o servidor todo (webhooks, chaves, regras)
+    // recusam chaves restritas a algumas sessões, que poderiam sair do próprio escopo.
+    // keysRequired: a rota fica fechada mesmo no modo legado (sem chaves)
+    function requireScope(scope, { allSessions = false, keysRequired = false } = {}) {
+        const middleware = (req, res, next) => {
+            if (!isEnabled()) {
+                if (!keysRequired) return next();
+                return res.status(401).json({
+                    success: false,
+                    error: 'Nenhuma API key configurada: defina API_KEY no ambiente para gerenciar chaves'
+                });
+            }
+
+            const entry = identify(req);
+            if (!entry) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'API key ausente ou inválida'
+                });
+            }
+
+            if (!hasScope(entry, scope)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Permissão insuficiente para esta operação',
+                    requiredScope: scope
+                });
+            }
+
+            if (allSessions && entry.sessions) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Operação global: exige uma chave sem restrição de sessões'
+                });
+            }
+
+            next();
+        };
+        middleware.scope = scope || null;
+        return middleware;
+    }
+
+    return { isEnabled, list, create, remove, identify, allows, requireScope, canAccessSession };
+}
+
+module.exports = { createApiKeyStore, SCOPES };
@@ -0,0 +1,137 @@
+/**
+ * =============================================================
+ * ARMAZENAMENTO DAS CREDENCIAIS (AUTH STATE)
+ * =============================================================
+ *
+ * As credenciais do Baileys (creds + chaves do Signal) ficam num
+ * armazenamento chave/valor plugável, escolhido por AUTH_STORE:
+ *
+ * - file (padrão): um JSON por chave na pasta auth_info da sessão,
+ *   no mesmo formato do useMultiFileAuthState (instalações antigas
+ *   continuam funcionando sem migração)
+ * - caminho de um módulo próprio (ex.: ./stores/postgres.js), para
+ *   guardar as credenciais num banco em vez do disco
+ *
+ * Um módulo próprio exporta createAuthStore({ sessionId, folder })
+ * retornando um objeto com (todos podem ser async):
+ *   get(key)         valor (string) ou null
+ *   set(key, value)  grava a string
+ *   remove(key)      apaga a chave
+ *   list()           todas as chaves da sessão
+ *   clear()          apaga todas as chaves da sessão
+ *
+ * As chaves já chegam normalizadas (sem "/" nem ":").
+ * =============================================================
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { getBackend } = require('./waBackend');
+
+// Mesma normalização de nomes do useMultiFileAuthState
+function fixKey(key) {
+    return key.replace(/\//g, '__').replace(/:/g, '-');
+}
+
+function createFileAuthStore({ folder }) {
+    const root = path.resolve(folder);
+
+    // A chave vira nome de arquivo: nunca grava fora da pasta da sessão
+    const fileFor = key => {
+        const file = path.resolve(root, `${key}.json`);
+        if (path.dirname(file) !== root) {
+            throw new Error(`Chave de credencial inválida: ${key}`);
+        }
+        return file;
+    };
+
+    return {
+        async get(key) {
+            try {
+                return await fsp.readFile(fileFor(key), 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+        async set(key, value) {
+            await fsp.mkdir(folder, { recursive: true });
+            const tmp = `${fileFor(key)}.tmp`;
+            await fsp.writeFile(tmp, value);
+            await fsp.rename(tmp, fileFor(key));
+        },
+        async remove(key) {
+            await fsp.rm(fileFor(key), { force: true });
+        },
+        async list() {
+            if (!fs.existsSync(folder)) return [];
+            const files = await fsp.readdir(folder);
+            return files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length));
+        },
+        async clear() {
+            await fsp.rm(folder, { recursive: true, force: true });
+            await fsp.mkdir(folder, { recursive: true });
+        }
+    };
+}
+
+// AUTH_STORE -> função ({ sessionId, folder }) => store
+function createAuthStoreFactory(type = 'file') {
+    if (!type || type === 'file') {
+        return ({ folder }) => createFileAuthStore({ folder });
+    }
+
+    const modulePath = path.resolve(type);
+    const custom = require(modulePath);
+    const factory = custom.createAuthStore || custom;
+    if (typeof factory !== 'function') {
+        throw new Error(`AUTH_STORE: ${type} não exporta createAuthStore`);
+    }
+    return factory;
+}
+
+// Equivalente ao useMultiFileAuthState sobre qualquer store
+async function useStoreAuthState(store) {
+    const { initAuthCreds, BufferJSON, proto } = getBackend();
+
+    const read = async key => {
+        const value = await store.get(fixKey(key));
+        return value ? JSON.parse(value, BufferJSON.reviver) : null;
+    };
+    const write = (key, value) => store.set(fixKey(key), JSON.stringify(value, BufferJSON.replacer));
+
+    const creds = (await read('creds')) || initAuthCreds();
+
+    return {
+        state: {
+            creds,
+            keys: {
+                async get(type, ids) {
+                    const data = {};
+                    await Promise.all(ids.map(async id => {
+                        let value = await read(`${type}-${id}`);
+                        if (type === 'app-state-sync-key' && value) {
+                            value = proto.Message.AppStateSyncKeyData.fromObject(value);
+                        }
+                        data[id] = value;
+                    }));
+                    return data;
+                },
+                async set(data) {
+                    const tasks = [];
+                    Object.entries(data).forEach(([category, entries]) => {
+                        Object.entries(entries).forEach(([id, value]) => {
+                            const key = fixKey(`${category}-${id}`);
+                            tasks.push(value ? write(key, value) : store.remove(key));
+                        });
+                    });
+                    await Promise.all(tasks);
+                }
+            }
+        },
+        saveCreds: () => write('creds', creds)
+    };
+}
+
+module.exports = { createAuthStoreFactory, createFileAuthStore, useStoreAuthState };
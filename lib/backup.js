@@ -0,0 +1,274 @@
+/**
+ * =============================================================
+ * BACKUP CRIPTOGRAFADO DAS SESSÕES
+ * =============================================================
+ *
+ * Exporta a sessão (credenciais e, opcionalmente, mensagens, contatos
+ * e conversas) num arquivo protegido por senha, para restaurar em
+ * outra instância sem escanear o QR de novo.
+ *
+ * Formato: "WABK" + versão (1 byte) + salt (16) + IV (12) + tag (16)
+ * + conteúdo. O conteúdo é o JSON da sessão compactado com gzip e
+ * cifrado com AES-256-GCM; a chave vem da senha via scrypt.
+ *
+ * Backup automático (BACKUP_INTERVAL_HOURS) grava um arquivo por
+ * sessão em BACKUP_FOLDER, mantendo os BACKUP_KEEP mais recentes,
+ * ou no bucket S3 da mídia (BACKUP_TARGET=s3, prefixo backups/;
+ * a retenção no bucket fica por conta das regras de ciclo de vida).
+ * =============================================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const zlib = require('zlib');
+
+const MAGIC = Buffer.from('WABK');
+const VERSION = 1;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + 1 + SALT_LENGTH + IV_LENGTH + TAG_LENGTH;
+const SCRYPT_OPTIONS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const MIN_PASSPHRASE_LENGTH = 8;
+const FORMAT = 'servidor-whatsapp-lite-backup';
+// Nomes simples de arquivo (o mesmo padrão das chaves de mídia): sem "..", "." ou subpastas
+const DATA_FILE_PATTERN = /^[\w][\w.-]*$/;
+// Chaves de credenciais já normalizadas pelo fixKey (ex.: session-5511...@s.whatsapp.net.0, app-state-sync-key-AAB+c=)
+const AUTH_KEY_PATTERN = /^(?!.*\.\.)[\w@+=-][\w.@+=-]*$/;
+
+function backupError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function deriveKey(passphrase, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(passphrase, salt, 32, SCRYPT_OPTIONS, (error, key) => error ? reject(error) : resolve(key));
+    });
+}
+
+function checkPassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw backupError(400, `A senha do backup deve ter ao menos ${MIN_PASSPHRASE_LENGTH} caracteres`);
+    }
+}
+
+async function encryptBackup(payload, passphrase) {
+    checkPassphrase(passphrase);
+
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const key = await deriveKey(passphrase, salt);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const content = Buffer.concat([cipher.update(zlib.gzipSync(JSON.stringify(payload))), cipher.final()]);
+
+    return Buffer.concat([MAGIC, Buffer.from([VERSION]), salt, iv, cipher.getAuthTag(), content]);
+}
+
+async function decryptBackup(buffer, passphrase) {
+    checkPassphrase(passphrase);
+
+    if (!Buffer.isBuffer(buffer) || buffer.length <= HEADER_LENGTH || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+        throw backupError(400, 'Arquivo de backup inválido');
+    }
+    if (buffer[MAGIC.length] !== VERSION) {
+        throw backupError(400, `Versão de backup não suportada: ${buffer[MAGIC.length]}`);
+    }
+
+    let offset = MAGIC.length + 1;
+    const salt = buffer.subarray(offset, offset += SALT_LENGTH);
+    const iv = buffer.subarray(offset, offset += IV_LENGTH);
+    const tag = buffer.subarray(offset, offset += TAG_LENGTH);
+    const key = await deriveKey(passphrase, salt);
+
+    let payload;
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+        decipher.setAuthTag(tag);
+        const content = Buffer.concat([decipher.update(buffer.subarray(offset)), decipher.final()]);
+        payload = JSON.parse(zlib.gunzipSync(content).toString('utf8'));
+    } catch (error) {
+        throw backupError(400, 'Senha incorreta ou arquivo de backup corrompido');
+    }
+
+    if (payload.format !== FORMAT || !payload.auth || typeof payload.auth !== 'object') {
+        throw backupError(400, 'Arquivo de backup inválido');
+    }
+    return payload;
+}
+
+// Arquivos de dados da sessão (mensagens, contatos e conversas)
+async function readDataFiles(folder) {
+    if (!fs.existsSync(folder)) return {};
+
+    const data = {};
+    const entries = await fsp.readdir(folder, { withFileTypes: true });
+    for (const entry of entries) {
+        if (!entry.isFile() || entry.name.endsWith('.tmp') || !DATA_FILE_PATTERN.test(entry.name)) continue;
+        data[entry.name] = (await fsp.readFile(path.join(folder, entry.name))).toString('base64');
+    }
+    return data;
+}
+
+function createBackupService({ sessions, folder, s3, passphrase, intervalHours = 0, keep = 7, log }) {
+    let timer = null;
+
+    // Conteúdo (ainda não cifrado) do backup de uma sessão
+    async function snapshot(session, { includeData = false } = {}) {
+        const auth = {};
+        for (const key of await session.authStore.list()) {
+            const value = await session.authStore.get(key);
+            if (value !== null) auth[key] = value;
+        }
+
+        if (!auth.creds) {
+            throw backupError(409, 'A sessão ainda não tem credenciais (conecte o número antes de exportar)');
+        }
+
+        let data = null;
+        if (includeData) {
+            session.directory.flush();
+            data = await readDataFiles(session.messagesFolder);
+        }
+
+        return {
+            format: FORMAT,
+            version: VERSION,
+            sessionId: session.id,
+            createdAt: new Date().toISOString(),
+            user: session.sock?.user || null,
+            includesData: includeData,
+            auth,
+            data
+        };
+    }
+
+    async function exportSession(sessionId, { passphrase: secret, includeData } = {}) {
+        const session = sessions.get(sessionId);
+        const payload = await snapshot(session, { includeData });
+        const archive = await encryptBackup(payload, secret);
+
+        log(`[${sessionId}] Backup exportado (${Object.keys(payload.auth).length} chaves${includeData ? ', com dados' : ''})`);
+        return { archive, payload };
+    }
+
+    // Substitui credenciais (e dados, se vierem no arquivo) e reinicia a sessão
+    async function importSession(sessionId, archive, { passphrase: secret } = {}) {
+        const payload = await decryptBackup(archive, secret);
+        const session = sessions.get(sessionId);
+
+        // Tudo validado antes de parar a sessão: o arquivo não escolhe onde gravar
+        const invalidKey = Object.entries(payload.auth).find(([key, value]) => !AUTH_KEY_PATTERN.test(key) || typeof value !== 'string');
+        if (invalidKey) {
+            throw backupError(400, `Credencial inválida no backup: ${invalidKey[0]}`);
+        }
+
+        const dataFiles = Object.entries(payload.data || {});
+        const invalid = dataFiles.find(([name, content]) => !DATA_FILE_PATTERN.test(name) || typeof content !== 'string');
+        if (invalid) {
+            throw backupError(400, `Arquivo de dados inválido no backup: ${invalid[0]}`);
+        }
+
+        // Mesmo com erro no meio da troca a sessão volta a rodar (com o que foi gravado)
+        session.stop();
+        try {
+            await session.authStore.clear();
+            for (const [key, value] of Object.entries(payload.auth)) {
+                await session.authStore.set(key, value);
+            }
+
+            if (dataFiles.length > 0) {
+                await fsp.mkdir(session.messagesFolder, { recursive: true });
+                for (const [name, content] of dataFiles) {
+                    await fsp.writeFile(path.join(session.messagesFolder, name), Buffer.from(content, 'base64'));
+                }
+            }
+        } finally {
+            sessions.reload(sessionId);
+        }
+
+        log(`[${sessionId}] Backup restaurado (criado em ${payload.createdAt}${dataFiles.length > 0 ? ', com dados' : ''})`);
+
+        return {
+            sessionId,
+            sourceSession: payload.sessionId,
+            createdAt: payload.createdAt,
+            user: payload.user,
+            keys: Object.keys(payload.auth).length,
+            dataFiles: dataFiles.map(([name]) => name)
+        };
+    }
+
+    function backupName(sessionId) {
+        return `${sessionId}-${new Date().toISOString().replace(/[:.]/g, '-')}.wabk`;
+    }
+
+    // Apaga os backups locais mais antigos da sessão além de BACKUP_KEEP
+    async function rotate(sessionId) {
+        const files = (await fsp.readdir(folder))
+            .filter(file => file.startsWith(`${sessionId}-`) && file.endsWith('.wabk'))
+            .sort();
+        const excess = files.slice(0, Math.max(files.length - keep, 0));
+        await Promise.all(excess.map(file => fsp.rm(path.join(folder, file), { force: true })));
+    }
+
+    async function saveArchive(sessionId, archive) {
+        const name = backupName(sessionId);
+
+        if (s3) {
+            const tempFile = path.join(folder, `${name}.tmp`);
+            await fsp.writeFile(tempFile, archive);
+            try {
+                await s3.put(`backups/${name}`, tempFile, {
+                    size: archive.length,
+                    mimeType: 'application/octet-stream',
+                    sha256: crypto.createHash('sha256').update(archive).digest('hex')
+                });
+            } finally {
+                await fsp.rm(tempFile, { force: true });
+            }
+            return `s3:backups/${name}`;
+        }
+
+        await fsp.writeFile(path.join(folder, name), archive, { mode: 0o600 });
+        await rotate(sessionId);
+        return path.join(folder, name);
+    }
+
+    // Backup automático de todas as sessões com credenciais
+    async function runScheduled() {
+        for (const session of sessions.list()) {
+            try {
+                const { archive } = await exportSession(session.id, { passphrase, includeData: true });
+                const location = await saveArchive(session.id, archive);
+                log(`[${session.id}] Backup automático gravado: ${location}`);
+            } catch (error) {
+                // Sessão sem credenciais ainda não tem o que salvar
+                if (error.status === 409) continue;
+                log(`[${session.id}] Erro no backup automático:`, error.message, 'error');
+            }
+        }
+    }
+
+    function start() {
+        if (!intervalHours || timer) return;
+
+        if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            log(`Backup automático desativado: defina BACKUP_PASSPHRASE (mínimo ${MIN_PASSPHRASE_LENGTH} caracteres)`);
+            return;
+        }
+
+        fs.mkdirSync(folder, { recursive: true });
+        log(`Backup automático: a cada ${intervalHours}h em ${s3 ? 'S3 (backups/)' : folder}`);
+        timer = setInterval(runScheduled, intervalHours * 60 * 60 * 1000);
+        timer.unref();
+    }
+
+    return { exportSession, importSession, runScheduled, start };
+}
+
+module.exports = { createBackupService, encryptBackup, decryptBackup };
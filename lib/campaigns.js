@@ -0,0 +1,484 @@
+/**
+ * =============================================================
+ * CAMPANHAS (ENVIO EM MASSA)
+ * =============================================================
+ *
+ * Uma campanha é uma lista de destinatários (CSV ou JSON), um modelo
+ * de mensagem com {{variaveis}} e, opcionalmente, uma mídia. O envio
+ * é feito um destinatário por vez, pela fila de envio, com intervalo
+ * aleatório entre minDelaySeconds e maxDelaySeconds.
+ *
+ * - Pausar, retomar e cancelar a qualquer momento
+ * - Resultado por destinatário (enviado, falhou, ignorado)
+ * - Quem respondeu com uma palavra de descadastro (SAIR, PARAR...) é
+ *   registrado e ignorado em todas as campanhas da sessão
+ * - Relatório em CSV ou JSON
+ *
+ * Cada campanha fica em DATA_FOLDER/campaigns/<id>.json e continua
+ * de onde parou após um restart.
+ * =============================================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJson } = require('./jsonFile');
+const { normalizeText, renderTemplate } = require('./text');
+const { brazilianVariants } = require('./phone');
+const { toCsv } = require('./csv');
+
+const TICK_INTERVAL = 1000;
+const JOB_WAIT_TIMEOUT = 10 * 60 * 1000;
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document'];
+const PHONE_COLUMNS = ['phone', 'telefone', 'numero', 'celular', 'whatsapp'];
+const ACTIVE_STATUSES = ['scheduled', 'running', 'paused'];
+
+function createCampaignManager({ dataFolder, sendQueue, getSession, toJid, validateJid, optOutKeywords, emitEvent, log }) {
+    const folder = path.join(dataFolder, 'campaigns');
+    const optOutsFile = path.join(dataFolder, 'opt_outs.json');
+    const keywords = optOutKeywords.map(normalizeText);
+
+    if (!fs.existsSync(folder)) {
+        fs.mkdirSync(folder, { recursive: true });
+    }
+
+    const campaigns = new Map();
+    const optOuts = readJson(optOutsFile, {});
+    const inFlight = new Set();
+    let timer = null;
+
+    fs.readdirSync(folder)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            const campaign = readJson(path.join(folder, file), null);
+            if (campaign) campaigns.set(campaign.id, campaign);
+        });
+
+    function save(campaign) {
+        writeJson(path.join(folder, `${campaign.id}.json`), campaign);
+    }
+
+    function mediaPath(campaign) {
+        return path.join(folder, `${campaign.id}.media`);
+    }
+
+    function counts(campaign) {
+        const result = { total: campaign.recipients.length, pending: 0, sending: 0, sent: 0, failed: 0, skipped: 0, cancelled: 0 };
+        campaign.recipients.forEach(recipient => result[recipient.status]++);
+        return result;
+    }
+
+    function summary(campaign) {
+        const { recipients, ...data } = campaign;
+        return { ...data, counts: counts(campaign) };
+    }
+
+    // ---------------------------------------------------------
+    // Descadastro
+    // ---------------------------------------------------------
+
+    // Compara pelos dígitos, com e sem o nono dígito
+    function optOutKey(jid) {
+        const digits = jid.split('@')[0];
+        return brazilianVariants(digits)[0];
+    }
+
+    function isOptedOut(sessionId, jid) {
+        return !!optOuts[sessionId]?.[optOutKey(jid)];
+    }
+
+    function listOptOuts(sessionId) {
+        return Object.values(optOuts[sessionId] || {});
+    }
+
+    function addOptOut(sessionId, jid, { source = 'api', text = null } = {}) {
+        optOuts[sessionId] = optOuts[sessionId] || {};
+        const entry = { jid, source, text, at: new Date().toISOString() };
+        optOuts[sessionId][optOutKey(jid)] = entry;
+        writeJson(optOutsFile, optOuts);
+        return entry;
+    }
+
+    function removeOptOut(sessionId, jid) {
+        const key = optOutKey(jid);
+        if (!optOuts[sessionId]?.[key]) return false;
+        delete optOuts[sessionId][key];
+        writeJson(optOutsFile, optOuts);
+        return true;
+    }
+
+    // Mensagem recebida que é só a palavra de descadastro ("SAIR", "parar.")
+    function handleMessage(message) {
+        if (message.fromMe) return;
+
+        const text = normalizeText(message.text).replace(/[^a-z0-9 ]/g, '').trim();
+        if (!keywords.includes(text)) return;
+
+        // De um LID (número oculto) vale o telefone informado junto; as campanhas são por telefone
+        const isLid = message.from.endsWith('@lid');
+        const jid = isLid ? message.senderPn : message.from;
+        if (!jid || !jid.endsWith('@s.whatsapp.net')) {
+            if (isLid) log(`[${message.sessionId}] Descadastro de ${message.from} ignorado: telefone do LID desconhecido`);
+            return;
+        }
+        if (isOptedOut(message.sessionId, jid)) return;
+
+        const entry = addOptOut(message.sessionId, jid, { source: 'message', text: message.text });
+        log(`[${message.sessionId}] Descadastro registrado: ${jid}`);
+        emitEvent('contact.opted_out', { sessionId: message.sessionId, jid, text: entry.text });
+    }
+
+    // ---------------------------------------------------------
+    // Cadastro e controle
+    // ---------------------------------------------------------
+
+    function buildRecipients(list) {
+        const seen = new Set();
+
+        return list.map(row => {
+            const phoneKey = Object.keys(row).find(key => PHONE_COLUMNS.includes(normalizeText(key)));
+            const phone = phoneKey ? String(row[phoneKey]).trim() : '';
+            const { [phoneKey]: omitted, ...vars } = row;
+            const recipient = {
+                phone,
+                jid: null,
+                vars,
+                status: 'pending',
+                jobId: null,
+                messageId: null,
+                error: null,
+                sentAt: null
+            };
+
+            const invalid = phone ? validateJid(toJid(phone)) : 'Telefone ausente';
+            if (invalid) {
+                return { ...recipient, status: 'skipped', error: invalid };
+            }
+
+            recipient.jid = toJid(phone);
+            if (seen.has(recipient.jid)) {
+                return { ...recipient, status: 'skipped', error: 'Número repetido na lista' };
+            }
+            seen.add(recipient.jid);
+            return recipient;
+        });
+    }
+
+    function create({ sessionId, name, template, media, mediaBuffer, recipients, minDelaySeconds, maxDelaySeconds, startAt, start }) {
+        const id = crypto.randomUUID();
+        const now = Date.now();
+        const minDelay = Math.max(Number(minDelaySeconds) || 5, 1);
+        const maxDelay = Math.max(Number(maxDelaySeconds) || Math.max(minDelay, 15), minDelay);
+
+        const campaign = {
+            id,
+            sessionId,
+            name: name || `Campanha ${new Date(now).toLocaleDateString('pt-BR')}`,
+            template: template || '',
+            media: media ? { ...media, stored: !!mediaBuffer } : null,
+            minDelaySeconds: minDelay,
+            maxDelaySeconds: maxDelay,
+            status: 'draft',
+            startAt: null,
+            createdAt: new Date(now).toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            nextSendAt: null,
+            recipients: buildRecipients(recipients)
+        };
+
+        if (mediaBuffer) {
+            fs.writeFileSync(mediaPath(campaign), mediaBuffer);
+        }
+
+        campaigns.set(id, campaign);
+        if (start || startAt) {
+            schedule(campaign, startAt);
+        } else {
+            save(campaign);
+        }
+
+        log(`[${sessionId}] Campanha criada: ${campaign.name} (${campaign.recipients.length} destinatários)`);
+        return summary(campaign);
+    }
+
+    function schedule(campaign, startAt) {
+        const now = Date.now();
+        if (startAt && startAt > now) {
+            campaign.status = 'scheduled';
+            campaign.startAt = new Date(startAt).toISOString();
+            campaign.nextSendAt = startAt;
+        } else {
+            campaign.status = 'running';
+            campaign.startedAt = campaign.startedAt || new Date(now).toISOString();
+            campaign.nextSendAt = now;
+        }
+        save(campaign);
+    }
+
+    function get(id) {
+        const campaign = campaigns.get(id);
+        return campaign ? summary(campaign) : null;
+    }
+
+    function list(sessionId) {
+        return [...campaigns.values()]
+            .filter(campaign => campaign.sessionId === sessionId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(summary);
+    }
+
+    function recipients(id, { status } = {}) {
+        const campaign = campaigns.get(id);
+        if (!campaign) return null;
+        return campaign.recipients.filter(recipient => !status || recipient.status === status);
+    }
+
+    // Retorna { campaign } ou { error } quando a ação não cabe no status atual
+    function control(id, action, { startAt } = {}) {
+        const campaign = campaigns.get(id);
+        if (!campaign) return null;
+
+        const allowed = {
+            start: ['draft'],
+            pause: ['scheduled', 'running'],
+            resume: ['paused'],
+            cancel: ['draft', ...ACTIVE_STATUSES]
+        };
+
+        if (!allowed[action].includes(campaign.status)) {
+            return { error: `Não é possível ${{ start: 'iniciar', pause: 'pausar', resume: 'retomar', cancel: 'cancelar' }[action]} uma campanha com status ${campaign.status}` };
+        }
+
+        if (action === 'start') {
+            schedule(campaign, startAt);
+        } else if (action === 'pause') {
+            campaign.status = 'paused';
+            save(campaign);
+        } else if (action === 'resume') {
+            schedule(campaign, null);
+        } else {
+            cancelCampaign(campaign);
+        }
+
+        log(`[${campaign.sessionId}] Campanha "${campaign.name}": ${action}`);
+        return { campaign: summary(campaign) };
+    }
+
+    function finishCampaign(campaign, status) {
+        campaign.status = status;
+        campaign.finishedAt = new Date().toISOString();
+        campaign.nextSendAt = null;
+        fs.rmSync(mediaPath(campaign), { force: true });
+        save(campaign);
+
+        emitEvent(`campaign.${status}`, {
+            sessionId: campaign.sessionId,
+            campaignId: campaign.id,
+            name: campaign.name,
+            counts: counts(campaign)
+        });
+    }
+
+    function cancelCampaign(campaign) {
+        campaign.recipients.forEach(recipient => {
+            if (recipient.status === 'pending') {
+                recipient.status = 'cancelled';
+            } else if (recipient.status === 'sending' && recipient.jobId) {
+                // O job ainda na fila é cancelado; se já saiu, o resultado é registrado
+                sendQueue.cancel(recipient.jobId);
+            }
+        });
+        finishCampaign(campaign, 'cancelled');
+    }
+
+    function remove(id) {
+        const campaign = campaigns.get(id);
+        if (!campaign) return null;
+        if (ACTIVE_STATUSES.includes(campaign.status)) return false;
+
+        campaigns.delete(id);
+        fs.rmSync(path.join(folder, `${id}.json`), { force: true });
+        fs.rmSync(mediaPath(campaign), { force: true });
+        return true;
+    }
+
+    function report(id, format) {
+        const campaign = campaigns.get(id);
+        if (!campaign) return null;
+
+        const rows = campaign.recipients.map(recipient => ({
+            phone: recipient.phone,
+            jid: recipient.jid,
+            status: recipient.status,
+            messageId: recipient.messageId,
+            sentAt: recipient.sentAt,
+            error: recipient.error,
+            ...recipient.vars
+        }));
+
+        if (format !== 'csv') {
+            return { campaign: summary(campaign), recipients: rows };
+        }
+
+        const varColumns = [...new Set(campaign.recipients.flatMap(recipient => Object.keys(recipient.vars)))];
+        return toCsv(rows, ['phone', 'jid', 'status', 'messageId', 'sentAt', 'error', ...varColumns]);
+    }
+
+    // ---------------------------------------------------------
+    // Envio
+    // ---------------------------------------------------------
+
+    function buildJob(campaign, recipient) {
+        const text = renderTemplate(campaign.template, { ...recipient.vars, phone: recipient.phone });
+        const mediaBuffer = campaign.media?.stored ? fs.readFileSync(mediaPath(campaign)) : null;
+
+        if (!campaign.media) {
+            return { type: 'text', payload: { text, quotedId: null, mentions: [] }, mediaBuffer };
+        }
+
+        const { type, url, filename, mimetype, ptt } = campaign.media;
+        return {
+            type,
+            payload: {
+                url: mediaBuffer ? null : url,
+                caption: text,
+                filename: filename || 'documento',
+                mimetype: mimetype || 'application/octet-stream',
+                ptt: ptt !== false
+            },
+            mediaBuffer
+        };
+    }
+
+    function applyJobResult(campaign, recipient, job) {
+        if (job?.status === 'sent') {
+            recipient.status = 'sent';
+            recipient.messageId = job.messageId;
+            recipient.sentAt = job.sentAt;
+        } else if (job?.status === 'failed') {
+            recipient.status = 'failed';
+            recipient.error = job.error;
+        } else if (job?.status === 'cancelled') {
+            recipient.status = 'cancelled';
+        } else {
+            // Sem resultado no prazo (sessão desconectada): continua na fila de envio
+            return false;
+        }
+        save(campaign);
+        return true;
+    }
+
+    async function track(campaign, recipient) {
+        inFlight.add(campaign.id);
+        try {
+            let done = false;
+            while (!done && campaigns.has(campaign.id)) {
+                const job = await sendQueue.waitFor(recipient.jobId, JOB_WAIT_TIMEOUT);
+                done = !job || applyJobResult(campaign, recipient, job);
+                if (!job) {
+                    recipient.status = 'failed';
+                    recipient.error = 'Envio não encontrado na fila';
+                    save(campaign);
+                }
+            }
+        } finally {
+            inFlight.delete(campaign.id);
+        }
+
+        const delay = campaign.minDelaySeconds +
+            Math.random() * (campaign.maxDelaySeconds - campaign.minDelaySeconds);
+        campaign.nextSendAt = Date.now() + Math.round(delay * 1000);
+    }
+
+    function sendNext(campaign) {
+        const recipient = campaign.recipients.find(r => r.status === 'pending');
+
+        if (!recipient) {
+            if (!campaign.recipients.some(r => r.status === 'sending')) {
+                finishCampaign(campaign, 'completed');
+                log(`[${campaign.sessionId}] Campanha concluída: ${campaign.name}`);
+            }
+            return;
+        }
+
+        if (isOptedOut(campaign.sessionId, recipient.jid)) {
+            recipient.status = 'skipped';
+            recipient.error = 'Descadastrado';
+            save(campaign);
+            return;
+        }
+
+        try {
+            const { type, payload, mediaBuffer } = buildJob(campaign, recipient);
+            const job = sendQueue.enqueue({ sessionId: campaign.sessionId, type, jid: recipient.jid, payload, mediaBuffer });
+            recipient.status = 'sending';
+            recipient.jobId = job.id;
+            save(campaign);
+            track(campaign, recipient);
+        } catch (error) {
+            recipient.status = 'failed';
+            recipient.error = error.message;
+            save(campaign);
+        }
+    }
+
+    function tick() {
+        const now = Date.now();
+
+        campaigns.forEach(campaign => {
+            if (!['scheduled', 'running'].includes(campaign.status)) return;
+            if (inFlight.has(campaign.id) || campaign.nextSendAt > now) return;
+
+            const session = getSession(campaign.sessionId);
+            if (!session) {
+                cancelCampaign(campaign);
+                return;
+            }
+
+            if (campaign.status === 'scheduled') {
+                campaign.status = 'running';
+                campaign.startedAt = new Date(now).toISOString();
+                save(campaign);
+                log(`[${campaign.sessionId}] Campanha iniciada: ${campaign.name}`);
+            }
+
+            // Aguarda a reconexão sem consumir destinatários
+            if (!session.isConnected()) return;
+
+            sendNext(campaign);
+        });
+    }
+
+    function start() {
+        if (timer) return;
+
+        // Destinatários em envio quando o servidor parou voltam a ser acompanhados pelo job
+        campaigns.forEach(campaign => {
+            const sending = campaign.recipients.find(r => r.status === 'sending');
+            if (sending) track(campaign, sending);
+        });
+
+        const active = [...campaigns.values()].filter(c => ACTIVE_STATUSES.includes(c.status)).length;
+        log(`Campanhas: ${active} ativas`);
+        timer = setInterval(tick, TICK_INTERVAL);
+        timer.unref();
+    }
+
+    return {
+        create,
+        get,
+        list,
+        recipients,
+        control,
+        remove,
+        report,
+        handleMessage,
+        listOptOuts,
+        addOptOut,
+        removeOptOut,
+        start
+    };
+}
+
+module.exports = { createCampaignManager, MEDIA_TYPES };
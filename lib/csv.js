@@ -0,0 +1,86 @@
+/**
+ * =============================================================
+ * CSV
+ * =============================================================
+ *
+ * Leitura e escrita de CSV simples (RFC 4180): campos entre aspas,
+ * aspas duplicadas e quebras de linha dentro de campos. O separador
+ * (vírgula ou ponto e vírgula, padrão do Excel em português) é
+ * detectado pelo cabeçalho.
+ * =============================================================
+ */
+
+function detectDelimiter(text) {
+    const header = text.split(/\r?\n/, 1)[0];
+    const count = char => header.split(char).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+}
+
+// Retorna uma lista de objetos usando a primeira linha como cabeçalho
+function parseCsv(text) {
+    const content = String(text).replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(content);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const headers = nonEmpty[0].map(header => header.trim());
+    return nonEmpty.slice(1).map(values =>
+        Object.fromEntries(headers.map((header, index) => [header, (values[index] || '').trim()]))
+    );
+}
+
+function escapeField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+    const lines = [columns.map(escapeField).join(',')];
+    rows.forEach(row => lines.push(columns.map(column => escapeField(row[column])).join(',')));
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Uma linha (com a quebra), para escrever CSV em streaming
+function toCsvRow(row, columns) {
+    return columns.map(column => escapeField(row[column])).join(',') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv, toCsvRow };
@@ -0,0 +1,271 @@
+/**
+ * =============================================================
+ * CONTATOS E CONVERSAS
+ * =============================================================
+ *
+ * Índice persistente por sessão, montado a partir dos eventos do
+ * Baileys (contacts.*, chats.*, messaging-history.set) e de cada
+ * mensagem recebida ou enviada:
+ *
+ * - Contatos: nome da agenda, pushName, nome verificado (business)
+ * - Conversas: nome, última mensagem, não lidas, arquivada, silenciada
+ * - Perfis: foto e recado buscados sob demanda, com cache
+ *
+ * Gravado em directory.json na pasta de mensagens da sessão.
+ * =============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJson } = require('./jsonFile');
+const { normalizeText } = require('./text');
+
+const SAVE_DELAY = 1000;
+const PROFILE_CACHE_TTL = 24 * 60 * 60 * 1000;
+
+function toTimestamp(value) {
+    if (!value) return null;
+    return typeof value === 'object' && value.toNumber ? value.toNumber() : Number(value);
+}
+
+function isDirectoryJid(jid) {
+    return !!jid && jid !== 'status@broadcast' && !jid.endsWith('@newsletter');
+}
+
+function createDirectory({ folder, log }) {
+    const file = path.join(folder, 'directory.json');
+
+    if (!fs.existsSync(folder)) {
+        fs.mkdirSync(folder, { recursive: true });
+    }
+
+    const data = readJson(file, { contacts: {}, chats: {}, profiles: {} });
+    let saveTimer = null;
+
+    // Eventos chegam em rajadas (histórico inicial): grava uma vez por segundo no máximo
+    function scheduleSave() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(flush, SAVE_DELAY);
+    }
+
+    function flush() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        try {
+            writeJson(file, data);
+        } catch (error) {
+            log('Erro ao gravar contatos/conversas:', error.message, 'error');
+        }
+    }
+
+    function upsertContact(contact) {
+        if (!isDirectoryJid(contact.id)) return;
+
+        const existing = data.contacts[contact.id] || { jid: contact.id };
+        data.contacts[contact.id] = {
+            ...existing,
+            ...(contact.name !== undefined ? { name: contact.name || null } : {}),
+            ...(contact.notify !== undefined ? { pushName: contact.notify || null } : {}),
+            ...(contact.verifiedName !== undefined ? { verifiedName: contact.verifiedName || null } : {}),
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    // Em chats.update o unreadCount é um incremento; as novas mensagens já são
+    // contadas por recordMessage, então só o zero (lida no celular) é aplicado
+    function upsertChat(chat, { partial = false } = {}) {
+        if (!isDirectoryJid(chat.id)) return;
+
+        const existing = data.chats[chat.id] || {
+            jid: chat.id,
+            name: null,
+            unreadCount: 0,
+            archived: false,
+            mutedUntil: null,
+            pinned: false,
+            lastMessage: null,
+            timestamp: null
+        };
+        const changes = {};
+
+        if (chat.name !== undefined) changes.name = chat.name || null;
+        if (typeof chat.unreadCount === 'number' && (!partial || chat.unreadCount === 0)) {
+            changes.unreadCount = Math.max(chat.unreadCount, 0);
+        }
+        if (chat.archived !== undefined && chat.archived !== null) changes.archived = !!chat.archived;
+        if (chat.muteEndTime !== undefined) {
+            const until = toTimestamp(chat.muteEndTime);
+            changes.mutedUntil = until ? new Date(until).toISOString() : null;
+        }
+        if (chat.pinned !== undefined) changes.pinned = !!chat.pinned;
+        if (chat.conversationTimestamp) {
+            changes.timestamp = Math.max(existing.timestamp || 0, toTimestamp(chat.conversationTimestamp));
+        }
+
+        data.chats[chat.id] = { ...existing, ...changes };
+    }
+
+    function handleContacts(contacts) {
+        contacts.forEach(upsertContact);
+        scheduleSave();
+    }
+
+    function handleChats(chats) {
+        chats.forEach(chat => upsertChat(chat));
+        scheduleSave();
+    }
+
+    function handleChatUpdates(updates) {
+        updates.forEach(chat => upsertChat(chat, { partial: true }));
+        scheduleSave();
+    }
+
+    function handleChatsDelete(jids) {
+        jids.forEach(jid => delete data.chats[jid]);
+        scheduleSave();
+    }
+
+    function handleHistory({ chats = [], contacts = [] }) {
+        contacts.forEach(upsertContact);
+        chats.forEach(chat => upsertChat(chat));
+        log(`Histórico sincronizado: ${chats.length} conversas, ${contacts.length} contatos`);
+        scheduleSave();
+    }
+
+    // Atualiza a conversa (e o pushName do remetente) a cada mensagem gravada
+    function recordMessage(message) {
+        if (!isDirectoryJid(message.from)) return;
+
+        upsertChat({ id: message.from });
+        const chat = data.chats[message.from];
+
+        if (!chat.lastMessage || message.timestamp >= (chat.lastMessage.timestamp || 0)) {
+            chat.lastMessage = {
+                id: message.id,
+                fromMe: !!message.fromMe,
+                sender: message.sender,
+                type: message.type,
+                text: message.text || '',
+                timestamp: message.timestamp
+            };
+            chat.timestamp = Math.max(chat.timestamp || 0, message.timestamp);
+        }
+
+        if (message.fromMe) {
+            // Responder pelo celular ou pela API marca a conversa como lida no WhatsApp
+            chat.unreadCount = 0;
+        } else {
+            chat.unreadCount = (chat.unreadCount || 0) + 1;
+            if (message.pushName && message.sender) {
+                upsertContact({ id: message.sender, notify: message.pushName });
+            }
+        }
+
+        scheduleSave();
+    }
+
+    // Leitura pela API: count mensagens lidas, ou a conversa inteira (null)
+    function markRead(jid, count = null) {
+        const chat = data.chats[jid];
+        if (!chat) return;
+
+        chat.unreadCount = count === null ? 0 : Math.max((chat.unreadCount || 0) - count, 0);
+        scheduleSave();
+    }
+
+    function displayName(jid) {
+        const contact = data.contacts[jid];
+        return contact?.name || contact?.verifiedName || contact?.pushName || data.chats[jid]?.name || null;
+    }
+
+    function withName(chat) {
+        return { ...chat, displayName: displayName(chat.jid), isGroup: chat.jid.endsWith('@g.us') };
+    }
+
+    function listChats({ q, archived, unread, type, limit, offset } = {}) {
+        const max = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+        const start = parseInt(offset) || 0;
+        const search = q ? normalizeText(q) : null;
+
+        const chats = Object.values(data.chats)
+            .map(withName)
+            .filter(chat => archived === undefined || archived === '' || chat.archived === (String(archived) === 'true'))
+            .filter(chat => String(unread) !== 'true' || chat.unreadCount > 0)
+            .filter(chat => !type || (type === 'group' ? chat.isGroup : !chat.isGroup))
+            .filter(chat => !search ||
+                normalizeText(chat.displayName).includes(search) ||
+                chat.jid.includes(search))
+            .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+
+        return { chats: chats.slice(start, start + max), total: chats.length };
+    }
+
+    function getChat(jid) {
+        return data.chats[jid] ? withName(data.chats[jid]) : null;
+    }
+
+    function listContacts({ q, limit, offset } = {}) {
+        const max = Math.min(Math.max(parseInt(limit) || 100, 1), 1000);
+        const start = parseInt(offset) || 0;
+        const search = q ? normalizeText(q) : null;
+
+        const contacts = Object.values(data.contacts)
+            .map(contact => ({ ...contact, displayName: displayName(contact.jid) }))
+            .filter(contact => !search ||
+                normalizeText(contact.displayName).includes(search) ||
+                contact.jid.includes(search))
+            .sort((a, b) => normalizeText(a.displayName || a.jid).localeCompare(normalizeText(b.displayName || b.jid)));
+
+        return { contacts: contacts.slice(start, start + max), total: contacts.length };
+    }
+
+    function getContact(jid) {
+        const contact = data.contacts[jid] || { jid };
+        return { ...contact, displayName: displayName(jid) };
+    }
+
+    // Foto e recado vêm do WhatsApp sob demanda; ficam em cache por 24h
+    async function getProfile(sock, jid, { refresh = false } = {}) {
+        const cached = data.profiles[jid];
+        if (!refresh && cached && Date.now() - Date.parse(cached.fetchedAt) < PROFILE_CACHE_TTL) {
+            return { ...cached, cached: true };
+        }
+
+        // Sem foto ou com privacidade restrita o WhatsApp responde com erro: vira null
+        const pictureUrl = await sock.profilePictureUrl(jid, 'image').catch(() => null);
+
+        let about = null;
+        let aboutSetAt = null;
+        if (!jid.endsWith('@g.us')) {
+            const result = await sock.fetchStatus(jid).catch(() => null);
+            // Versões recentes do Baileys devolvem uma lista [{ id, status }]
+            const status = Array.isArray(result) ? result[0]?.status : result;
+            about = status?.status || null;
+            aboutSetAt = status?.setAt ? new Date(status.setAt).toISOString() : null;
+        }
+
+        data.profiles[jid] = { jid, pictureUrl, about, aboutSetAt, fetchedAt: new Date().toISOString() };
+        scheduleSave();
+        return { ...data.profiles[jid], cached: false };
+    }
+
+    return {
+        handleContacts,
+        handleChats,
+        handleChatUpdates,
+        handleChatsDelete,
+        handleHistory,
+        recordMessage,
+        markRead,
+        listChats,
+        getChat,
+        listContacts,
+        getContact,
+        getProfile,
+        flush
+    };
+}
+
+module.exports = { createDirectory };
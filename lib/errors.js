@@ -0,0 +1,107 @@
+/**
+ * =============================================================
+ * ERROS DA API
+ * =============================================================
+ *
+ * Toda resposta de erro segue o formato
+ *   { success: false, error: "mensagem", code: "CODIGO", ...detalhes }
+ *
+ * - apiError(status, code, message, extra) cria o erro com o status
+ *   HTTP e o código; rotas async repassam com asyncHandler
+ * - errorCodes completa o code das respostas de erro montadas direto
+ *   nas rotas (res.status(400).json({ success: false, error }))
+ * - errorHandler converte erros repassados (next(error)), JSON
+ *   malformado e erros do Baileys (Boom); erros internos não expõem a
+ *   mensagem original, só o requestId para achar no log
+ * =============================================================
+ */
+
+const CODES_BY_STATUS = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    422: 'UNPROCESSABLE_ENTITY',
+    429: 'TOO_MANY_REQUESTS',
+    500: 'INTERNAL_ERROR',
+    502: 'BAD_GATEWAY',
+    503: 'SERVICE_UNAVAILABLE',
+    504: 'GATEWAY_TIMEOUT'
+};
+
+function codeForStatus(status) {
+    return CODES_BY_STATUS[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+function apiError(status, code, message, extra = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    error.extra = extra;
+    return error;
+}
+
+// Rejeições de handlers async viram next(error)
+function asyncHandler(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+function errorCodes(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = body => {
+        if (body && body.success === false && !body.code) {
+            body = { ...body, code: codeForStatus(res.statusCode) };
+        }
+        return json(body);
+    };
+    next();
+}
+
+function notFound(req, res) {
+    res.status(404).json({ success: false, error: `Rota não encontrada: ${req.method} ${req.path}`, code: 'NOT_FOUND' });
+}
+
+function createErrorHandler({ log }) {
+    // Os 4 parâmetros são o que faz o Express tratar como handler de erro
+    return (error, req, res, next) => {
+        let status = error.status || error.statusCode || error.output?.statusCode || 500;
+        // Só erros da API (apiError) trazem code; os do Node (ECONNRESET...) não vazam
+        let code = error.status && typeof error.code === 'string' ? error.code : null;
+        let message = error.message;
+
+        // Erros do express.json / urlencoded
+        if (error.type === 'entity.parse.failed') {
+            code = 'INVALID_JSON';
+            message = 'Corpo da requisição não é um JSON válido';
+        } else if (error.type === 'entity.too.large') {
+            code = 'PAYLOAD_TOO_LARGE';
+            message = 'Corpo da requisição maior que o limite';
+        }
+
+        if (status < 400 || status > 599) status = 500;
+
+        if (status >= 500) {
+            (req.log || log)(`Erro interno em ${req.method} ${req.path}:`, error.stack || error.message, 'error');
+            message = 'Erro interno do servidor';
+            code = code || 'INTERNAL_ERROR';
+        }
+
+        if (res.headersSent) {
+            res.destroy();
+            return;
+        }
+
+        res.status(status).json({
+            success: false,
+            error: message,
+            code: code || codeForStatus(status),
+            ...(error.extra || {}),
+            ...(status >= 500 ? { requestId: req.id } : {})
+        });
+    };
+}
+
+module.exports = { apiError, asyncHandler, errorCodes, notFound, createErrorHandler, codeForStatus };
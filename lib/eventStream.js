@@ -0,0 +1,117 @@
+/**
+ * =============================================================
+ * STREAM DE EVENTOS EM TEMPO REAL (SERVER-SENT EVENTS)
+ * =============================================================
+ *
+ * Os mesmos eventos enviados aos webhooks são publicados para os
+ * clientes conectados em GET /events. Os últimos eventos ficam em um
+ * buffer circular para que o cliente retome a partir do Last-Event-ID
+ * depois de uma queda de conexão.
+ *
+ * O QR é uma credencial de login (/qr exige admin): só chega com o
+ * conteúdo a clientes com escopo admin; os demais recebem o evento sem
+ * esses campos, e os webhooks também.
+ * =============================================================
+ */
+
+const HEARTBEAT_INTERVAL = 25000;
+
+const SECRET_FIELDS = {
+    'connection.qr': ['qr', 'qrDataUrl']
+};
+
+// Cópia do evento sem os campos que permitiriam conectar o número
+function withoutSecrets(event, data) {
+    const fields = SECRET_FIELDS[event];
+    if (!fields) return data;
+    return Object.fromEntries(Object.entries(data).filter(([key]) => !fields.includes(key)));
+}
+
+function createEventStream({ bufferSize = 1000 } = {}) {
+    const buffer = [];
+    const clients = new Set();
+
+    // Ids numéricos a partir do horário de início: continuam crescendo após um restart
+    let lastId = Date.now();
+
+    function matchesType(patterns, event) {
+        if (!patterns) return true;
+        return patterns.some(pattern =>
+            pattern === event || (pattern.endsWith('.*') && event.startsWith(pattern.slice(0, -1)))
+        );
+    }
+
+    // Eventos sem conversa associada (conexão, QR...) passam pelo filtro de JID
+    function matchesJid(jid, data) {
+        if (!jid) return true;
+        const eventJid = data.from || data.to || data.jid;
+        return !eventJid || eventJid === jid;
+    }
+
+    function matches(client, entry) {
+        return entry.data.sessionId === client.sessionId &&
+            matchesType(client.types, entry.event) &&
+            matchesJid(client.jid, entry.data);
+    }
+
+    function write(client, entry) {
+        const data = client.admin ? entry.data : withoutSecrets(entry.event, entry.data);
+        client.res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    function publish(event, data) {
+        const entry = { id: ++lastId, event, data };
+
+        buffer.push(entry);
+        if (buffer.length > bufferSize) {
+            buffer.shift();
+        }
+
+        clients.forEach(client => {
+            if (matches(client, entry)) write(client, entry);
+        });
+    }
+
+    // admin: recebe também o conteúdo do QR
+    function subscribe(req, res, { sessionId, types, jid, admin = false }) {
+        req.setTimeout(0);
+        res.setTimeout(0);
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        const client = { res, sessionId, types, jid, admin };
+        const lastEventId = parseInt(req.get('last-event-id') || req.query.lastEventId);
+
+        // Reenvia o que o cliente perdeu; avisa se o buffer já descartou parte
+        if (!isNaN(lastEventId)) {
+            if (buffer.length > 0 && buffer[0].id > lastEventId + 1) {
+                res.write(`event: stream.gap\ndata: ${JSON.stringify({ lastEventId, oldestAvailable: buffer[0].id })}\n\n`);
+            }
+            buffer
+                .filter(entry => entry.id > lastEventId && matches(client, entry))
+                .forEach(entry => write(client, entry));
+        }
+
+        clients.add(client);
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            clients.delete(client);
+        });
+    }
+
+    function clientCount() {
+        return clients.size;
+    }
+
+    return { publish, subscribe, clientCount };
+}
+
+module.exports = { createEventStream, withoutSecrets };
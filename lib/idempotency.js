@@ -0,0 +1,136 @@
+/**
+ * =============================================================
+ * CHAVES DE IDEMPOTÊNCIA
+ * =============================================================
+ *
+ * Com o cabeçalho Idempotency-Key, a repetição de um envio (ex.: o
+ * CRM refaz a chamada depois de um timeout) devolve a resposta
+ * original em vez de mandar a mensagem de novo:
+ *
+ * - Mesma chave e mesmo corpo: resposta original, com o cabeçalho
+ *   Idempotent-Replayed: true
+ * - Mesma chave com corpo diferente: 422 IDEMPOTENCY_KEY_REUSED
+ * - Primeira chamada ainda em andamento: a repetição aguarda o
+ *   resultado; se demorar demais, 409 IDEMPOTENCY_IN_PROGRESS
+ * - Respostas 5xx não são guardadas: a repetição executa de novo
+ *
+ * As chaves valem por API key e sessão, durante a janela configurada,
+ * e ficam em DATA_FOLDER/idempotency.json para sobreviver a restarts.
+ * =============================================================
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const path = require('path');
+const { readJson, writeJson } = require('./jsonFile');
+const { apiError } = require('./errors');
+
+const HEADER = 'idempotency-key';
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+function createIdempotencyStore({ dataFolder, ttlMs, waitMs }) {
+    const file = path.join(dataFolder, 'idempotency.json');
+    const records = new Map(Object.entries(readJson(file, {})));
+    const pending = new Map();
+    const finished = new EventEmitter();
+    finished.setMaxListeners(0);
+
+    function save() {
+        const now = Date.now();
+        for (const [id, record] of records) {
+            if (record.expiresAt <= now) records.delete(id);
+        }
+        writeJson(file, Object.fromEntries(records));
+    }
+
+    // Método, rota, corpo e arquivo enviado: o que define "a mesma requisição"
+    function fingerprint(req) {
+        const hash = crypto.createHash('sha256');
+        hash.update(`${req.method} ${req.baseUrl}${req.path}\n`);
+        hash.update(JSON.stringify(req.body || {}));
+        if (req.file) hash.update(req.file.buffer);
+        return hash.digest('hex');
+    }
+
+    // Resposta guardada da primeira chamada, null se ela falhou (5xx) ou undefined no timeout
+    function waitForResult(id) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                finished.off(id, onFinished);
+                resolve(undefined);
+            }, waitMs);
+            const onFinished = record => {
+                clearTimeout(timer);
+                resolve(record);
+            };
+            finished.once(id, onFinished);
+        });
+    }
+
+    function replay(res, record) {
+        res.set('Idempotent-Replayed', 'true');
+        res.status(record.statusCode).json(record.body);
+    }
+
+    // Middleware dos endpoints de envio; depois da validação, antes do envio
+    async function middleware(req, res, next) {
+        const key = req.get(HEADER);
+        if (key === undefined) return next();
+
+        if (!KEY_PATTERN.test(key)) {
+            return next(apiError(400, 'INVALID_IDEMPOTENCY_KEY', 'Idempotency-Key inválida (1 a 255 caracteres ASCII visíveis)'));
+        }
+
+        const id = `${req.apiKey?.id || 'anonimo'}:${req.waSession.id}:${key}`;
+        const hash = fingerprint(req);
+
+        let record = records.get(id);
+        if (record && record.expiresAt <= Date.now()) {
+            records.delete(id);
+            record = null;
+        }
+
+        // Se a primeira chamada falhar, a repetição passa a ser a primeira
+        while (!record && pending.has(id)) {
+            if (pending.get(id) !== hash) {
+                return next(apiError(422, 'IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key já usada com outro corpo de requisição'));
+            }
+            record = await waitForResult(id);
+            if (record === undefined) {
+                return next(apiError(409, 'IDEMPOTENCY_IN_PROGRESS', 'Requisição com esta Idempotency-Key ainda em andamento'));
+            }
+        }
+
+        if (record) {
+            if (record.fingerprint !== hash) {
+                return next(apiError(422, 'IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key já usada com outro corpo de requisição'));
+            }
+            return replay(res, record);
+        }
+
+        // Primeira chamada: guarda a resposta quando ela for enviada
+        pending.set(id, hash);
+        const json = res.json.bind(res);
+        res.json = body => {
+            if (res.statusCode < 500 && pending.get(id) === hash) {
+                const now = Date.now();
+                const stored = { fingerprint: hash, statusCode: res.statusCode, body, createdAt: now, expiresAt: now + ttlMs };
+                records.set(id, stored);
+                save();
+                finished.emit(id, stored);
+            }
+            return json(body);
+        };
+        res.on('close', () => {
+            pending.delete(id);
+            if (!records.has(id)) finished.emit(id, null);
+        });
+
+        next();
+    }
+    middleware.idempotent = true;
+
+    return { middleware, save };
+}
+
+module.exports = { createIdempotencyStore };
@@ -0,0 +1,26 @@
+/**
+ * Leitura e escrita de arquivos JSON persistidos em DATA_FOLDER.
+ * A escrita é atômica (arquivo temporário + rename) para não corromper
+ * o estado se o processo for encerrado no meio da gravação.
+ */
+
+const fs = require('fs');
+
+function readJson(file, fallback) {
+    try {
+        if (!fs.existsSync(file)) {
+            return fallback;
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return fallback;
+    }
+}
+
+function writeJson(file, data) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+module.exports = { readJson, writeJson };
@@ -0,0 +1,71 @@
+/**
+ * =============================================================
+ * LOGS ESTRUTURADOS
+ * =============================================================
+ *
+ * Logs em JSON (pino), uma linha por evento, com nível configurável
+ * (LOG_LEVEL). A função log(mensagem, dados, nível) é usada em todo o
+ * projeto:
+ *
+ * - O prefixo "[sessão]" das mensagens vira o campo sessionId
+ * - O segundo argumento vai para "detail" (texto) ou "data" (objeto)
+ * - O nível é explícito (padrão info): log('Erro ao ...', msg, 'error')
+ * - log.child({ requestId }) devolve um log com campos fixos; nas rotas,
+ *   req.log já traz o requestId da requisição
+ *
+ * Os logs internos do Baileys ficam desligados por padrão e podem ser
+ * exibidos com BAILEYS_LOG_LEVEL (ex.: warn, debug).
+ * =============================================================
+ */
+
+const pino = require('pino');
+
+const SESSION_PREFIX = /^\[([\w-]+)\] /;
+
+// log(mensagem, dados, nível) sobre um logger do pino
+function createLogFunction(logger) {
+    function log(message, data = null, level = 'info') {
+        const fields = {};
+        let text = String(message);
+
+        const session = text.match(SESSION_PREFIX);
+        if (session) {
+            fields.sessionId = session[1];
+            text = text.slice(session[0].length);
+        }
+
+        if (data instanceof Error) {
+            fields.err = data;
+        } else if (data !== null && data !== undefined) {
+            fields[typeof data === 'object' ? 'data' : 'detail'] = data;
+        }
+
+        logger[level](fields, text);
+    }
+
+    log.logger = logger;
+    log.child = bindings => createLogFunction(logger.child(bindings));
+    return log;
+}
+
+// destination: stream de saída (padrão: stdout)
+function createLogger({ level = 'info', baileysLevel = 'silent', destination } = {}) {
+    const options = {
+        level,
+        base: { pid: process.pid },
+        timestamp: pino.stdTimeFunctions.isoTime,
+        formatters: {
+            level: label => ({ level: label })
+        }
+    };
+    const logger = destination ? pino(options, destination) : pino(options);
+
+    const log = createLogFunction(logger);
+
+    // Logger entregue ao Baileys (makeWASocket)
+    const baileysLogger = logger.child({ module: 'baileys' }, { level: baileysLevel });
+
+    return { logger, log, baileysLogger };
+}
+
+module.exports = { createLogger };
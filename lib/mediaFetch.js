@@ -0,0 +1,345 @@
+/**
+ * =============================================================
+ * DOWNLOAD SEGURO DE MÍDIA
+ * =============================================================
+ *
+ * Usado sempre que o servidor baixa uma mídia a partir de uma URL
+ * informada pelo cliente (imageUrl, audioUrl, campanhas, regras):
+ *
+ * - Só http/https; endereços internos (loopback, rede privada,
+ *   link-local, metadados de nuvem) são bloqueados, inclusive quando
+ *   o DNS ou um redirecionamento aponta para eles
+ * - MEDIA_FETCH_ALLOWLIST libera hosts ou faixas internas conhecidas
+ * - Limite de tamanho durante o download, tempo máximo e número
+ *   máximo de redirecionamentos
+ * - O conteúdo é identificado pelos primeiros bytes e precisa
+ *   corresponder ao tipo do envio (uma página 404 em HTML não vira
+ *   "imagem")
+ *
+ * O mesmo bloqueio vale para post(), usado no encaminhamento das
+ * regras para webhooks (sem seguir redirecionamentos).
+ *
+ * Os erros têm status HTTP (4xx para problemas da mídia ou da URL) e
+ * os 4xx são marcados como permanentes para a fila não repetir.
+ * =============================================================
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+
+const BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+];
+
+// Tipos aceitos por envio (prefixos). Áudio aceita contêineres de vídeo: m4a
+// costuma vir como video/mp4 e o ffmpeg extrai a faixa de áudio
+const KIND_TYPES = {
+    image: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+    audio: ['audio/', 'video/mp4', 'video/webm', 'video/x-matroska', 'video/quicktime', 'video/3gpp'],
+    video: ['video/'],
+    document: null
+};
+
+const KIND_NAMES = { image: 'uma imagem', audio: 'um áudio', video: 'um vídeo', document: 'um documento' };
+
+const blockedAddresses = new net.BlockList();
+BLOCKED_RANGES.forEach(([network, prefix, type]) => blockedAddresses.addSubnet(network, prefix, type));
+
+function mediaError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.permanent = status < 500;
+    return error;
+}
+
+function isBlockedAddress(address) {
+    // IPv4 mapeado em IPv6 (::ffff:127.0.0.1)
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return blockedAddresses.check(mapped[1], 'ipv4');
+    return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Tipo real do arquivo pelos primeiros bytes (null se desconhecido)
+function sniffMimetype(buffer) {
+    const b = buffer;
+    const ascii = (start, end) => b.subarray(start, end).toString('latin1');
+
+    if (b.length < 4) return null;
+    if (b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF) return 'image/jpeg';
+    if (b[0] === 0x89 && ascii(1, 4) === 'PNG') return 'image/png';
+    if (ascii(0, 4) === 'GIF8') return 'image/gif';
+    if (ascii(0, 4) === 'RIFF') {
+        const format = ascii(8, 12);
+        if (format === 'WEBP') return 'image/webp';
+        if (format === 'WAVE') return 'audio/wav';
+        if (format === 'AVI ') return 'video/x-msvideo';
+    }
+    if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+    if (ascii(0, 5) === '#!AMR') return 'audio/amr';
+    if (ascii(0, 3) === 'ID3') return 'audio/mpeg';
+    if (b[0] === 0xFF && (b[1] & 0xE0) === 0xE0) {
+        // Sincronismo de quadro: camada 00 é AAC (ADTS); as demais, MP3
+        return (b[1] & 0x06) === 0 ? 'audio/aac' : 'audio/mpeg';
+    }
+    if (ascii(4, 8) === 'ftyp') {
+        const brand = ascii(8, 12);
+        if (brand.startsWith('M4A') || brand.startsWith('M4B')) return 'audio/mp4';
+        if (brand === 'qt  ') return 'video/quicktime';
+        if (brand.startsWith('3g')) return 'video/3gpp';
+        return 'video/mp4';
+    }
+    if (b[0] === 0x1A && b[1] === 0x45 && b[2] === 0xDF && b[3] === 0xA3) {
+        return ascii(0, 64).includes('webm') ? 'video/webm' : 'video/x-matroska';
+    }
+    if (ascii(0, 4) === '%PDF') return 'application/pdf';
+    if (ascii(0, 4) === 'PK\x03\x04') return 'application/zip';
+
+    const start = ascii(0, 256).trimStart().toLowerCase();
+    if (start.startsWith('<!doctype html') || start.startsWith('<html')) return 'text/html';
+
+    return null;
+}
+
+function matchesKind(mimetype, kind) {
+    const accepted = KIND_TYPES[kind];
+    return !accepted || (!!mimetype && accepted.some(type => mimetype.startsWith(type)));
+}
+
+// Confere se o conteúdo corresponde ao tipo do envio; retorna o mimetype final
+function validateMedia(buffer, kind, declaredType = null) {
+    if (!buffer || buffer.length === 0) {
+        throw mediaError(400, 'Arquivo de mídia vazio');
+    }
+
+    const declared = declaredType ? declaredType.split(';')[0].trim().toLowerCase() : null;
+    const sniffed = sniffMimetype(buffer);
+
+    if (kind === 'document') {
+        return sniffed || declared || 'application/octet-stream';
+    }
+
+    if (sniffed === 'text/html') {
+        throw mediaError(415, `O conteúdo é uma página HTML, não ${KIND_NAMES[kind]}`);
+    }
+
+    // Formatos sem assinatura conhecida: vale o tipo declarado (o ffmpeg valida depois)
+    const mimetype = sniffed || (kind !== 'image' ? declared : null);
+    if (!matchesKind(mimetype, kind)) {
+        throw mediaError(415, `O arquivo não é ${KIND_NAMES[kind]} (${sniffed || declared || 'formato desconhecido'})`);
+    }
+    return mimetype;
+}
+
+function filenameFrom(response, url) {
+    const disposition = response.headers['content-disposition'] || '';
+    const match = disposition.match(/filename\*=UTF-8''([^;]+)|filename="?([^";]+)"?/i);
+    if (match) {
+        try {
+            return decodeURIComponent(match[1] || match[2]);
+        } catch (e) {
+            return match[1] || match[2];
+        }
+    }
+    const name = path.basename(new URL(url).pathname);
+    if (!name || name === '/') return null;
+    try {
+        return decodeURIComponent(name);
+    } catch (e) {
+        return name;
+    }
+}
+
+function createMediaFetcher({ maxBytes, timeoutMs = 30000, maxRedirects = 3, allowlist = [] }) {
+    const allowedNetworks = new net.BlockList();
+    const allowedHosts = [];
+
+    allowlist.forEach(entry => {
+        const [network, prefix] = entry.split('/');
+        if (net.isIP(network)) {
+            const type = net.isIPv6(network) ? 'ipv6' : 'ipv4';
+            allowedNetworks.addSubnet(network, parseInt(prefix) || (type === 'ipv6' ? 128 : 32), type);
+        } else {
+            allowedHosts.push(entry.toLowerCase());
+        }
+    });
+
+    function isAllowedHost(hostname) {
+        const host = hostname.toLowerCase();
+        return allowedHosts.some(pattern =>
+            pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern
+        );
+    }
+
+    function checkAddress(hostname, address) {
+        if (isAllowedHost(hostname)) return;
+        if (allowedNetworks.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4')) return;
+        if (isBlockedAddress(address)) {
+            throw mediaError(403, `Endereço interno não permitido: ${hostname}`);
+        }
+    }
+
+    // Resolve o DNS e valida cada endereço antes de conectar (evita DNS rebinding)
+    function safeLookup(hostname, options, callback) {
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+            try {
+                addresses.forEach(({ address }) => checkAddress(hostname, address));
+            } catch (blocked) {
+                return callback(blocked);
+            }
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    }
+
+    // URL http(s) com destino permitido (IPs literais não passam pelo lookup)
+    function parseTarget(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            throw mediaError(400, `URL inválida: ${url}`);
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw mediaError(400, 'A URL da mídia deve ser http ou https');
+        }
+
+        const literal = parsed.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(literal)) checkAddress(literal, literal);
+        return parsed;
+    }
+
+    function request(url, redirectsLeft, deadline) {
+        let parsed;
+        try {
+            parsed = parseTarget(url);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        const client = parsed.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            // Depois que a resposta começou, destruir com erro emitiria 'error' no socket
+            // sem ninguém ouvindo: rejeita aqui e só então encerra a conexão
+            const fail = error => {
+                clearTimeout(timer);
+                reject(error);
+                req.destroy();
+            };
+
+            const req = client.get(parsed, {
+                lookup: safeLookup,
+                headers: { 'User-Agent': 'servidor-whatsapp-lite', 'Accept': '*/*' }
+            }, response => {
+                const { statusCode, headers } = response;
+
+                if ([301, 302, 303, 307, 308].includes(statusCode) && headers.location) {
+                    response.resume();
+                    clearTimeout(timer);
+                    if (redirectsLeft <= 0) {
+                        return reject(mediaError(422, 'A URL da mídia redirecionou vezes demais'));
+                    }
+                    return resolve(request(new URL(headers.location, url).href, redirectsLeft - 1, deadline));
+                }
+
+                if (statusCode < 200 || statusCode >= 300) {
+                    response.resume();
+                    clearTimeout(timer);
+                    return reject(mediaError(statusCode >= 500 ? 502 : 422, `A URL da mídia respondeu HTTP ${statusCode}`));
+                }
+
+                if (parseInt(headers['content-length']) > maxBytes) {
+                    response.resume();
+                    clearTimeout(timer);
+                    return reject(mediaError(413, `Mídia maior que o limite de ${Math.round(maxBytes / 1048576)}MB`));
+                }
+
+                const chunks = [];
+                let size = 0;
+                response.on('data', chunk => {
+                    size += chunk.length;
+                    if (size > maxBytes) {
+                        fail(mediaError(413, `Mídia maior que o limite de ${Math.round(maxBytes / 1048576)}MB`));
+                        return;
+                    }
+                    chunks.push(chunk);
+                });
+                response.on('end', () => {
+                    clearTimeout(timer);
+                    // Exceção aqui não teria quem a capturasse (derrubaria o processo)
+                    try {
+                        resolve({
+                            buffer: Buffer.concat(chunks),
+                            contentType: headers['content-type'] || null,
+                            filename: filenameFrom(response, url)
+                        });
+                    } catch (error) {
+                        reject(mediaError(422, `Resposta da mídia inválida: ${error.message}`));
+                    }
+                });
+                response.on('error', error => fail(mediaError(502, `Erro ao baixar a mídia: ${error.message}`)));
+            });
+
+            // Tempo total (não só de inatividade), somando os redirecionamentos
+            const timer = setTimeout(() => {
+                fail(mediaError(504, 'Tempo esgotado ao baixar a mídia'));
+            }, Math.max(deadline - Date.now(), 0));
+
+            req.on('error', error => {
+                fail(error.status ? error : mediaError(502, `Erro ao baixar a mídia: ${error.message}`));
+            });
+        });
+    }
+
+    // Baixa a mídia e confere o tipo. Retorna { buffer, mimetype, filename }
+    async function fetchMedia(url, { kind = 'document' } = {}) {
+        const result = await request(url, maxRedirects, Date.now() + timeoutMs);
+        const mimetype = validateMedia(result.buffer, kind, result.contentType);
+        return { buffer: result.buffer, mimetype, filename: result.filename };
+    }
+
+    // POST com o mesmo bloqueio de endereços internos. Retorna { status }
+    function post(url, { headers = {}, body = '', timeoutMs: postTimeout = timeoutMs } = {}) {
+        return new Promise((resolve, reject) => {
+            const parsed = parseTarget(url);
+            const client = parsed.protocol === 'https:' ? https : http;
+
+            const req = client.request(parsed, {
+                method: 'POST',
+                lookup: safeLookup,
+                headers: { 'Content-Length': Buffer.byteLength(body), ...headers },
+                timeout: postTimeout
+            }, response => {
+                response.resume();
+                resolve({ status: response.statusCode });
+            });
+
+            req.on('timeout', () => req.destroy(mediaError(504, `Tempo esgotado ao chamar ${parsed.host}`)));
+            req.on('error', error => reject(error.status ? error : mediaError(502, error.message)));
+            req.end(body);
+        });
+    }
+
+    return { fetchMedia, post };
+}
+
+module.exports = { createMediaFetcher, validateMedia, sniffMimetype, mediaError };
@@ -0,0 +1,395 @@
+/**
+ * =============================================================
+ * ARMAZENAMENTO DE MÍDIA
+ * =============================================================
+ *
+ * Mídia recebida é gravada por streaming (sem bloquear o processo),
+ * com nome derivado do conteúdo (sha256 + extensão do MIME real):
+ * a mesma mídia encaminhada várias vezes ocupa espaço uma vez só.
+ *
+ * - Acesso por URLs assinadas que expiram (MEDIA_URL_TTL); sem
+ *   assinatura, /media exige API key com escopo media:read
+ * - Só imagem, áudio e vídeo abrem no navegador; o resto (documentos,
+ *   HTML enviado como arquivo) é servido como download, em sandbox
+ * - Retenção por idade (MEDIA_RETENTION_DAYS) e cota total de disco
+ *   (MEDIA_QUOTA_MB), removendo primeiro o que foi acessado há mais tempo
+ * - Backend plugável: disco local (padrão) ou S3 compatível (lib/s3.js)
+ *
+ * Um backend implementa:
+ *   put(key, tempFile, meta)      move/envia o arquivo temporário
+ *   remove(key)                   apaga o objeto
+ *   serve(key, req, res, meta)    responde o GET (com suporte a Range)
+ *   open(key)                     stream de leitura (exportação de conversas)
+ *   list()                        opcional: chaves existentes (reindexação)
+ *
+ * O índice (tamanho, tipo, datas de criação e acesso) fica em
+ * DATA_FOLDER/media_index.json.
+ * =============================================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Readable, Transform } = require('stream');
+const { readJson, writeJson } = require('./jsonFile');
+const { sniffMimetype } = require('./mediaFetch');
+
+const SAVE_DELAY = 2000;
+const KEY_PATTERN = /^[\w][\w.-]*$/;
+// Tipos exibidos inline; SVG fica de fora (pode conter script)
+const INLINE_PATTERN = /^(image\/(?!svg)|audio\/|video\/)/;
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'video/3gpp': '3gp',
+    'video/quicktime': 'mov',
+    'video/webm': 'webm',
+    'video/x-matroska': 'mkv',
+    'video/x-msvideo': 'avi',
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'audio/amr': 'amr',
+    'audio/wav': 'wav',
+    'application/pdf': 'pdf',
+    'application/zip': 'zip',
+    'application/msword': 'doc',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/vnd.ms-excel': 'xls',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'application/vnd.ms-powerpoint': 'ppt',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+    'text/plain': 'txt',
+    'text/csv': 'csv',
+    'text/html': 'html'
+};
+
+function baseMimetype(mimetype) {
+    return mimetype ? mimetype.split(';')[0].trim().toLowerCase() : null;
+}
+
+// Tipo real pelo conteúdo; o declarado pelo remetente só vale quando o conteúdo não diz nada
+// ou quando especializa o contêiner detectado (docx, xlsx e pptx são ZIP)
+function resolveMimetype(declared, head) {
+    const sniffed = sniffMimetype(head);
+    const base = baseMimetype(declared);
+    if (!sniffed) return base || 'application/octet-stream';
+    if (sniffed === 'application/zip' && base && (base.startsWith('application/vnd.') || base.endsWith('+zip'))) return base;
+    return sniffed;
+}
+
+// Extensão pelo MIME; para tipos sem mapeamento, a do nome original (se for segura)
+function extensionFor(mimetype, filename) {
+    const known = EXTENSIONS[baseMimetype(mimetype)];
+    if (known) return known;
+
+    const original = filename ? path.extname(filename).slice(1).toLowerCase() : '';
+    return /^[a-z0-9]{1,8}$/.test(original) ? original : 'bin';
+}
+
+function createLocalBackend({ folder }) {
+    if (!fs.existsSync(folder)) {
+        fs.mkdirSync(folder, { recursive: true });
+    }
+
+    return {
+        name: 'local',
+        async put(key, tempFile) {
+            await fsp.rename(tempFile, path.join(folder, key));
+        },
+        async remove(key) {
+            await fsp.rm(path.join(folder, key), { force: true });
+        },
+        serve(key, req, res, meta) {
+            res.sendFile(path.join(folder, key), {
+                maxAge: '7d',
+                headers: { 'Content-Type': meta.mimeType }
+            }, error => {
+                if (error && !res.headersSent) {
+                    res.status(error.status || 404).json({ success: false, error: 'Mídia não encontrada' });
+                }
+            });
+        },
+        async open(key) {
+            const file = path.join(folder, key);
+            await fsp.access(file);
+            return fs.createReadStream(file);
+        },
+        async list() {
+            const files = await fsp.readdir(folder, { withFileTypes: true });
+            const entries = [];
+            for (const file of files) {
+                if (!file.isFile() || file.name.startsWith('.')) continue;
+                const stats = await fsp.stat(path.join(folder, file.name));
+                entries.push({ key: file.name, size: stats.size, modifiedAt: stats.mtime.toISOString() });
+            }
+            return entries;
+        }
+    };
+}
+
+function createMediaStorage({ backend, dataFolder, tempFolder, secret, baseUrl, urlTtlSeconds, retentionDays, quotaBytes, log }) {
+    const indexFile = path.join(dataFolder, 'media_index.json');
+    const index = readJson(indexFile, {});
+    let saveTimer = null;
+
+    if (!fs.existsSync(tempFolder)) {
+        fs.mkdirSync(tempFolder, { recursive: true });
+    }
+
+    function scheduleSave() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            writeJson(indexFile, index);
+        }, SAVE_DELAY);
+        saveTimer.unref();
+    }
+
+    function flush() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        writeJson(indexFile, index);
+    }
+
+    function signature(key, expires) {
+        return crypto.createHmac('sha256', secret).update(`${key}.${expires}`).digest('base64url');
+    }
+
+    function signedPath(key, ttlSeconds = urlTtlSeconds) {
+        const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+        return {
+            path: `/media/${encodeURIComponent(key)}?expires=${expires}&signature=${signature(key, expires)}`,
+            expiresAt: new Date(expires * 1000).toISOString()
+        };
+    }
+
+    function verify(key, expires, sig) {
+        const expiresAt = parseInt(expires);
+        if (!sig || !expiresAt || expiresAt < Date.now() / 1000) return false;
+
+        const expected = Buffer.from(signature(key, expiresAt));
+        const received = Buffer.from(String(sig));
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    function isValidKey(key) {
+        return KEY_PATTERN.test(key) && !key.includes('..');
+    }
+
+    function has(key) {
+        return isValidKey(key) && !!index[key];
+    }
+
+    // Dados públicos da mídia, com URL assinada nova
+    function describe(key) {
+        const entry = index[key];
+        if (!entry) return null;
+
+        const signed = signedPath(key);
+        return {
+            key,
+            filename: key,
+            size: entry.size,
+            mimeType: entry.mimeType,
+            sha256: entry.sha256 || null,
+            localUrl: signed.path,
+            fullUrl: `${baseUrl}${signed.path}`,
+            urlExpiresAt: signed.expiresAt
+        };
+    }
+
+    // Atualiza as URLs de uma mídia gravada no histórico (as anteriores podem ter expirado)
+    function withUrls(media) {
+        if (!media) return media;
+        const key = media.key || media.filename;
+        const current = key ? describe(key) : null;
+        return current ? { ...media, ...current } : { ...media, localUrl: null, fullUrl: null, expired: true };
+    }
+
+    // Grava um Buffer ou stream. Retorna a descrição da mídia (ou null se vazia)
+    async function save(input, { mimetype, filename } = {}) {
+        const tempFile = path.join(tempFolder, crypto.randomUUID());
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        let head = Buffer.alloc(0);
+
+        const meter = new Transform({
+            transform(chunk, encoding, callback) {
+                hash.update(chunk);
+                size += chunk.length;
+                if (head.length < 512) head = Buffer.concat([head, chunk.subarray(0, 512)]);
+                callback(null, chunk);
+            }
+        });
+
+        const source = Buffer.isBuffer(input) ? Readable.from([input]) : input;
+
+        try {
+            await pipeline(source, meter, fs.createWriteStream(tempFile));
+        } catch (error) {
+            await fsp.rm(tempFile, { force: true });
+            throw error;
+        }
+
+        if (size === 0) {
+            await fsp.rm(tempFile, { force: true });
+            return null;
+        }
+
+        const sha256 = hash.digest('hex');
+        const mimeType = resolveMimetype(mimetype, head);
+        const key = `${sha256}.${extensionFor(mimeType, filename)}`;
+        const now = new Date().toISOString();
+
+        if (index[key]) {
+            // Conteúdo repetido (mídia encaminhada): reaproveita o arquivo
+            await fsp.rm(tempFile, { force: true });
+            index[key].lastAccessAt = now;
+            index[key].references = (index[key].references || 1) + 1;
+            scheduleSave();
+            return { ...describe(key), deduplicated: true };
+        }
+
+        try {
+            await backend.put(key, tempFile, { size, mimeType, sha256 });
+        } finally {
+            await fsp.rm(tempFile, { force: true });
+        }
+
+        index[key] = { size, mimeType, sha256, createdAt: now, lastAccessAt: now, references: 1 };
+        scheduleSave();
+        log(`Mídia salva: ${key} (${size} bytes)`);
+
+        if (quotaBytes > 0) {
+            enforceQuota().catch(error => log('Erro ao aplicar cota de mídia:', error.message, 'error'));
+        }
+
+        return { ...describe(key), deduplicated: false };
+    }
+
+    function serve(key, req, res) {
+        const entry = index[key];
+        entry.lastAccessAt = new Date().toISOString();
+        scheduleSave();
+
+        // A mídia sai da mesma origem da API (e do console): nada dela roda como página
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.set('Content-Security-Policy', 'sandbox');
+        if (!INLINE_PATTERN.test(entry.mimeType)) {
+            res.attachment(key);
+        }
+        backend.serve(key, req, res, entry);
+    }
+
+    // Stream do conteúdo, sem passar pela URL assinada (exportação de conversas)
+    async function open(key) {
+        if (!has(key)) throw new Error(`Mídia não encontrada: ${key}`);
+        return backend.open(key);
+    }
+
+    async function removeKey(key) {
+        await backend.remove(key);
+        delete index[key];
+    }
+
+    function stats() {
+        const entries = Object.values(index);
+        return {
+            backend: backend.name,
+            count: entries.length,
+            bytes: entries.reduce((total, entry) => total + entry.size, 0),
+            quotaBytes: quotaBytes || null
+        };
+    }
+
+    // Remove as menos acessadas até caber na cota
+    async function enforceQuota() {
+        let { bytes } = stats();
+        if (!quotaBytes || bytes <= quotaBytes) return 0;
+
+        const byAccess = Object.entries(index).sort(([, a], [, b]) => a.lastAccessAt.localeCompare(b.lastAccessAt));
+        let evicted = 0;
+
+        for (const [key, entry] of byAccess) {
+            if (bytes <= quotaBytes) break;
+            await removeKey(key);
+            bytes -= entry.size;
+            evicted++;
+        }
+
+        if (evicted > 0) {
+            scheduleSave();
+            log(`Cota de mídia: ${evicted} arquivos removidos`);
+        }
+        return evicted;
+    }
+
+    // Retenção por idade e depois cota. Retorna o que foi removido (null se falhou)
+    async function cleanup({ olderThanDays = retentionDays } = {}) {
+        try {
+            const limit = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+            let cleaned = 0;
+
+            for (const [key, entry] of Object.entries(index)) {
+                if (Date.parse(entry.createdAt) < limit) {
+                    await removeKey(key);
+                    cleaned++;
+                }
+            }
+
+            if (cleaned > 0) {
+                scheduleSave();
+                log(`Limpeza de mídia: ${cleaned} arquivos removidos`);
+            }
+
+            const evicted = await enforceQuota();
+            return { expired: cleaned, evicted };
+        } catch (error) {
+            log('Erro na limpeza de mídia:', error.message, 'error');
+            return null;
+        }
+    }
+
+    // Arquivos gravados por versões anteriores (ou fora do índice) passam a ser controlados
+    async function reindex() {
+        if (!backend.list) return;
+
+        const entries = await backend.list();
+        let added = 0;
+        entries.forEach(({ key, size, modifiedAt }) => {
+            if (index[key] || !isValidKey(key)) return;
+            const mimeType = Object.keys(EXTENSIONS).find(type => EXTENSIONS[type] === path.extname(key).slice(1)) ||
+                'application/octet-stream';
+            index[key] = { size, mimeType, sha256: null, createdAt: modifiedAt, lastAccessAt: modifiedAt, references: 1 };
+            added++;
+        });
+
+        if (added > 0) {
+            flush();
+            log(`Mídia: ${added} arquivos existentes indexados`);
+        }
+    }
+
+    async function start() {
+        // Restos de gravações interrompidas
+        const leftovers = await fsp.readdir(tempFolder);
+        await Promise.all(leftovers.map(file => fsp.rm(path.join(tempFolder, file), { force: true })));
+
+        await reindex();
+        await cleanup();
+    }
+
+    return { save, serve, open, has, verify, describe, withUrls, stats, cleanup, start, flush, isValidKey };
+}
+
+module.exports = { createMediaStorage, createLocalBackend, extensionFor, resolveMimetype };
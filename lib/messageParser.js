@@ -0,0 +1,247 @@
+/**
+ * =============================================================
+ * MODELO NORMALIZADO DAS MENSAGENS
+ * =============================================================
+ *
+ * Converte a mensagem do Baileys (protobuf) no formato gravado no
+ * histórico e enviado nos eventos:
+ *
+ * - Remove os contêineres (temporária, visualização única, documento
+ *   com legenda, edição) e marca viewOnce/ephemeral
+ * - type continua sendo o nome do Baileys (imageMessage, locationMessage...)
+ * - text: texto, legenda, nome da enquete/local/contato ou resposta de botão
+ * - content: campos estruturados do tipo (coordenadas, contatos, opções
+ *   da enquete, id do botão escolhido, dados da mídia...)
+ * - quoted, mentions e forwarded, a partir do contextInfo
+ *
+ * Reações, edições e exclusões não viram mensagens novas: voltam como
+ * action para a sessão aplicar na mensagem original.
+ * =============================================================
+ */
+
+const MEDIA_TYPES = ['imageMessage', 'videoMessage', 'audioMessage', 'documentMessage', 'stickerMessage', 'ptvMessage'];
+
+// Contêineres que só envolvem a mensagem real
+const WRAPPERS = {
+    ephemeralMessage: 'ephemeral',
+    viewOnceMessage: 'viewOnce',
+    viewOnceMessageV2: 'viewOnce',
+    viewOnceMessageV2Extension: 'viewOnce',
+    documentWithCaptionMessage: null,
+    editedMessage: null
+};
+
+// Chaves que acompanham a mensagem mas não são o conteúdo
+const IGNORED_KEYS = ['messageContextInfo', 'senderKeyDistributionMessage'];
+
+// Tipos do protocolMessage (WAProto)
+const PROTOCOL_REVOKE = 0;
+const PROTOCOL_EDIT = 14;
+
+function toNumber(value) {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'object' && value.toNumber ? value.toNumber() : Number(value);
+}
+
+// Remove os contêineres; retorna { message, viewOnce, ephemeral }
+function unwrap(message) {
+    const flags = { viewOnce: false, ephemeral: false };
+    let current = message;
+
+    for (let depth = 0; current && depth < 5; depth++) {
+        const wrapper = Object.keys(WRAPPERS).find(key => current[key]?.message);
+        if (!wrapper) break;
+        if (WRAPPERS[wrapper]) flags[WRAPPERS[wrapper]] = true;
+        current = current[wrapper].message;
+    }
+
+    // Mídia marcada como visualização única sem contêiner (versões novas do app)
+    const type = contentType(current);
+    if (type && current[type]?.viewOnce) flags.viewOnce = true;
+
+    return { message: current, ...flags };
+}
+
+function contentType(message) {
+    if (!message) return null;
+    return Object.keys(message).find(key => !IGNORED_KEYS.includes(key) && message[key]) || null;
+}
+
+// Números (waid) de um vCard
+function vcardPhones(vcard) {
+    return [...String(vcard || '').matchAll(/waid=(\d+)/g)].map(match => match[1]);
+}
+
+function parseContact(contact) {
+    return {
+        name: contact?.displayName || '',
+        phones: vcardPhones(contact?.vcard),
+        vcard: contact?.vcard || ''
+    };
+}
+
+function mediaContent(body) {
+    const content = {
+        mimetype: body.mimetype || null,
+        caption: body.caption || null,
+        fileName: body.fileName || null,
+        fileLength: toNumber(body.fileLength),
+        seconds: body.seconds ?? null,
+        width: body.width ?? null,
+        height: body.height ?? null,
+        ptt: body.ptt ?? null,
+        gifPlayback: body.gifPlayback ?? null,
+        isAnimated: body.isAnimated ?? null,
+        pageCount: body.pageCount ?? null
+    };
+    return Object.fromEntries(Object.entries(content).filter(([, value]) => value !== null));
+}
+
+// { text, content } de cada tipo
+function parseContent(type, body) {
+    switch (type) {
+        case 'conversation':
+            return { text: body || '', content: null };
+        case 'extendedTextMessage':
+            return {
+                text: body.text || '',
+                content: body.matchedText ? { link: { url: body.matchedText, title: body.title || null } } : null
+            };
+        case 'locationMessage':
+        case 'liveLocationMessage':
+            return {
+                text: body.name || body.caption || '',
+                content: {
+                    latitude: body.degreesLatitude,
+                    longitude: body.degreesLongitude,
+                    name: body.name || null,
+                    address: body.address || null,
+                    url: body.url || null,
+                    live: type === 'liveLocationMessage'
+                }
+            };
+        case 'contactMessage': {
+            const contact = parseContact(body);
+            return { text: contact.name, content: { contacts: [contact] } };
+        }
+        case 'contactsArrayMessage': {
+            const contacts = (body.contacts || []).map(parseContact);
+            return { text: body.displayName || contacts.map(c => c.name).join(', '), content: { contacts } };
+        }
+        case 'pollCreationMessage':
+        case 'pollCreationMessageV2':
+        case 'pollCreationMessageV3':
+            return {
+                text: body.name || '',
+                content: {
+                    name: body.name || '',
+                    options: (body.options || []).map(option => option.optionName),
+                    selectableCount: body.selectableOptionsCount ?? 0
+                }
+            };
+        case 'pollUpdateMessage':
+            // Os votos vêm cifrados; fica registrada a enquete votada
+            return { text: '', content: { pollId: body.pollCreationMessageKey?.id || null } };
+        case 'buttonsResponseMessage':
+            return {
+                text: body.selectedDisplayText || '',
+                content: { id: body.selectedButtonId || null, text: body.selectedDisplayText || '' }
+            };
+        case 'templateButtonReplyMessage':
+            return {
+                text: body.selectedDisplayText || '',
+                content: { id: body.selectedId || null, text: body.selectedDisplayText || '', index: body.selectedIndex ?? null }
+            };
+        case 'listResponseMessage':
+            return {
+                text: body.title || '',
+                content: {
+                    id: body.singleSelectReply?.selectedRowId || null,
+                    text: body.title || '',
+                    description: body.description || null
+                }
+            };
+        case 'interactiveResponseMessage': {
+            const flow = body.nativeFlowResponseMessage;
+            let params = null;
+            try {
+                params = flow?.paramsJson ? JSON.parse(flow.paramsJson) : null;
+            } catch (e) {
+                params = flow.paramsJson;
+            }
+            return {
+                text: body.body?.text || '',
+                content: { id: params?.id || null, name: flow?.name || null, params }
+            };
+        }
+        default:
+            if (MEDIA_TYPES.includes(type)) {
+                return { text: body.caption || '', content: mediaContent(body) };
+            }
+            return { text: body?.text || body?.caption || '', content: null };
+    }
+}
+
+// Citação, menções e encaminhamento (contextInfo do conteúdo)
+function parseContext(body) {
+    const context = body && typeof body === 'object' ? body.contextInfo : null;
+    if (!context) return { quoted: null, mentions: [], forwarded: false };
+
+    let quoted = null;
+    if (context.stanzaId) {
+        const { message: quotedContent } = unwrap(context.quotedMessage || {});
+        const quotedType = contentType(quotedContent);
+        quoted = {
+            id: context.stanzaId,
+            sender: context.participant || null,
+            type: quotedType,
+            text: quotedType ? parseContent(quotedType, quotedContent[quotedType]).text : ''
+        };
+    }
+
+    return {
+        quoted,
+        mentions: context.mentionedJid || [],
+        forwarded: !!context.isForwarded
+    };
+}
+
+// Retorna { kind: 'message', ... }, { kind: 'reaction' | 'edit' | 'revoke', ... } ou null
+function parseMessage(waMessage) {
+    const { message, viewOnce, ephemeral } = unwrap(waMessage);
+    const type = contentType(message);
+    if (!type) return null;
+
+    const body = message[type];
+
+    if (type === 'reactionMessage') {
+        return { kind: 'reaction', targetId: body.key?.id, emoji: body.text || '' };
+    }
+
+    if (type === 'protocolMessage') {
+        if (body.type === PROTOCOL_REVOKE) {
+            return { kind: 'revoke', targetId: body.key?.id };
+        }
+        if (body.type === PROTOCOL_EDIT && body.editedMessage) {
+            const edited = parseMessage(body.editedMessage);
+            return edited?.kind === 'message' ? { kind: 'edit', targetId: body.key?.id, text: edited.text, content: edited.content } : null;
+        }
+        // Demais mensagens de protocolo (sincronização, temporárias...) não interessam ao histórico
+        return null;
+    }
+
+    const { text, content } = parseContent(type, body);
+
+    return {
+        kind: 'message',
+        type,
+        text,
+        content,
+        isMedia: MEDIA_TYPES.includes(type),
+        viewOnce,
+        ephemeral,
+        ...parseContext(body)
+    };
+}
+
+module.exports = { parseMessage, unwrap, MEDIA_TYPES };
@@ -0,0 +1,76 @@
+/**
+ * =============================================================
+ * STATUS DE ENTREGA DAS MENSAGENS ENVIADAS
+ * =============================================================
+ *
+ * Converte os códigos do Baileys (proto.WebMessageInfo.Status) e os
+ * recibos de leitura em transições registradas na mensagem gravada:
+ * pending -> server_ack -> delivered -> read -> played (ou failed).
+ * =============================================================
+ */
+
+const STATUS_BY_CODE = {
+    0: 'failed',
+    1: 'pending',
+    2: 'server_ack',
+    3: 'delivered',
+    4: 'read',
+    5: 'played'
+};
+
+const STATUS_ORDER = ['pending', 'server_ack', 'delivered', 'read', 'played'];
+
+function statusFromCode(code) {
+    return STATUS_BY_CODE[code] || null;
+}
+
+// Recibo individual (grupos trazem um por participante)
+function statusFromReceipt(receipt) {
+    if (receipt.playedTimestamp) return 'played';
+    if (receipt.readTimestamp) return 'read';
+    if (receipt.receiptTimestamp) return 'delivered';
+    return null;
+}
+
+// Status só avança; "failed" só vale antes da confirmação de entrega
+function isTransition(current, next) {
+    if (!next || current === next) return false;
+    if (next === 'failed') return !current || ['pending', 'server_ack'].includes(current);
+    if (current === 'failed') return true;
+    return STATUS_ORDER.indexOf(next) > STATUS_ORDER.indexOf(current);
+}
+
+// Aplica a transição na mensagem gravada; retorna a mensagem se mudou
+function applyStatus(store, id, status, at = new Date()) {
+    const message = store.get(id);
+    if (!message || !isTransition(message.status, status)) {
+        return null;
+    }
+
+    return store.update(id, {
+        status,
+        statusHistory: [...(message.statusHistory || []), { status, at: at.toISOString() }]
+    });
+}
+
+// Guarda o recibo de cada destinatário (útil em grupos)
+function applyReceipt(store, id, userJid, receipt) {
+    const message = store.get(id);
+    if (!message) return null;
+
+    const toIso = value => (value ? new Date(Number(value) * 1000).toISOString() : null);
+    const previous = message.receipts?.[userJid] || {};
+
+    return store.update(id, {
+        receipts: {
+            ...(message.receipts || {}),
+            [userJid]: {
+                deliveredAt: toIso(receipt.receiptTimestamp) || previous.deliveredAt || null,
+                readAt: toIso(receipt.readTimestamp) || previous.readAt || null,
+                playedAt: toIso(receipt.playedTimestamp) || previous.playedAt || null
+            }
+        }
+    });
+}
+
+module.exports = { statusFromCode, statusFromReceipt, applyStatus, applyReceipt };
@@ -0,0 +1,209 @@
+/**
+ * =============================================================
+ * ARMAZENAMENTO PERSISTENTE DE MENSAGENS
+ * =============================================================
+ *
+ * Log append-only em JSON Lines dentro de DATA_FOLDER. Cada linha é
+ * uma operação ("put" grava a mensagem, "patch" altera campos dela);
+ * ao iniciar, o log é reproduzido para montar o índice em memória.
+ *
+ * Cada mensagem recebe um "seq" crescente, usado como cursor de
+ * paginação: novas mensagens nunca deslocam as páginas já lidas.
+ * A compactação reescreve o arquivo sem as mensagens expiradas.
+ * =============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeText } = require('./text');
+
+// Aceita segundos unix, milissegundos ou data ISO
+function parseTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (/^\d+$/.test(String(value))) {
+        const num = Number(value);
+        return num > 1e12 ? Math.floor(num / 1000) : num;
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.floor(date / 1000);
+}
+
+function createMessageStore({ folder, retentionDays = 30, log }) {
+    const file = path.join(folder, 'messages.jsonl');
+    const byId = new Map();
+    let ordered = [];
+    let lastSeq = 0;
+    let operations = 0;
+
+    if (!fs.existsSync(folder)) {
+        fs.mkdirSync(folder, { recursive: true });
+    }
+
+    function load() {
+        if (!fs.existsSync(file)) return;
+
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+        let corrupted = 0;
+
+        lines.forEach(line => {
+            if (!line.trim()) return;
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (e) {
+                // Linha truncada por queda do processo durante a escrita
+                corrupted++;
+                return;
+            }
+            operations++;
+
+            if (record.op === 'put') {
+                byId.set(record.msg.id, record.msg);
+                lastSeq = Math.max(lastSeq, record.msg.seq);
+            } else if (record.op === 'patch') {
+                const existing = byId.get(record.id);
+                if (existing) Object.assign(existing, record.changes);
+            }
+        });
+
+        ordered = [...byId.values()].sort((a, b) => a.seq - b.seq);
+
+        if (corrupted > 0) {
+            log(`Mensagens: ${corrupted} linhas corrompidas ignoradas`);
+        }
+    }
+
+    function append(record) {
+        fs.appendFileSync(file, JSON.stringify(record) + '\n');
+        operations++;
+    }
+
+    function add(message) {
+        const existing = byId.get(message.id);
+        if (existing) {
+            return existing;
+        }
+
+        const stored = {
+            ...message,
+            seq: ++lastSeq,
+            storedAt: Math.floor(Date.now() / 1000)
+        };
+
+        byId.set(stored.id, stored);
+        ordered.push(stored);
+        append({ op: 'put', msg: stored });
+        return stored;
+    }
+
+    function update(id, changes) {
+        const existing = byId.get(id);
+        if (!existing) return null;
+
+        Object.assign(existing, changes);
+        append({ op: 'patch', id, changes });
+        return existing;
+    }
+
+    function get(id) {
+        return byId.get(id) || null;
+    }
+
+    function count() {
+        return ordered.length;
+    }
+
+    function query(filters = {}) {
+        const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 500);
+        const offset = parseInt(filters.offset) || 0;
+        const cursor = parseInt(filters.cursor) || null;
+        const since = parseTime(filters.since);
+        const until = parseTime(filters.until);
+        const search = filters.q ? normalizeText(filters.q) : null;
+        const fromMe = filters.fromMe === undefined || filters.fromMe === ''
+            ? null
+            : String(filters.fromMe) === 'true';
+
+        const matches = msg => {
+            if (filters.chat && msg.from !== filters.chat) return false;
+            if (filters.sender && msg.sender !== filters.sender) return false;
+            if (filters.type && msg.type !== filters.type) return false;
+            if (fromMe !== null && !!msg.fromMe !== fromMe) return false;
+            if (since !== null && msg.timestamp < since) return false;
+            if (until !== null && msg.timestamp > until) return false;
+            if (search && !normalizeText(msg.text).includes(search)) return false;
+            return true;
+        };
+
+        // Mais recentes primeiro; o cursor é o seq da última mensagem já lida
+        const results = [];
+        let total = 0;
+        for (let i = ordered.length - 1; i >= 0; i--) {
+            const msg = ordered[i];
+            if (!matches(msg)) continue;
+            total++;
+            if (cursor !== null && msg.seq >= cursor) continue;
+            results.push(msg);
+        }
+
+        const page = results.slice(offset, offset + limit);
+        const hasMore = results.length > offset + limit;
+
+        return {
+            messages: page,
+            total,
+            nextCursor: hasMore && page.length > 0 ? page[page.length - 1].seq : null
+        };
+    }
+
+    // Mensagens em ordem cronológica, uma a uma (exportação de conversas)
+    function* iterate(filters = {}) {
+        const since = parseTime(filters.since);
+        const until = parseTime(filters.until);
+
+        for (const msg of [...ordered].sort((a, b) => a.timestamp - b.timestamp || a.seq - b.seq)) {
+            if (filters.chat && msg.from !== filters.chat) continue;
+            if (since !== null && msg.timestamp < since) continue;
+            if (until !== null && msg.timestamp > until) continue;
+            yield msg;
+        }
+    }
+
+    function compact() {
+        const tmp = `${file}.tmp`;
+        const content = ordered.map(msg => JSON.stringify({ op: 'put', msg })).join('\n');
+        fs.writeFileSync(tmp, content ? content + '\n' : '');
+        fs.renameSync(tmp, file);
+        operations = ordered.length;
+    }
+
+    function prune() {
+        try {
+            if (retentionDays > 0) {
+                const limit = Math.floor(Date.now() / 1000) - retentionDays * 24 * 60 * 60;
+                const before = ordered.length;
+
+                ordered = ordered.filter(msg => (msg.timestamp || msg.storedAt) >= limit);
+                if (ordered.length !== before) {
+                    byId.clear();
+                    ordered.forEach(msg => byId.set(msg.id, msg));
+                    log(`Limpeza de mensagens: ${before - ordered.length} removidas`);
+                }
+            }
+
+            // Reescreve o log quando há patches ou mensagens removidas a descartar
+            if (operations > ordered.length) {
+                compact();
+            }
+        } catch (error) {
+            log('Erro na limpeza de mensagens:', error.message, 'error');
+        }
+    }
+
+    load();
+    log(`Mensagens carregadas: ${ordered.length}`);
+
+    return { add, update, get, count, query, iterate, prune };
+}
+
+module.exports = { createMessageStore, parseTime };
@@ -0,0 +1,133 @@
+/**
+ * =============================================================
+ * MÉTRICAS (PROMETHEUS)
+ * =============================================================
+ *
+ * Registro simples de contadores, gauges e histogramas exposto no
+ * formato texto do Prometheus (GET /metrics). Gauges podem ter uma
+ * função de coleta, chamada a cada leitura (tamanho de filas, mídia
+ * armazenada, sessões conectadas).
+ * =============================================================
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function labelsFrom(labelNames, key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+function createMetrics({ prefix = '' } = {}) {
+    const metrics = [];
+
+    function register(type, name, help, labelNames, extra = {}) {
+        const metric = { type, name: `${prefix}${name}`, help, labelNames, values: new Map(), ...extra };
+        metrics.push(metric);
+        return metric;
+    }
+
+    function counter(name, help, labelNames = []) {
+        const metric = register('counter', name, help, labelNames);
+        return {
+            inc(labels = {}, value = 1) {
+                const key = labelKey(labelNames, labels);
+                metric.values.set(key, (metric.values.get(key) || 0) + value);
+            }
+        };
+    }
+
+    // collect(set) é chamada antes de cada leitura; set(labels, valor)
+    function gauge(name, help, labelNames = [], collect = null) {
+        const metric = register('gauge', name, help, labelNames, { collect });
+        return {
+            set(labels = {}, value) {
+                metric.values.set(labelKey(labelNames, labels), value);
+            }
+        };
+    }
+
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const metric = register('histogram', name, help, labelNames, { buckets });
+
+        function observe(labels = {}, value) {
+            const key = labelKey(labelNames, labels);
+            let entry = metric.values.get(key);
+            if (!entry) {
+                entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+                metric.values.set(key, entry);
+            }
+            buckets.forEach((bound, index) => {
+                if (value <= bound) entry.counts[index]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        }
+
+        // Mede uma operação: const end = startTimer(labels); ...; end(maisLabels). Retorna os segundos
+        function startTimer(labels = {}) {
+            const start = process.hrtime.bigint();
+            return (extraLabels = {}) => {
+                const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+                observe({ ...labels, ...extraLabels }, seconds);
+                return seconds;
+            };
+        }
+
+        return { observe, startTimer };
+    }
+
+    function render() {
+        const lines = [];
+
+        metrics.forEach(metric => {
+            if (metric.collect) {
+                metric.values.clear();
+                try {
+                    metric.collect((labels, value) => metric.values.set(labelKey(metric.labelNames, labels), value));
+                } catch (error) {
+                    // Uma coleta com problema não derruba as demais métricas
+                    return;
+                }
+            }
+
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+            metric.values.forEach((value, key) => {
+                const labels = labelsFrom(metric.labelNames, key);
+
+                if (metric.type !== 'histogram') {
+                    lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+                    return;
+                }
+
+                metric.buckets.forEach((bound, index) => {
+                    lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`);
+                });
+                lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+                lines.push(`${metric.name}_sum${formatLabels(labels)} ${value.sum}`);
+                lines.push(`${metric.name}_count${formatLabels(labels)} ${value.count}`);
+            });
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetrics };
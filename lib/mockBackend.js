@@ -0,0 +1,650 @@
+/**
+ * =============================================================
+ * BACKEND WHATSAPP SIMULADO (WA_MODE=mock)
+ * =============================================================
+ *
+ * Substitui o Baileys nos testes de integração: expõe as mesmas
+ * funções (makeWASocket, downloadMediaMessage, initAuthCreds...) e um
+ * socket que dispara os mesmos eventos (connection.update,
+ * messages.upsert, messages.update...), sem celular e sem rede.
+ *
+ * - Ao conectar gera um QR falso; a leitura é simulada por scan()
+ *   (ou automática com WA_MOCK_AUTO_CONNECT=true). Credenciais
+ *   gravadas reconectam direto, como no WhatsApp real
+ * - sendMessage converte o conteúdo no formato do protobuf, registra
+ *   o envio (lista "sent") e confirma com server_ack
+ * - Presença, digitação e leituras (sendPresenceUpdate, presenceSubscribe,
+ *   readMessages) ficam registradas na lista "activity"
+ * - sock.mock injeta mensagens recebidas (texto, mídia, localização
+ *   ou a mensagem crua), recibos, presença de contatos e desconexões
+ * - Grupos ficam em memória; números em WA_MOCK_UNREGISTERED não
+ *   existem no onWhatsApp
+ *
+ * Envios e grupos ficam por conta (id gravado nas credenciais) e
+ * sobrevivem às reconexões, mas não ao restart do processo.
+ * =============================================================
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { Readable } = require('stream');
+const { Boom } = require('@hapi/boom');
+
+// Mesmos códigos do Baileys
+const DisconnectReason = {
+    connectionClosed: 428,
+    connectionLost: 408,
+    connectionReplaced: 440,
+    timedOut: 408,
+    loggedOut: 401,
+    badSession: 500,
+    restartRequired: 515,
+    multideviceMismatch: 411,
+    forbidden: 403,
+    unavailableService: 503
+};
+
+// proto.WebMessageInfo.Status
+const STATUS_CODES = { server_ack: 2, delivered: 3, read: 4, played: 5 };
+
+const MEDIA_KINDS = {
+    image: { type: 'imageMessage', mimetype: 'image/jpeg' },
+    video: { type: 'videoMessage', mimetype: 'video/mp4' },
+    audio: { type: 'audioMessage', mimetype: 'audio/ogg; codecs=opus' },
+    document: { type: 'documentMessage', mimetype: 'application/octet-stream' },
+    sticker: { type: 'stickerMessage', mimetype: 'image/webp' }
+};
+
+const CONNECT_DELAY_MS = 50;
+const MAX_STORED_MEDIA = 500;
+
+const config = {
+    number: '5511999990000',
+    autoConnect: false,
+    unregistered: new Set()
+};
+
+// Conteúdo das mídias injetadas, por id da mensagem (lido pelo downloadMediaMessage)
+const mediaById = new Map();
+
+// Envios e grupos de cada conta simulada
+const accounts = new Map();
+
+function configure({ number, autoConnect, unregistered } = {}) {
+    if (number) config.number = String(number).replace(/\D/g, '');
+    if (autoConnect !== undefined) config.autoConnect = !!autoConnect;
+    if (unregistered) config.unregistered = new Set(unregistered.map(phone => String(phone).replace(/\D/g, '')));
+}
+
+function mockError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function randomId(prefix) {
+    return `${prefix}${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+}
+
+function nowSeconds() {
+    return Math.floor(Date.now() / 1000);
+}
+
+function accountFor(creds) {
+    if (!accounts.has(creds.mockId)) {
+        accounts.set(creds.mockId, { sent: [], activity: [], groups: new Map() });
+    }
+    return accounts.get(creds.mockId);
+}
+
+function storeMedia(id, buffer) {
+    mediaById.set(id, buffer);
+    if (mediaById.size > MAX_STORED_MEDIA) {
+        mediaById.delete(mediaById.keys().next().value);
+    }
+}
+
+// ===== Funções equivalentes às do Baileys =====
+
+function initAuthCreds() {
+    return { mockId: crypto.randomUUID(), registered: false, me: null };
+}
+
+// Mesmo formato do BufferJSON do Baileys (Buffers em base64)
+const BufferJSON = {
+    replacer(key, value) {
+        if (Buffer.isBuffer(value) || value instanceof Uint8Array || value?.type === 'Buffer') {
+            return { type: 'Buffer', data: Buffer.from(value?.data || value).toString('base64') };
+        }
+        return value;
+    },
+    reviver(key, value) {
+        if (value && typeof value === 'object' && (value.buffer === true || value.type === 'Buffer')) {
+            const data = value.data || value.value;
+            return typeof data === 'string' ? Buffer.from(data, 'base64') : Buffer.from(data || []);
+        }
+        return value;
+    }
+};
+
+const proto = {
+    Message: { AppStateSyncKeyData: { fromObject: value => value } }
+};
+
+async function fetchLatestBaileysVersion() {
+    return { version: [2, 3000, 0], isLatest: true };
+}
+
+function makeCacheableSignalKeyStore(keys) {
+    return keys;
+}
+
+async function downloadMediaMessage(message, type = 'buffer') {
+    const buffer = mediaById.get(message.key?.id);
+    if (!buffer) {
+        throw new Boom('Mídia não encontrada no backend simulado', { statusCode: 404 });
+    }
+    return type === 'stream' ? Readable.from([buffer]) : buffer;
+}
+
+// ===== Conteúdo enviado -> mensagem (formato do protobuf) =====
+
+function contextInfo(content, options) {
+    const context = {};
+    if (content.mentions?.length) context.mentionedJid = content.mentions;
+    if (options?.quoted?.key) {
+        context.stanzaId = options.quoted.key.id;
+        context.participant = options.quoted.key.participant || options.quoted.key.remoteJid;
+        context.quotedMessage = options.quoted.message;
+    }
+    return Object.keys(context).length > 0 ? context : undefined;
+}
+
+function mediaMessage(kind, content, options) {
+    const buffer = Buffer.isBuffer(content[kind]) ? content[kind] : Buffer.alloc(0);
+    return {
+        [MEDIA_KINDS[kind].type]: {
+            mimetype: content.mimetype || MEDIA_KINDS[kind].mimetype,
+            fileLength: buffer.length,
+            fileSha256: crypto.createHash('sha256').update(buffer).digest('base64'),
+            ...(content.caption ? { caption: content.caption } : {}),
+            ...(content.fileName ? { fileName: content.fileName } : {}),
+            ...(content.ptt !== undefined ? { ptt: !!content.ptt } : {}),
+            ...(content.gifPlayback !== undefined ? { gifPlayback: !!content.gifPlayback } : {}),
+            contextInfo: contextInfo(content, options)
+        }
+    };
+}
+
+function toWAMessage(content, options) {
+    if (content.react) {
+        return { reactionMessage: { key: content.react.key, text: content.react.text || '' } };
+    }
+    if (content.delete) {
+        return { protocolMessage: { type: 0, key: content.delete } };
+    }
+    if (content.edit) {
+        return { protocolMessage: { type: 14, key: content.edit, editedMessage: { conversation: content.text || '' } } };
+    }
+
+    const kind = Object.keys(MEDIA_KINDS).find(name => content[name]);
+    if (kind) return mediaMessage(kind, content, options);
+
+    if (content.text !== undefined) {
+        return { extendedTextMessage: { text: content.text, contextInfo: contextInfo(content, options) } };
+    }
+    if (content.location) {
+        return { locationMessage: { ...content.location } };
+    }
+    if (content.contacts) {
+        const { displayName, contacts } = content.contacts;
+        if (contacts.length === 1) {
+            return { contactMessage: { displayName, vcard: contacts[0].vcard } };
+        }
+        return { contactsArrayMessage: { displayName, contacts: contacts.map(contact => ({ displayName, vcard: contact.vcard })) } };
+    }
+    if (content.poll) {
+        return {
+            pollCreationMessage: {
+                name: content.poll.name,
+                options: content.poll.values.map(optionName => ({ optionName })),
+                selectableOptionsCount: content.poll.selectableCount || 0
+            }
+        };
+    }
+
+    throw new Boom('Conteúdo não suportado pelo backend simulado', { statusCode: 400 });
+}
+
+// Registro do envio sem os buffers (só tamanho e hash)
+function describeContent(content) {
+    return Object.fromEntries(Object.entries(content).map(([key, value]) => [
+        key,
+        Buffer.isBuffer(value)
+            ? { bytes: value.length, sha256: crypto.createHash('sha256').update(value).digest('hex') }
+            : value
+    ]));
+}
+
+// ===== Mensagem recebida injetada -> mensagem (formato do protobuf) =====
+
+// input: { text } | { media: { kind, buffer, mimetype, fileName, caption, ptt } }
+//        | { location: { latitude, longitude, name, address } } | { message } (crua)
+function inboundMessage(id, input) {
+    if (input.message && typeof input.message === 'object') return input.message;
+
+    const context = input.quotedId ? { stanzaId: input.quotedId, quotedMessage: { conversation: input.quotedText || '' } } : null;
+
+    if (input.media) {
+        const { kind = 'image', buffer, mimetype, fileName, caption, ptt } = input.media;
+        if (!MEDIA_KINDS[kind]) {
+            throw mockError(400, `media.kind inválido (${Object.keys(MEDIA_KINDS).join(', ')})`);
+        }
+        if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+            throw mockError(400, 'Conteúdo da mídia é obrigatório (arquivo no campo "file" ou media.base64)');
+        }
+        storeMedia(id, buffer);
+        return mediaMessage(kind, { [kind]: buffer, mimetype, fileName, caption, ptt }, null);
+    }
+
+    if (input.location) {
+        const { latitude, longitude, name, address } = input.location;
+        if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+            throw mockError(400, 'location.latitude e location.longitude numéricas são obrigatórias');
+        }
+        return { locationMessage: { degreesLatitude: latitude, degreesLongitude: longitude, name, address } };
+    }
+
+    if (typeof input.text === 'string') {
+        return context
+            ? { extendedTextMessage: { text: input.text, contextInfo: context } }
+            : { conversation: input.text };
+    }
+
+    throw mockError(400, 'Informe text, media, location ou message');
+}
+
+// ===== Socket =====
+
+function makeWASocket({ auth, logger }) {
+    const ev = new EventEmitter();
+    const creds = auth.creds;
+    if (!creds.mockId) creds.mockId = crypto.randomUUID();
+    const account = accountFor(creds);
+
+    let qr = null;
+    let closed = false;
+
+    const sock = {
+        ev,
+        user: null,
+        authState: auth,
+        sendMessage,
+        sendPresenceUpdate,
+        presenceSubscribe,
+        readMessages,
+        requestPairingCode,
+        onWhatsApp,
+        profilePictureUrl,
+        fetchStatus,
+        groupFetchAllParticipating,
+        groupCreate,
+        groupMetadata,
+        groupUpdateSubject,
+        groupUpdateDescription,
+        groupSettingUpdate,
+        groupParticipantsUpdate,
+        groupInviteCode,
+        groupRevokeInvite,
+        groupLeave,
+        logout,
+        end,
+        mock: {
+            get sent() {
+                return account.sent;
+            },
+            clearSent: () => account.sent.splice(0),
+            get activity() {
+                return account.activity;
+            },
+            clearActivity: () => account.activity.splice(0),
+            scan,
+            injectMessage,
+            receipt,
+            presence,
+            disconnect
+        }
+    };
+
+    // Chama os listeners e aguarda os assíncronos (gravação, download da mídia).
+    // Erro num listener é só registrado, como no socket real
+    async function dispatch(event, data) {
+        await Promise.all(ev.listeners(event).map(async listener => {
+            try {
+                await listener(data);
+            } catch (error) {
+                logger?.error({ err: error, event }, 'Erro no listener do socket simulado');
+            }
+        }));
+    }
+
+    function ensureOpen() {
+        if (closed) throw new Boom('Connection Closed', { statusCode: DisconnectReason.connectionClosed });
+    }
+
+    function open() {
+        sock.user = creds.me;
+        qr = null;
+        return dispatch('connection.update', { connection: 'open' });
+    }
+
+    function close(statusCode, message) {
+        if (closed) return Promise.resolve();
+        closed = true;
+        return dispatch('connection.update', {
+            connection: 'close',
+            lastDisconnect: { error: new Boom(message, { statusCode }), date: new Date() }
+        });
+    }
+
+    setTimeout(async () => {
+        if (closed) return;
+        await dispatch('connection.update', { connection: 'connecting' });
+
+        if (creds.registered) {
+            await open();
+            return;
+        }
+
+        qr = `mock-qr,${crypto.randomBytes(16).toString('base64')},${creds.mockId}`;
+        await dispatch('connection.update', { qr });
+        if (config.autoConnect) await scan();
+    }, CONNECT_DELAY_MS);
+
+    // Leitura do QR (ou uso do código de pareamento) no celular simulado
+    async function scan({ phone, name } = {}) {
+        ensureOpen();
+        if (!qr) throw mockError(409, 'Nenhum QR pendente (sessão já conectada ou ainda iniciando)');
+
+        const digits = String(phone || creds.pairingPhone || config.number).replace(/\D/g, '');
+        creds.registered = true;
+        creds.me = { id: `${digits}:1@s.whatsapp.net`, name: name || 'WhatsApp Simulado' };
+        delete creds.pairingPhone;
+
+        await dispatch('creds.update', { registered: true, me: creds.me });
+        await open();
+        return creds.me;
+    }
+
+    async function requestPairingCode(phone) {
+        ensureOpen();
+        creds.pairingPhone = String(phone);
+        return crypto.randomBytes(4).toString('hex').toUpperCase();
+    }
+
+    async function sendMessage(jid, content, options = {}) {
+        ensureOpen();
+        if (!sock.user) throw new Boom('Not authenticated', { statusCode: DisconnectReason.loggedOut });
+
+        const message = toWAMessage(content, options);
+        const sent = {
+            key: { remoteJid: jid, fromMe: true, id: randomId('3EB0') },
+            message,
+            messageTimestamp: nowSeconds(),
+            status: 1
+        };
+
+        account.sent.push({
+            id: sent.key.id,
+            jid,
+            type: Object.keys(message)[0],
+            message,
+            content: describeContent(content),
+            quotedId: options.quoted?.key?.id || null,
+            at: new Date().toISOString()
+        });
+
+        // O servidor confirma logo depois, como no WhatsApp real
+        setImmediate(() => {
+            if (!closed) dispatch('messages.update', [{ key: sent.key, update: { status: STATUS_CODES.server_ack } }]);
+        });
+
+        return sent;
+    }
+
+    function recordActivity(kind, data) {
+        account.activity.push({ kind, ...data, at: new Date().toISOString() });
+    }
+
+    async function sendPresenceUpdate(type, jid) {
+        ensureOpen();
+        recordActivity('presence', { presence: type, jid: jid || null });
+    }
+
+    async function presenceSubscribe(jid) {
+        ensureOpen();
+        recordActivity('subscribe', { jid });
+    }
+
+    async function readMessages(keys) {
+        ensureOpen();
+        recordActivity('read', { keys });
+    }
+
+    // Presença de um contato (available, unavailable, composing, recording, paused),
+    // entregue como o presence.update do socket real
+    async function presence({ from, chat, presence: lastKnownPresence, lastSeen } = {}) {
+        ensureOpen();
+        if (!from) throw mockError(400, 'from é obrigatório');
+        if (!['available', 'unavailable', 'composing', 'recording', 'paused'].includes(lastKnownPresence)) {
+            throw mockError(400, 'presence inválida (available, unavailable, composing, recording, paused)');
+        }
+
+        await dispatch('presence.update', {
+            id: chat || from,
+            presences: { [from]: { lastKnownPresence, ...(lastSeen ? { lastSeen } : {}) } }
+        });
+        return { from, presence: lastKnownPresence };
+    }
+
+    // Mensagem chegando do WhatsApp: o mesmo messages.upsert do socket real
+    async function injectMessage(input) {
+        ensureOpen();
+        if (!sock.user) throw mockError(409, 'Sessão simulada ainda não conectada');
+        if (!input.from) throw mockError(400, 'from é obrigatório');
+
+        const id = input.id || randomId('MOCK');
+        const isGroup = input.from.endsWith('@g.us');
+        const waMessage = {
+            key: {
+                remoteJid: input.from,
+                fromMe: !!input.fromMe,
+                id,
+                ...(isGroup && input.participant ? { participant: input.participant } : {}),
+                ...(input.senderPn ? { senderPn: input.senderPn } : {})
+            },
+            message: inboundMessage(id, input),
+            messageTimestamp: input.timestamp || nowSeconds(),
+            pushName: input.pushName || ''
+        };
+
+        await dispatch('messages.upsert', { messages: [waMessage], type: input.upsertType || 'notify' });
+        return waMessage;
+    }
+
+    // Recibo de entrega/leitura de uma mensagem enviada pelo simulador
+    async function receipt({ messageId, status, participant } = {}) {
+        ensureOpen();
+        const code = STATUS_CODES[status];
+        if (!code) throw mockError(400, `status inválido (${Object.keys(STATUS_CODES).join(', ')})`);
+
+        const record = account.sent.find(entry => entry.id === messageId);
+        if (!record) throw mockError(404, 'Mensagem não encontrada entre os envios do simulador');
+
+        const key = { remoteJid: record.jid, fromMe: true, id: messageId };
+        const timestampField = { delivered: 'receiptTimestamp', read: 'readTimestamp', played: 'playedTimestamp' }[status];
+
+        await dispatch('messages.update', [{ key, update: { status: code } }]);
+        if (timestampField) {
+            await dispatch('message-receipt.update', [{
+                key,
+                receipt: { userJid: participant || record.jid, [timestampField]: nowSeconds() }
+            }]);
+        }
+        return { messageId, status };
+    }
+
+    // Queda da conexão com o motivo informado (nome do DisconnectReason ou código)
+    async function disconnect({ reason = 'connectionLost' } = {}) {
+        const statusCode = typeof reason === 'number' ? reason : DisconnectReason[reason];
+        if (!statusCode) {
+            throw mockError(400, `reason inválido (${Object.keys(DisconnectReason).join(', ')})`);
+        }
+        if (closed) throw mockError(409, 'Socket simulado já encerrado');
+
+        await close(statusCode, `Desconexão simulada (${reason})`);
+        return { statusCode };
+    }
+
+    async function onWhatsApp(...jids) {
+        ensureOpen();
+        return jids.map(jid => ({ jid, exists: !config.unregistered.has(jid.split('@')[0]) }));
+    }
+
+    async function profilePictureUrl() {
+        throw new Boom('item-not-found', { statusCode: 404 });
+    }
+
+    async function fetchStatus(jid) {
+        return [{ id: jid, status: { status: 'Disponível', setAt: new Date(0) } }];
+    }
+
+    // ===== Grupos =====
+
+    function getGroup(jid) {
+        ensureOpen();
+        const group = account.groups.get(jid);
+        if (!group) throw new Boom('item-not-found', { statusCode: 404 });
+        return group;
+    }
+
+    function groupChanged(jid, changes) {
+        return dispatch('groups.update', [{ id: jid, ...changes }]);
+    }
+
+    async function groupFetchAllParticipating() {
+        ensureOpen();
+        return Object.fromEntries(account.groups);
+    }
+
+    async function groupCreate(subject, participants) {
+        ensureOpen();
+        const group = {
+            id: `${Date.now()}${crypto.randomInt(1000, 9999)}@g.us`,
+            subject,
+            desc: '',
+            owner: sock.user.id,
+            creation: nowSeconds(),
+            announce: false,
+            restrict: false,
+            participants: [
+                { id: sock.user.id, admin: 'superadmin' },
+                ...participants.map(id => ({ id, admin: null }))
+            ],
+            inviteCode: crypto.randomBytes(11).toString('base64url')
+        };
+        account.groups.set(group.id, group);
+        await dispatch('groups.upsert', [group]);
+        return group;
+    }
+
+    async function groupMetadata(jid) {
+        return getGroup(jid);
+    }
+
+    async function groupUpdateSubject(jid, subject) {
+        getGroup(jid).subject = subject;
+        await groupChanged(jid, { subject });
+    }
+
+    async function groupUpdateDescription(jid, description) {
+        getGroup(jid).desc = description || '';
+        await groupChanged(jid, { desc: description || '' });
+    }
+
+    async function groupSettingUpdate(jid, setting) {
+        const group = getGroup(jid);
+        if (setting === 'announcement' || setting === 'not_announcement') {
+            group.announce = setting === 'announcement';
+            await groupChanged(jid, { announce: group.announce });
+        } else {
+            group.restrict = setting === 'locked';
+            await groupChanged(jid, { restrict: group.restrict });
+        }
+    }
+
+    async function groupParticipantsUpdate(jid, participants, action) {
+        const group = getGroup(jid);
+        const results = participants.map(id => {
+            const index = group.participants.findIndex(participant => participant.id === id);
+            if (action === 'add') {
+                if (index !== -1) return { status: '409', jid: id };
+                group.participants.push({ id, admin: null });
+            } else if (index === -1) {
+                return { status: '404', jid: id };
+            } else if (action === 'remove') {
+                group.participants.splice(index, 1);
+            } else {
+                group.participants[index].admin = action === 'promote' ? 'admin' : null;
+            }
+            return { status: '200', jid: id };
+        });
+
+        const changed = results.filter(result => result.status === '200').map(result => result.jid);
+        if (changed.length > 0) {
+            await dispatch('group-participants.update', { id: jid, author: sock.user.id, participants: changed, action });
+        }
+        return results;
+    }
+
+    async function groupInviteCode(jid) {
+        return getGroup(jid).inviteCode;
+    }
+
+    async function groupRevokeInvite(jid) {
+        const group = getGroup(jid);
+        group.inviteCode = crypto.randomBytes(11).toString('base64url');
+        return group.inviteCode;
+    }
+
+    async function groupLeave(jid) {
+        getGroup(jid);
+        account.groups.delete(jid);
+    }
+
+    // ===== Encerramento =====
+
+    async function logout() {
+        await close(DisconnectReason.loggedOut, 'Intentional Logout');
+        accounts.delete(creds.mockId);
+    }
+
+    function end() {
+        close(DisconnectReason.connectionClosed, 'Connection Closed');
+    }
+
+    return sock;
+}
+
+module.exports = {
+    default: makeWASocket,
+    makeWASocket,
+    DisconnectReason,
+    fetchLatestBaileysVersion,
+    makeCacheableSignalKeyStore,
+    downloadMediaMessage,
+    initAuthCreds,
+    BufferJSON,
+    proto,
+    configure
+};
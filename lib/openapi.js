@@ -0,0 +1,183 @@
+/**
+ * =============================================================
+ * DESCRIÇÃO OPENAPI
+ * =============================================================
+ *
+ * Monta o documento OpenAPI 3.1 servido em /openapi.json a partir das
+ * próprias rotas do Express, para não ficar desatualizado:
+ *
+ * - Caminhos e métodos vêm da pilha de rotas (app e sessionRoutes; as
+ *   rotas de sessão aparecem também em /sessions/{sessionId})
+ * - Escopo exigido, corpo e idempotência vêm dos middlewares da rota:
+ *   requireScope (.scope), validateBody (.schema) e o da chave de
+ *   idempotência (.idempotent)
+ * =============================================================
+ */
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    required: ['success', 'error', 'code'],
+    properties: {
+        success: { type: 'boolean', const: false },
+        error: { type: 'string', description: 'Mensagem legível' },
+        code: { type: 'string', description: 'Código estável do erro (VALIDATION_ERROR, NOT_FOUND, UNAUTHORIZED...)' },
+        details: {
+            type: 'array',
+            description: 'VALIDATION_ERROR: problemas encontrados no corpo',
+            items: {
+                type: 'object',
+                properties: { field: { type: 'string' }, message: { type: 'string' } }
+            }
+        },
+        requestId: { type: 'string', description: 'Erros internos: id para localizar no log' }
+    }
+};
+
+const ERROR_RESPONSES = {
+    400: 'Requisição inválida',
+    401: 'API key ausente ou inválida',
+    403: 'Sem o escopo necessário ou sem acesso à sessão',
+    409: 'Requisição com a mesma Idempotency-Key em andamento',
+    422: 'Idempotency-Key já usada com outro corpo'
+};
+
+// Caminho do Express -> OpenAPI: /groups/:groupId -> /groups/{groupId}
+function convertPath(expressPath) {
+    const parameters = [];
+    const openApiPath = expressPath.replace(/:(\w+)(\(([^)]*)\))?/g, (match, name, group, pattern) => {
+        const schema = { type: 'string' };
+        if (pattern && /^[\w|]+$/.test(pattern)) schema.enum = pattern.split('|');
+        parameters.push({ name, in: 'path', required: true, schema });
+        return `{${name}}`;
+    });
+    return { openApiPath, parameters };
+}
+
+function routesOf(router) {
+    return router.stack
+        .filter(layer => layer.route && typeof layer.route.path === 'string')
+        .flatMap(layer => Object.keys(layer.route.methods)
+            .filter(method => method !== '_all')
+            .map(method => ({
+                method,
+                path: layer.route.path,
+                handlers: layer.route.stack.map(entry => entry.handle)
+            })));
+}
+
+function stripExtensions(schema) {
+    const { summary, 'x-multipart': multipart, ...rest } = schema;
+    return rest;
+}
+
+// Sem o arquivo: a alternativa "file" só existe em multipart
+function jsonVariant(schema) {
+    const { file, ...properties } = schema.properties || {};
+    const anyOf = schema.anyOf?.filter(option => !(option.required || []).includes('file'));
+    return { ...schema, properties, ...(anyOf ? { anyOf } : {}) };
+}
+
+// get /groups/:groupId -> getGroupsGroupId (sessionGetGroupsGroupId com o prefixo de sessão)
+function operationId(method, expressPath, sessionScoped) {
+    const words = expressPath.replace(/\([^)]*\)/g, '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+    const name = [method, ...words].map((word, index) => index === 0 ? word : word[0].toUpperCase() + word.slice(1)).join('');
+    return sessionScoped ? `session${name[0].toUpperCase()}${name.slice(1)}` : name;
+}
+
+function operationFor(route, { sessionScoped }) {
+    const scopeHandler = route.handlers.find(handler => handler.scope !== undefined);
+    const schema = route.handlers.find(handler => handler.schema)?.schema;
+    const idempotent = route.handlers.some(handler => handler.idempotent);
+    const { parameters } = convertPath(route.path);
+    const segment = route.path.split('/')[1] || 'raiz';
+
+    const operation = {
+        operationId: operationId(route.method, route.path, sessionScoped),
+        tags: [segment.split(/[-:]/)[0] || segment],
+        ...(schema?.summary ? { summary: schema.summary } : {}),
+        parameters: [...(sessionScoped ? [{ name: 'sessionId', in: 'path', required: true, schema: { type: 'string' } }] : []), ...parameters],
+        responses: {
+            200: { description: 'Sucesso' },
+            default: { description: 'Erro', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+        }
+    };
+
+    if (scopeHandler) {
+        operation.security = [{ ApiKeyHeader: [] }, { Bearer: [] }, { ApiKeyQuery: [] }];
+        operation['x-required-scope'] = scopeHandler.scope || 'qualquer';
+        [401, 403].forEach(status => {
+            operation.responses[status] = errorResponse(status);
+        });
+    } else {
+        operation.security = [];
+    }
+
+    if (schema) {
+        const bodySchema = stripExtensions(schema);
+        operation.requestBody = {
+            required: true,
+            content: {
+                'application/json': { schema: jsonVariant(bodySchema) },
+                ...(schema['x-multipart'] ? { 'multipart/form-data': { schema: bodySchema } } : {})
+            }
+        };
+        operation.responses[400] = errorResponse(400);
+    }
+
+    if (idempotent) {
+        operation.parameters.push({
+            name: 'Idempotency-Key',
+            in: 'header',
+            required: false,
+            description: 'Repetições com a mesma chave (e o mesmo corpo) devolvem a resposta original sem reenviar',
+            schema: { type: 'string', maxLength: 255 }
+        });
+        operation.responses[202] = { description: 'Envio enfileirado ou agendado' };
+        [409, 422].forEach(status => {
+            operation.responses[status] = errorResponse(status);
+        });
+    }
+
+    if (operation.parameters.length === 0) delete operation.parameters;
+    return operation;
+}
+
+function errorResponse(status) {
+    return {
+        description: ERROR_RESPONSES[status],
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+}
+
+function buildOpenApiDocument({ app, sessionRouter, info, serverUrl }) {
+    const paths = {};
+    const add = (route, prefix, sessionScoped) => {
+        const { openApiPath } = convertPath(route.path);
+        const fullPath = `${prefix}${openApiPath}`;
+        paths[fullPath] = paths[fullPath] || {};
+        paths[fullPath][route.method] = operationFor(route, { sessionScoped });
+    };
+
+    routesOf(app._router).forEach(route => add(route, '', false));
+    routesOf(sessionRouter).forEach(route => {
+        add(route, '', false);
+        add(route, '/sessions/{sessionId}', true);
+    });
+
+    return {
+        openapi: '3.1.0',
+        info,
+        servers: serverUrl ? [{ url: serverUrl }] : [],
+        paths: Object.fromEntries(Object.entries(paths).sort(([a], [b]) => a.localeCompare(b))),
+        components: {
+            schemas: { Error: ERROR_SCHEMA },
+            securitySchemes: {
+                ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'x-api-key' },
+                Bearer: { type: 'http', scheme: 'bearer' },
+                ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'apiKey' }
+            }
+        }
+    };
+}
+
+module.exports = { buildOpenApiDocument };
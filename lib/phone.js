@@ -0,0 +1,215 @@
+/**
+ * =============================================================
+ * NORMALIZAÇÃO E VERIFICAÇÃO DE NÚMEROS
+ * =============================================================
+ *
+ * Converte o que o cliente envia (telefone com ou sem DDI, com
+ * máscara, JID, LID ou id de grupo) no JID usado pelo WhatsApp:
+ *
+ * - Sem "+" nem DDI, aplica DEFAULT_COUNTRY_CODE (55 por padrão);
+ *   no Brasil, número local sem DDD é recusado
+ * - Celulares brasileiros com ou sem o nono dígito
+ * - JIDs @s.whatsapp.net, @g.us, @lid, @broadcast e @newsletter
+ *
+ * A verificação (sock.onWhatsApp) descobre qual variante existe de
+ * fato e guarda o JID canônico em cache; a partir daí os envios para
+ * aquele número usam o JID verificado. O cache descarta entradas
+ * vencidas (7 dias se existe, 1 dia se não) e guarda no máximo
+ * 50 mil números.
+ * =============================================================
+ */
+
+const path = require('path');
+const { readJson, writeJson } = require('./jsonFile');
+
+const USER_SERVER = 's.whatsapp.net';
+const KNOWN_SERVERS = [USER_SERVER, 'g.us', 'lid', 'broadcast', 'newsletter'];
+const FOUND_CACHE_TTL = 7 * 24 * 60 * 60 * 1000;
+const NOT_FOUND_CACHE_TTL = 24 * 60 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 50000;
+const CHECK_BATCH_SIZE = 50;
+
+// Celular brasileiro: 55 + DDD + 9 + 8 dígitos (ou o formato antigo, sem o 9).
+// A primeira variante é a canônica (com o 9)
+function brazilianVariants(digits) {
+    if (!digits.startsWith('55')) return [digits];
+
+    const national = digits.slice(2);
+    const ddd = national.slice(0, 2);
+
+    if (national.length === 11 && national[2] === '9' && /[6-9]/.test(national[3])) {
+        return [digits, `55${ddd}${national.slice(3)}`];
+    }
+    if (national.length === 10 && /[6-9]/.test(national[2])) {
+        return [`55${ddd}9${national.slice(2)}`, digits];
+    }
+    return [digits];
+}
+
+function createNumberResolver({ dataFolder, defaultCountryCode = '55', maxCacheEntries = MAX_CACHE_ENTRIES, log }) {
+    const cacheFile = path.join(dataFolder, 'number_cache.json');
+    const countryCode = String(defaultCountryCode || '').replace(/\D/g, '');
+    const cache = readJson(cacheFile, {});
+    // Arquivos gravados antes do limite podem ter entradas vencidas de sobra
+    prune();
+
+    // Número sem DDI recebe o código do país padrão (null: número local, sem DDD)
+    function withCountryCode(digits) {
+        // Zero de discagem nacional (ex.: 011 99999-8888)
+        const national = digits.replace(/^0+/, '');
+        if (!countryCode) return national;
+
+        if (countryCode === '55') {
+            // DDD + 8 ou 9 dígitos; com 12 ou 13 dígitos o DDI já veio
+            if (national.length === 10 || national.length === 11) return `55${national}`;
+            return national.length < 10 ? null : national;
+        }
+        return national.startsWith(countryCode) ? national : `${countryCode}${national}`;
+    }
+
+    // { jid, digits?, kind } ou { error }
+    function normalize(input) {
+        const value = String(input ?? '').trim();
+        if (!value) return { error: 'Número vazio' };
+
+        if (value.includes('@')) {
+            const [userPart, serverPart] = value.split('@');
+            const server = serverPart === 'c.us' ? USER_SERVER : serverPart;
+            // Remove o sufixo de aparelho (5511...:12@s.whatsapp.net)
+            const user = userPart.split(':')[0];
+
+            if (!KNOWN_SERVERS.includes(server) || !user) {
+                return { error: `JID inválido: ${value}` };
+            }
+            if (server === USER_SERVER) {
+                if (!/^\d{8,15}$/.test(user)) return { error: `JID inválido: ${value}` };
+                return { jid: `${user}@${server}`, digits: user, kind: 'user' };
+            }
+            return { jid: `${user}@${server}`, kind: server === 'g.us' ? 'group' : server };
+        }
+
+        // Id de grupo no formato antigo (criador-timestamp)
+        if (/^\d{8,}-\d+$/.test(value)) {
+            return { jid: `${value}@g.us`, kind: 'group' };
+        }
+
+        if (/[a-z]/i.test(value)) {
+            return { error: `Número inválido: ${value}` };
+        }
+
+        const international = value.startsWith('+') || value.startsWith('00');
+        let digits = value.replace(/\D/g, '');
+        digits = international ? digits.replace(/^00/, '') : withCountryCode(digits);
+        if (digits === null) {
+            return { error: `Número sem DDD: ${value} (informe DDD + número, ex.: 11987654321)` };
+        }
+
+        if (digits.length < 8 || digits.length > 15) {
+            return { error: `Número inválido: ${value}` };
+        }
+
+        digits = brazilianVariants(digits)[0];
+        return { jid: `${digits}@${USER_SERVER}`, digits, kind: 'user' };
+    }
+
+    function isFresh(entry) {
+        const ttl = entry.exists ? FOUND_CACHE_TTL : NOT_FOUND_CACHE_TTL;
+        return Date.now() - Date.parse(entry.checkedAt) < ttl;
+    }
+
+    function cached(digits) {
+        const entry = cache[digits];
+        return entry && isFresh(entry) ? entry : null;
+    }
+
+    // Tira as verificações vencidas e, acima do limite, as mais antigas
+    function prune() {
+        Object.keys(cache).forEach(digits => {
+            if (!isFresh(cache[digits])) delete cache[digits];
+        });
+
+        const excess = Object.keys(cache).length - maxCacheEntries;
+        if (excess > 0) {
+            Object.entries(cache)
+                .sort(([, a], [, b]) => a.checkedAt.localeCompare(b.checkedAt))
+                .slice(0, excess)
+                .forEach(([digits]) => delete cache[digits]);
+        }
+    }
+
+    // JID para envio: o verificado, se houver, ou o normalizado.
+    // Entradas inválidas seguem como vieram (a validação fica com isValidJid)
+    function toJid(input) {
+        const result = normalize(input);
+        if (result.error) return String(input ?? '').trim();
+
+        const entry = result.digits ? cached(result.digits) : null;
+        return entry?.exists ? entry.jid : result.jid;
+    }
+
+    function isValidJid(jid) {
+        return !normalize(jid).error;
+    }
+
+    // Verifica em lote quais números têm WhatsApp (variantes do nono dígito incluídas)
+    async function check(sock, inputs, { refresh = false } = {}) {
+        const results = inputs.map(input => ({ input, ...normalize(input) }));
+        const pending = results.filter(r => !r.error && r.kind === 'user' && (refresh || !cached(r.digits)));
+
+        const variants = [...new Set(pending.flatMap(r => brazilianVariants(r.digits)))];
+        const found = new Map();
+
+        for (let i = 0; i < variants.length; i += CHECK_BATCH_SIZE) {
+            const batch = variants.slice(i, i + CHECK_BATCH_SIZE);
+            const response = await sock.onWhatsApp(...batch.map(digits => `${digits}@${USER_SERVER}`));
+            (response || [])
+                .filter(item => item.exists)
+                .forEach(item => {
+                    const { jid, digits } = normalize(item.jid);
+                    if (digits) found.set(digits, jid);
+                });
+        }
+
+        // Abre espaço antes de gravar as novas (que ficam sempre no cache)
+        prune();
+        const now = new Date().toISOString();
+        pending.forEach(result => {
+            const match = brazilianVariants(result.digits).find(digits => found.has(digits));
+            cache[result.digits] = {
+                exists: !!match,
+                jid: match ? found.get(match) : null,
+                checkedAt: now
+            };
+        });
+
+        if (pending.length > 0) {
+            writeJson(cacheFile, cache);
+            log(`Números verificados: ${pending.length} (${pending.filter(r => cache[r.digits].exists).length} com WhatsApp)`);
+        }
+
+        return results.map(result => {
+            if (result.error) {
+                return { input: result.input, valid: false, exists: false, jid: null, error: result.error };
+            }
+            // Grupos, LIDs e listas não passam pelo onWhatsApp
+            if (result.kind !== 'user') {
+                return { input: result.input, valid: true, exists: null, jid: result.jid, kind: result.kind };
+            }
+
+            const entry = cache[result.digits];
+            return {
+                input: result.input,
+                valid: true,
+                exists: entry.exists,
+                jid: entry.jid,
+                normalized: result.jid,
+                cached: !pending.includes(result),
+                checkedAt: entry.checkedAt
+            };
+        });
+    }
+
+    return { normalize, toJid, isValidJid, check };
+}
+
+module.exports = { createNumberResolver, brazilianVariants };
@@ -0,0 +1,82 @@
+/**
+ * =============================================================
+ * PRESENÇA E DIGITAÇÃO
+ * =============================================================
+ *
+ * - Presença dos contatos: último estado recebido em presence.update
+ *   (online, offline, digitando, gravando) e visto por último, por
+ *   contato. Só chega para quem foi assinado com presenceSubscribe;
+ *   as assinaturas são refeitas a cada reconexão
+ * - Digitação simulada: duração proporcional ao tamanho do texto,
+ *   limitada entre um mínimo e um máximo, antes de cada envio
+ *
+ * Fica só em memória: presença é passageira.
+ * =============================================================
+ */
+
+const OWN_PRESENCES = ['available', 'unavailable'];
+const CHAT_STATES = ['composing', 'recording', 'paused'];
+
+function createPresenceTracker() {
+    const contacts = new Map();
+    const subscribed = new Set();
+
+    // presence.update: { id: conversa, presences: { [contato]: { lastKnownPresence, lastSeen } } }
+    function handleUpdate({ id: chat, presences = {} }) {
+        return Object.entries(presences).map(([jid, data]) => {
+            const entry = {
+                jid,
+                chat,
+                presence: data.lastKnownPresence || 'unavailable',
+                lastSeen: data.lastSeen ? new Date(data.lastSeen * 1000).toISOString() : (contacts.get(jid)?.lastSeen || null),
+                updatedAt: new Date().toISOString()
+            };
+            contacts.set(jid, entry);
+            return entry;
+        });
+    }
+
+    function get(jid) {
+        const entry = contacts.get(jid);
+        if (entry) return { ...entry, subscribed: subscribed.has(jid) };
+        return subscribed.has(jid) ? { jid, chat: null, presence: null, lastSeen: null, updatedAt: null, subscribed: true } : null;
+    }
+
+    function list() {
+        const jids = new Set([...subscribed, ...contacts.keys()]);
+        return [...jids].map(get);
+    }
+
+    return {
+        handleUpdate,
+        get,
+        list,
+        subscribe: jid => subscribed.add(jid),
+        subscriptions: () => [...subscribed]
+    };
+}
+
+// Tempo de digitação de um texto: msPerChar por caractere, entre minMs e maxMs
+function typingDuration(text, { msPerChar, minMs, maxMs }) {
+    const length = String(text || '').length;
+    return Math.round(Math.min(Math.max(length * msPerChar, minMs), maxMs));
+}
+
+// Opção "typing" dos envios: true (proporcional ao texto), milissegundos ou false.
+// Retorna { ms } ou { error }
+function parseTypingOption(value, text, options) {
+    if (value === undefined || value === null || value === '' || value === false || value === 'false') {
+        return { ms: 0 };
+    }
+    if (value === true || value === 'true') {
+        return { ms: typingDuration(text, options) };
+    }
+
+    const ms = Number(value);
+    if (!Number.isFinite(ms) || ms < 0) {
+        return { error: 'typing inválido (use true ou a duração em milissegundos)' };
+    }
+    return { ms: Math.round(Math.min(ms, options.maxMs)) };
+}
+
+module.exports = { createPresenceTracker, typingDuration, parseTypingOption, OWN_PRESENCES, CHAT_STATES };
@@ -0,0 +1,209 @@
+/**
+ * =============================================================
+ * MENSAGENS RICAS
+ * =============================================================
+ *
+ * Validação e montagem dos tipos enviados por POST /messages/send:
+ * texto (com resposta e menções), reação, edição, apagar para todos,
+ * localização, contato (vCard) e enquete.
+ *
+ * Respostas, reações, edições e exclusões referenciam uma mensagem
+ * gravada no histórico da sessão pelo id.
+ * =============================================================
+ */
+
+const RICH_TYPES = ['text', 'reaction', 'edit', 'delete', 'location', 'contact', 'poll'];
+
+// Dados inválidos: a fila não repete o envio
+function permanentError(message) {
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+}
+
+function messageKey(message) {
+    return {
+        remoteJid: message.from,
+        id: message.id,
+        fromMe: !!message.fromMe,
+        ...(message.sender && message.sender !== message.from && !message.fromMe ? { participant: message.sender } : {})
+    };
+}
+
+// Citação montada do histórico (o WebMessageInfo original, com as chaves de mídia, não é guardado)
+function quotedMessage(message) {
+    return { key: messageKey(message), message: { conversation: message.text || '' } };
+}
+
+function escapeVcard(value) {
+    return String(value).replace(/[,;\\]/g, match => `\\${match}`).replace(/\n/g, '\\n');
+}
+
+function buildVcard({ name, phone, organization, email }) {
+    const digits = String(phone).replace(/\D/g, '');
+    const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${escapeVcard(name)}`];
+    if (organization) lines.push(`ORG:${escapeVcard(organization)}`);
+    if (email) lines.push(`EMAIL;type=INTERNET:${escapeVcard(email)}`);
+    lines.push(`TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`);
+    lines.push('END:VCARD');
+    return lines.join('\n');
+}
+
+function isCoordinate(value, limit) {
+    return typeof value === 'number' && isFinite(value) && Math.abs(value) <= limit;
+}
+
+// Valida o corpo de POST /messages/send. Retorna { error } ou { type, jid, payload }
+function parseRichMessage(body, { toJid, findMessage }) {
+    const { type, phone } = body;
+
+    if (!RICH_TYPES.includes(type)) {
+        return { error: `type é obrigatório (${RICH_TYPES.join(', ')})` };
+    }
+
+    // Tipos que agem sobre uma mensagem existente usam o chat dela
+    if (['reaction', 'edit', 'delete'].includes(type)) {
+        if (!body.messageId) {
+            return { error: 'messageId é obrigatório' };
+        }
+        const target = findMessage(body.messageId);
+        if (!target) {
+            return { error: 'Mensagem não encontrada no histórico', status: 404 };
+        }
+
+        if (type === 'reaction') {
+            if (typeof body.emoji !== 'string') {
+                return { error: 'emoji é obrigatório (texto vazio remove a reação)' };
+            }
+            return { type, jid: target.from, payload: { messageId: target.id, emoji: body.emoji } };
+        }
+
+        if (!target.fromMe && type === 'edit') {
+            return { error: 'Só é possível editar mensagens enviadas por este número' };
+        }
+
+        if (type === 'edit') {
+            if (!body.text) return { error: 'text é obrigatório' };
+            return { type, jid: target.from, payload: { messageId: target.id, text: body.text } };
+        }
+
+        return { type, jid: target.from, payload: { messageId: target.id } };
+    }
+
+    if (!phone) {
+        return { error: 'phone é obrigatório' };
+    }
+    const jid = toJid(phone);
+
+    if (type === 'text') {
+        if (!body.text) return { error: 'text é obrigatório' };
+        if (body.mentions !== undefined && !Array.isArray(body.mentions)) {
+            return { error: 'mentions deve ser uma lista de telefones' };
+        }
+        if (body.quotedId && !findMessage(body.quotedId)) {
+            return { error: 'Mensagem citada (quotedId) não encontrada no histórico', status: 404 };
+        }
+        return {
+            type,
+            jid,
+            payload: {
+                text: body.text,
+                quotedId: body.quotedId || null,
+                mentions: (body.mentions || []).map(toJid)
+            }
+        };
+    }
+
+    if (type === 'location') {
+        const { latitude, longitude, name, address } = body;
+        if (!isCoordinate(latitude, 90) || !isCoordinate(longitude, 180)) {
+            return { error: 'latitude e longitude numéricas são obrigatórias' };
+        }
+        return { type, jid, payload: { latitude, longitude, name: name || '', address: address || '' } };
+    }
+
+    if (type === 'contact') {
+        const contacts = Array.isArray(body.contacts) ? body.contacts : [];
+        if (contacts.length === 0 || !contacts.every(c => c && (c.vcard || (c.name && c.phone)))) {
+            return { error: 'contacts é obrigatório: lista de { name, phone } ou { vcard }' };
+        }
+        return {
+            type,
+            jid,
+            payload: {
+                displayName: body.displayName || (contacts.length === 1 ? contacts[0].name : `${contacts.length} contatos`),
+                vcards: contacts.map(c => c.vcard || buildVcard(c))
+            }
+        };
+    }
+
+    // poll
+    const options = Array.isArray(body.options) ? body.options.map(String) : [];
+    if (!body.name || options.length < 2 || options.length > 12) {
+        return { error: 'name e options (2 a 12 opções) são obrigatórios' };
+    }
+    if (new Set(options).size !== options.length) {
+        return { error: 'options não pode ter opções repetidas' };
+    }
+    const selectableCount = parseInt(body.selectableCount) || 1;
+    if (selectableCount < 1 || selectableCount > options.length) {
+        return { error: 'selectableCount deve estar entre 1 e o número de opções' };
+    }
+    return { type, jid, payload: { name: body.name, options, selectableCount } };
+}
+
+// Conteúdo do sock.sendMessage para um job de mensagem rica
+function buildRichContent(job, { findMessage }) {
+    const { payload } = job;
+
+    const target = id => {
+        const message = findMessage(id);
+        if (!message) throw permanentError(`Mensagem ${id} não encontrada no histórico`);
+        return message;
+    };
+
+    switch (job.type) {
+        case 'text': {
+            const content = { text: payload.text };
+            if (payload.mentions?.length) content.mentions = payload.mentions;
+            const options = payload.quotedId ? { quoted: quotedMessage(target(payload.quotedId)) } : undefined;
+            return { content, options };
+        }
+        case 'reaction':
+            return { content: { react: { text: payload.emoji, key: messageKey(target(payload.messageId)) } } };
+        case 'edit':
+            return { content: { text: payload.text, edit: messageKey(target(payload.messageId)) } };
+        case 'delete':
+            return { content: { delete: messageKey(target(payload.messageId)) } };
+        case 'location':
+            return {
+                content: {
+                    location: {
+                        degreesLatitude: payload.latitude,
+                        degreesLongitude: payload.longitude,
+                        name: payload.name,
+                        address: payload.address
+                    }
+                }
+            };
+        case 'contact':
+            return {
+                content: {
+                    contacts: {
+                        displayName: payload.displayName,
+                        contacts: payload.vcards.map(vcard => ({ vcard }))
+                    }
+                }
+            };
+        case 'poll':
+            return {
+                content: {
+                    poll: { name: payload.name, values: payload.options, selectableCount: payload.selectableCount }
+                }
+            };
+        default:
+            throw permanentError(`Tipo de envio desconhecido: ${job.type}`);
+    }
+}
+
+module.exports = { RICH_TYPES, parseRichMessage, buildRichContent, permanentError };
@@ -0,0 +1,346 @@
+/**
+ * =============================================================
+ * REGRAS DE RESPOSTA AUTOMÁTICA
+ * =============================================================
+ *
+ * Cada mensagem recebida é comparada com as regras ativas (em ordem
+ * de prioridade). Todas as condições informadas precisam casar:
+ *
+ * - keywords: palavras ou frases (sem diferenciar acentos/maiúsculas)
+ * - regex: expressão regular sobre o texto
+ * - senders: telefones/JIDs de remetentes
+ * - chatType: private, group ou any
+ * - messageTypes: tipos de mensagem (conversation, imageMessage...)
+ * - businessHours: dentro ou fora do horário de atendimento
+ *
+ * Ações: reply (texto com {{variaveis}}), reply_media, webhook
+ * (encaminha a mensagem pelo despachante de webhooks: assinada, com
+ * retentativas e sem acesso a endereços internos) e tag (marca a
+ * conversa).
+ *
+ * Um intervalo por regra e contato (cooldownSeconds) evita loops.
+ * Regras, etiquetas e cooldowns ficam em DATA_FOLDER.
+ * =============================================================
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { readJson, writeJson } = require('./jsonFile');
+const { normalizeText, renderTemplate } = require('./text');
+
+const ACTION_TYPES = ['reply', 'reply_media', 'webhook', 'tag'];
+const MEDIA_TYPES = ['image', 'audio', 'video', 'document'];
+const CHAT_TYPES = ['private', 'group', 'any'];
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function isValidTime(value) {
+    return /^([01]\d|2[0-3]):[0-5]\d$/.test(value || '');
+}
+
+// canForward: há WEBHOOK_SECRET para assinar o encaminhamento
+function validateRule(rule, toJid, { canForward = true } = {}) {
+    if (!rule || typeof rule !== 'object') return 'Regra inválida';
+    if (!rule.name) return 'name é obrigatório';
+
+    const match = rule.match || {};
+    if (match.keywords !== undefined && !Array.isArray(match.keywords)) return 'match.keywords deve ser uma lista';
+    if (match.senders !== undefined && !Array.isArray(match.senders)) return 'match.senders deve ser uma lista';
+    if (match.messageTypes !== undefined && !Array.isArray(match.messageTypes)) return 'match.messageTypes deve ser uma lista';
+    if (match.chatType !== undefined && !CHAT_TYPES.includes(match.chatType)) {
+        return `match.chatType deve ser ${CHAT_TYPES.join(', ')}`;
+    }
+
+    if (match.regex !== undefined) {
+        try {
+            new RegExp(match.regex, match.regexFlags || 'i');
+        } catch (error) {
+            return `match.regex inválida: ${error.message}`;
+        }
+    }
+
+    if (match.businessHours !== undefined) {
+        const hours = match.businessHours;
+        if (!isValidTime(hours.start) || !isValidTime(hours.end)) {
+            return 'match.businessHours.start e end são obrigatórios (HH:MM)';
+        }
+        if (hours.when !== undefined && !['inside', 'outside'].includes(hours.when)) {
+            return 'match.businessHours.when deve ser inside ou outside';
+        }
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: hours.timezone || 'America/Sao_Paulo' });
+        } catch (error) {
+            return 'match.businessHours.timezone inválido';
+        }
+    }
+
+    if (!Array.isArray(rule.actions) || rule.actions.length === 0) return 'actions é obrigatório';
+    for (const action of rule.actions) {
+        if (!ACTION_TYPES.includes(action?.type)) return `Tipo de ação inválido (${ACTION_TYPES.join(', ')})`;
+        if (action.type === 'reply' && !action.text) return 'Ação reply exige text';
+        if (action.type === 'reply_media' && (!MEDIA_TYPES.includes(action.mediaType) || !action.url)) {
+            return `Ação reply_media exige mediaType (${MEDIA_TYPES.join(', ')}) e url`;
+        }
+        if (action.type === 'webhook' && !/^https?:\/\//.test(action.url || '')) return 'Ação webhook exige url http(s)';
+        if (action.type === 'webhook' && !canForward) return 'Ação webhook exige WEBHOOK_SECRET configurado';
+        if (action.type === 'tag' && (!Array.isArray(action.tags) || action.tags.length === 0)) return 'Ação tag exige tags';
+    }
+
+    // Normaliza remetentes para JID antes de gravar
+    if (match.senders) {
+        match.senders = match.senders.map(toJid);
+    }
+
+    return null;
+}
+
+// Dia da semana (0 = domingo) e minutos desde a meia-noite no fuso informado
+function localTime(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const get = type => parts.find(part => part.type === type).value;
+    return {
+        weekday: WEEKDAYS[get('weekday')],
+        minutes: parseInt(get('hour')) * 60 + parseInt(get('minute'))
+    };
+}
+
+function isInsideBusinessHours(hours, date = new Date()) {
+    const { weekday, minutes } = localTime(date, hours.timezone || 'America/Sao_Paulo');
+    const days = hours.days || [1, 2, 3, 4, 5];
+    const toMinutes = value => parseInt(value.slice(0, 2)) * 60 + parseInt(value.slice(3));
+    const start = toMinutes(hours.start);
+    const end = toMinutes(hours.end);
+
+    if (!days.includes(weekday)) return false;
+
+    // Expediente que passa da meia-noite (ex.: 22:00 às 06:00)
+    return start <= end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+function containsKeyword(text, keyword) {
+    const clean = value => ` ${normalizeText(value).replace(/[^a-z0-9]+/g, ' ').trim()} `;
+    return clean(text).includes(clean(keyword));
+}
+
+function matchesRule(rule, message, now = new Date()) {
+    const match = rule.match || {};
+    const isGroup = message.from.endsWith('@g.us');
+
+    if (rule.sessions && !rule.sessions.includes(message.sessionId)) return false;
+
+    const chatType = match.chatType || 'private';
+    if (chatType === 'private' && isGroup) return false;
+    if (chatType === 'group' && !isGroup) return false;
+
+    if (match.senders?.length && !match.senders.includes(message.sender)) return false;
+    if (match.messageTypes?.length && !match.messageTypes.includes(message.type)) return false;
+
+    if (match.keywords?.length && !match.keywords.some(keyword => containsKeyword(message.text, keyword))) {
+        return false;
+    }
+
+    if (match.regex && !new RegExp(match.regex, match.regexFlags || 'i').test(message.text || '')) {
+        return false;
+    }
+
+    if (match.businessHours) {
+        const inside = isInsideBusinessHours(match.businessHours, now);
+        if ((match.businessHours.when || 'inside') === 'inside' ? !inside : inside) return false;
+    }
+
+    return true;
+}
+
+function createRuleEngine({ dataFolder, enqueue, webhooks, log }) {
+    const rulesFile = path.join(dataFolder, 'rules.json');
+    const tagsFile = path.join(dataFolder, 'tags.json');
+    const cooldownsFile = path.join(dataFolder, 'rule_cooldowns.json');
+
+    let rules = readJson(rulesFile, []);
+    const tags = readJson(tagsFile, {});
+    let cooldowns = readJson(cooldownsFile, {});
+
+    function saveRules() {
+        rules.sort((a, b) => (a.priority ?? 100) - (b.priority ?? 100));
+        writeJson(rulesFile, rules);
+    }
+
+    function saveCooldowns() {
+        // Descarta cooldowns já vencidos
+        const now = Date.now();
+        cooldowns = Object.fromEntries(Object.entries(cooldowns).filter(([, until]) => until > now));
+        writeJson(cooldownsFile, cooldowns);
+    }
+
+    function list() {
+        return rules;
+    }
+
+    function get(id) {
+        return rules.find(rule => rule.id === id) || null;
+    }
+
+    function normalize(input, existing = {}) {
+        return {
+            id: existing.id || crypto.randomUUID(),
+            name: input.name,
+            enabled: input.enabled !== false,
+            priority: Number.isFinite(input.priority) ? input.priority : 100,
+            sessions: Array.isArray(input.sessions) && input.sessions.length > 0 ? input.sessions : null,
+            stopOnMatch: input.stopOnMatch !== false,
+            cooldownSeconds: Number.isFinite(input.cooldownSeconds) ? input.cooldownSeconds : 300,
+            match: input.match || {},
+            actions: input.actions,
+            createdAt: existing.createdAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    function create(input) {
+        const rule = normalize(input);
+        rules.push(rule);
+        saveRules();
+        log(`Regra criada: ${rule.name}`);
+        return rule;
+    }
+
+    function update(id, input) {
+        const index = rules.findIndex(rule => rule.id === id);
+        if (index === -1) return null;
+
+        rules[index] = normalize(input, rules[index]);
+        saveRules();
+        log(`Regra atualizada: ${rules[index].name}`);
+        return rules[index];
+    }
+
+    function remove(id) {
+        const before = rules.length;
+        rules = rules.filter(rule => rule.id !== id);
+        if (rules.length === before) return false;
+        saveRules();
+        log(`Regra removida: ${id}`);
+        return true;
+    }
+
+    // Regras que casariam com a mensagem, sem executar ações nem considerar cooldown
+    function test(message) {
+        const matched = [];
+        for (const rule of rules) {
+            if (!rule.enabled || !matchesRule(rule, message)) continue;
+            matched.push(rule);
+            if (rule.stopOnMatch) break;
+        }
+        return matched;
+    }
+
+    function getTags(sessionId, jid) {
+        const sessionTags = tags[sessionId] || {};
+        return jid ? (sessionTags[jid] || []) : sessionTags;
+    }
+
+    function addTags(sessionId, jid, newTags) {
+        tags[sessionId] = tags[sessionId] || {};
+        tags[sessionId][jid] = [...new Set([...(tags[sessionId][jid] || []), ...newTags])];
+        writeJson(tagsFile, tags);
+        return tags[sessionId][jid];
+    }
+
+    function removeTag(sessionId, jid, tag) {
+        const current = tags[sessionId]?.[jid];
+        if (!current || !current.includes(tag)) return false;
+
+        tags[sessionId][jid] = current.filter(t => t !== tag);
+        if (tags[sessionId][jid].length === 0) delete tags[sessionId][jid];
+        writeJson(tagsFile, tags);
+        return true;
+    }
+
+    function forward(url, rule, message) {
+        try {
+            webhooks.forward(url, 'rule.forward', message, { rule: { id: rule.id, name: rule.name } });
+        } catch (error) {
+            log(`Regra "${rule.name}": erro ao encaminhar para ${url}:`, error.message, 'error');
+        }
+    }
+
+    function execute(rule, message) {
+        const variables = {
+            name: message.pushName || '',
+            phone: message.sender.split('@')[0],
+            text: message.text || '',
+            date: new Date().toLocaleDateString('pt-BR'),
+            time: new Date().toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+        };
+
+        rule.actions.forEach(action => {
+            if (action.type === 'reply') {
+                enqueue({
+                    sessionId: message.sessionId,
+                    type: 'text',
+                    jid: message.from,
+                    payload: { text: renderTemplate(action.text, variables), quotedId: action.quote ? message.id : null }
+                });
+            } else if (action.type === 'reply_media') {
+                enqueue({
+                    sessionId: message.sessionId,
+                    type: action.mediaType,
+                    jid: message.from,
+                    payload: {
+                        url: action.url,
+                        caption: renderTemplate(action.caption, variables),
+                        filename: action.filename || 'documento',
+                        mimetype: action.mimetype || 'application/octet-stream',
+                        ptt: action.ptt !== false
+                    }
+                });
+            } else if (action.type === 'webhook') {
+                forward(action.url, rule, message);
+            } else if (action.type === 'tag') {
+                addTags(message.sessionId, message.from, action.tags);
+            }
+        });
+    }
+
+    function handleMessage(message) {
+        if (message.fromMe || message.from === 'status@broadcast') return;
+
+        try {
+            const now = Date.now();
+            let triggered = false;
+
+            for (const rule of rules) {
+                if (!rule.enabled || !matchesRule(rule, message)) continue;
+
+                const cooldownKey = `${rule.id}:${message.sessionId}:${message.from}`;
+                if ((cooldowns[cooldownKey] || 0) > now) continue;
+
+                cooldowns[cooldownKey] = now + rule.cooldownSeconds * 1000;
+                triggered = true;
+
+                log(`[${message.sessionId}] Regra "${rule.name}" acionada por ${message.from}`);
+                execute(rule, message);
+
+                if (rule.stopOnMatch) break;
+            }
+
+            if (triggered) saveCooldowns();
+        } catch (error) {
+            log('Erro ao aplicar regras:', error.message, 'error');
+        }
+    }
+
+    log(`Regras carregadas: ${rules.length}`);
+
+    return { list, get, create, update, remove, test, handleMessage, getTags, addTags, removeTag };
+}
+
+module.exports = { createRuleEngine, validateRule, isInsideBusinessHours };
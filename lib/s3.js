@@ -0,0 +1,173 @@
+/**
+ * =============================================================
+ * BACKEND S3 PARA MÍDIA
+ * =============================================================
+ *
+ * Guarda a mídia num bucket S3 ou compatível (MinIO, R2, Wasabi,
+ * Backblaze), com requisições assinadas em AWS Signature V4 — sem
+ * SDK. Com S3_ENDPOINT apontando para um serviço local (ex.: MinIO
+ * em http://localhost:9000) dá para testar sem conta na nuvem.
+ *
+ * O download continua passando pelo servidor (/media com URL
+ * assinada), então o bucket pode ser privado.
+ * =============================================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+const EMPTY_HASH = crypto.createHash('sha256').digest('hex');
+const FORWARDED_HEADERS = ['content-length', 'content-range', 'accept-ranges', 'etag', 'last-modified'];
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function sha256Hex(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Codificação de caminho exigida pela assinatura (RFC 3986, "/" preservada)
+function encodePath(pathname) {
+    return pathname.split('/').map(segment =>
+        encodeURIComponent(segment).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+    ).join('/');
+}
+
+function createS3Backend({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, prefix = '', forcePathStyle }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error('S3_BUCKET, S3_ACCESS_KEY_ID e S3_SECRET_ACCESS_KEY são obrigatórios para MEDIA_STORAGE=s3');
+    }
+
+    const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    // Endpoints próprios (MinIO etc.) normalmente só aceitam bucket no caminho
+    const pathStyle = forcePathStyle ?? !!endpoint;
+
+    function objectUrl(key) {
+        const url = new URL(base.href);
+        if (pathStyle) {
+            url.pathname = `${base.pathname.replace(/\/$/, '')}/${bucket}/${prefix}${key}`;
+        } else {
+            url.hostname = `${bucket}.${base.hostname}`;
+            url.pathname = `/${prefix}${key}`;
+        }
+        return url;
+    }
+
+    function sign(method, url, headers, payloadHash) {
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const date = amzDate.slice(0, 8);
+        const scope = `${date}/${region}/s3/aws4_request`;
+
+        const signed = {
+            ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+            host: url.host,
+            'x-amz-date': amzDate,
+            'x-amz-content-sha256': payloadHash
+        };
+        const names = Object.keys(signed).sort();
+
+        const canonicalRequest = [
+            method,
+            encodePath(url.pathname),
+            '',
+            names.map(name => `${name}:${signed[name]}\n`).join(''),
+            names.join(';'),
+            payloadHash
+        ].join('\n');
+
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+        const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, date), region));
+        const signature = hmac(signingKey, stringToSign).toString('hex');
+
+        return {
+            ...signed,
+            authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+        };
+    }
+
+    // Faz a requisição assinada; o corpo (stream) é opcional. Resolve com a resposta
+    function request(method, key, { headers = {}, payloadHash = EMPTY_HASH, body = null, unsigned = {} } = {}) {
+        const url = objectUrl(key);
+        const client = url.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = client.request(url, { method, headers: { ...sign(method, url, headers, payloadHash), ...unsigned } }, resolve);
+            req.setTimeout(60000, () => req.destroy(new Error('Tempo esgotado na requisição ao S3')));
+            req.on('error', reject);
+
+            if (body) {
+                body.on('error', error => req.destroy(error));
+                body.pipe(req);
+            } else {
+                req.end();
+            }
+        });
+    }
+
+    async function expectSuccess(response, action) {
+        const chunks = [];
+        for await (const chunk of response) chunks.push(chunk);
+
+        if (response.statusCode >= 300) {
+            const detail = Buffer.concat(chunks).toString().match(/<Code>([^<]+)<\/Code>/);
+            throw new Error(`S3 ${action}: HTTP ${response.statusCode}${detail ? ` (${detail[1]})` : ''}`);
+        }
+    }
+
+    return {
+        name: 's3',
+        async put(key, tempFile, meta) {
+            const response = await request('PUT', key, {
+                headers: { 'content-type': meta.mimeType, 'content-length': meta.size },
+                payloadHash: meta.sha256,
+                body: fs.createReadStream(tempFile)
+            });
+            await expectSuccess(response, 'upload');
+        },
+        async remove(key) {
+            const response = await request('DELETE', key);
+            // 404 também serve: o objeto já não existe
+            if (response.statusCode === 404) return response.resume();
+            await expectSuccess(response, 'remoção');
+        },
+        async open(key) {
+            const response = await request('GET', key);
+            if (response.statusCode >= 300) {
+                await expectSuccess(response, 'leitura');
+            }
+            return response;
+        },
+        serve(key, req, res, meta) {
+            // Range fica fora da assinatura: varia a cada pedido do player
+            const unsigned = req.headers.range ? { range: req.headers.range } : {};
+
+            request('GET', key, { unsigned }).then(response => {
+                if (response.statusCode >= 300) {
+                    response.resume();
+                    const status = response.statusCode === 404 ? 404 : 502;
+                    return res.status(status).json({
+                        success: false,
+                        error: status === 404 ? 'Mídia não encontrada' : `Erro no armazenamento (HTTP ${response.statusCode})`
+                    });
+                }
+
+                res.status(response.statusCode);
+                res.set('Content-Type', meta.mimeType);
+                res.set('Cache-Control', 'private, max-age=604800');
+                FORWARDED_HEADERS.forEach(name => {
+                    if (response.headers[name]) res.set(name, response.headers[name]);
+                });
+                response.pipe(res);
+            }).catch(error => {
+                if (!res.headersSent) {
+                    res.status(502).json({ success: false, error: `Erro no armazenamento: ${error.message}` });
+                }
+            });
+        }
+    };
+}
+
+module.exports = { createS3Backend };
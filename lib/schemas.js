@@ -0,0 +1,148 @@
+/**
+ * =============================================================
+ * SCHEMAS DOS ENVIOS
+ * =============================================================
+ *
+ * Corpo de cada endpoint de envio em JSON Schema: validado na
+ * entrada (validateBody) e publicado em /openapi.json. summary vira o
+ * resumo da operação; x-multipart indica que o endpoint também aceita
+ * multipart/form-data com o arquivo no campo "file".
+ * =============================================================
+ */
+
+const { RICH_TYPES } = require('./richMessages');
+
+const phone = {
+    type: ['string', 'number'],
+    minLength: 1,
+    description: 'Telefone com DDD (o DDI padrão é aplicado), número completo com DDI ou JID',
+    example: '11987654321'
+};
+
+// Opções aceitas por todos os envios
+const sendOptions = {
+    sendAt: {
+        type: ['string', 'number'],
+        description: 'Agenda o envio: data ISO 8601 ou timestamp unix (segundos)'
+    },
+    wait: {
+        type: 'boolean',
+        description: 'false responde 202 logo após enfileirar, sem aguardar a entrega'
+    },
+    typing: {
+        type: ['boolean', 'number'],
+        minimum: 0,
+        description: 'Mostra "digitando..." antes do envio: true (proporcional ao texto) ou a duração em ms'
+    }
+};
+
+// Mídia por URL, base64 ou arquivo multipart: pelo menos um dos três
+function mediaSchema(kind, { urlField, base64Field, summary, properties = {} }) {
+    return {
+        summary,
+        'x-multipart': true,
+        type: 'object',
+        required: ['phone'],
+        properties: {
+            phone,
+            [urlField]: { type: 'string', minLength: 1, description: `URL pública do ${kind} (baixada no envio)` },
+            [base64Field]: { type: 'string', minLength: 1, description: `Conteúdo do ${kind} em base64` },
+            file: { type: 'string', format: 'binary', description: 'Arquivo (só em multipart/form-data)' },
+            ...properties,
+            ...sendOptions
+        },
+        anyOf: [
+            { required: [urlField] },
+            { required: [base64Field] },
+            { required: ['file'] }
+        ],
+        'x-error': `phone e (${urlField}, ${base64Field} ou file) são obrigatórios`
+    };
+}
+
+const caption = { type: 'string', maxLength: 4096, description: 'Legenda' };
+
+const schemas = {
+    send: {
+        summary: 'Enviar mensagem de texto',
+        type: 'object',
+        required: ['phone', 'message'],
+        properties: {
+            phone,
+            message: { type: 'string', minLength: 1, maxLength: 65536, description: 'Texto da mensagem' },
+            quotedId: { type: 'string', description: 'Id de uma mensagem do histórico para responder' },
+            mentions: { type: 'array', items: { type: ['string', 'number'] }, description: 'Telefones mencionados' },
+            ...sendOptions
+        }
+    },
+
+    messagesSend: {
+        summary: 'Envio tipado: text, reaction, edit, delete, location, contact ou poll',
+        type: 'object',
+        required: ['type'],
+        properties: {
+            type: { type: 'string', enum: RICH_TYPES },
+            phone: { ...phone, description: 'Destinatário (exceto reaction, edit e delete, que usam o chat da mensagem)' },
+            text: { type: 'string', maxLength: 65536, description: 'text e edit' },
+            quotedId: { type: 'string', description: 'text: id da mensagem respondida' },
+            mentions: { type: 'array', items: { type: ['string', 'number'] } },
+            messageId: { type: 'string', description: 'reaction, edit e delete: id da mensagem alvo' },
+            emoji: { type: 'string', description: 'reaction: emoji (vazio remove a reação)' },
+            latitude: { type: 'number', minimum: -90, maximum: 90 },
+            longitude: { type: 'number', minimum: -180, maximum: 180 },
+            name: { type: 'string', description: 'location: nome do local; poll: pergunta' },
+            address: { type: 'string' },
+            displayName: { type: 'string', description: 'contact: nome exibido no cartão' },
+            contacts: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        phone: { type: ['string', 'number'] },
+                        organization: { type: 'string' },
+                        email: { type: 'string' },
+                        vcard: { type: 'string' }
+                    }
+                }
+            },
+            options: { type: 'array', minItems: 2, maxItems: 12, items: { type: ['string', 'number'] } },
+            selectableCount: { type: 'integer', minimum: 1 },
+            ...sendOptions
+        }
+    },
+
+    sendImage: mediaSchema('imagem', {
+        summary: 'Enviar imagem',
+        urlField: 'imageUrl',
+        base64Field: 'imageBase64',
+        properties: { caption }
+    }),
+
+    sendAudio: mediaSchema('áudio', {
+        summary: 'Enviar áudio',
+        urlField: 'audioUrl',
+        base64Field: 'audioBase64',
+        properties: { ptt: { type: 'boolean', description: 'Mensagem de voz (padrão true)' } }
+    }),
+
+    sendVideo: mediaSchema('vídeo', {
+        summary: 'Enviar vídeo',
+        urlField: 'videoUrl',
+        base64Field: 'videoBase64',
+        properties: { caption }
+    }),
+
+    sendDocument: mediaSchema('documento', {
+        summary: 'Enviar documento',
+        urlField: 'documentUrl',
+        base64Field: 'documentBase64',
+        properties: {
+            filename: { type: 'string', maxLength: 255, description: 'Nome exibido (padrão: o do arquivo ou da URL)' },
+            mimetype: { type: 'string', description: 'Tipo MIME (padrão: detectado)' }
+        }
+    })
+};
+
+module.exports = schemas;
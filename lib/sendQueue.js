@@ -0,0 +1,307 @@
+/**
+ * =============================================================
+ * FILA DE ENVIO PERSISTENTE
+ * =============================================================
+ *
+ * Todo envio vira um job gravado em DATA_FOLDER/queue. Os jobs são
+ * entregues quando a sessão está conectada, respeitando:
+ *
+ * - Intervalo mínimo entre envios da mesma sessão (global)
+ * - Intervalo mínimo entre envios para o mesmo destinatário
+ * - Ordem de chegada por destinatário
+ * - Agendamento opcional (sendAt)
+ * - Digitação simulada opcional antes do envio (typing)
+ * - Retentativas com backoff em erros transitórios
+ *
+ * O jobs.json é regravado no máximo uma vez por segundo (flush() no
+ * encerramento grava o que faltar).
+ * =============================================================
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJson } = require('./jsonFile');
+
+const TICK_INTERVAL = 500;
+const MAX_BACKOFF = 5 * 60 * 1000;
+const FINISHED_RETENTION = 7 * 24 * 60 * 60 * 1000;
+const PENDING_STATUSES = ['scheduled', 'queued'];
+const FINAL_STATUSES = ['sent', 'failed', 'cancelled'];
+const SAVE_DELAY = 1000;
+
+function createSendQueue({ dataFolder, getSession, buildMessage, emitEvent, log, options = {} }) {
+    const folder = path.join(dataFolder, 'queue');
+    const jobsFile = path.join(folder, 'jobs.json');
+    const globalInterval = options.globalIntervalMs ?? 1000;
+    const recipientInterval = options.recipientIntervalMs ?? 3000;
+    const maxAttempts = options.maxAttempts ?? 5;
+
+    if (!fs.existsSync(folder)) {
+        fs.mkdirSync(folder, { recursive: true });
+    }
+
+    let jobs = readJson(jobsFile, []);
+    const notifier = new EventEmitter();
+    notifier.setMaxListeners(0);
+    const busySessions = new Set();
+    const lastSessionSend = new Map();
+    const lastRecipientSend = new Map();
+    let timer = null;
+    let saveTimer = null;
+
+    // Jobs interrompidos no meio do envio voltam para a fila
+    jobs.forEach(job => {
+        if (job.status === 'sending') {
+            job.status = 'queued';
+        }
+    });
+
+    function saveJobs() {
+        const now = Date.now();
+        jobs = jobs.filter(job =>
+            !FINAL_STATUSES.includes(job.status) ||
+            now - Date.parse(job.finishedAt || job.createdAt) < FINISHED_RETENTION
+        );
+        writeJson(jobsFile, jobs);
+    }
+
+    // Uma rajada de envios (campanhas) vira uma gravação só
+    function scheduleSave() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(flush, SAVE_DELAY);
+    }
+
+    function flush() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        try {
+            saveJobs();
+        } catch (error) {
+            log('Erro ao gravar a fila de envio:', error.message, 'error');
+        }
+    }
+
+    function publicJob(job) {
+        const { mediaFile, ...data } = job;
+        return data;
+    }
+
+    function enqueue({ sessionId, type, jid, payload = {}, mediaBuffer = null, sendAt = null, typing = null }) {
+        const id = crypto.randomUUID();
+        let mediaFile = null;
+
+        // Mídia em base64 vai para disco para não inchar o jobs.json
+        if (mediaBuffer) {
+            mediaFile = path.join(folder, `${id}.bin`);
+            fs.writeFileSync(mediaFile, mediaBuffer);
+        }
+
+        const now = Date.now();
+        const scheduled = sendAt && sendAt > now;
+        const job = {
+            id,
+            sessionId,
+            type,
+            jid,
+            payload,
+            mediaFile,
+            typing,
+            status: scheduled ? 'scheduled' : 'queued',
+            attempts: 0,
+            sendAt: scheduled ? new Date(sendAt).toISOString() : null,
+            nextAttemptAt: scheduled ? sendAt : now,
+            createdAt: new Date(now).toISOString(),
+            sentAt: null,
+            finishedAt: null,
+            messageId: null,
+            error: null
+        };
+
+        jobs.push(job);
+        scheduleSave();
+        log(`[${sessionId}] Envio enfileirado: ${type} para ${jid}${scheduled ? ` (agendado para ${job.sendAt})` : ''}`);
+
+        setImmediate(tick);
+        return publicJob(job);
+    }
+
+    function finish(job, status, error = null) {
+        job.status = status;
+        job.error = error;
+        job.finishedAt = new Date().toISOString();
+
+        if (job.mediaFile) {
+            fs.rmSync(job.mediaFile, { force: true });
+            job.mediaFile = null;
+        }
+
+        scheduleSave();
+        notifier.emit(job.id, publicJob(job));
+    }
+
+    async function deliver(job, session) {
+        job.status = 'sending';
+        job.attempts++;
+        const startedAt = Date.now();
+
+        try {
+            const { content, options: sendOptions } = await buildMessage(job);
+            if (job.typing) {
+                await session.simulateTyping(job.jid, job.typing.ms, job.typing.state);
+            }
+            const sent = await session.sendMessage(job.jid, content, sendOptions);
+
+            job.messageId = sent?.key?.id || null;
+            job.sentAt = new Date().toISOString();
+            finish(job, 'sent');
+
+            log(`[${job.sessionId}] Envio concluído: ${job.type} para ${job.jid}`);
+            emitEvent('send.sent', {
+                sessionId: job.sessionId,
+                jobId: job.id,
+                type: job.type,
+                to: job.jid,
+                messageId: job.messageId,
+                durationMs: Date.now() - startedAt
+            });
+        } catch (error) {
+            // Erros marcados como permanentes (dados inválidos) não são repetidos
+            if (error.permanent || job.attempts >= maxAttempts) {
+                finish(job, 'failed', error.message);
+                log(`[${job.sessionId}] Envio falhou (${job.type} para ${job.jid}):`, error.message, 'error');
+                emitEvent('send.failed', {
+                    sessionId: job.sessionId,
+                    jobId: job.id,
+                    type: job.type,
+                    to: job.jid,
+                    error: error.message,
+                    durationMs: Date.now() - startedAt
+                });
+                return;
+            }
+
+            const delay = Math.min(5000 * Math.pow(2, job.attempts - 1), MAX_BACKOFF);
+            job.status = 'queued';
+            job.error = error.message;
+            job.nextAttemptAt = Date.now() + delay;
+            scheduleSave();
+            log(`[${job.sessionId}] Erro no envio, nova tentativa em ${delay / 1000}s:`, error.message, 'error');
+        }
+    }
+
+    // Próximo job elegível da sessão: o mais antigo de cada destinatário,
+    // vencido e fora do intervalo mínimo por destinatário. Agendados que
+    // ainda não venceram não seguram a fila do destinatário; em retentativa, seguram
+    function nextJobFor(sessionId, now) {
+        const seenRecipients = new Set();
+
+        for (const job of jobs) {
+            if (job.sessionId !== sessionId || !PENDING_STATUSES.includes(job.status)) continue;
+            if (job.status === 'scheduled' && job.nextAttemptAt > now) continue;
+            if (seenRecipients.has(job.jid)) continue;
+            seenRecipients.add(job.jid);
+
+            if (job.nextAttemptAt > now) continue;
+
+            const lastSend = lastRecipientSend.get(`${sessionId}:${job.jid}`) || 0;
+            if (now - lastSend < recipientInterval) continue;
+
+            return job;
+        }
+        return null;
+    }
+
+    function tick() {
+        const now = Date.now();
+        const sessionIds = new Set(jobs.filter(job => PENDING_STATUSES.includes(job.status)).map(job => job.sessionId));
+
+        sessionIds.forEach(sessionId => {
+            if (busySessions.has(sessionId)) return;
+            if (now - (lastSessionSend.get(sessionId) || 0) < globalInterval) return;
+
+            const session = getSession(sessionId);
+            if (!session) {
+                jobs.filter(job => job.sessionId === sessionId && PENDING_STATUSES.includes(job.status))
+                    .forEach(job => finish(job, 'failed', 'Sessão removida'));
+                return;
+            }
+
+            // Aguarda a reconexão sem consumir tentativas
+            if (!session.isConnected()) return;
+
+            const job = nextJobFor(sessionId, now);
+            if (!job) return;
+
+            busySessions.add(sessionId);
+            lastSessionSend.set(sessionId, now);
+            lastRecipientSend.set(`${sessionId}:${job.jid}`, now);
+
+            deliver(job, session).finally(() => busySessions.delete(sessionId));
+        });
+    }
+
+    function get(id) {
+        const job = jobs.find(j => j.id === id);
+        return job ? publicJob(job) : null;
+    }
+
+    function list({ sessionId, status, limit = 50 } = {}) {
+        return jobs
+            .filter(job => !sessionId || job.sessionId === sessionId)
+            .filter(job => !status || job.status === status)
+            .slice(-limit)
+            .reverse()
+            .map(publicJob);
+    }
+
+    function cancel(id) {
+        const job = jobs.find(j => j.id === id);
+        if (!job) return null;
+        if (!PENDING_STATUSES.includes(job.status)) {
+            return { job: publicJob(job), cancelled: false };
+        }
+
+        finish(job, 'cancelled');
+        log(`[${job.sessionId}] Envio cancelado: ${job.id}`);
+        return { job: publicJob(job), cancelled: true };
+    }
+
+    // Aguarda o job terminar (enviado, falhou ou cancelado) até o tempo limite
+    function waitFor(id, timeoutMs) {
+        const job = jobs.find(j => j.id === id);
+        if (!job || FINAL_STATUSES.includes(job.status)) {
+            return Promise.resolve(job ? publicJob(job) : null);
+        }
+
+        return new Promise(resolve => {
+            const onDone = finished => {
+                clearTimeout(timeout);
+                resolve(finished);
+            };
+            const timeout = setTimeout(() => {
+                notifier.off(id, onDone);
+                resolve(get(id));
+            }, timeoutMs);
+            notifier.once(id, onDone);
+        });
+    }
+
+    function pendingCount(sessionId) {
+        return jobs.filter(job => PENDING_STATUSES.includes(job.status) && (!sessionId || job.sessionId === sessionId)).length;
+    }
+
+    function start() {
+        if (timer) return;
+        log(`Fila de envio: ${pendingCount()} jobs pendentes`);
+        timer = setInterval(tick, TICK_INTERVAL);
+        timer.unref();
+    }
+
+    return { enqueue, get, list, cancel, waitFor, pendingCount, start, flush };
+}
+
+module.exports = { createSendQueue };
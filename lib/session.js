@@ -0,0 +1,620 @@
+/**
+ * =============================================================
+ * SESSÃO WHATSAPP
+ * =============================================================
+ *
+ * Cada sessão é um número conectado: tem sua própria pasta de
+ * credenciais, seu socket Baileys, seu QR (ou código de pareamento),
+ * seu status, seu laço de reconexão, seu histórico de mensagens
+ * (recebidas, enviadas pela API e enviadas pelo celular, com o status
+ * de entrega das enviadas, edições, exclusões e reações), seu índice
+ * de contatos e conversas e a presença dos contatos assinados.
+ * =============================================================
+ */
+
+const QRCode = require('qrcode');
+const { getBackend } = require('./waBackend');
+const { createMessageStore } = require('./messageStore');
+const { createDirectory } = require('./directory');
+const { useStoreAuthState } = require('./authStore');
+const { statusFromCode, statusFromReceipt, applyStatus, applyReceipt } = require('./messageStatus');
+const { parseMessage } = require('./messageParser');
+const { createPresenceTracker } = require('./presence');
+
+// WAMessageStubType.REVOKE: mensagem apagada para todos (messages.update)
+const STUB_REVOKE = 1;
+
+// Código de desconexão -> nome (connectionLost, loggedOut, restartRequired...)
+function disconnectReasonName(statusCode) {
+    const entry = Object.entries(getBackend().DisconnectReason).find(([, code]) => code === statusCode);
+    return entry ? entry[0] : 'unknown';
+}
+
+// Validade do código de pareamento; depois disso volta a valer só o QR
+const PAIRING_CODE_TTL = 3 * 60 * 1000;
+
+// Histórico de conexão (em memória): conexões, quedas com o motivo, reconexões e logouts
+const HISTORY_EVENTS = ['connection.open', 'connection.close', 'connection.reconnecting', 'session.logout'];
+const HISTORY_SIZE = 50;
+
+// messageTimestamp pode vir como número ou Long (protobuf)
+function toTimestamp(value) {
+    if (!value) return Math.floor(Date.now() / 1000);
+    return typeof value === 'object' && value.toNumber ? value.toNumber() : Number(value);
+}
+
+function createSession({ id, authFolder, authStore, messagesFolder, retentionDays, logger, log, emitEvent, downloadMedia }) {
+    const sessionLog = (message, data, level) => log(`[${id}] ${message}`, data, level);
+    const connectionHistory = [];
+    const emit = (event, data) => {
+        if (HISTORY_EVENTS.includes(event)) {
+            connectionHistory.push({ event, at: new Date().toISOString(), ...data });
+            if (connectionHistory.length > HISTORY_SIZE) connectionHistory.shift();
+        }
+        emitEvent(event, { sessionId: id, ...data });
+    };
+
+    let reconnectTimer = null;
+    let pairingTimer = null;
+    let stopped = false;
+    let loggingOut = false;
+
+    const session = {
+        id,
+        authFolder,
+        authStore,
+        messagesFolder,
+        sock: null,
+        qrCode: null,
+        qrDataUrl: null,
+        pairing: null,
+        status: 'disconnected',
+        lastConnectionTime: null,
+        reconnectAttempts: 0,
+        messageStore: createMessageStore({ folder: messagesFolder, retentionDays, log: sessionLog }),
+        directory: createDirectory({ folder: messagesFolder, log: sessionLog }),
+        presence: createPresenceTracker(),
+        ownPresence: null,
+        connect,
+        sendMessage,
+        markRead,
+        setPresence,
+        sendChatState,
+        simulateTyping,
+        subscribePresence,
+        requestPairingCode,
+        logout,
+        stop,
+        isConnected,
+        getStatus,
+        getHistory
+    };
+
+    function isConnected() {
+        return session.status === 'connected' && !!session.sock;
+    }
+
+    function getStatus() {
+        return {
+            session: id,
+            status: session.status,
+            connected: isConnected(),
+            hasQR: !!session.qrCode,
+            pairing: session.pairing
+                ? { phone: session.pairing.phone, expiresAt: session.pairing.expiresAt }
+                : null,
+            user: session.sock?.user || null,
+            lastConnection: session.lastConnectionTime,
+            reconnectAttempts: session.reconnectAttempts,
+            lastDisconnect: lastOf('connection.close'),
+            messagesCount: session.messageStore.count()
+        };
+    }
+
+    function lastOf(event) {
+        const entry = [...connectionHistory].reverse().find(item => item.event === event);
+        return entry ? { at: entry.at, reason: entry.reason, statusCode: entry.statusCode } : null;
+    }
+
+    // Mais recentes primeiro
+    function getHistory() {
+        return [...connectionHistory].reverse();
+    }
+
+    // Descarta o código de pareamento (expirado, conectado ou socket encerrado)
+    function clearPairing(reason) {
+        if (pairingTimer) {
+            clearTimeout(pairingTimer);
+            pairingTimer = null;
+        }
+        if (!session.pairing) return;
+
+        session.pairing = null;
+        if (session.status === 'waiting_pairing') {
+            session.status = session.qrCode ? 'waiting_qr' : 'disconnected';
+        }
+        if (reason) {
+            sessionLog(`Código de pareamento descartado (${reason}). Use o QR Code ou peça outro código`);
+            emit('connection.pairing_expired', { reason });
+        }
+    }
+
+    // Login pelo número: o WhatsApp do celular pede o código em
+    // "Dispositivos conectados > Conectar com número de telefone"
+    async function requestPairingCode(phone) {
+        const digits = String(phone).replace(/\D/g, '');
+        const code = await session.sock.requestPairingCode(digits);
+
+        clearPairing();
+        const now = Date.now();
+        session.pairing = {
+            phone: digits,
+            code,
+            requestedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + PAIRING_CODE_TTL).toISOString()
+        };
+        session.status = 'waiting_pairing';
+        pairingTimer = setTimeout(() => clearPairing('expirado'), PAIRING_CODE_TTL);
+
+        sessionLog(`Código de pareamento gerado para ${digits}`);
+        // O código é credencial de login: fica só na resposta de /pairing-code (admin)
+        emit('connection.pairing_code', { phone: digits, expiresAt: session.pairing.expiresAt });
+        return session.pairing;
+    }
+
+    function scheduleReconnect(message) {
+        if (stopped) return;
+        session.reconnectAttempts++;
+        const delay = Math.min(5000 * session.reconnectAttempts, 60000);
+        sessionLog(`${message} em ${delay / 1000}s (tentativa ${session.reconnectAttempts})`);
+        emit('connection.reconnecting', { attempt: session.reconnectAttempts, delayMs: delay });
+        reconnectTimer = setTimeout(connect, delay);
+    }
+
+    async function clearCredentials() {
+        try {
+            await authStore.clear();
+        } catch (e) {
+            sessionLog('Erro ao limpar credenciais:', e.message);
+        }
+    }
+
+    function senderOf(key) {
+        return key.fromMe
+            ? (session.sock?.user?.id || null)
+            : (key.participant || key.remoteJid);
+    }
+
+    // notify: mensagens novas; append: enviadas por outro aparelho do número
+    // e ecos das enviadas pela API (essas já estão gravadas)
+    async function handleIncoming({ messages: newMessages, type }) {
+        if (type !== 'notify' && type !== 'append') return;
+
+        for (const msg of newMessages) {
+            if (!msg.message || !msg.key?.id) continue;
+
+            const parsed = parseMessage(msg.message);
+            if (!parsed) continue;
+
+            if (parsed.kind !== 'message') {
+                applyAction(parsed, msg.key);
+                continue;
+            }
+
+            // Reentregas da mesma mensagem não são gravadas nem notificadas de novo
+            if (session.messageStore.get(msg.key.id)) continue;
+
+            let mediaInfo = null;
+            if (parsed.isMedia) {
+                mediaInfo = await downloadMedia(msg, parsed.type, parsed.content);
+            }
+
+            const messageData = {
+                id: msg.key.id,
+                from: msg.key.remoteJid,
+                sender: senderOf(msg.key),
+                // Conversas com LID (número oculto): o Baileys informa o JID do telefone à parte
+                ...(msg.key.senderPn ? { senderPn: msg.key.senderPn } : {}),
+                fromMe: !!msg.key.fromMe,
+                timestamp: toTimestamp(msg.messageTimestamp),
+                type: parsed.type,
+                text: parsed.text,
+                content: parsed.content,
+                quoted: parsed.quoted,
+                mentions: parsed.mentions,
+                forwarded: parsed.forwarded,
+                viewOnce: parsed.viewOnce,
+                ephemeral: parsed.ephemeral,
+                media: mediaInfo,
+                pushName: msg.pushName || ''
+            };
+
+            session.messageStore.add(messageData);
+            session.directory.recordMessage(messageData);
+
+            if (type !== 'notify') continue;
+
+            sessionLog(`Nova mensagem de ${messageData.from}: ${messageData.text || `[${messageData.type}]`}`);
+
+            emit('message.received', messageData);
+        }
+    }
+
+    // Reação, edição ou exclusão recebida: altera a mensagem original e notifica
+    function applyAction(action, key) {
+        const sender = senderOf(key);
+        const base = { messageId: action.targetId, chat: key.remoteJid, sender, fromMe: !!key.fromMe };
+
+        if (action.kind === 'reaction') {
+            applyReaction(action.targetId, sender, action.emoji);
+            emit('message.reaction', { ...base, emoji: action.emoji || null });
+        } else if (action.kind === 'edit') {
+            const edited = applyEdit(action.targetId, action.text, action.content);
+            if (edited) emit('message.edited', { ...base, text: edited.text, originalText: edited.originalText });
+        } else if (action.kind === 'revoke') {
+            if (applyRevoke(action.targetId)) emit('message.deleted', base);
+        }
+    }
+
+    function applyReaction(id, reactorJid, emoji) {
+        const message = session.messageStore.get(id);
+        if (!message) return null;
+
+        const reactions = { ...(message.reactions || {}) };
+        if (emoji) {
+            reactions[reactorJid] = emoji;
+        } else {
+            delete reactions[reactorJid];
+        }
+        return session.messageStore.update(id, { reactions });
+    }
+
+    // A edição chega duas vezes (messages.upsert e messages.update): a repetida é ignorada
+    function applyEdit(id, text, content = null) {
+        const message = session.messageStore.get(id);
+        if (!message || (message.editedAt && message.text === text)) return null;
+
+        return session.messageStore.update(id, {
+            text,
+            ...(content ? { content: { ...(message.content || {}), ...content } } : {}),
+            originalText: message.originalText ?? message.text,
+            editedAt: new Date().toISOString()
+        });
+    }
+
+    function applyRevoke(id) {
+        const message = session.messageStore.get(id);
+        if (!message || message.deleted) return null;
+        return session.messageStore.update(id, { deleted: true, deletedAt: new Date().toISOString() });
+    }
+
+    // Envia pelo socket e grava a mensagem para acompanhar o status de entrega
+    async function sendMessage(jid, content, options) {
+        const sent = await session.sock.sendMessage(jid, content, options);
+        if (!sent?.key?.id || !sent.message) {
+            return sent;
+        }
+
+        // Reações, edições e exclusões alteram a mensagem original em vez de criar outra
+        if (content.react) {
+            applyReaction(content.react.key.id, session.sock.user?.id || 'me', content.react.text);
+            return sent;
+        }
+        if (content.edit) {
+            applyEdit(content.edit.id, content.text);
+            return sent;
+        }
+        if (content.delete) {
+            applyRevoke(content.delete.id);
+            return sent;
+        }
+
+        const parsed = parseMessage(sent.message);
+        const status = statusFromCode(sent.status) || 'pending';
+
+        const stored = session.messageStore.add({
+            id: sent.key.id,
+            from: sent.key.remoteJid,
+            sender: session.sock.user?.id || null,
+            fromMe: true,
+            timestamp: toTimestamp(sent.messageTimestamp),
+            type: parsed?.type || Object.keys(sent.message)[0],
+            text: parsed?.text || '',
+            content: parsed?.content || null,
+            quoted: parsed?.quoted || null,
+            mentions: parsed?.mentions || [],
+            media: null,
+            pushName: '',
+            status,
+            statusHistory: [{ status, at: new Date().toISOString() }]
+        });
+        session.directory.recordMessage(stored);
+
+        return sent;
+    }
+
+    // Recibo de leitura (tique azul) das mensagens recebidas de uma conversa. Sem ids,
+    // marca as não lidas (as últimas unreadCount recebidas) e zera o contador
+    async function markRead(jid, messageIds = null) {
+        let messages;
+        if (messageIds) {
+            messages = messageIds
+                .map(id => session.messageStore.get(id))
+                .filter(message => message && message.from === jid && !message.fromMe);
+        } else {
+            const unread = session.directory.getChat(jid)?.unreadCount || 0;
+            messages = unread > 0
+                ? session.messageStore.query({ chat: jid, fromMe: false, limit: unread }).messages
+                : [];
+        }
+
+        if (messages.length > 0) {
+            await session.sock.readMessages(messages.map(message => ({
+                remoteJid: jid,
+                id: message.id,
+                fromMe: false,
+                ...(message.sender && message.sender !== jid ? { participant: message.sender } : {})
+            })));
+        }
+
+        session.directory.markRead(jid, messageIds ? messages.length : null);
+        emit('chat.read', { jid, messageIds: messages.map(message => message.id) });
+        return messages.map(message => message.id);
+    }
+
+    // Presença da própria conta (available ou unavailable), reaplicada nas reconexões
+    async function setPresence(presence) {
+        await session.sock.sendPresenceUpdate(presence);
+        session.ownPresence = presence;
+    }
+
+    // Digitando, gravando áudio ou parado (composing, recording, paused) numa conversa
+    async function sendChatState(jid, state) {
+        await session.sock.sendPresenceUpdate(state, jid);
+    }
+
+    async function subscribePresence(jid) {
+        await session.sock.presenceSubscribe(jid);
+        session.presence.subscribe(jid);
+    }
+
+    // Mostra "digitando..." (ou "gravando áudio...") por alguns instantes antes de um
+    // envio. Uma falha aqui só é registrada: o envio segue normalmente
+    async function simulateTyping(jid, ms, state = 'composing') {
+        try {
+            await sendChatState(jid, state);
+            await new Promise(resolve => setTimeout(resolve, ms));
+            await sendChatState(jid, 'paused');
+        } catch (error) {
+            sessionLog(`Erro ao simular digitação para ${jid}:`, error.message);
+        }
+    }
+
+    // Assinaturas de presença e a presença escolhida não sobrevivem à reconexão
+    async function restorePresence() {
+        try {
+            if (session.ownPresence) await session.sock.sendPresenceUpdate(session.ownPresence);
+            for (const jid of session.presence.subscriptions()) {
+                await session.sock.presenceSubscribe(jid);
+            }
+        } catch (error) {
+            sessionLog('Erro ao restaurar presença:', error.message);
+        }
+    }
+
+    function notifyStatus(message) {
+        emit('message.status', {
+            messageId: message.id,
+            to: message.from,
+            status: message.status,
+            statusHistory: message.statusHistory
+        });
+    }
+
+    // messages.update traz o status agregado (ack do servidor, entregue, lido...),
+    // edições (editedMessage) e exclusões para todos (stub REVOKE)
+    function handleUpdates(updates) {
+        for (const { key, update } of updates) {
+            if (update.messageStubType === STUB_REVOKE) {
+                applyAction({ kind: 'revoke', targetId: key.id }, key);
+                continue;
+            }
+
+            if (update.message?.editedMessage) {
+                const parsed = parseMessage(update.message);
+                if (parsed?.kind === 'message') {
+                    applyAction({ kind: 'edit', targetId: key.id, text: parsed.text, content: parsed.content }, key);
+                } else if (parsed?.kind === 'edit') {
+                    applyAction(parsed, key);
+                }
+                continue;
+            }
+
+            if (!key.fromMe || update.status === undefined || update.status === null) continue;
+
+            const changed = applyStatus(session.messageStore, key.id, statusFromCode(update.status));
+            if (changed) notifyStatus(changed);
+        }
+    }
+
+    // message-receipt.update traz o recibo de cada destinatário
+    function handleReceipts(receipts) {
+        for (const { key, receipt } of receipts) {
+            if (!key.fromMe) continue;
+
+            applyReceipt(session.messageStore, key.id, receipt.userJid, receipt);
+
+            const changed = applyStatus(session.messageStore, key.id, statusFromReceipt(receipt));
+            if (changed) notifyStatus(changed);
+        }
+    }
+
+    async function connect() {
+        if (stopped) return;
+        reconnectTimer = null;
+        loggingOut = false;
+
+        try {
+            sessionLog('Iniciando conexão WhatsApp...');
+
+            // Baileys ou o backend simulado (WA_MODE=mock)
+            const {
+                default: makeWASocket,
+                DisconnectReason,
+                fetchLatestBaileysVersion,
+                makeCacheableSignalKeyStore
+            } = getBackend();
+            const { state, saveCreds } = await useStoreAuthState(authStore);
+            const { version } = await fetchLatestBaileysVersion();
+
+            const sock = makeWASocket({
+                version,
+                auth: {
+                    creds: state.creds,
+                    keys: makeCacheableSignalKeyStore(state.keys, logger)
+                },
+                printQRInTerminal: true,
+                logger,
+                browser: ['VoxyAI CRM', 'Chrome', '120.0.0'],
+                connectTimeoutMs: 60000,
+                defaultQueryTimeoutMs: 60000,
+                keepAliveIntervalMs: 30000,
+                retryRequestDelayMs: 500
+            });
+            session.sock = sock;
+
+            // Evento de atualização de conexão
+            sock.ev.on('connection.update', async (update) => {
+                const { connection, lastDisconnect, qr } = update;
+
+                if (qr) {
+                    session.qrCode = qr;
+                    session.status = session.pairing ? 'waiting_pairing' : 'waiting_qr';
+                    session.qrDataUrl = await QRCode.toDataURL(qr);
+                    sessionLog('Novo QR Code gerado');
+                    emit('connection.qr', { qr, qrDataUrl: session.qrDataUrl });
+                }
+
+                if (connection === 'open') {
+                    session.status = 'connected';
+                    session.lastConnectionTime = new Date();
+                    session.reconnectAttempts = 0;
+                    session.qrCode = null;
+                    session.qrDataUrl = null;
+                    clearPairing();
+                    sessionLog('WhatsApp conectado com sucesso!');
+                    emit('connection.open', { user: sock.user || null });
+                    restorePresence();
+                }
+
+                if (connection === 'close') {
+                    const statusCode = lastDisconnect?.error?.output?.statusCode;
+                    const shouldReconnect = statusCode !== DisconnectReason.loggedOut && !stopped;
+
+                    sessionLog(`Conexão fechada. Código: ${statusCode}. Reconectar: ${shouldReconnect}`);
+
+                    // Depois de parear, o WhatsApp pede um restart: o código já foi usado.
+                    // Em qualquer outro fechamento o código deixa de valer com o socket.
+                    clearPairing(statusCode === DisconnectReason.restartRequired ? null : 'conexão encerrada');
+                    session.status = 'disconnected';
+                    emit('connection.close', {
+                        statusCode: statusCode || null,
+                        reason: disconnectReasonName(statusCode),
+                        reconnect: shouldReconnect
+                    });
+
+                    if (shouldReconnect) {
+                        scheduleReconnect('Tentando reconectar');
+                    } else if (statusCode === DisconnectReason.loggedOut && !loggingOut) {
+                        sessionLog('Logout manual - limpando credenciais');
+                        emit('session.logout', { source: 'device' });
+                        clearCredentials();
+                    }
+                }
+            });
+
+            // Salva credenciais
+            sock.ev.on('creds.update', saveCreds);
+
+            // Recebe mensagens
+            sock.ev.on('messages.upsert', handleIncoming);
+
+            // Status de entrega das mensagens enviadas
+            sock.ev.on('messages.update', handleUpdates);
+            sock.ev.on('message-receipt.update', handleReceipts);
+
+            // Contatos e conversas (inclui o histórico enviado pelo celular ao conectar)
+            sock.ev.on('contacts.upsert', session.directory.handleContacts);
+            sock.ev.on('contacts.update', session.directory.handleContacts);
+            sock.ev.on('chats.upsert', session.directory.handleChats);
+            sock.ev.on('chats.update', session.directory.handleChatUpdates);
+            sock.ev.on('chats.delete', session.directory.handleChatsDelete);
+            sock.ev.on('messaging-history.set', session.directory.handleHistory);
+
+            // Presença dos contatos assinados (online, digitando, visto por último)
+            sock.ev.on('presence.update', update => {
+                session.presence.handleUpdate(update).forEach(entry => emit('presence.update', entry));
+            });
+
+            // Eventos de grupos
+            sock.ev.on('group-participants.update', ({ id: groupJid, author, participants, action }) => {
+                sessionLog(`Grupo ${groupJid}: ${action} ${participants.join(', ')}`);
+                emit('group.participants', { jid: groupJid, author: author || null, participants, action });
+            });
+            sock.ev.on('groups.update', updates => {
+                updates.forEach(({ id: groupJid, ...changes }) => {
+                    if (changes.subject) session.directory.handleChatUpdates([{ id: groupJid, name: changes.subject }]);
+                    emit('group.update', { jid: groupJid, changes });
+                });
+            });
+            sock.ev.on('groups.upsert', groups => {
+                groups.forEach(group => {
+                    session.directory.handleChats([{ id: group.id, name: group.subject }]);
+                    emit('group.joined', { jid: group.id, subject: group.subject });
+                });
+            });
+
+        } catch (error) {
+            sessionLog('Erro na conexão:', error.message);
+            session.status = 'error';
+            scheduleReconnect('Tentando novamente');
+        }
+    }
+
+    async function logout() {
+        // O close com loggedOut disparado por sock.logout() não deve repetir a limpeza
+        loggingOut = true;
+        if (session.sock) {
+            await session.sock.logout();
+        }
+
+        session.status = 'disconnected';
+        session.qrCode = null;
+        session.qrDataUrl = null;
+        clearPairing();
+
+        // Limpa credenciais
+        await clearCredentials();
+
+        sessionLog('Logout realizado com sucesso');
+        emit('session.logout', { source: 'api' });
+    }
+
+    // Encerra o socket sem deslogar e impede novas reconexões
+    function stop() {
+        stopped = true;
+        clearPairing();
+        session.directory.flush();
+        if (reconnectTimer) {
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+        }
+        if (session.sock) {
+            session.sock.end();
+        }
+    }
+
+    return session;
+}
+
+module.exports = { createSession };
@@ -0,0 +1,129 @@
+/**
+ * =============================================================
+ * GERENCIADOR DE SESSÕES
+ * =============================================================
+ *
+ * Mantém o registro das sessões nomeadas em DATA_FOLDER/sessions.json.
+ * A sessão "default" sempre existe e continua usando as pastas
+ * originais (auth_info e messages) para manter compatibilidade com
+ * instalações anteriores. As demais ficam em DATA_FOLDER/sessions/<id>.
+ * =============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJson } = require('./jsonFile');
+const { createSession } = require('./session');
+
+const DEFAULT_SESSION = 'default';
+const SESSION_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+function createSessionManager({ dataFolder, defaultAuthFolder, defaultMessagesFolder, createAuthStore, sessionOptions, log }) {
+    const registryFile = path.join(dataFolder, 'sessions.json');
+    const sessionsFolder = path.join(dataFolder, 'sessions');
+    const sessions = new Map();
+    let registry = readJson(registryFile, []);
+
+    function foldersFor(id) {
+        if (id === DEFAULT_SESSION) {
+            return { authFolder: defaultAuthFolder, messagesFolder: defaultMessagesFolder };
+        }
+        const base = path.join(sessionsFolder, id);
+        return {
+            baseFolder: base,
+            authFolder: path.join(base, 'auth_info'),
+            messagesFolder: path.join(base, 'messages')
+        };
+    }
+
+    function instantiate(id) {
+        const { authFolder, messagesFolder } = foldersFor(id);
+        fs.mkdirSync(authFolder, { recursive: true });
+
+        const authStore = createAuthStore({ sessionId: id, folder: authFolder });
+
+        const session = createSession({ ...sessionOptions, id, authFolder, authStore, messagesFolder, log });
+        sessions.set(id, session);
+        return session;
+    }
+
+    function get(id) {
+        return sessions.get(id) || null;
+    }
+
+    function getDefault() {
+        return sessions.get(DEFAULT_SESSION);
+    }
+
+    function list() {
+        return [...sessions.values()];
+    }
+
+    function isValidId(id) {
+        return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+    }
+
+    function create(id) {
+        const session = instantiate(id);
+        registry.push({ id, createdAt: new Date().toISOString() });
+        writeJson(registryFile, registry);
+
+        log(`Sessão criada: ${id}`);
+        session.connect();
+        return session;
+    }
+
+    // Desconecta o número (logout no aparelho) e apaga os dados da sessão
+    async function remove(id) {
+        const session = sessions.get(id);
+        if (!session) return false;
+
+        if (session.isConnected()) {
+            try {
+                await session.logout();
+            } catch (error) {
+                log(`Erro ao deslogar sessão ${id}:`, error.message, 'error');
+            }
+        }
+        session.stop();
+        sessions.delete(id);
+
+        try {
+            await session.authStore.clear();
+        } catch (error) {
+            log(`Erro ao apagar credenciais da sessão ${id}:`, error.message, 'error');
+        }
+
+        registry = registry.filter(entry => entry.id !== id);
+        writeJson(registryFile, registry);
+
+        fs.rmSync(foldersFor(id).baseFolder, { recursive: true, force: true });
+        log(`Sessão removida: ${id}`);
+        return true;
+    }
+
+    // Recria a sessão a partir do que está gravado (após restaurar um backup) e reconecta
+    function reload(id) {
+        const current = sessions.get(id);
+        if (current) current.stop();
+
+        const session = instantiate(id);
+        session.connect();
+        return session;
+    }
+
+    function startAll() {
+        sessions.forEach(session => session.connect());
+    }
+
+    function stopAll() {
+        sessions.forEach(session => session.stop());
+    }
+
+    instantiate(DEFAULT_SESSION);
+    registry.forEach(entry => instantiate(entry.id));
+
+    return { get, getDefault, list, isValidId, create, remove, reload, startAll, stopAll };
+}
+
+module.exports = { createSessionManager, DEFAULT_SESSION };
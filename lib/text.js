@@ -0,0 +1,25 @@
+/**
+ * Utilidades de texto: normalização para buscas (sem acentos e em
+ * minúsculas) e templates com {{variaveis}}.
+ */
+
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+// "Olá {{nome}}" + { Nome: 'Ana' } => "Olá Ana". Nomes sem diferenciar maiúsculas/acentos;
+// variáveis ausentes viram texto vazio.
+function renderTemplate(template, variables = {}) {
+    return String(template || '').replace(/\{\{\s*([^{}\s]+)\s*\}\}/g, (match, name) => {
+        const key = name in variables
+            ? name
+            : Object.keys(variables).find(candidate => normalizeText(candidate) === normalizeText(name));
+        const value = variables[key];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+module.exports = { normalizeText, renderTemplate };
@@ -0,0 +1,261 @@
+/**
+ * =============================================================
+ * TRANSCODIFICAÇÃO DE MÍDIA (FFMPEG)
+ * =============================================================
+ *
+ * Prepara a mídia de saída no formato que o WhatsApp espera:
+ *
+ * - Áudio de voz (ptt): Opus/OGG mono, com duração e forma de onda
+ * - Áudio comum: MP3, com duração
+ * - Vídeo: H.264/AAC em MP4 (faststart), reduzido até o limite de tamanho
+ * - Miniaturas JPEG para vídeos e imagens
+ *
+ * Usa o ffmpeg/ffprobe instalados no container (ver Dockerfile). Sem
+ * eles, a mídia segue como veio, como nas versões anteriores.
+ * =============================================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE = process.env.FFPROBE_PATH || 'ffprobe';
+const PROCESS_TIMEOUT = 5 * 60 * 1000;
+const WAVEFORM_BARS = 64;
+const THUMBNAIL_WIDTH = 320;
+const AUDIO_BITRATE = 128000;
+
+let available = null;
+
+function isAvailable() {
+    if (available === null) {
+        const ffmpeg = spawnSync(FFMPEG, ['-version'], { stdio: 'ignore' });
+        const ffprobe = spawnSync(FFPROBE, ['-version'], { stdio: 'ignore' });
+        available = ffmpeg.status === 0 && ffprobe.status === 0;
+    }
+    return available;
+}
+
+// Erro de mídia inválida: a fila não deve repetir o envio
+function invalidMedia(message) {
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+}
+
+function run(command, args, { binaryOutput = false } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        const stdout = [];
+        let stderr = '';
+
+        const timer = setTimeout(() => child.kill('SIGKILL'), PROCESS_TIMEOUT);
+
+        child.stdout.on('data', chunk => stdout.push(chunk));
+        child.stderr.on('data', chunk => {
+            stderr = (stderr + chunk).slice(-2000);
+        });
+        child.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        child.on('close', code => {
+            clearTimeout(timer);
+            if (code !== 0) {
+                const lastLine = stderr.trim().split('\n').pop();
+                return reject(invalidMedia(`${path.basename(command)} falhou: ${lastLine || `código ${code}`}`));
+            }
+            const output = Buffer.concat(stdout);
+            resolve(binaryOutput ? output : output.toString('utf8'));
+        });
+    });
+}
+
+async function withTempFiles(buffer, callback) {
+    const base = path.join(os.tmpdir(), `wa_${crypto.randomBytes(8).toString('hex')}`);
+    const input = `${base}_in`;
+    fs.writeFileSync(input, buffer);
+
+    try {
+        return await callback(input, suffix => `${base}_${suffix}`);
+    } finally {
+        fs.readdirSync(os.tmpdir())
+            .filter(file => file.startsWith(path.basename(base)))
+            .forEach(file => fs.rmSync(path.join(os.tmpdir(), file), { force: true }));
+    }
+}
+
+async function probe(file) {
+    let output;
+    try {
+        output = await run(FFPROBE, ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', file]);
+    } catch (error) {
+        throw invalidMedia('Formato de mídia não reconhecido');
+    }
+
+    const info = JSON.parse(output);
+    const streams = info.streams || [];
+    const video = streams.find(s => s.codec_type === 'video' && s.disposition?.attached_pic !== 1);
+    const audio = streams.find(s => s.codec_type === 'audio');
+
+    return {
+        format: info.format?.format_name || '',
+        duration: parseFloat(info.format?.duration) || 0,
+        video: video ? { codec: video.codec_name, width: video.width, height: video.height } : null,
+        audio: audio ? { codec: audio.codec_name } : null
+    };
+}
+
+// 64 barras (0-100) com o pico de cada trecho, no formato esperado pelo WhatsApp
+async function computeWaveform(file) {
+    const pcm = await run(FFMPEG, ['-v', 'error', '-i', file, '-ac', '1', '-ar', '8000', '-f', 's16le', '-'], { binaryOutput: true });
+    const samples = Math.floor(pcm.length / 2);
+    const perBar = Math.max(1, Math.floor(samples / WAVEFORM_BARS));
+    const peaks = [];
+
+    for (let bar = 0; bar < WAVEFORM_BARS; bar++) {
+        let peak = 0;
+        const end = Math.min(samples, (bar + 1) * perBar);
+        for (let i = bar * perBar; i < end; i++) {
+            peak = Math.max(peak, Math.abs(pcm.readInt16LE(i * 2)));
+        }
+        peaks.push(peak);
+    }
+
+    const max = Math.max(...peaks, 1);
+    return new Uint8Array(peaks.map(peak => Math.round((peak / max) * 100)));
+}
+
+async function toVoiceNote(buffer) {
+    return withTempFiles(buffer, async (input, temp) => {
+        const info = await probe(input);
+        if (!info.audio) throw invalidMedia('O arquivo enviado não contém áudio');
+
+        let file = input;
+        if (!(info.audio.codec === 'opus' && info.format.includes('ogg') && !info.video)) {
+            file = temp('voice.ogg');
+            await run(FFMPEG, [
+                '-v', 'error', '-y', '-i', input,
+                '-vn', '-ac', '1', '-ar', '48000',
+                '-c:a', 'libopus', '-b:a', '32k', '-application', 'voip',
+                '-f', 'ogg', file
+            ]);
+        }
+
+        const output = file === input ? buffer : fs.readFileSync(file);
+        const { duration } = file === input ? info : await probe(file);
+
+        return {
+            buffer: output,
+            mimetype: 'audio/ogg; codecs=opus',
+            seconds: Math.round(duration),
+            waveform: await computeWaveform(file)
+        };
+    });
+}
+
+async function toAudio(buffer) {
+    return withTempFiles(buffer, async (input, temp) => {
+        const info = await probe(input);
+        if (!info.audio) throw invalidMedia('O arquivo enviado não contém áudio');
+
+        // MP3 e AAC (m4a) já são reproduzidos como áudio comum
+        if (!info.video && info.audio.codec === 'mp3') {
+            return { buffer, mimetype: 'audio/mpeg', seconds: Math.round(info.duration) };
+        }
+        if (!info.video && info.audio.codec === 'aac' && info.format.includes('mp4')) {
+            return { buffer, mimetype: 'audio/mp4', seconds: Math.round(info.duration) };
+        }
+
+        const output = temp('audio.mp3');
+        await run(FFMPEG, [
+            '-v', 'error', '-y', '-i', input,
+            '-vn', '-c:a', 'libmp3lame', '-b:a', '128k',
+            '-f', 'mp3', output
+        ]);
+
+        return { buffer: fs.readFileSync(output), mimetype: 'audio/mpeg', seconds: Math.round(info.duration) };
+    });
+}
+
+async function encodeVideo(input, output, videoBitrate) {
+    const rate = videoBitrate
+        ? ['-b:v', `${Math.floor(videoBitrate / 1000)}k`, '-maxrate', `${Math.floor(videoBitrate / 1000)}k`, '-bufsize', `${Math.floor(videoBitrate / 500)}k`]
+        : ['-crf', '28'];
+
+    await run(FFMPEG, [
+        '-v', 'error', '-y', '-i', input,
+        '-c:v', 'libx264', '-profile:v', 'main', '-pix_fmt', 'yuv420p', '-preset', 'veryfast', ...rate,
+        // Limita a 1280px no maior lado e mantém dimensões pares (exigência do H.264)
+        '-vf', "scale='if(gt(iw,ih),min(1280,iw),-2)':'if(gt(iw,ih),-2,min(1280,ih))'",
+        '-c:a', 'aac', '-b:a', '128k', '-ac', '2',
+        '-movflags', '+faststart', '-f', 'mp4', output
+    ]);
+}
+
+async function makeThumbnail(input, output, seekSeconds) {
+    const seek = seekSeconds > 0 ? ['-ss', String(seekSeconds)] : [];
+    await run(FFMPEG, [
+        '-v', 'error', '-y', ...seek, '-i', input,
+        '-frames:v', '1', '-vf', `scale=${THUMBNAIL_WIDTH}:-2`,
+        '-q:v', '5', '-f', 'image2', '-c:v', 'mjpeg', output
+    ]);
+    return fs.readFileSync(output);
+}
+
+async function toVideo(buffer, { maxBytes }) {
+    return withTempFiles(buffer, async (input, temp) => {
+        const info = await probe(input);
+        if (!info.video) throw invalidMedia('O arquivo enviado não contém vídeo');
+
+        const compatible = info.format.includes('mp4') &&
+            info.video.codec === 'h264' &&
+            (!info.audio || info.audio.codec === 'aac') &&
+            Math.max(info.video.width, info.video.height) <= 1280 &&
+            buffer.length <= maxBytes;
+
+        let file = input;
+        if (!compatible) {
+            file = temp('video.mp4');
+            await encodeVideo(input, file);
+
+            // Segunda passada com bitrate calculado para caber no limite
+            if (fs.statSync(file).size > maxBytes && info.duration > 0) {
+                const videoBitrate = (maxBytes * 8 * 0.9) / info.duration - AUDIO_BITRATE;
+                if (videoBitrate < 100000) {
+                    throw invalidMedia(`Vídeo longo demais para o limite de ${Math.round(maxBytes / 1048576)}MB`);
+                }
+                await encodeVideo(input, file, videoBitrate);
+            }
+
+            if (fs.statSync(file).size > maxBytes) {
+                throw invalidMedia(`Vídeo excede o limite de ${Math.round(maxBytes / 1048576)}MB`);
+            }
+        }
+
+        const output = file === input ? buffer : fs.readFileSync(file);
+        const final = file === input ? info : await probe(file);
+
+        return {
+            buffer: output,
+            mimetype: 'video/mp4',
+            seconds: Math.round(final.duration),
+            width: final.video.width,
+            height: final.video.height,
+            jpegThumbnail: await makeThumbnail(file, temp('thumb.jpg'), final.duration >= 2 ? 1 : 0)
+        };
+    });
+}
+
+async function imageThumbnail(buffer) {
+    return withTempFiles(buffer, async (input, temp) => {
+        const info = await probe(input);
+        if (!info.video) throw invalidMedia('O arquivo enviado não é uma imagem');
+        return makeThumbnail(input, temp('thumb.jpg'), 0);
+    });
+}
+
+module.exports = { isAvailable, probe, toVoiceNote, toAudio, toVideo, imageThumbnail };
@@ -0,0 +1,364 @@
+/**
+ * =============================================================
+ * EXPORTAÇÃO DE CONVERSAS (TRANSCRIÇÃO)
+ * =============================================================
+ *
+ * Histórico de uma conversa (ou de todas, num período) em formato
+ * legível para auditoria e disputas com clientes:
+ *
+ * - json: metadados da exportação + lista de mensagens normalizadas
+ * - csv: uma linha por mensagem (abre no Excel)
+ * - html: página única, sem dependências externas, pronta para imprimir
+ * - zip: transcrição em HTML e JSON + os arquivos de mídia citados
+ *   (pasta media/, com links relativos na transcrição)
+ *
+ * Cada mensagem traz o nome do remetente, data/hora no fuso pedido,
+ * a mensagem citada, a mídia (link assinado ou arquivo do ZIP),
+ * edições, exclusões e reações.
+ *
+ * Tudo é escrito em streaming, mensagem por mensagem, respeitando o
+ * backpressure da resposta: exportações grandes não ocupam memória.
+ * =============================================================
+ */
+
+const { PassThrough } = require('stream');
+const { createZipWriter, writeTo } = require('./zip');
+const { toCsvRow } = require('./csv');
+
+const FORMATS = ['json', 'csv', 'html', 'zip'];
+
+const CONTENT_TYPES = {
+    json: 'application/json; charset=utf-8',
+    csv: 'text/csv; charset=utf-8',
+    html: 'text/html; charset=utf-8',
+    zip: 'application/zip'
+};
+
+const CSV_COLUMNS = [
+    'id', 'chat', 'chatName', 'localTime', 'timestamp', 'sender', 'senderName', 'fromMe', 'type', 'text',
+    'quotedId', 'quotedSender', 'quotedText', 'mediaFile', 'mediaType', 'mediaUrl', 'edited', 'originalText',
+    'deleted', 'reactions', 'status'
+];
+
+// Rótulo dos tipos sem texto (CSV e HTML)
+const TYPE_LABELS = {
+    imageMessage: 'imagem',
+    videoMessage: 'vídeo',
+    ptvMessage: 'vídeo',
+    audioMessage: 'áudio',
+    documentMessage: 'documento',
+    stickerMessage: 'figurinha',
+    locationMessage: 'localização',
+    liveLocationMessage: 'localização em tempo real',
+    contactMessage: 'contato',
+    contactsArrayMessage: 'contatos',
+    pollCreationMessage: 'enquete',
+    pollCreationMessageV2: 'enquete',
+    pollCreationMessageV3: 'enquete',
+    pollUpdateMessage: 'voto em enquete'
+};
+
+// Tipos que valem a pena comprimir dentro do ZIP (o resto já vem comprimido)
+const COMPRESSIBLE = /^(text\/|application\/(json|xml|csv|pdf))/;
+
+const formatters = new Map();
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Unix (segundos) -> "AAAA-MM-DD HH:MM:SS" no fuso informado
+function formatLocalTime(timestamp, timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-CA', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        }));
+    }
+    const parts = Object.fromEntries(formatters.get(timezone).formatToParts(new Date(timestamp * 1000)).map(part => [part.type, part.value]));
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+function phoneOf(jid) {
+    return jid ? jid.split('@')[0].split(':')[0] : '';
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+// Mensagem gravada -> entrada da transcrição
+// mediaLink(media) -> { file, url, available } (link assinado ou caminho dentro do ZIP)
+function toEntry(message, { nameOf, selfName, timezone, mediaLink }) {
+    const sender = message.sender || message.from;
+    const senderName = message.fromMe ? selfName : (nameOf(sender) || message.pushName || phoneOf(sender));
+    const media = message.media ? mediaLink(message.media) : null;
+
+    return {
+        id: message.id,
+        chat: message.from,
+        chatName: nameOf(message.from) || phoneOf(message.from),
+        timestamp: message.timestamp,
+        date: new Date(message.timestamp * 1000).toISOString(),
+        localTime: formatLocalTime(message.timestamp, timezone),
+        sender,
+        senderName,
+        fromMe: !!message.fromMe,
+        type: message.type,
+        text: message.text || '',
+        content: message.content || null,
+        quoted: message.quoted
+            ? {
+                id: message.quoted.id,
+                sender: message.quoted.sender,
+                senderName: message.quoted.sender ? (nameOf(message.quoted.sender) || phoneOf(message.quoted.sender)) : null,
+                text: message.quoted.text || ''
+            }
+            : null,
+        media: media
+            ? {
+                file: media.file,
+                originalName: message.media.originalName || null,
+                mimeType: message.media.mimeType || message.content?.mimetype || null,
+                size: message.media.size ?? null,
+                url: media.url,
+                available: media.available
+            }
+            : null,
+        edited: !!message.editedAt,
+        originalText: message.editedAt ? (message.originalText ?? null) : null,
+        deleted: !!message.deleted,
+        reactions: Object.entries(message.reactions || {}).map(([jid, emoji]) => ({
+            sender: jid,
+            senderName: nameOf(jid) || phoneOf(jid),
+            emoji
+        })),
+        status: message.fromMe ? (message.status || null) : null
+    };
+}
+
+function displayText(entry) {
+    if (entry.text) return entry.text;
+    const label = TYPE_LABELS[entry.type];
+    return label ? `[${label}]` : '';
+}
+
+// ===== Formatos =====
+
+async function writeJson(output, entries, meta) {
+    await writeTo(output, `{"export":${JSON.stringify(meta)},"messages":[`);
+    let total = 0;
+    for (const entry of entries) {
+        await writeTo(output, `${total > 0 ? ',' : ''}\n${JSON.stringify(entry)}`);
+        total++;
+    }
+    await writeTo(output, `\n],"total":${total}}\n`);
+    return total;
+}
+
+async function writeCsv(output, entries) {
+    // BOM: o Excel só reconhece UTF-8 com ele
+    await writeTo(output, `\uFEFF${toCsvRow(Object.fromEntries(CSV_COLUMNS.map(column => [column, column])), CSV_COLUMNS)}`);
+    let total = 0;
+    for (const entry of entries) {
+        await writeTo(output, toCsvRow({
+            ...entry,
+            text: displayText(entry),
+            quotedId: entry.quoted?.id,
+            quotedSender: entry.quoted?.senderName,
+            quotedText: entry.quoted?.text,
+            mediaFile: entry.media?.originalName || entry.media?.file,
+            mediaType: entry.media?.mimeType,
+            mediaUrl: entry.media?.url,
+            reactions: entry.reactions.map(reaction => `${reaction.senderName}: ${reaction.emoji}`).join(' | ')
+        }, CSV_COLUMNS));
+        total++;
+    }
+    return total;
+}
+
+const HTML_STYLE = `
+body{font-family:-apple-system,"Segoe UI",Roboto,Arial,sans-serif;background:#efeae2;color:#111b21;margin:0;padding:24px}
+main{max-width:820px;margin:0 auto}
+header{background:#fff;border-radius:8px;padding:16px 20px;margin-bottom:16px}
+header h1{font-size:20px;margin:0 0 8px}
+header dl{display:grid;grid-template-columns:max-content 1fr;gap:4px 12px;margin:0;font-size:13px}
+header dt{color:#667781}
+.day{text-align:center;margin:16px 0 8px}
+.day span{background:#e1f2fb;border-radius:6px;padding:4px 10px;font-size:12px;color:#54656f}
+.msg{background:#fff;border-radius:8px;padding:8px 12px;margin:6px 0;max-width:75%;box-shadow:0 1px 0.5px rgba(0,0,0,.13);word-wrap:break-word}
+.msg.out{background:#d9fdd3;margin-left:auto}
+.msg .meta{font-size:12px;color:#667781;margin-bottom:4px}
+.msg .meta strong{color:#128c7e}
+.msg .text{white-space:pre-wrap}
+.msg .deleted{font-style:italic;color:#667781}
+.msg blockquote{margin:0 0 6px;padding:4px 8px;border-left:3px solid #06cf9c;background:rgba(0,0,0,.05);border-radius:4px;font-size:13px}
+.msg .media{margin-top:4px;font-size:13px}
+.msg .media img{max-width:100%;border-radius:6px;display:block}
+.msg .notes{font-size:11px;color:#667781;margin-top:4px}
+footer{text-align:center;font-size:12px;color:#667781;margin-top:24px}
+@media print{body{background:#fff}.msg{box-shadow:none;border:1px solid #ddd}}
+`;
+
+function htmlMedia(media, embedImages) {
+    if (!media.available || !media.url) {
+        return `<div class="media">📎 ${escapeHtml(media.originalName || media.file)} <em>(arquivo indisponível)</em></div>`;
+    }
+    const name = escapeHtml(media.originalName || media.file);
+    const url = escapeHtml(media.url);
+    if (embedImages && /^image\//.test(media.mimeType || '')) {
+        return `<div class="media"><a href="${url}"><img src="${url}" alt="${name}"></a></div>`;
+    }
+    return `<div class="media">📎 <a href="${url}">${name}</a>${media.mimeType ? ` (${escapeHtml(media.mimeType)})` : ''}</div>`;
+}
+
+function htmlEntry(entry, { showChat, embedImages }) {
+    const notes = [];
+    if (entry.edited) notes.push(`editada${entry.originalText !== null ? ` (original: "${escapeHtml(entry.originalText)}")` : ''}`);
+    if (entry.reactions.length > 0) {
+        notes.push(entry.reactions.map(reaction => `${escapeHtml(reaction.emoji)} ${escapeHtml(reaction.senderName)}`).join(', '));
+    }
+    if (entry.status) notes.push(escapeHtml(entry.status));
+
+    const body = entry.deleted
+        ? '<div class="deleted">🚫 Mensagem apagada' + (entry.text ? `: <span class="text">${escapeHtml(entry.text)}</span>` : '') + '</div>'
+        : `<div class="text">${escapeHtml(displayText(entry))}</div>`;
+
+    return `<div class="msg ${entry.fromMe ? 'out' : 'in'}" id="m-${escapeHtml(entry.id)}">`
+        + `<div class="meta"><strong>${escapeHtml(entry.senderName)}</strong> · ${escapeHtml(phoneOf(entry.sender))}`
+        + `${showChat ? ` · em ${escapeHtml(entry.chatName)}` : ''} · <time datetime="${entry.date}">${entry.localTime.slice(11)}</time></div>`
+        + (entry.quoted
+            ? `<blockquote><strong>${escapeHtml(entry.quoted.senderName || '')}</strong> ${escapeHtml(entry.quoted.text)}</blockquote>`
+            : '')
+        + body
+        + (entry.media && !entry.deleted ? htmlMedia(entry.media, embedImages) : '')
+        + (notes.length > 0 ? `<div class="notes">${notes.join(' · ')}</div>` : '')
+        + '</div>\n';
+}
+
+// embedImages: imagens exibidas na página (no ZIP, onde o arquivo está ao lado)
+async function writeHtml(output, entries, meta, { embedImages = false } = {}) {
+    const title = meta.chat ? `Conversa com ${meta.chatName}` : 'Conversas exportadas';
+    const period = `${meta.since ? formatLocalTime(meta.since, meta.timezone) : 'início'} até ${meta.until ? formatLocalTime(meta.until, meta.timezone) : 'hoje'}`;
+
+    await writeTo(output, `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<main>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<dl>
+${meta.chat ? `<dt>Contato</dt><dd>${escapeHtml(meta.chatName)} (${escapeHtml(phoneOf(meta.chat))})</dd>\n` : ''}<dt>Número</dt><dd>${escapeHtml(meta.selfName)} (sessão ${escapeHtml(meta.sessionId)})</dd>
+<dt>Período</dt><dd>${escapeHtml(period)}</dd>
+<dt>Fuso horário</dt><dd>${escapeHtml(meta.timezone)}</dd>
+<dt>Exportado em</dt><dd>${escapeHtml(formatLocalTime(Math.floor(Date.parse(meta.generatedAt) / 1000), meta.timezone))}</dd>
+</dl>
+</header>
+`);
+
+    let total = 0;
+    let currentDay = null;
+    for (const entry of entries) {
+        const day = entry.localTime.slice(0, 10);
+        if (day !== currentDay) {
+            currentDay = day;
+            await writeTo(output, `<div class="day"><span>${day.split('-').reverse().join('/')}</span></div>\n`);
+        }
+        await writeTo(output, htmlEntry(entry, { showChat: !meta.chat, embedImages }));
+        total++;
+    }
+
+    await writeTo(output, `<footer>${total} mensage${total === 1 ? 'm' : 'ns'} · gerado por servidor-whatsapp-lite</footer>
+</main>
+</body>
+</html>
+`);
+    return total;
+}
+
+// ===== Exportação =====
+
+// source() devolve as mensagens gravadas em ordem cronológica (chamado uma vez por passada)
+async function exportTranscript(output, { format, source, meta, nameOf, mediaStorage }) {
+    const entriesFrom = mediaLink => (function* () {
+        for (const message of source()) {
+            yield toEntry(message, { nameOf, selfName: meta.selfName, timezone: meta.timezone, mediaLink });
+        }
+    })();
+
+    // Fora do ZIP a mídia vai como link assinado (expira em MEDIA_URL_TTL)
+    const signedLink = media => {
+        const current = mediaStorage.withUrls(media);
+        return { file: current.key || current.filename, url: current.fullUrl, available: !!current.fullUrl };
+    };
+
+    if (format === 'json') return writeJson(output, entriesFrom(signedLink), meta);
+    if (format === 'csv') return writeCsv(output, entriesFrom(signedLink));
+    if (format === 'html') return writeHtml(output, entriesFrom(signedLink), meta);
+
+    // ZIP: transcrições com caminhos relativos + os arquivos da pasta media/
+    const included = new Map();
+    const zipLink = media => {
+        const key = media.key || media.filename;
+        if (!key || !mediaStorage.has(key)) return { file: key || null, url: null, available: false };
+        included.set(key, media.mimeType || '');
+        return { file: key, url: `media/${key}`, available: true };
+    };
+
+    const zip = createZipWriter(output);
+    let total = 0;
+
+    const transcripts = [
+        ['transcricao.html', stream => writeHtml(stream, entriesFrom(zipLink), meta, { embedImages: true })],
+        ['transcricao.json', stream => writeJson(stream, entriesFrom(zipLink), meta)]
+    ];
+
+    for (const [name, write] of transcripts) {
+        const entryStream = new PassThrough();
+        const added = zip.addEntry(name, entryStream);
+        try {
+            total = await write(entryStream);
+            entryStream.end();
+        } catch (error) {
+            entryStream.destroy(error);
+            await added.catch(() => {});
+            throw error;
+        }
+        await added;
+    }
+
+    for (const [key, mimeType] of included) {
+        let input;
+        try {
+            input = await mediaStorage.open(key);
+        } catch (error) {
+            // Removida pela retenção/cota durante a exportação: a transcrição já aponta o arquivo
+            continue;
+        }
+        await zip.addEntry(`media/${key}`, input, { compress: COMPRESSIBLE.test(mimeType) });
+    }
+
+    await zip.finish();
+    return total;
+}
+
+module.exports = { exportTranscript, isValidTimezone, formatLocalTime, FORMATS, CONTENT_TYPES };
@@ -0,0 +1,137 @@
+/**
+ * =============================================================
+ * VALIDAÇÃO DE REQUISIÇÕES
+ * =============================================================
+ *
+ * Valida o corpo das requisições contra um JSON Schema (o mesmo que
+ * aparece na descrição OpenAPI em /openapi.json). Suporta o
+ * subconjunto usado pelas rotas: type, enum, required, properties,
+ * items, anyOf, minLength/maxLength, minimum/maximum, minItems/maxItems
+ * e pattern. "x-error" define a mensagem quando um anyOf falha.
+ *
+ * Em multipart/form-data os campos chegam como texto: números e
+ * booleanos são convertidos só para a validação. O arquivo do campo
+ * "file" entra como a propriedade file.
+ * =============================================================
+ */
+
+const { apiError } = require('./errors');
+
+const TYPE_NAMES = {
+    string: 'texto',
+    number: 'número',
+    integer: 'número inteiro',
+    boolean: 'booleano (true/false)',
+    array: 'lista',
+    object: 'objeto'
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Texto de formulário -> número/booleano, se o schema aceitar esse tipo
+function coerce(value, types) {
+    if (typeof value !== 'string') return value;
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+    if ((types.includes('number') || types.includes('integer')) && value.trim() !== '' && Number.isFinite(Number(value))) {
+        return Number(value);
+    }
+    return value;
+}
+
+function check(schema, value, field, errors, options) {
+    const add = message => errors.push({ field: field || 'body', message: `${field || 'corpo'} ${message}` });
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (options.coerce) value = coerce(value, types);
+        if (!types.some(type => matchesType(value, type))) {
+            add(`deve ser ${types.map(type => TYPE_NAMES[type] || type).join(' ou ')}`);
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        add(`deve ser um destes valores: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            add(schema.minLength === 1 ? 'não pode ser vazio' : `deve ter no mínimo ${schema.minLength} caracteres`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            add(`deve ter no máximo ${schema.maxLength} caracteres`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            add('está em formato inválido');
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) add(`deve ser no mínimo ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) add(`deve ser no máximo ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) add(`deve ter no mínimo ${schema.minItems} itens`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) add(`deve ter no máximo ${schema.maxItems} itens`);
+        if (schema.items) {
+            value.forEach((item, index) => check(schema.items, item, `${field}[${index}]`, errors, options));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(name => {
+            if (value[name] === undefined || value[name] === null || value[name] === '') {
+                errors.push({ field: joinField(field, name), message: `${joinField(field, name)} é obrigatório` });
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+            if (value[name] === undefined || value[name] === null) return;
+            check(propertySchema, value[name], joinField(field, name), errors, options);
+        });
+    }
+
+    if (schema.anyOf && !schema.anyOf.some(option => validate(option, value, options).length === 0)) {
+        errors.push({ field: field || 'body', message: schema['x-error'] || `${field || 'corpo'} não atende a nenhuma das opções` });
+    }
+}
+
+function joinField(parent, name) {
+    return parent ? `${parent}.${name}` : name;
+}
+
+// Lista de { field, message }; vazia quando o valor é válido
+function validate(schema, value, options = {}) {
+    const errors = [];
+    check(schema, value, '', errors, options);
+    return errors;
+}
+
+// Middleware: 400 VALIDATION_ERROR com a lista de problemas em details.
+// O schema fica em middleware.schema para a descrição OpenAPI
+function validateBody(schema) {
+    const middleware = (req, res, next) => {
+        // Do arquivo só importa a presença
+        const body = { ...(req.body || {}), ...(req.file ? { file: req.file.originalname || 'arquivo' } : {}) };
+        const errors = validate(schema, body, { coerce: !req.is('application/json') });
+
+        if (errors.length > 0) {
+            return next(apiError(400, 'VALIDATION_ERROR', errors.map(error => error.message).join('; '), { details: errors }));
+        }
+        next();
+    };
+    middleware.schema = schema;
+    return middleware;
+}
+
+module.exports = { validate, validateBody };
@@ -0,0 +1,39 @@
+/**
+ * =============================================================
+ * BACKEND WHATSAPP
+ * =============================================================
+ *
+ * Ponto único de acesso às funções do Baileys (makeWASocket,
+ * downloadMediaMessage, initAuthCreds...). Com WA_MODE=mock o
+ * servidor usa o backend simulado de lib/mockBackend.js, e o Baileys
+ * nem chega a ser carregado: dá para testar a integração sem celular
+ * e sem rede.
+ * =============================================================
+ */
+
+const MODES = ['baileys', 'mock'];
+
+let mode = 'baileys';
+let backend = null;
+
+function configureBackend(selected = 'baileys') {
+    if (!MODES.includes(selected)) {
+        throw new Error(`WA_MODE inválido: ${selected} (valores: ${MODES.join(', ')})`);
+    }
+    mode = selected;
+    backend = null;
+}
+
+// Carregado só no primeiro uso
+function getBackend() {
+    if (!backend) {
+        backend = mode === 'mock' ? require('./mockBackend') : require('@whiskeysockets/baileys');
+    }
+    return backend;
+}
+
+function isMock() {
+    return mode === 'mock';
+}
+
+module.exports = { configureBackend, getBackend, isMock };
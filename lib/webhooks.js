@@ -0,0 +1,322 @@
+/**
+ * =============================================================
+ * WEBHOOKS DE SAÍDA
+ * =============================================================
+ *
+ * Envia um POST JSON para cada URL cadastrada quando ocorre um evento
+ * (mensagem recebida, QR gerado, conexão aberta/fechada, logout).
+ *
+ * - Assinatura HMAC-SHA256 em X-Webhook-Signature em toda entrega
+ *   (URLs de WEBHOOK_URLS exigem WEBHOOK_SECRET; as cadastradas pela
+ *   API ganham um segredo gerado se não informarem um)
+ * - Retentativas com backoff exponencial
+ * - Entregas pendentes persistidas em DATA_FOLDER (sobrevivem a restarts)
+ * - Histórico consultável e reenvio manual via API
+ * - forward() entrega para uma URL avulsa (ação webhook das regras):
+ *   assinada com WEBHOOK_SECRET e enviada por guardedPost, que
+ *   bloqueia endereços internos
+ * =============================================================
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { readJson, writeJson } = require('./jsonFile');
+
+const MAX_HISTORY = 500;
+const TICK_INTERVAL = 2000;
+const MAX_BACKOFF = 60 * 60 * 1000;
+const SAVE_DELAY = 1000;
+
+function createWebhookDispatcher({ dataFolder, envUrls = [], secret = '', maxAttempts = 8, timeoutMs = 10000, guardedPost, log }) {
+    const endpointsFile = path.join(dataFolder, 'webhooks.json');
+    const deliveriesFile = path.join(dataFolder, 'webhook_deliveries.json');
+
+    if (envUrls.length > 0 && !secret) {
+        throw new Error('WEBHOOK_URLS exige WEBHOOK_SECRET: as entregas são sempre assinadas');
+    }
+
+    // Webhooks definidos por variável de ambiente não são persistidos
+    const envEndpoints = envUrls.map((url, index) => ({
+        id: `env-${index + 1}`,
+        url,
+        events: ['*'],
+        secret,
+        source: 'env',
+        createdAt: null
+    }));
+
+    let storedEndpoints = readJson(endpointsFile, []);
+    let deliveries = readJson(deliveriesFile, []);
+    const inFlight = new Set();
+    let timer = null;
+    let saveTimer = null;
+
+    // Entregas que estavam em andamento quando o processo caiu voltam para a fila
+    deliveries.forEach(delivery => {
+        if (delivery.status === 'sending') {
+            delivery.status = 'pending';
+        }
+    });
+
+    function saveEndpoints() {
+        writeJson(endpointsFile, storedEndpoints);
+    }
+
+    // Uma rajada de eventos vira uma gravação só
+    function scheduleSave() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(flush, SAVE_DELAY);
+    }
+
+    function flush() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        try {
+            saveDeliveries();
+        } catch (error) {
+            log('Erro ao gravar entregas de webhook:', error.message, 'error');
+        }
+    }
+
+    function saveDeliveries() {
+        const finished = deliveries.filter(d => d.status !== 'pending' && d.status !== 'sending');
+        if (finished.length > MAX_HISTORY) {
+            const toDrop = new Set(finished.slice(0, finished.length - MAX_HISTORY).map(d => d.id));
+            deliveries = deliveries.filter(d => !toDrop.has(d.id));
+        }
+        writeJson(deliveriesFile, deliveries);
+    }
+
+    function listEndpoints() {
+        return [...envEndpoints, ...storedEndpoints].map(({ secret: s, ...endpoint }) => ({
+            ...endpoint,
+            signed: !!s
+        }));
+    }
+
+    function addEndpoint({ url, events, secret: endpointSecret }) {
+        const endpoint = {
+            id: crypto.randomUUID(),
+            url,
+            events: Array.isArray(events) && events.length > 0 ? events : ['*'],
+            secret: endpointSecret || crypto.randomBytes(24).toString('hex'),
+            source: 'api',
+            createdAt: new Date().toISOString()
+        };
+        storedEndpoints.push(endpoint);
+        saveEndpoints();
+        log(`Webhook cadastrado: ${url}`);
+        return endpoint;
+    }
+
+    function removeEndpoint(id) {
+        const before = storedEndpoints.length;
+        storedEndpoints = storedEndpoints.filter(e => e.id !== id);
+        if (storedEndpoints.length === before) {
+            return false;
+        }
+        saveEndpoints();
+        log(`Webhook removido: ${id}`);
+        return true;
+    }
+
+    function findEndpoint(id) {
+        return envEndpoints.find(e => e.id === id) || storedEndpoints.find(e => e.id === id);
+    }
+
+    function matches(endpoint, event) {
+        return endpoint.events.some(pattern => {
+            if (pattern === '*' || pattern === event) return true;
+            // "connection.*" casa com "connection.open", "connection.close"...
+            return pattern.endsWith('.*') && event.startsWith(pattern.slice(0, -1));
+        });
+    }
+
+    function dispatch(event, data) {
+        const endpoints = [...envEndpoints, ...storedEndpoints].filter(e => matches(e, event));
+        if (endpoints.length === 0) return;
+
+        const payload = {
+            id: crypto.randomUUID(),
+            event,
+            timestamp: new Date().toISOString(),
+            data
+        };
+
+        endpoints.forEach(endpoint => {
+            deliveries.push({
+                id: crypto.randomUUID(),
+                webhookId: endpoint.id,
+                url: endpoint.url,
+                event,
+                payload,
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: Date.now(),
+                lastError: null,
+                lastStatusCode: null,
+                createdAt: payload.timestamp,
+                deliveredAt: null
+            });
+        });
+
+        scheduleSave();
+        setImmediate(processDue);
+    }
+
+    // Entrega avulsa (sem webhook cadastrado); extra entra no corpo ao lado de data
+    function forward(url, event, data, extra = {}) {
+        if (!secret) {
+            throw new Error('Encaminhamento exige WEBHOOK_SECRET: as entregas são sempre assinadas');
+        }
+
+        const timestamp = new Date().toISOString();
+        deliveries.push({
+            id: crypto.randomUUID(),
+            webhookId: null,
+            url,
+            event,
+            payload: { id: crypto.randomUUID(), event, timestamp, ...extra, data },
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            lastError: null,
+            lastStatusCode: null,
+            createdAt: timestamp,
+            deliveredAt: null
+        });
+
+        scheduleSave();
+        setImmediate(processDue);
+    }
+
+    function sign(body, timestamp, key) {
+        return 'sha256=' + crypto.createHmac('sha256', key).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    async function deliver(delivery) {
+        const endpoint = delivery.webhookId ? findEndpoint(delivery.webhookId) : null;
+        if (delivery.webhookId && !endpoint) {
+            delivery.status = 'failed';
+            delivery.lastError = 'Webhook removido';
+            scheduleSave();
+            return;
+        }
+
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'VoxyAI-WhatsApp-Webhook/1.0',
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': delivery.id,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': sign(body, timestamp, endpoint ? endpoint.secret : secret)
+        };
+
+        delivery.status = 'sending';
+        delivery.attempts++;
+
+        try {
+            // Entregas avulsas não têm URL conferida por um admin: passam pelo bloqueio
+            const response = endpoint
+                ? await fetch(delivery.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeoutMs) })
+                : await guardedPost(delivery.url, { headers, body, timeoutMs });
+
+            delivery.lastStatusCode = response.status;
+            if (response.status < 200 || response.status >= 300) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            delivery.status = 'delivered';
+            delivery.deliveredAt = new Date().toISOString();
+            delivery.lastError = null;
+        } catch (error) {
+            delivery.lastError = error.message;
+
+            // Endereço bloqueado ou URL inválida não melhoram com nova tentativa
+            if (error.permanent || delivery.attempts >= maxAttempts) {
+                delivery.status = 'failed';
+                log(`Webhook falhou definitivamente (${delivery.event} -> ${delivery.url}):`, error.message, 'error');
+            } else {
+                const delay = Math.min(5000 * Math.pow(2, delivery.attempts - 1), MAX_BACKOFF);
+                delivery.status = 'pending';
+                delivery.nextAttemptAt = Date.now() + delay;
+                log(`Webhook erro (${delivery.event} -> ${delivery.url}), nova tentativa em ${delay / 1000}s:`, error.message, 'error');
+            }
+        }
+
+        scheduleSave();
+    }
+
+    function processDue() {
+        const now = Date.now();
+        deliveries
+            .filter(d => d.status === 'pending' && d.nextAttemptAt <= now && !inFlight.has(d.id))
+            .forEach(delivery => {
+                inFlight.add(delivery.id);
+                deliver(delivery).finally(() => inFlight.delete(delivery.id));
+            });
+    }
+
+    function listDeliveries({ status, event, webhookId, limit = 50 } = {}) {
+        return deliveries
+            .filter(d => !status || d.status === status)
+            .filter(d => !event || d.event === event)
+            .filter(d => !webhookId || d.webhookId === webhookId)
+            .slice(-limit)
+            .reverse();
+    }
+
+    function getDelivery(id) {
+        return deliveries.find(d => d.id === id) || null;
+    }
+
+    function replay(id) {
+        const delivery = getDelivery(id);
+        if (!delivery) return null;
+        if (delivery.status === 'sending') return delivery;
+
+        delivery.status = 'pending';
+        delivery.attempts = 0;
+        delivery.nextAttemptAt = Date.now();
+        delivery.lastError = null;
+        scheduleSave();
+        setImmediate(processDue);
+
+        log(`Webhook reenfileirado: ${delivery.event} -> ${delivery.url}`);
+        return delivery;
+    }
+
+    // Entregas aguardando envio ou nova tentativa
+    function pendingCount() {
+        return deliveries.filter(d => d.status === 'pending' || d.status === 'sending').length;
+    }
+
+    function start() {
+        if (timer) return;
+        const pending = deliveries.filter(d => d.status === 'pending').length;
+        log(`Webhooks: ${envEndpoints.length + storedEndpoints.length} cadastrados, ${pending} entregas pendentes`);
+        timer = setInterval(processDue, TICK_INTERVAL);
+        timer.unref();
+        processDue();
+    }
+
+    return {
+        listEndpoints,
+        addEndpoint,
+        removeEndpoint,
+        dispatch,
+        forward,
+        listDeliveries,
+        getDelivery,
+        replay,
+        pendingCount,
+        start,
+        flush
+    };
+}
+
+module.exports = { createWebhookDispatcher };
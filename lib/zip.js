@@ -0,0 +1,183 @@
+/**
+ * =============================================================
+ * ZIP EM STREAMING
+ * =============================================================
+ *
+ * Gera um arquivo ZIP direto na resposta HTTP, entrada por entrada,
+ * sem montar o arquivo em memória nem em disco. Cada entrada é
+ * comprimida com deflate e o CRC/tamanhos vão no "data descriptor"
+ * depois dos dados (bit 3), o que dispensa conhecer o conteúdo antes.
+ *
+ * Sem ZIP64: até 65535 entradas e 4 GB por arquivo.
+ * =============================================================
+ */
+
+const { once } = require('events');
+const zlib = require('zlib');
+
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+// Bit 3 (data descriptor) + bit 11 (nomes em UTF-8)
+const FLAGS = 0x0808;
+const VERSION = 20;
+const METHOD_DEFLATE = 8;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32Fallback(buffer, crc = 0) {
+    let c = crc ^ 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+// zlib.crc32 só existe a partir do Node 20.15
+const crc32 = zlib.crc32 || crc32Fallback;
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Escreve respeitando o backpressure; falha se o destino fechar antes (cliente desconectou)
+function writeTo(output, chunk) {
+    if (output.destroyed || output.writableEnded) {
+        return Promise.reject(new Error('Destino encerrado durante a escrita'));
+    }
+    if (output.write(chunk)) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            output.off('drain', onDrain);
+            output.off('close', onClose);
+            output.off('error', onClose);
+        };
+        const onDrain = () => {
+            cleanup();
+            resolve();
+        };
+        const onClose = () => {
+            cleanup();
+            reject(new Error('Destino encerrado durante a escrita'));
+        };
+        output.on('drain', onDrain);
+        output.on('close', onClose);
+        output.on('error', onClose);
+    });
+}
+
+function createZipWriter(output) {
+    const entries = [];
+    let position = 0;
+
+    async function write(chunk) {
+        position += chunk.length;
+        await writeTo(output, chunk);
+    }
+
+    // Adiciona uma entrada a partir de um stream (ou Buffer). compress=false para
+    // conteúdo já comprimido (imagens, vídeos): usa deflate nível 0, só empacota
+    async function addEntry(name, input, { compress = true, modifiedAt = new Date() } = {}) {
+        if (entries.length >= MAX_ENTRIES) throw new Error('Limite de entradas do ZIP atingido');
+
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const { time, date } = dosDateTime(modifiedAt);
+        const entry = { nameBuffer, time, date, offset: position, crc: 0, size: 0, compressedSize: 0 };
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(VERSION, 4);
+        header.writeUInt16LE(FLAGS, 6);
+        header.writeUInt16LE(METHOD_DEFLATE, 8);
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        // CRC e tamanhos (14-25) ficam zerados: vão no data descriptor
+        header.writeUInt16LE(nameBuffer.length, 26);
+        header.writeUInt16LE(0, 28);
+        await write(header);
+        await write(nameBuffer);
+
+        const deflate = zlib.createDeflateRaw({ level: compress ? 6 : 0 });
+        // Falha na saída (cliente desconectou) também interrompe a leitura da entrada
+        const drained = (async () => {
+            for await (const chunk of deflate) {
+                entry.compressedSize += chunk.length;
+                await write(chunk);
+            }
+        })().catch(error => {
+            deflate.destroy(error);
+            throw error;
+        });
+
+        try {
+            const source = Buffer.isBuffer(input) ? [input] : input;
+            for await (const chunk of source) {
+                const data = typeof chunk === 'string' ? Buffer.from(chunk) : chunk;
+                entry.crc = crc32(data, entry.crc);
+                entry.size += data.length;
+                if (!deflate.write(data)) await Promise.race([once(deflate, 'drain'), drained]);
+            }
+            deflate.end();
+            await drained;
+        } catch (error) {
+            deflate.destroy();
+            await drained.catch(() => {});
+            throw error;
+        }
+
+        if (entry.size > MAX_SIZE || position > MAX_SIZE) {
+            throw new Error('ZIP maior que 4 GB (sem suporte a ZIP64)');
+        }
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await write(descriptor);
+
+        entries.push(entry);
+        return { name, size: entry.size };
+    }
+
+    // Diretório central e registro final; não encerra o destino
+    async function finish() {
+        const start = position;
+
+        for (const entry of entries) {
+            const record = Buffer.alloc(46);
+            record.writeUInt32LE(0x02014b50, 0);
+            record.writeUInt16LE(VERSION, 4);
+            record.writeUInt16LE(VERSION, 6);
+            record.writeUInt16LE(FLAGS, 8);
+            record.writeUInt16LE(METHOD_DEFLATE, 10);
+            record.writeUInt16LE(entry.time, 12);
+            record.writeUInt16LE(entry.date, 14);
+            record.writeUInt32LE(entry.crc, 16);
+            record.writeUInt32LE(entry.compressedSize, 20);
+            record.writeUInt32LE(entry.size, 24);
+            record.writeUInt16LE(entry.nameBuffer.length, 28);
+            // extra, comentário, disco, atributos internos/externos: zero
+            record.writeUInt32LE(entry.offset, 42);
+            await write(record);
+            await write(entry.nameBuffer);
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(entries.length, 8);
+        end.writeUInt16LE(entries.length, 10);
+        end.writeUInt32LE(position - start, 12);
+        end.writeUInt32LE(start, 16);
+        await write(end);
+    }
+
+    return { addEntry, finish };
+}
+
+module.exports = { createZipWriter, writeTo };
@@ -6,10 +6,37 @@
  * Recursos:
  * - Always-On: Self-ping a cada 4 minutos para evitar hibernação
  * - Mídia Persistente: Download e armazenamento local de mídia
+ * - Mídia Privada: URLs assinadas com validade, deduplicação por conteúdo, cota de disco e backend S3
  * - Sessão Persistente: Mantém sessão entre restarts
+ * - Backup Criptografado: Exporta/restaura a sessão com senha, backup automático e credenciais plugáveis
  * - Timeouts de 60s: Suporta conexões lentas
  * - Auto-Reconexão: Reconecta automaticamente se desconectar
+ * - Multi-Sessão: Vários números no mesmo servidor (/sessions/:id/...)
  * - QR Local: Gera QR code localmente (sem API externa)
+ * - Código de Pareamento: Login pelo número do telefone, com página em /connect
+ * - Console Admin: Painel web em /admin com status, QR, quedas, mensagens, envios de teste e manutenção
+ * - Histórico Persistente: Mensagens gravadas em disco com busca e filtros
+ * - Exportação de Conversas: Transcrição em JSON, CSV, HTML ou ZIP com as mídias (/export)
+ * - Números: Normalização (DDI padrão, nono dígito) e verificação em /check-numbers
+ * - Contatos e Conversas: Índice com nomes, última mensagem, não lidas e perfis
+ * - API Keys: Autenticação por chave com escopos (send, messages:read...)
+ * - Fila de Envio: Envios persistidos, com limite de taxa, retentativas e agendamento
+ * - Envios Seguros: Idempotency-Key contra envios duplicados, validação por schema e códigos de erro
+ * - OpenAPI: Descrição da API gerada das próprias rotas em /openapi.json
+ * - Campanhas: Envio em massa (CSV/JSON) com modelos, pausa, descadastro e relatório
+ * - Mídia por URL Segura: Bloqueio de endereços internos, limite de tamanho e checagem de tipo
+ * - Upload Multipart: Arquivo no campo "file" como alternativa ao base64
+ * - Transcodificação: Áudio/vídeo convertidos com ffmpeg para formatos do WhatsApp
+ * - Mensagens Recebidas: Todos os tipos (localização, contatos, enquetes, botões, visualização única), edições e exclusões
+ * - Mensagens Ricas: Respostas, menções, reações, edição, exclusão, localização, contatos e enquetes
+ * - Grupos: Listagem, criação, participantes, configurações e convites
+ * - Recibos: Status de entrega/leitura das mensagens enviadas
+ * - Presença: Marcar como lida, online/offline, "digitando..." simulado nos envios e presença dos contatos
+ * - Webhooks: Notifica mensagens e eventos de conexão (HMAC + retentativas)
+ * - Observabilidade: Métricas Prometheus em /metrics e logs JSON com id por requisição
+ * - Eventos em Tempo Real: Stream SSE em /events com retomada por Last-Event-ID
+ * - Respostas Automáticas: Regras por palavra-chave, regex, remetente e horário
+ * - Modo Simulado: WA_MODE=mock troca o Baileys por um WhatsApp falso controlado em /mock (testes)
  * 
  * Deploy: Render.com, Railway, Heroku, VPS, Docker
  * =============================================================
@@ -17,20 +44,40 @@
 
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const http = require('http');
-const QRCode = require('qrcode');
-const pino = require('pino');
-
-const {
-    default: makeWASocket,
-    DisconnectReason,
-    useMultiFileAuthState,
-    fetchLatestBaileysVersion,
-    makeCacheableSignalKeyStore
-} = require('@whiskeysockets/baileys');
+const multer = require('multer');
+const { createWebhookDispatcher } = require('./lib/webhooks');
+const { createLogger } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { createSessionManager, DEFAULT_SESSION } = require('./lib/sessionManager');
+const { createApiKeyStore, SCOPES } = require('./lib/apiKeys');
+const { createSendQueue } = require('./lib/sendQueue');
+const { createEventStream, withoutSecrets } = require('./lib/eventStream');
+const transcode = require('./lib/transcode');
+const { createMediaFetcher, validateMedia } = require('./lib/mediaFetch');
+const { createMediaStorage, createLocalBackend } = require('./lib/mediaStorage');
+const { createS3Backend } = require('./lib/s3');
+const { createAuthStoreFactory } = require('./lib/authStore');
+const { createBackupService } = require('./lib/backup');
+const { RICH_TYPES, parseRichMessage, buildRichContent, permanentError } = require('./lib/richMessages');
+const { parseTime } = require('./lib/messageStore');
+const { createRuleEngine, validateRule } = require('./lib/rules');
+const { createNumberResolver } = require('./lib/phone');
+const { createCampaignManager, MEDIA_TYPES: CAMPAIGN_MEDIA_TYPES } = require('./lib/campaigns');
+const { parseCsv } = require('./lib/csv');
+const { configureBackend, getBackend, isMock } = require('./lib/waBackend');
+const { parseTypingOption, OWN_PRESENCES, CHAT_STATES } = require('./lib/presence');
+const { apiError, asyncHandler, errorCodes, notFound, createErrorHandler } = require('./lib/errors');
+const { validateBody } = require('./lib/validation');
+const schemas = require('./lib/schemas');
+const { createIdempotencyStore } = require('./lib/idempotency');
+const { buildOpenApiDocument } = require('./lib/openapi');
+const { version: APP_VERSION } = require('./package.json');
+const { exportTranscript, isValidTimezone, FORMATS: EXPORT_FORMATS, CONTENT_TYPES: EXPORT_CONTENT_TYPES } = require('./lib/transcript');
 
 // =============================================================
 // CONFIGURAÇÃO
@@ -41,36 +88,287 @@ const PORT = process.env.PORT || 3000;
 const SELF_URL = process.env.SELF_URL || `http://localhost:${PORT}`;
 const KEEPALIVE_INTERVAL = parseInt(process.env.KEEPALIVE_INTERVAL || '4') * 60 * 1000;
 const MEDIA_RETENTION_DAYS = parseInt(process.env.MEDIA_RETENTION_DAYS || '7');
+const MEDIA_QUOTA_BYTES = parseInt(process.env.MEDIA_QUOTA_MB || '0') * 1024 * 1024;
+const MEDIA_URL_TTL = parseInt(process.env.MEDIA_URL_TTL || '86400');
+const MEDIA_STORAGE = process.env.MEDIA_STORAGE || 'local';
+const AUTH_STORE = process.env.AUTH_STORE || 'file';
+const BACKUP_INTERVAL_HOURS = parseFloat(process.env.BACKUP_INTERVAL_HOURS || '0');
+const BACKUP_PASSPHRASE = process.env.BACKUP_PASSPHRASE || '';
+const BACKUP_KEEP = parseInt(process.env.BACKUP_KEEP || '7');
+const BACKUP_TARGET = process.env.BACKUP_TARGET || 'folder';
+const MESSAGE_RETENTION_DAYS = parseInt(process.env.MESSAGE_RETENTION_DAYS || '30');
+const EXPORT_TIMEZONE = process.env.EXPORT_TIMEZONE || 'America/Sao_Paulo';
+const WEBHOOK_URLS = (process.env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8');
+const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT || '10') * 1000;
+const EVENT_BUFFER_SIZE = parseInt(process.env.EVENT_BUFFER_SIZE || '1000');
+const MEDIA_TRANSCODE = process.env.MEDIA_TRANSCODE !== 'false';
+const MEDIA_FETCH_MAX_BYTES = parseInt(process.env.MEDIA_FETCH_MAX_MB || '50') * 1024 * 1024;
+const MEDIA_FETCH_TIMEOUT = parseInt(process.env.MEDIA_FETCH_TIMEOUT || '30') * 1000;
+const MEDIA_FETCH_MAX_REDIRECTS = parseInt(process.env.MEDIA_FETCH_MAX_REDIRECTS || '3');
+const MEDIA_FETCH_ALLOWLIST = (process.env.MEDIA_FETCH_ALLOWLIST || '').split(',').map(entry => entry.trim()).filter(Boolean);
+const VIDEO_MAX_BYTES = parseInt(process.env.VIDEO_MAX_MB || '16') * 1024 * 1024;
+const SEND_INTERVAL_MS = parseInt(process.env.SEND_INTERVAL_MS || '1000');
+const SEND_RECIPIENT_INTERVAL_MS = parseInt(process.env.SEND_RECIPIENT_INTERVAL_MS || '3000');
+const SEND_MAX_ATTEMPTS = parseInt(process.env.SEND_MAX_ATTEMPTS || '5');
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE ?? '55';
+const OPT_OUT_KEYWORDS = (process.env.OPT_OUT_KEYWORDS || 'sair,parar,pare,cancelar,descadastrar,stop')
+    .split(',').map(keyword => keyword.trim()).filter(Boolean);
+const SEND_WAIT_TIMEOUT = parseInt(process.env.SEND_WAIT_TIMEOUT || '30') * 1000;
+// Janela em que a mesma Idempotency-Key devolve a resposta original
+const IDEMPOTENCY_TTL = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24') * 60 * 60 * 1000;
+// Digitação simulada (typing=true nos envios): ms por caractere, entre o mínimo e o máximo
+const TYPING_OPTIONS = {
+    msPerChar: parseInt(process.env.TYPING_MS_PER_CHAR || '50'),
+    minMs: parseInt(process.env.TYPING_MIN_MS || '1000'),
+    maxMs: parseInt(process.env.TYPING_MAX_MS || '10000')
+};
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const BAILEYS_LOG_LEVEL = process.env.BAILEYS_LOG_LEVEL || 'silent';
+const WA_MODE = process.env.WA_MODE || 'baileys';
+
+// Logs estruturados em JSON (o Baileys só aparece com BAILEYS_LOG_LEVEL)
+const appLogger = createLogger({ level: LOG_LEVEL, baileysLevel: BAILEYS_LOG_LEVEL });
+
+// Baileys ou WhatsApp simulado para testes de integração (WA_MODE=mock)
+configureBackend(WA_MODE);
+if (isMock()) {
+    getBackend().configure({
+        number: process.env.WA_MOCK_NUMBER,
+        autoConnect: process.env.WA_MOCK_AUTO_CONNECT === 'true',
+        unregistered: (process.env.WA_MOCK_UNREGISTERED || '').split(',').map(phone => phone.trim()).filter(Boolean)
+    });
+}
 
 // Detecta se está em ambiente de produção (Docker/Render)
 const DATA_FOLDER = process.env.DATA_FOLDER || (fs.existsSync('/var/data') ? '/var/data' : './data');
 const AUTH_FOLDER = path.join(DATA_FOLDER, 'auth_info');
 const MEDIA_FOLDER = path.join(DATA_FOLDER, 'media');
+const MESSAGES_FOLDER = path.join(DATA_FOLDER, 'messages');
+const BACKUP_FOLDER = process.env.BACKUP_FOLDER || path.join(DATA_FOLDER, 'backups');
 
 // Garante que as pastas existem
-[DATA_FOLDER, AUTH_FOLDER, MEDIA_FOLDER].forEach(folder => {
+[DATA_FOLDER, AUTH_FOLDER, MEDIA_FOLDER, MESSAGES_FOLDER].forEach(folder => {
     if (!fs.existsSync(folder)) {
         fs.mkdirSync(folder, { recursive: true });
     }
 });
 
-// Logger silencioso para Baileys
-const logger = pino({ level: 'silent' });
+// Normalização de números (DDI padrão, nono dígito) e cache do onWhatsApp
+const phoneNumbers = createNumberResolver({
+    dataFolder: DATA_FOLDER,
+    defaultCountryCode: DEFAULT_COUNTRY_CODE,
+    log
+});
+
+// Bucket S3 (mídia e/ou backups automáticos)
+const s3Backend = MEDIA_STORAGE === 's3' || BACKUP_TARGET === 's3'
+    ? createS3Backend({
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION,
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        prefix: process.env.S3_PREFIX || '',
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined
+    })
+    : null;
+
+// Mídia recebida: disco local ou S3, com URLs assinadas e cota
+const mediaStorage = createMediaStorage({
+    backend: MEDIA_STORAGE === 's3' ? s3Backend : createLocalBackend({ folder: MEDIA_FOLDER }),
+    dataFolder: DATA_FOLDER,
+    tempFolder: path.join(MEDIA_FOLDER, '.tmp'),
+    secret: loadMediaUrlSecret(),
+    baseUrl: SELF_URL,
+    urlTtlSeconds: MEDIA_URL_TTL,
+    retentionDays: MEDIA_RETENTION_DAYS,
+    quotaBytes: MEDIA_QUOTA_BYTES,
+    log
+});
+
+// Download de mídia por URL (bloqueia endereços internos, limita tamanho e tempo)
+const mediaFetcher = createMediaFetcher({
+    maxBytes: MEDIA_FETCH_MAX_BYTES,
+    timeoutMs: MEDIA_FETCH_TIMEOUT,
+    maxRedirects: MEDIA_FETCH_MAX_REDIRECTS,
+    allowlist: MEDIA_FETCH_ALLOWLIST
+});
+
+// Upload multipart/form-data (campo "file"), mantido em memória
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MEDIA_FETCH_MAX_BYTES, files: 1 }
+});
+
+// Logger do Baileys
+const logger = appLogger.baileysLogger;
+
+// API keys (autenticação desativada enquanto nenhuma chave existir)
+const apiKeys = createApiKeyStore({
+    dataFolder: DATA_FOLDER,
+    adminKey: process.env.API_KEY,
+    keysSpec: process.env.API_KEYS,
+    log
+});
+const requireScope = apiKeys.requireScope;
+// Administração global (sessões, webhooks, API keys, regras, restauração e limpeza de mídia): só chaves sem restrição de sessões
+const requireGlobalAdmin = requireScope('admin', { allSessions: true });
+// Cadastro de chaves: fechado até existir uma chave (a primeira vem de API_KEY/API_KEYS)
+const requireKeyAdmin = requireScope('admin', { allSessions: true, keysRequired: true });
+
+// Webhooks de saída
+const webhooks = createWebhookDispatcher({
+    dataFolder: DATA_FOLDER,
+    envUrls: WEBHOOK_URLS,
+    secret: WEBHOOK_SECRET,
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    timeoutMs: WEBHOOK_TIMEOUT,
+    guardedPost: (url, options) => mediaFetcher.post(url, options),
+    log
+});
+
+// Stream de eventos em tempo real (SSE)
+const eventStream = createEventStream({ bufferSize: EVENT_BUFFER_SIZE });
+
+// Sessões WhatsApp (a "default" responde nas rotas sem prefixo)
+const sessions = createSessionManager({
+    dataFolder: DATA_FOLDER,
+    defaultAuthFolder: AUTH_FOLDER,
+    defaultMessagesFolder: MESSAGES_FOLDER,
+    createAuthStore: createAuthStoreFactory(AUTH_STORE),
+    sessionOptions: {
+        retentionDays: MESSAGE_RETENTION_DAYS,
+        logger,
+        emitEvent,
+        downloadMedia: downloadAndSaveMedia
+    },
+    log
+});
+
+// Fila de envio persistente (compartilhada por todas as sessões)
+const sendQueue = createSendQueue({
+    dataFolder: DATA_FOLDER,
+    getSession: id => sessions.get(id),
+    buildMessage: buildOutboundMessage,
+    emitEvent,
+    log,
+    options: {
+        globalIntervalMs: SEND_INTERVAL_MS,
+        recipientIntervalMs: SEND_RECIPIENT_INTERVAL_MS,
+        maxAttempts: SEND_MAX_ATTEMPTS
+    }
+});
+
+// Respostas dos envios com Idempotency-Key (a repetição aguarda até o limite de espera do envio)
+const idempotency = createIdempotencyStore({
+    dataFolder: DATA_FOLDER,
+    ttlMs: IDEMPOTENCY_TTL,
+    waitMs: SEND_WAIT_TIMEOUT + 5000
+});
+
+// Campanhas de envio em massa (usam a fila de envio)
+const campaigns = createCampaignManager({
+    dataFolder: DATA_FOLDER,
+    sendQueue,
+    getSession: id => sessions.get(id),
+    toJid: formatPhone,
+    validateJid: jid => phoneNumbers.normalize(jid).error || null,
+    optOutKeywords: OPT_OUT_KEYWORDS,
+    emitEvent,
+    log
+});
+
+// Backup criptografado das sessões (manual pela API e automático)
+const backups = createBackupService({
+    sessions,
+    folder: BACKUP_FOLDER,
+    s3: BACKUP_TARGET === 's3' ? s3Backend : null,
+    passphrase: BACKUP_PASSPHRASE,
+    intervalHours: BACKUP_INTERVAL_HOURS,
+    keep: BACKUP_KEEP,
+    log
+});
+
+// Regras de resposta automática (aplicadas a cada mensagem recebida)
+const rules = createRuleEngine({
+    dataFolder: DATA_FOLDER,
+    enqueue: job => sendQueue.enqueue(job),
+    webhooks,
+    log
+});
 
-// Estado global
-let sock = null;
-let qrCode = null;
-let qrDataUrl = null;
-let connectionStatus = 'disconnected';
-let lastConnectionTime = null;
-let reconnectAttempts = 0;
-let messages = [];
-const MAX_MESSAGES = 100;
+// Métricas para o Prometheus (GET /metrics)
+const metrics = createMetrics({ prefix: 'whatsapp_' });
+const metric = {
+    messagesReceived: metrics.counter('messages_received_total', 'Mensagens recebidas por tipo', ['session', 'type']),
+    sends: metrics.counter('sends_total', 'Envios da fila por tipo e resultado (sent, failed)', ['session', 'type', 'outcome']),
+    sendDuration: metrics.histogram('send_duration_seconds', 'Tempo de cada envio ao WhatsApp', ['type']),
+    reconnects: metrics.counter('reconnect_attempts_total', 'Tentativas de reconexão', ['session']),
+    disconnects: metrics.counter('disconnects_total', 'Desconexões por motivo', ['session', 'reason']),
+    httpRequests: metrics.counter('http_requests_total', 'Requisições HTTP por rota e status', ['method', 'route', 'status']),
+    httpDuration: metrics.histogram('http_request_duration_seconds', 'Tempo de resposta HTTP', ['method', 'route'])
+};
+
+metrics.gauge('session_connected', 'Sessão conectada (1) ou não (0)', ['session'], set => {
+    sessions.list().forEach(session => set({ session: session.id }, session.isConnected() ? 1 : 0));
+});
+metrics.gauge('send_queue_pending', 'Envios aguardando na fila', ['session'], set => {
+    sessions.list().forEach(session => set({ session: session.id }, sendQueue.pendingCount(session.id)));
+});
+metrics.gauge('webhook_deliveries_pending', 'Entregas de webhook aguardando envio ou nova tentativa', [], set => {
+    set({}, webhooks.pendingCount());
+});
+metrics.gauge('media_stored_bytes', 'Bytes de mídia armazenados', ['backend'], set => {
+    const stats = mediaStorage.stats();
+    set({ backend: stats.backend }, stats.bytes);
+});
+metrics.gauge('media_stored_files', 'Arquivos de mídia armazenados', ['backend'], set => {
+    const stats = mediaStorage.stats();
+    set({ backend: stats.backend }, stats.count);
+});
+metrics.gauge('process_resident_memory_bytes', 'Memória residente do processo', [], set => {
+    set({}, process.memoryUsage().rss);
+});
+metrics.gauge('process_uptime_seconds', 'Tempo desde o início do processo', [], set => {
+    set({}, Math.round(process.uptime()));
+});
 
 // =============================================================
 // MIDDLEWARES
 // =============================================================
 
+// Id por requisição (reaproveita o X-Request-Id do cliente), log e métricas ao final
+app.use((req, res, next) => {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && /^[\w.-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = appLogger.log.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const endTimer = metric.httpDuration.startTimer({ method: req.method });
+    res.on('finish', () => {
+        // Padrão da rota (sem ids), para não explodir o número de séries
+        const route = req.route ? req.route.path : 'unmatched';
+        const durationMs = Math.round(endTimer({ route }) * 1000);
+        metric.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+
+        // Sem a query string: pode conter apiKey ou assinatura de mídia
+        const quiet = req.path === '/health' || req.path === '/metrics';
+        req.log.logger[quiet ? 'debug' : 'info']({
+            method: req.method,
+            path: req.path,
+            route,
+            status: res.statusCode,
+            durationMs
+        }, 'Requisição HTTP');
+    });
+    next();
+});
+
+// Código (code) em todas as respostas de erro
+app.use(errorCodes);
+
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
@@ -82,96 +380,388 @@ app.use((req, res, next) => {
     next();
 });
 
-// Serve arquivos de mídia
-app.use('/media', express.static(MEDIA_FOLDER, {
-    maxAge: '7d',
-    etag: true
+// Serve arquivos de mídia: URL assinada válida ou API key com escopo media:read
+app.get('/media/:key', (req, res, next) => {
+    const { key } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!mediaStorage.isValidKey(key)) {
+        return res.status(404).json({ success: false, error: 'Mídia não encontrada' });
+    }
+    if (signature && !mediaStorage.verify(key, expires, signature)) {
+        return res.status(403).json({ success: false, error: 'Link de mídia inválido ou expirado' });
+    }
+    if (signature) return next();
+    requireScope('media:read')(req, res, next);
+}, (req, res) => {
+    if (!mediaStorage.has(req.params.key)) {
+        return res.status(404).json({ success: false, error: 'Mídia não encontrada' });
+    }
+    mediaStorage.serve(req.params.key, req, res);
+});
+
+// Limpeza de mídia sob demanda (a mesma da rotina diária); olderThanDays substitui MEDIA_RETENTION_DAYS
+app.post('/media/cleanup', requireGlobalAdmin, asyncHandler(async (req, res) => {
+    const { olderThanDays } = req.body;
+    const days = olderThanDays === undefined || olderThanDays === '' ? MEDIA_RETENTION_DAYS : Number(olderThanDays);
+
+    if (!Number.isFinite(days) || days < 0) {
+        throw apiError(400, 'VALIDATION_ERROR', 'olderThanDays deve ser um número maior ou igual a 0');
+    }
+
+    const before = mediaStorage.stats();
+    const result = await mediaStorage.cleanup({ olderThanDays: days });
+    if (!result) {
+        throw apiError(500, 'MEDIA_CLEANUP_FAILED', 'Erro na limpeza de mídia');
+    }
+    const after = mediaStorage.stats();
+
+    res.json({
+        success: true,
+        ...result,
+        removed: before.count - after.count,
+        freedBytes: before.bytes - after.bytes,
+        mediaCount: after.count,
+        mediaBytes: after.bytes
+    });
 }));
 
 // =============================================================
 // FUNÇÕES AUXILIARES
 // =============================================================
 
-function log(message, data = null) {
-    const timestamp = new Date().toISOString();
-    if (data) {
-        console.log(`[${timestamp}] ${message}`, data);
-    } else {
-        console.log(`[${timestamp}] ${message}`);
+function log(message, data = null, level = 'info') {
+    appLogger.log(message, data, level);
+}
+
+// Publica um evento para os webhooks cadastrados e para o stream SSE
+// (o conteúdo do QR só vai para clientes SSE admin; /qr continua sendo o caminho)
+function emitEvent(event, data) {
+    webhooks.dispatch(event, withoutSecrets(event, data));
+    eventStream.publish(event, data);
+    recordEventMetrics(event, data);
+
+    if (event === 'message.received') {
+        campaigns.handleMessage(data);
+        rules.handleMessage(data);
     }
 }
 
-function formatPhone(phone) {
-    let cleaned = phone.replace(/\D/g, '');
-    if (!cleaned.includes('@')) {
-        cleaned = cleaned + '@s.whatsapp.net';
+// Contadores derivados dos eventos (mensagens, envios, conexão)
+function recordEventMetrics(event, data) {
+    const session = data.sessionId;
+
+    switch (event) {
+        case 'message.received':
+            metric.messagesReceived.inc({ session, type: data.type });
+            break;
+        case 'send.sent':
+        case 'send.failed':
+            metric.sends.inc({ session, type: data.type, outcome: event === 'send.sent' ? 'sent' : 'failed' });
+            if (data.durationMs !== undefined) {
+                metric.sendDuration.observe({ type: data.type }, data.durationMs / 1000);
+            }
+            break;
+        case 'connection.reconnecting':
+            metric.reconnects.inc({ session });
+            break;
+        case 'connection.close':
+            metric.disconnects.inc({ session, reason: data.reason || 'unknown' });
+            break;
     }
-    return cleaned;
 }
 
-async function downloadAndSaveMedia(message, messageType) {
-    try {
-        const { downloadMediaMessage } = require('@whiskeysockets/baileys');
-        const buffer = await downloadMediaMessage(message, 'buffer', {});
-        
-        if (!buffer || buffer.length === 0) {
-            return null;
-        }
+// Segredo das URLs de mídia: MEDIA_URL_SECRET ou um gerado uma vez e guardado em DATA_FOLDER
+// (assim os links continuam válidos após reiniciar)
+function loadMediaUrlSecret() {
+    if (process.env.MEDIA_URL_SECRET) return process.env.MEDIA_URL_SECRET;
 
-        const extensions = {
-            imageMessage: 'jpg',
-            videoMessage: 'mp4',
-            audioMessage: 'ogg',
-            stickerMessage: 'webp',
-            documentMessage: message.message?.documentMessage?.fileName?.split('.').pop() || 'bin'
-        };
+    const secretFile = path.join(DATA_FOLDER, 'media_url_secret');
+    if (fs.existsSync(secretFile)) return fs.readFileSync(secretFile, 'utf8').trim();
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(secretFile, secret, { mode: 0o600 });
+    return secret;
+}
 
-        const ext = extensions[messageType] || 'bin';
-        const filename = `${Date.now()}_${Math.random().toString(36).substring(7)}.${ext}`;
-        const filepath = path.join(MEDIA_FOLDER, filename);
+// Mensagens do histórico com links de mídia renovados (os gravados podem ter expirado)
+function withMediaUrls(messages) {
+    return messages.map(message => message.media ? { ...message, media: mediaStorage.withUrls(message.media) } : message);
+}
 
-        fs.writeFileSync(filepath, buffer);
-        log(`Mídia salva: ${filename}`);
+// Telefone (com ou sem DDI/máscara) ou JID -> JID do WhatsApp; usa o JID verificado se houver
+function formatPhone(phone) {
+    return phoneNumbers.toJid(phone);
+}
 
-        return {
-            filename,
-            localUrl: `/media/${filename}`,
-            fullUrl: `${SELF_URL}/media/${filename}`,
-            size: buffer.length,
-            mimeType: message.message?.[messageType]?.mimetype || 'application/octet-stream'
-        };
+function toGroupJid(groupId) {
+    return groupId.endsWith('@g.us') ? groupId : `${groupId}@g.us`;
+}
+
+// Resumo de um grupo (sem a lista completa de participantes)
+function summarizeGroup(metadata) {
+    return {
+        id: metadata.id,
+        subject: metadata.subject,
+        description: metadata.desc || '',
+        owner: metadata.owner || null,
+        creation: metadata.creation || null,
+        size: metadata.size || metadata.participants?.length || 0,
+        announce: !!metadata.announce,
+        locked: !!metadata.restrict
+    };
+}
+
+// Grava a mídia recebida por streaming; o nome vem do conteúdo (mídia encaminhada não duplica)
+// content: campos da mídia já extraídos pelo messageParser (mimetype, fileName), mesmo dentro
+// de mensagens temporárias ou de visualização única
+async function downloadAndSaveMedia(message, messageType, content = null) {
+    try {
+        const { downloadMediaMessage } = getBackend();
+        const stream = await downloadMediaMessage(message, 'stream', {});
+
+        const media = await mediaStorage.save(stream, {
+            mimetype: content?.mimetype,
+            filename: content?.fileName
+        });
+        if (media && content?.fileName) media.originalName = content.fileName;
+        return media;
     } catch (error) {
-        log('Erro ao baixar mídia:', error.message);
+        log('Erro ao baixar mídia:', error.message, 'error');
         return null;
     }
 }
 
-function cleanOldMedia() {
-    try {
-        const files = fs.readdirSync(MEDIA_FOLDER);
-        const now = Date.now();
-        const maxAge = MEDIA_RETENTION_DAYS * 24 * 60 * 60 * 1000;
-        let cleaned = 0;
-
-        files.forEach(file => {
-            const filepath = path.join(MEDIA_FOLDER, file);
-            const stats = fs.statSync(filepath);
-            if (now - stats.mtimeMs > maxAge) {
-                fs.unlinkSync(filepath);
-                cleaned++;
-            }
-        });
+// Lê a mídia de um job (arquivo gravado no enfileiramento ou URL, baixada no envio)
+async function loadJobMedia(job) {
+    if (job.mediaFile) {
+        return fs.readFileSync(job.mediaFile);
+    }
+    const { buffer } = await mediaFetcher.fetchMedia(job.payload.url, { kind: job.type });
+    return buffer;
+}
+
+// Aceita multipart/form-data com o arquivo no campo "file"; erros do upload viram 4xx
+function acceptUpload(req, res, next) {
+    upload.single('file')(req, res, error => {
+        if (!error) return next();
+        const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        const message = error.code === 'LIMIT_FILE_SIZE'
+            ? `Arquivo maior que o limite de ${Math.round(MEDIA_FETCH_MAX_BYTES / 1048576)}MB`
+            : `Upload inválido: ${error.message}`;
+        res.status(status).json({ success: false, error: message });
+    });
+}
+
+// Mídia de um envio: arquivo (multipart), base64 ou URL, conferida contra o tipo do endpoint.
+// Retorna { buffer, mimetype, filename }; erros trazem o status HTTP
+async function readRequestMedia(req, kind, { url, base64 }) {
+    if (req.file) {
+        const mimetype = validateMedia(req.file.buffer, kind, req.file.mimetype);
+        return { buffer: req.file.buffer, mimetype, filename: req.file.originalname || null };
+    }
+    if (base64) {
+        const buffer = Buffer.from(base64, 'base64');
+        return { buffer, mimetype: validateMedia(buffer, kind), filename: null };
+    }
+    return mediaFetcher.fetchMedia(url, { kind });
+}
+
+// Lê a mídia e enfileira; falhas na mídia respondem com o status do erro (via handler de erros)
+async function queueMediaSend(req, res, { kind, url, base64, jid, payload, successMessage }) {
+    const media = await readRequestMedia(req, kind, { url, base64 });
+
+    await queueSend(req, res, {
+        type: kind,
+        jid,
+        payload: typeof payload === 'function' ? payload(media) : payload,
+        mediaBuffer: media.buffer,
+        successMessage
+    });
+}
+
+function canTranscode() {
+    return MEDIA_TRANSCODE && transcode.isAvailable();
+}
+
+// Áudio: nota de voz Opus (ptt) ou áudio comum em MP3, com duração e forma de onda
+async function buildAudioContent(buffer, ptt) {
+    if (!canTranscode()) {
+        return { audio: buffer, mimetype: 'audio/ogg; codecs=opus', ptt };
+    }
+
+    if (ptt) {
+        const voice = await transcode.toVoiceNote(buffer);
+        return { 
+            audio: voice.buffer, 
+            mimetype: voice.mimetype, 
+            ptt: true, 
+            seconds: voice.seconds, 
+            waveform: voice.waveform 
+        };
+    }
+
+    const audio = await transcode.toAudio(buffer);
+    return { audio: audio.buffer, mimetype: audio.mimetype, ptt: false, seconds: audio.seconds };
+}
+
+// Vídeo: H.264/AAC dentro do limite de tamanho, com miniatura
+async function buildVideoContent(buffer, caption) {
+    if (!canTranscode()) {
+        return { video: buffer, caption };
+    }
+
+    const video = await transcode.toVideo(buffer, { maxBytes: VIDEO_MAX_BYTES });
+    return {
+        video: video.buffer,
+        caption,
+        mimetype: video.mimetype,
+        seconds: video.seconds,
+        width: video.width,
+        height: video.height,
+        jpegThumbnail: video.jpegThumbnail
+    };
+}
 
-        if (cleaned > 0) {
-            log(`Limpeza de mídia: ${cleaned} arquivos removidos`);
+// Imagem: a miniatura é opcional, uma falha nela não impede o envio
+async function buildImageContent(buffer, caption) {
+    const content = { image: buffer, caption };
+    if (canTranscode()) {
+        try {
+            content.jpegThumbnail = await transcode.imageThumbnail(buffer);
+        } catch (error) {
+            log('Erro ao gerar miniatura:', error.message, 'error');
         }
-    } catch (error) {
-        log('Erro na limpeza de mídia:', error.message);
     }
+    return content;
+}
+
+// Mensagem gravada no histórico de uma sessão (para respostas, reações...)
+function findStoredMessage(sessionId, id) {
+    const session = sessions.get(sessionId);
+    return session ? session.messageStore.get(id) : null;
+}
+
+// Monta o conteúdo do sock.sendMessage para um job da fila
+async function buildOutboundMessage(job) {
+    const { payload } = job;
+
+    if (RICH_TYPES.includes(job.type)) {
+        return buildRichContent(job, { findMessage: id => findStoredMessage(job.sessionId, id) });
+    }
+
+    switch (job.type) {
+        case 'image':
+            return { content: await buildImageContent(await loadJobMedia(job), payload.caption) };
+        case 'audio':
+            return { content: await buildAudioContent(await loadJobMedia(job), payload.ptt !== false) };
+        case 'video':
+            return { content: await buildVideoContent(await loadJobMedia(job), payload.caption) };
+        case 'document':
+            return { 
+                content: { 
+                    document: await loadJobMedia(job), 
+                    fileName: payload.filename,
+                    mimetype: payload.mimetype
+                } 
+            };
+        default:
+            throw permanentError(`Tipo de envio desconhecido: ${job.type}`);
+    }
+}
+
+// Erro de parseRichMessage: mensagem citada/alvo ausente (404) ou corpo inválido (400)
+function richMessageError(parsed) {
+    return parsed.status === 404
+        ? apiError(404, 'MESSAGE_NOT_FOUND', parsed.error)
+        : apiError(400, 'VALIDATION_ERROR', parsed.error);
+}
+
+// Tipos de envio que não passam por "digitando..." (alteram uma mensagem existente)
+const NO_TYPING_TYPES = ['reaction', 'edit', 'delete'];
+
+// "digitando..." para texto e legendas, "gravando áudio..." para áudio
+function resolveTyping(type, payload, value) {
+    if (NO_TYPING_TYPES.includes(type)) return { typing: null };
+
+    const { ms, error } = parseTypingOption(value, payload.text || payload.caption || payload.name || '', TYPING_OPTIONS);
+    if (error) return { error };
+    return { typing: ms > 0 ? { ms, state: type === 'audio' ? 'recording' : 'composing' } : null };
+}
+
+// Enfileira um envio e, se a sessão estiver conectada, aguarda a entrega
+// para responder como antes (200). Agendados ou desconectados recebem 202.
+// typing: true (duração proporcional ao texto) ou milissegundos de "digitando..."
+// Erros de validação e internos seguem para o handler de erros
+async function queueSend(req, res, { type, jid, payload, mediaBuffer = null, successMessage }) {
+    const session = req.waSession;
+    const { sendAt: sendAtInput, wait } = req.body;
+
+    const invalid = phoneNumbers.normalize(jid).error;
+    if (invalid) {
+        throw apiError(400, 'INVALID_PHONE', invalid);
+    }
+
+    const sendAt = parseTime(sendAtInput);
+    if (sendAtInput !== undefined && sendAtInput !== null && sendAt === null) {
+        throw apiError(400, 'VALIDATION_ERROR', 'sendAt inválido (use data ISO ou timestamp unix)');
+    }
+
+    const { typing, error: typingError } = resolveTyping(type, payload, req.body.typing);
+    if (typingError) {
+        throw apiError(400, 'VALIDATION_ERROR', typingError);
+    }
+
+    const queued = sendQueue.enqueue({
+        sessionId: session.id,
+        type,
+        jid,
+        payload,
+        mediaBuffer,
+        sendAt: sendAt ? sendAt * 1000 : null,
+        typing
+    });
+
+    // Em multipart os campos chegam como texto
+    const shouldWait = wait !== false && wait !== 'false' && queued.status === 'queued' && session.isConnected();
+    const job = shouldWait ? await sendQueue.waitFor(queued.id, SEND_WAIT_TIMEOUT) : queued;
+
+    if (job.status === 'sent') {
+        return res.json({ 
+            success: true, 
+            message: successMessage,
+            to: jid,
+            messageId: job.messageId,
+            jobId: job.id
+        });
+    }
+
+    // Falha do WhatsApp na entrega: a mensagem do erro vai para o cliente
+    if (job.status === 'failed') {
+        return res.status(500).json({ 
+            success: false, 
+            error: job.error,
+            code: 'SEND_FAILED',
+            jobId: job.id
+        });
+    }
+
+    res.status(202).json({
+        success: true,
+        queued: true,
+        message: job.status === 'scheduled' ? 'Envio agendado' : 'Envio enfileirado',
+        to: jid,
+        jobId: job.id,
+        status: job.status,
+        sendAt: job.sendAt
+    });
 }
 
-// Limpeza diária de mídia antiga
-setInterval(cleanOldMedia, 24 * 60 * 60 * 1000);
+// Limpeza diária de mídia e mensagens antigas
+setInterval(() => {
+    mediaStorage.cleanup();
+    sessions.list().forEach(session => session.messageStore.prune());
+}, 24 * 60 * 60 * 1000);
 
 // =============================================================
 // KEEP-ALIVE (ANTI-HIBERNAÇÃO)
@@ -192,144 +782,20 @@ function startKeepAlive() {
         client.get(url, (res) => {
             log(`Keep-alive: status ${res.statusCode}`);
         }).on('error', (err) => {
-            log('Keep-alive erro:', err.message);
+            log('Keep-alive erro:', err.message, 'error');
         });
     }, KEEPALIVE_INTERVAL);
 }
 
-// =============================================================
-// CONEXÃO WHATSAPP
-// =============================================================
-
-async function connectWhatsApp() {
-    try {
-        log('Iniciando conexão WhatsApp...');
-        
-        const { state, saveCreds } = await useMultiFileAuthState(AUTH_FOLDER);
-        const { version } = await fetchLatestBaileysVersion();
-
-        sock = makeWASocket({
-            version,
-            auth: {
-                creds: state.creds,
-                keys: makeCacheableSignalKeyStore(state.keys, logger)
-            },
-            printQRInTerminal: true,
-            logger,
-            browser: ['VoxyAI CRM', 'Chrome', '120.0.0'],
-            connectTimeoutMs: 60000,
-            defaultQueryTimeoutMs: 60000,
-            keepAliveIntervalMs: 30000,
-            retryRequestDelayMs: 500
-        });
-
-        // Evento de atualização de conexão
-        sock.ev.on('connection.update', async (update) => {
-            const { connection, lastDisconnect, qr } = update;
-
-            if (qr) {
-                qrCode = qr;
-                qrDataUrl = await QRCode.toDataURL(qr);
-                connectionStatus = 'waiting_qr';
-                log('Novo QR Code gerado');
-            }
-
-            if (connection === 'open') {
-                connectionStatus = 'connected';
-                lastConnectionTime = new Date();
-                reconnectAttempts = 0;
-                qrCode = null;
-                qrDataUrl = null;
-                log('WhatsApp conectado com sucesso!');
-            }
-
-            if (connection === 'close') {
-                const statusCode = lastDisconnect?.error?.output?.statusCode;
-                const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
-
-                log(`Conexão fechada. Código: ${statusCode}. Reconectar: ${shouldReconnect}`);
-                connectionStatus = 'disconnected';
-
-                if (shouldReconnect) {
-                    reconnectAttempts++;
-                    const delay = Math.min(5000 * reconnectAttempts, 60000);
-                    log(`Tentando reconectar em ${delay / 1000}s (tentativa ${reconnectAttempts})`);
-                    setTimeout(connectWhatsApp, delay);
-                } else {
-                    log('Logout manual - limpando credenciais');
-                    try {
-                        fs.rmSync(AUTH_FOLDER, { recursive: true, force: true });
-                        fs.mkdirSync(AUTH_FOLDER, { recursive: true });
-                    } catch (e) {
-                        log('Erro ao limpar credenciais:', e.message);
-                    }
-                }
-            }
-        });
-
-        // Salva credenciais
-        sock.ev.on('creds.update', saveCreds);
-
-        // Recebe mensagens
-        sock.ev.on('messages.upsert', async ({ messages: newMessages, type }) => {
-            if (type !== 'notify') return;
-
-            for (const msg of newMessages) {
-                if (!msg.message) continue;
-
-                const messageType = Object.keys(msg.message).find(key => 
-                    ['conversation', 'extendedTextMessage', 'imageMessage', 'videoMessage', 
-                     'audioMessage', 'documentMessage', 'stickerMessage'].includes(key)
-                );
-
-                if (!messageType) continue;
-
-                const isMedia = ['imageMessage', 'videoMessage', 'audioMessage', 
-                                 'documentMessage', 'stickerMessage'].includes(messageType);
-
-                let mediaInfo = null;
-                if (isMedia) {
-                    mediaInfo = await downloadAndSaveMedia(msg, messageType);
-                }
-
-                const messageData = {
-                    id: msg.key.id,
-                    from: msg.key.remoteJid,
-                    fromMe: msg.key.fromMe,
-                    timestamp: msg.messageTimestamp,
-                    type: messageType,
-                    text: msg.message.conversation || 
-                          msg.message.extendedTextMessage?.text || 
-                          msg.message[messageType]?.caption || '',
-                    media: mediaInfo,
-                    pushName: msg.pushName || '',
-                    raw: msg
-                };
-
-                messages.unshift(messageData);
-                if (messages.length > MAX_MESSAGES) {
-                    messages = messages.slice(0, MAX_MESSAGES);
-                }
-
-                log(`Nova mensagem de ${messageData.from}: ${messageData.text || '[mídia]'}`);
-            }
-        });
-
-    } catch (error) {
-        log('Erro na conexão:', error.message);
-        connectionStatus = 'error';
-        
-        reconnectAttempts++;
-        const delay = Math.min(5000 * reconnectAttempts, 60000);
-        log(`Tentando novamente em ${delay / 1000}s`);
-        setTimeout(connectWhatsApp, delay);
-    }
-}
-
 // =============================================================
 // ENDPOINTS DA API
 // =============================================================
 
+// Métricas no formato do Prometheus
+app.get('/metrics', requireScope('metrics'), (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
 // Health check
 app.get('/health', (req, res) => {
     res.json({ 
@@ -339,292 +805,1213 @@ app.get('/health', (req, res) => {
     });
 });
 
-// Status detalhado
-app.get('/status', (req, res) => {
-    const mediaFiles = fs.existsSync(MEDIA_FOLDER) ? fs.readdirSync(MEDIA_FOLDER).length : 0;
-    
-    res.json({
-        status: connectionStatus,
-        connected: connectionStatus === 'connected',
-        hasQR: !!qrCode,
-        lastConnection: lastConnectionTime,
-        reconnectAttempts,
-        messagesCount: messages.length,
-        mediaCount: mediaFiles,
-        storagePath: DATA_FOLDER,
-        version: '4.0.0',
-        uptime: process.uptime()
+// Descrição OpenAPI 3.1 da API, montada das rotas registradas (pública, como /health)
+let openApiDocument = null;
+app.get('/openapi.json', (req, res) => {
+    openApiDocument = openApiDocument || buildOpenApiDocument({
+        app,
+        sessionRouter: sessionRoutes,
+        serverUrl: SELF_URL,
+        info: {
+            title: 'Servidor WhatsApp VoxyAI',
+            version: APP_VERSION,
+            description: 'As rotas sem prefixo usam a sessão padrão; as mesmas rotas existem em /sessions/{sessionId}. ' +
+                'Erros respondem { success: false, error, code }. Envios aceitam Idempotency-Key.'
+        }
     });
+    res.json(openApiDocument);
 });
 
-// QR Code
-app.get('/qr', (req, res) => {
-    if (connectionStatus === 'connected') {
-        return res.json({ 
+// Página para conectar o número (QR ou código de pareamento); a API key é informada na própria página
+app.get('/connect', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'connect.html'));
+});
+
+// Console de administração; como em /connect, a página é pública e as chamadas usam a API key informada nela
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+// Webhooks cadastrados
+app.get('/webhooks', requireGlobalAdmin, (req, res) => {
+    res.json({ success: true, webhooks: webhooks.listEndpoints() });
+});
+
+// Cadastrar webhook
+app.post('/webhooks', requireGlobalAdmin, (req, res) => {
+    const { url, events, secret } = req.body;
+
+    if (!url || !/^https?:\/\//.test(url)) {
+        return res.status(400).json({ 
             success: false, 
-            message: 'Já conectado',
-            connected: true 
+            error: 'url é obrigatória (http ou https)' 
         });
     }
 
-    if (!qrDataUrl) {
-        return res.json({ 
+    if (events !== undefined && !Array.isArray(events)) {
+        return res.status(400).json({ 
             success: false, 
-            message: 'QR Code ainda não disponível. Aguarde...',
-            status: connectionStatus
+            error: 'events deve ser uma lista' 
         });
     }
 
-    res.json({ 
-        success: true, 
-        qr: qrDataUrl,
-        status: connectionStatus
-    });
+    const webhook = webhooks.addEndpoint({ url, events, secret });
+
+    // O segredo só é exibido no cadastro
+    res.status(201).json({ success: true, webhook });
 });
 
-// Listar mensagens
-app.get('/messages', (req, res) => {
+// Remover webhook
+app.delete('/webhooks/:id', requireGlobalAdmin, (req, res) => {
+    if (!webhooks.removeEndpoint(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Webhook não encontrado' });
+    }
+    res.json({ success: true, message: 'Webhook removido' });
+});
+
+// Histórico de entregas
+app.get('/webhooks/deliveries', requireGlobalAdmin, (req, res) => {
     const limit = parseInt(req.query.limit) || 50;
-    const offset = parseInt(req.query.offset) || 0;
-    
-    res.json({
-        success: true,
-        messages: messages.slice(offset, offset + limit),
-        total: messages.length
+    const deliveries = webhooks.listDeliveries({
+        status: req.query.status,
+        event: req.query.event,
+        webhookId: req.query.webhookId,
+        limit
     });
-});
 
-// Enviar mensagem de texto
-app.post('/send', async (req, res) => {
-    try {
-        const { phone, message } = req.body;
+    res.json({ success: true, deliveries });
+});
 
-        if (!phone || !message) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'phone e message são obrigatórios' 
-            });
-        }
+// Detalhe de uma entrega
+app.get('/webhooks/deliveries/:id', requireGlobalAdmin, (req, res) => {
+    const delivery = webhooks.getDelivery(req.params.id);
+    if (!delivery) {
+        return res.status(404).json({ success: false, error: 'Entrega não encontrada' });
+    }
+    res.json({ success: true, delivery });
+});
 
-        if (connectionStatus !== 'connected' || !sock) {
-            return res.status(503).json({ 
-                success: false, 
-                error: 'WhatsApp não conectado',
-                status: connectionStatus
-            });
-        }
+// Reenviar entrega
+app.post('/webhooks/deliveries/:id/replay', requireGlobalAdmin, (req, res) => {
+    const delivery = webhooks.replay(req.params.id);
+    if (!delivery) {
+        return res.status(404).json({ success: false, error: 'Entrega não encontrada' });
+    }
+    res.json({ success: true, delivery });
+});
 
-        const jid = formatPhone(phone);
-        await sock.sendMessage(jid, { text: message });
+// API keys cadastradas
+app.get('/api-keys', requireKeyAdmin, (req, res) => {
+    res.json({ success: true, keys: apiKeys.list(), scopes: SCOPES });
+});
 
-        log(`Mensagem enviada para ${jid}: ${message.substring(0, 50)}...`);
+// Criar API key
+app.post('/api-keys', requireKeyAdmin, (req, res) => {
+    const { name, scopes, sessions: allowedSessions } = req.body;
 
-        res.json({ 
-            success: true, 
-            message: 'Mensagem enviada',
-            to: jid
-        });
-    } catch (error) {
-        log('Erro ao enviar:', error.message);
-        res.status(500).json({ 
+    if (!Array.isArray(scopes) || scopes.length === 0 || 
+        !scopes.every(scope => scope === '*' || SCOPES.includes(scope))) {
+        return res.status(400).json({ 
             success: false, 
-            error: error.message 
+            error: `scopes é obrigatório (valores: *, ${SCOPES.join(', ')})` 
         });
     }
-});
 
-// Enviar imagem
-app.post('/send-image', async (req, res) => {
-    try {
-        const { phone, imageUrl, imageBase64, caption } = req.body;
-
-        if (!phone || (!imageUrl && !imageBase64)) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'phone e (imageUrl ou imageBase64) são obrigatórios' 
-            });
-        }
+    if (allowedSessions !== undefined && !Array.isArray(allowedSessions)) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'sessions deve ser uma lista' 
+        });
+    }
 
-        if (connectionStatus !== 'connected' || !sock) {
-            return res.status(503).json({ 
-                success: false, 
-                error: 'WhatsApp não conectado' 
-            });
-        }
+    const apiKey = apiKeys.create({ name, scopes, sessions: allowedSessions });
 
-        const jid = formatPhone(phone);
-        let imageBuffer;
+    // A chave em texto só é exibida na criação
+    res.status(201).json({ success: true, apiKey });
+});
 
-        if (imageBase64) {
-            imageBuffer = Buffer.from(imageBase64, 'base64');
-        } else {
-            const response = await fetch(imageUrl);
-            imageBuffer = Buffer.from(await response.arrayBuffer());
-        }
+// Remover API key
+app.delete('/api-keys/:id', requireKeyAdmin, (req, res) => {
+    if (!apiKeys.remove(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'API key não encontrada' });
+    }
+    res.json({ success: true, message: 'API key removida' });
+});
 
-        await sock.sendMessage(jid, { 
-            image: imageBuffer, 
-            caption: caption || '' 
-        });
+// Regras de resposta automática
+app.get('/rules', requireGlobalAdmin, (req, res) => {
+    res.json({ success: true, rules: rules.list() });
+});
 
-        log(`Imagem enviada para ${jid}`);
-        res.json({ success: true, message: 'Imagem enviada' });
-    } catch (error) {
-        log('Erro ao enviar imagem:', error.message);
-        res.status(500).json({ success: false, error: error.message });
+// Criar regra
+app.post('/rules', requireGlobalAdmin, (req, res) => {
+    const error = validateRule(req.body, formatPhone, { canForward: !!WEBHOOK_SECRET });
+    if (error) {
+        return res.status(400).json({ success: false, error });
     }
+
+    const rule = rules.create(req.body);
+    res.status(201).json({ success: true, rule });
 });
 
-// Enviar áudio
-app.post('/send-audio', async (req, res) => {
-    try {
-        const { phone, audioUrl, audioBase64 } = req.body;
+// Testar quais regras seriam acionadas por uma mensagem (não envia nada)
+app.post('/rules/test', requireGlobalAdmin, (req, res) => {
+    const { text = '', phone, sessionId = DEFAULT_SESSION, type = 'conversation', group = false } = req.body;
 
-        if (!phone || (!audioUrl && !audioBase64)) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'phone e (audioUrl ou audioBase64) são obrigatórios' 
-            });
-        }
+    if (!phone) {
+        return res.status(400).json({ success: false, error: 'phone é obrigatório' });
+    }
 
-        if (connectionStatus !== 'connected' || !sock) {
-            return res.status(503).json({ 
-                success: false, 
-                error: 'WhatsApp não conectado' 
-            });
-        }
+    const sender = formatPhone(phone);
+    const matched = rules.test({
+        sessionId,
+        from: group ? '000000000000000000@g.us' : sender,
+        sender,
+        type,
+        text
+    });
 
-        const jid = formatPhone(phone);
-        let audioBuffer;
+    res.json({ success: true, matched: matched.map(rule => ({ id: rule.id, name: rule.name, actions: rule.actions })) });
+});
 
-        if (audioBase64) {
-            audioBuffer = Buffer.from(audioBase64, 'base64');
-        } else {
-            const response = await fetch(audioUrl);
-            audioBuffer = Buffer.from(await response.arrayBuffer());
-        }
+// Detalhe de uma regra
+app.get('/rules/:id', requireGlobalAdmin, (req, res) => {
+    const rule = rules.get(req.params.id);
+    if (!rule) {
+        return res.status(404).json({ success: false, error: 'Regra não encontrada' });
+    }
+    res.json({ success: true, rule });
+});
 
-        await sock.sendMessage(jid, { 
-            audio: audioBuffer, 
-            mimetype: 'audio/ogg; codecs=opus',
-            ptt: true
-        });
+// Atualizar regra (substitui a definição completa)
+app.put('/rules/:id', requireGlobalAdmin, (req, res) => {
+    if (!rules.get(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Regra não encontrada' });
+    }
 
-        log(`Áudio enviado para ${jid}`);
-        res.json({ success: true, message: 'Áudio enviado' });
-    } catch (error) {
-        log('Erro ao enviar áudio:', error.message);
-        res.status(500).json({ success: false, error: error.message });
+    const error = validateRule(req.body, formatPhone, { canForward: !!WEBHOOK_SECRET });
+    if (error) {
+        return res.status(400).json({ success: false, error });
     }
+
+    res.json({ success: true, rule: rules.update(req.params.id, req.body) });
 });
 
-// Enviar vídeo
-app.post('/send-video', async (req, res) => {
-    try {
-        const { phone, videoUrl, videoBase64, caption } = req.body;
+// Remover regra
+app.delete('/rules/:id', requireGlobalAdmin, (req, res) => {
+    if (!rules.remove(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Regra não encontrada' });
+    }
+    res.json({ success: true, message: 'Regra removida' });
+});
 
-        if (!phone || (!videoUrl && !videoBase64)) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'phone e (videoUrl ou videoBase64) são obrigatórios' 
-            });
-        }
+// Listar sessões
+app.get('/sessions', requireScope(), (req, res) => {
+    res.json({ 
+        success: true, 
+        sessions: sessions.list()
+            .filter(session => apiKeys.canAccessSession(req.apiKey, session.id))
+            .map(session => session.getStatus()) 
+    });
+});
 
-        if (connectionStatus !== 'connected' || !sock) {
-            return res.status(503).json({ 
-                success: false, 
-                error: 'WhatsApp não conectado' 
-            });
-        }
+// Criar sessão
+app.post('/sessions', requireGlobalAdmin, (req, res) => {
+    const { id } = req.body;
 
-        const jid = formatPhone(phone);
-        let videoBuffer;
+    if (!sessions.isValidId(id)) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'id é obrigatório (letras, números, _ ou -, até 64 caracteres)' 
+        });
+    }
 
-        if (videoBase64) {
-            videoBuffer = Buffer.from(videoBase64, 'base64');
-        } else {
-            const response = await fetch(videoUrl);
-            videoBuffer = Buffer.from(await response.arrayBuffer());
-        }
+    if (sessions.get(id)) {
+        return res.status(409).json({ success: false, error: 'Sessão já existe' });
+    }
 
-        await sock.sendMessage(jid, { 
-            video: videoBuffer, 
-            caption: caption || '' 
-        });
+    const session = sessions.create(id);
+    res.status(201).json({ success: true, session: session.getStatus() });
+});
 
-        log(`Vídeo enviado para ${jid}`);
-        res.json({ success: true, message: 'Vídeo enviado' });
-    } catch (error) {
-        log('Erro ao enviar vídeo:', error.message);
-        res.status(500).json({ success: false, error: error.message });
+// Detalhe de uma sessão
+app.get('/sessions/:sessionId', requireScope(), (req, res) => {
+    const session = sessions.get(req.params.sessionId);
+    if (!session || !apiKeys.canAccessSession(req.apiKey, session.id)) {
+        return res.status(404).json({ success: false, error: 'Sessão não encontrada' });
     }
+    res.json({ success: true, session: session.getStatus() });
 });
 
-// Enviar documento
-app.post('/send-document', async (req, res) => {
-    try {
-        const { phone, documentUrl, documentBase64, filename, mimetype } = req.body;
+// Remover sessão (desconecta o número e apaga credenciais e histórico)
+app.delete('/sessions/:sessionId', requireGlobalAdmin, asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
 
-        if (!phone || (!documentUrl && !documentBase64)) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'phone e (documentUrl ou documentBase64) são obrigatórios' 
-            });
-        }
+    if (sessionId === DEFAULT_SESSION) {
+        throw apiError(400, 'VALIDATION_ERROR', 'A sessão default não pode ser removida. Use /logout.');
+    }
 
-        if (connectionStatus !== 'connected' || !sock) {
-            return res.status(503).json({ 
-                success: false, 
-                error: 'WhatsApp não conectado' 
-            });
+    if (!await sessions.remove(sessionId)) {
+        throw apiError(404, 'SESSION_NOT_FOUND', 'Sessão não encontrada');
+    }
+    res.json({ success: true, message: 'Sessão removida' });
+}));
+
+// =============================================================
+// ENDPOINTS POR SESSÃO
+// =============================================================
+// Disponíveis em /sessions/:sessionId/... e, para a sessão default,
+// também nos caminhos originais (/send, /qr, /status...).
+
+const sessionRoutes = express.Router({ mergeParams: true });
+
+// Status detalhado
+sessionRoutes.get('/status', requireScope(), (req, res) => {
+    const session = req.waSession;
+    const media = mediaStorage.stats();
+
+    res.json({
+        ...session.getStatus(),
+        queuePending: sendQueue.pendingCount(session.id),
+        mediaCount: media.count,
+        mediaBytes: media.bytes,
+        mediaQuotaBytes: media.quotaBytes,
+        mediaStorage: media.backend,
+        storagePath: DATA_FOLDER,
+        version: '4.0.0',
+        uptime: process.uptime()
+    });
+});
+
+// QR Code
+sessionRoutes.get('/qr', requireScope('admin'), (req, res) => {
+    const session = req.waSession;
+
+    if (session.isConnected()) {
+        return res.json({ 
+            success: false, 
+            message: 'Já conectado',
+            connected: true 
+        });
+    }
+
+    if (!session.qrDataUrl) {
+        return res.json({ 
+            success: false, 
+            message: 'QR Code ainda não disponível. Aguarde...',
+            status: session.status,
+            pairing: session.pairing
+        });
+    }
+
+    res.json({ 
+        success: true, 
+        qr: session.qrDataUrl,
+        status: session.status,
+        pairing: session.pairing
+    });
+});
+
+// Histórico de conexão em memória (conexões, quedas com o motivo, reconexões e logouts), mais recentes primeiro
+sessionRoutes.get('/connection-history', requireScope(), (req, res) => {
+    res.json({ success: true, history: req.waSession.getHistory() });
+});
+
+// Código de pareamento: alternativa ao QR para conectar pelo número
+sessionRoutes.post('/pairing-code', requireScope('admin'), asyncHandler(async (req, res) => {
+    const session = req.waSession;
+    const digits = String(req.body.phone || '').replace(/\D/g, '');
+
+    if (digits.length < 10 || digits.length > 15) {
+        throw apiError(400, 'VALIDATION_ERROR', 'phone é obrigatório (com DDI, ex.: 5511999999999)');
+    }
+
+    if (session.isConnected()) {
+        throw apiError(409, 'CONFLICT', 'Já conectado', { connected: true });
+    }
+
+    if (session.sock?.authState?.creds?.registered) {
+        throw apiError(409, 'CONFLICT', 'Sessão já pareada, aguardando reconexão. Use /logout para parear outro número.');
+    }
+
+    // O código só pode ser pedido depois que o socket gerou o primeiro QR
+    if (!session.sock || !['waiting_qr', 'waiting_pairing'].includes(session.status)) {
+        throw apiError(409, 'CONFLICT', 'Conexão ainda não está pronta para parear. Aguarde alguns segundos.', { status: session.status });
+    }
+
+    const pairing = await session.requestPairingCode(digits);
+    res.json({ success: true, ...pairing, status: session.status });
+}));
+
+// Listar mensagens (filtros: chat, sender, type, fromMe, since, until, q; paginação por cursor)
+sessionRoutes.get('/messages', requireScope('messages:read'), (req, res) => {
+    const { chat, sender, type, fromMe, since, until, q, cursor, limit, offset } = req.query;
+    const result = req.waSession.messageStore.query({
+        chat: chat ? formatPhone(chat) : undefined,
+        sender: sender ? formatPhone(sender) : undefined,
+        type,
+        fromMe,
+        since,
+        until,
+        q,
+        cursor,
+        limit,
+        offset
+    });
+    
+    res.json({
+        success: true,
+        messages: withMediaUrls(result.messages),
+        total: result.total,
+        nextCursor: result.nextCursor
+    });
+});
+
+// Etiquetas aplicadas às conversas pelas regras (filtro opcional: jid=)
+sessionRoutes.get('/tags', requireScope('messages:read'), (req, res) => {
+    const { jid } = req.query;
+    const sessionId = req.waSession.id;
+
+    if (jid) {
+        const chat = formatPhone(jid);
+        return res.json({ success: true, jid: chat, tags: rules.getTags(sessionId, chat) });
+    }
+    res.json({ success: true, tags: rules.getTags(sessionId) });
+});
+
+// Remover etiqueta de uma conversa
+sessionRoutes.delete('/tags/:jid/:tag', requireScope('admin'), (req, res) => {
+    if (!rules.removeTag(req.waSession.id, formatPhone(req.params.jid), req.params.tag)) {
+        return res.status(404).json({ success: false, error: 'Etiqueta não encontrada' });
+    }
+    res.json({ success: true, message: 'Etiqueta removida' });
+});
+
+// Stream de eventos (SSE). Filtros: types=message.*,connection.qr e jid=
+sessionRoutes.get('/events', requireScope('messages:read'), (req, res) => {
+    const { types, jid } = req.query;
+
+    eventStream.subscribe(req, res, {
+        sessionId: req.waSession.id,
+        admin: apiKeys.allows(req, 'admin'),
+        types: types ? types.split(',').map(type => type.trim()).filter(Boolean) : null,
+        jid: jid ? formatPhone(jid) : null
+    });
+});
+
+// Status de entrega de uma mensagem enviada
+sessionRoutes.get('/messages/:id/status', requireScope('messages:read'), (req, res) => {
+    const message = req.waSession.messageStore.get(req.params.id);
+
+    if (!message || !message.fromMe) {
+        return res.status(404).json({ success: false, error: 'Mensagem enviada não encontrada' });
+    }
+
+    res.json({
+        success: true,
+        messageId: message.id,
+        to: message.from,
+        status: message.status || null,
+        statusHistory: message.statusHistory || [],
+        receipts: message.receipts || {}
+    });
+});
+
+// Verifica quais números têm WhatsApp e devolve o JID canônico (refresh=true ignora o cache)
+sessionRoutes.post('/check-numbers', requireScope('send'), requireConnection, asyncHandler(async (req, res) => {
+    const { phones, refresh } = req.body;
+
+    if (!Array.isArray(phones) || phones.length === 0 || phones.length > 500) {
+        throw apiError(400, 'VALIDATION_ERROR', 'phones é obrigatório (lista de 1 a 500 números)');
+    }
+
+    const results = await phoneNumbers.check(req.waSession.sock, phones, { refresh: refresh === true });
+    res.json({ success: true, results });
+}));
+
+// Conversas (filtros: q, archived, unread=true, type=group|private), mais recentes primeiro
+sessionRoutes.get('/chats', requireScope('messages:read'), (req, res) => {
+    const { q, archived, unread, type, limit, offset } = req.query;
+    const sessionId = req.waSession.id;
+    const result = req.waSession.directory.listChats({ q, archived, unread, type, limit, offset });
+
+    res.json({
+        success: true,
+        chats: result.chats.map(chat => ({ ...chat, tags: rules.getTags(sessionId, chat.jid) })),
+        total: result.total
+    });
+});
+
+// Detalhe de uma conversa
+sessionRoutes.get('/chats/:jid', requireScope('messages:read'), (req, res) => {
+    const jid = formatPhone(req.params.jid);
+    const chat = req.waSession.directory.getChat(jid);
+
+    if (!chat) {
+        return res.status(404).json({ success: false, error: 'Conversa não encontrada' });
+    }
+    res.json({ success: true, chat: { ...chat, tags: rules.getTags(req.waSession.id, jid) } });
+});
+
+// Mensagens de uma conversa (mesmos filtros e paginação de /messages)
+sessionRoutes.get('/chats/:jid/messages', requireScope('messages:read'), (req, res) => {
+    const { sender, type, fromMe, since, until, q, cursor, limit, offset } = req.query;
+    const result = req.waSession.messageStore.query({
+        chat: formatPhone(req.params.jid),
+        sender: sender ? formatPhone(sender) : undefined,
+        type,
+        fromMe,
+        since,
+        until,
+        q,
+        cursor,
+        limit,
+        offset
+    });
+
+    res.json({
+        success: true,
+        messages: withMediaUrls(result.messages),
+        total: result.total,
+        nextCursor: result.nextCursor
+    });
+});
+
+// Marcar como lida (tique azul): as não lidas da conversa ou só messageIds
+sessionRoutes.post('/chats/:jid/read', requireScope('send'), requireConnection, asyncHandler(async (req, res) => {
+    const jid = formatPhone(req.params.jid);
+    const { messageIds } = req.body;
+
+    if (messageIds !== undefined && (!Array.isArray(messageIds) || messageIds.length === 0)) {
+        throw apiError(400, 'VALIDATION_ERROR', 'messageIds deve ser uma lista de ids');
+    }
+
+    const read = await req.waSession.markRead(jid, messageIds || null);
+    res.json({
+        success: true,
+        jid,
+        read,
+        unreadCount: req.waSession.directory.getChat(jid)?.unreadCount || 0
+    });
+}));
+
+// "digitando..." ou "gravando áudio..." na conversa: state composing, recording ou paused.
+// Com duration (ms) volta sozinho para paused
+sessionRoutes.post('/chats/:jid/presence', requireScope('send'), requireConnection, asyncHandler(async (req, res) => {
+    const jid = formatPhone(req.params.jid);
+    const { state, duration } = req.body;
+
+    if (!CHAT_STATES.includes(state)) {
+        throw apiError(400, 'VALIDATION_ERROR', `state inválido (${CHAT_STATES.join(', ')})`);
+    }
+
+    const ms = duration === undefined || duration === null ? 0 : Number(duration);
+    if (!Number.isFinite(ms) || ms < 0) {
+        throw apiError(400, 'VALIDATION_ERROR', 'duration inválida (milissegundos)');
+    }
+    const timed = state !== 'paused' && ms > 0 ? Math.min(ms, TYPING_OPTIONS.maxMs) : null;
+
+    await req.waSession.sendChatState(jid, state);
+    if (timed) {
+        setTimeout(() => req.waSession.sendChatState(jid, 'paused').catch(() => {}), timed);
+    }
+    res.json({ success: true, jid, state, duration: timed });
+}));
+
+// Exportar uma conversa (chat) e/ou um período (since, until) como transcrição:
+// format=json|csv|html|zip (zip inclui os arquivos de mídia), timezone=America/Sao_Paulo
+sessionRoutes.get('/export', requireScope('messages:read'), asyncHandler(async (req, res) => {
+    const session = req.waSession;
+    const { chat, since, until } = req.query;
+    const format = String(req.query.format || 'json').toLowerCase();
+    const timezone = req.query.timezone || EXPORT_TIMEZONE;
+    const sinceTime = parseTime(since);
+    const untilTime = parseTime(until);
+
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw apiError(400, 'VALIDATION_ERROR', `format inválido (${EXPORT_FORMATS.join(', ')})`);
+    }
+    if (!isValidTimezone(timezone)) {
+        throw apiError(400, 'VALIDATION_ERROR', 'timezone inválido (ex.: America/Sao_Paulo)');
+    }
+    if (!chat && !since && !until) {
+        throw apiError(400, 'VALIDATION_ERROR', 'Informe chat e/ou o período (since, until)');
+    }
+    if ((since && sinceTime === null) || (until && untilTime === null)) {
+        throw apiError(400, 'VALIDATION_ERROR', 'since/until inválidos (use data ISO ou timestamp unix)');
+    }
+
+    const chatJid = chat ? formatPhone(chat) : null;
+    const nameOf = jid => session.directory.getContact(jid).displayName;
+    const self = session.sock?.user || null;
+    const meta = {
+        sessionId: session.id,
+        chat: chatJid,
+        chatName: chatJid ? (nameOf(chatJid) || chatJid.split('@')[0]) : null,
+        self: self?.id || null,
+        selfName: self?.name || (self?.id ? self.id.split(/[:@]/)[0] : 'Este número'),
+        since: sinceTime,
+        until: untilTime,
+        timezone,
+        generatedAt: new Date().toISOString()
+    };
+
+    const label = chatJid ? chatJid.split('@')[0] : session.id;
+    res.set('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.attachment(`conversa-${label}-${meta.generatedAt.slice(0, 10)}.${format}`);
+
+    try {
+        const total = await exportTranscript(res, {
+            format,
+            source: () => session.messageStore.iterate({ chat: chatJid, since: sinceTime, until: untilTime }),
+            meta,
+            nameOf,
+            mediaStorage
+        });
+        res.end();
+        req.log(`[${session.id}] Conversa exportada: ${chatJid || 'todas'} (${format}, ${total} mensagens)`);
+    } catch (error) {
+        // Falha antes do primeiro byte: a resposta de erro volta a ser JSON (o errorHandler corta as já iniciadas)
+        if (!res.headersSent) {
+            res.removeHeader('Content-Type');
+            res.removeHeader('Content-Disposition');
         }
+        throw error;
+    }
+}));
+
+// Contatos (filtro: q por nome ou número)
+sessionRoutes.get('/contacts', requireScope('messages:read'), (req, res) => {
+    const { q, limit, offset } = req.query;
+    const result = req.waSession.directory.listContacts({ q, limit, offset });
+    res.json({ success: true, contacts: result.contacts, total: result.total });
+});
+
+// Foto de perfil e recado (cache de 24h; refresh=true força nova busca)
+sessionRoutes.get('/contacts/:jid/profile', requireScope('messages:read'), requireConnection, asyncHandler(async (req, res) => {
+    const jid = formatPhone(req.params.jid);
+
+    const profile = await req.waSession.directory.getProfile(req.waSession.sock, jid, {
+        refresh: req.query.refresh === 'true'
+    });
+    res.json({ success: true, contact: req.waSession.directory.getContact(jid), profile });
+}));
+
+// Presença da conta: available (online) ou unavailable (offline)
+sessionRoutes.post('/presence', requireScope('send'), requireConnection, asyncHandler(async (req, res) => {
+    const { presence } = req.body;
+
+    if (!OWN_PRESENCES.includes(presence)) {
+        throw apiError(400, 'VALIDATION_ERROR', `presence inválida (${OWN_PRESENCES.join(', ')})`);
+    }
 
-        const jid = formatPhone(phone);
-        let docBuffer;
+    await req.waSession.setPresence(presence);
+    res.json({ success: true, presence });
+}));
+
+// Presença dos contatos assinados ou já vistos (online, digitando, visto por último)
+sessionRoutes.get('/presence', requireScope('messages:read'), (req, res) => {
+    res.json({ success: true, ownPresence: req.waSession.ownPresence, contacts: req.waSession.presence.list() });
+});
 
-        if (documentBase64) {
-            docBuffer = Buffer.from(documentBase64, 'base64');
-        } else {
-            const response = await fetch(documentUrl);
-            docBuffer = Buffer.from(await response.arrayBuffer());
+sessionRoutes.get('/presence/:jid', requireScope('messages:read'), (req, res) => {
+    const presence = req.waSession.presence.get(formatPhone(req.params.jid));
+
+    if (!presence) {
+        return res.status(404).json({ success: false, error: 'Presença desconhecida: assine o contato em /presence/subscribe' });
+    }
+    res.json({ success: true, presence });
+});
+
+// Assina a presença de contatos (phones); as mudanças chegam no evento presence.update
+sessionRoutes.post('/presence/subscribe', requireScope('messages:read'), requireConnection, asyncHandler(async (req, res) => {
+    const phones = Array.isArray(req.body.phones) ? req.body.phones : [req.body.phone].filter(Boolean);
+
+    if (phones.length === 0) {
+        throw apiError(400, 'VALIDATION_ERROR', 'phones (lista) ou phone é obrigatório');
+    }
+
+    const jids = [];
+    for (const phone of phones) {
+        const normalized = phoneNumbers.normalize(phone);
+        if (normalized.error) {
+            throw apiError(400, 'INVALID_PHONE', `${phone}: ${normalized.error}`);
         }
+        jids.push(normalized.jid);
+    }
+
+    for (const jid of jids) {
+        await req.waSession.subscribePresence(jid);
+    }
+    res.json({ success: true, subscribed: jids });
+}));
+
+// Middlewares comuns dos envios: escopo, (upload,) schema do corpo e Idempotency-Key
+const sendRoute = (schema, { upload = false } = {}) => [
+    requireScope('send'),
+    ...(upload ? [acceptUpload] : []),
+    validateBody(schema),
+    idempotency.middleware
+];
+
+// Enviar mensagem de texto (opcional: quotedId para responder, mentions)
+sessionRoutes.post('/send', sendRoute(schemas.send), asyncHandler(async (req, res) => {
+    const { phone, message, quotedId, mentions } = req.body;
+
+    const parsed = parseRichMessage({ type: 'text', phone, text: message, quotedId, mentions }, {
+        toJid: formatPhone,
+        findMessage: id => req.waSession.messageStore.get(id)
+    });
+
+    if (parsed.error) {
+        throw richMessageError(parsed);
+    }
+
+    await queueSend(req, res, {
+        type: 'text',
+        jid: parsed.jid,
+        payload: parsed.payload,
+        successMessage: 'Mensagem enviada'
+    });
+}));
+
+// Envio tipado: text, reaction, edit, delete, location, contact, poll
+sessionRoutes.post('/messages/send', sendRoute(schemas.messagesSend), asyncHandler(async (req, res) => {
+    const parsed = parseRichMessage(req.body, {
+        toJid: formatPhone,
+        findMessage: id => req.waSession.messageStore.get(id)
+    });
+
+    if (parsed.error) {
+        throw richMessageError(parsed);
+    }
+
+    await queueSend(req, res, {
+        type: parsed.type,
+        jid: parsed.jid,
+        payload: parsed.payload,
+        successMessage: 'Mensagem enviada'
+    });
+}));
+
+// Enviar imagem (imageUrl, imageBase64 ou arquivo multipart no campo "file")
+sessionRoutes.post('/send-image', sendRoute(schemas.sendImage, { upload: true }), asyncHandler(async (req, res) => {
+    const { phone, imageUrl, imageBase64, caption } = req.body;
+
+    await queueMediaSend(req, res, {
+        kind: 'image',
+        url: imageUrl,
+        base64: imageBase64,
+        jid: formatPhone(phone),
+        payload: { url: null, caption: caption || '' },
+        successMessage: 'Imagem enviada'
+    });
+}));
+
+// Enviar áudio (audioUrl, audioBase64 ou arquivo multipart no campo "file")
+sessionRoutes.post('/send-audio', sendRoute(schemas.sendAudio, { upload: true }), asyncHandler(async (req, res) => {
+    const { phone, audioUrl, audioBase64, ptt } = req.body;
+
+    await queueMediaSend(req, res, {
+        kind: 'audio',
+        url: audioUrl,
+        base64: audioBase64,
+        jid: formatPhone(phone),
+        payload: { url: null, ptt: ptt !== false && ptt !== 'false' },
+        successMessage: 'Áudio enviado'
+    });
+}));
+
+// Enviar vídeo (videoUrl, videoBase64 ou arquivo multipart no campo "file")
+sessionRoutes.post('/send-video', sendRoute(schemas.sendVideo, { upload: true }), asyncHandler(async (req, res) => {
+    const { phone, videoUrl, videoBase64, caption } = req.body;
+
+    await queueMediaSend(req, res, {
+        kind: 'video',
+        url: videoUrl,
+        base64: videoBase64,
+        jid: formatPhone(phone),
+        payload: { url: null, caption: caption || '' },
+        successMessage: 'Vídeo enviado'
+    });
+}));
+
+// Enviar documento (documentUrl, documentBase64 ou arquivo multipart no campo "file")
+sessionRoutes.post('/send-document', sendRoute(schemas.sendDocument, { upload: true }), asyncHandler(async (req, res) => {
+    const { phone, documentUrl, documentBase64, filename, mimetype } = req.body;
+
+    await queueMediaSend(req, res, {
+        kind: 'document',
+        url: documentUrl,
+        base64: documentBase64,
+        jid: formatPhone(phone),
+        // Nome e tipo informados têm prioridade sobre os do arquivo/URL
+        payload: media => ({
+            url: null,
+            filename: filename || media.filename || 'documento',
+            mimetype: mimetype || media.mimetype
+        }),
+        successMessage: 'Documento enviado'
+    });
+}));
+
+// Criar campanha: recipients (lista de { phone, ...variaveis }) ou csv (texto com cabeçalho)
+sessionRoutes.post('/campaigns', requireScope('send'), asyncHandler(async (req, res) => {
+    const { name, template, media, recipients, csv, minDelaySeconds, maxDelaySeconds, startAt: startAtInput, start } = req.body;
+
+    const list = csv !== undefined ? parseCsv(csv) : recipients;
+    if (!Array.isArray(list) || list.length === 0) {
+        throw apiError(400, 'VALIDATION_ERROR', 'recipients (lista) ou csv (com coluna phone) é obrigatório');
+    }
+
+    const invalidRow = list.findIndex(row => !row || typeof row !== 'object' || Array.isArray(row));
+    if (invalidRow !== -1) {
+        throw apiError(400, 'VALIDATION_ERROR', `recipients[${invalidRow}] deve ser um objeto ({ phone, ...variaveis })`);
+    }
+
+    if (!template && !media) {
+        throw apiError(400, 'VALIDATION_ERROR', 'template ou media é obrigatório');
+    }
+
+    if (media && (typeof media !== 'object' || !CAMPAIGN_MEDIA_TYPES.includes(media.type) || (!media.url && !media.base64))) {
+        throw apiError(400, 'VALIDATION_ERROR', `media exige type (${CAMPAIGN_MEDIA_TYPES.join(', ')}) e url ou base64`);
+    }
+
+    const startAt = parseTime(startAtInput);
+    if (startAtInput !== undefined && startAtInput !== null && startAt === null) {
+        throw apiError(400, 'VALIDATION_ERROR', 'startAt inválido (use data ISO ou timestamp unix)');
+    }
+
+    // Mídia em base64 passa pela mesma validação dos envios (e o tipo real substitui o declarado)
+    const { base64, ...mediaInfo } = media || {};
+    let mediaBuffer = null;
+    if (base64) {
+        mediaBuffer = Buffer.from(String(base64), 'base64');
+        mediaInfo.mimetype = validateMedia(mediaBuffer, media.type, media.mimetype);
+    }
+
+    const campaign = campaigns.create({
+        sessionId: req.waSession.id,
+        name,
+        template,
+        media: media ? mediaInfo : null,
+        mediaBuffer,
+        recipients: list,
+        minDelaySeconds,
+        maxDelaySeconds,
+        startAt: startAt ? startAt * 1000 : null,
+        start: start === true
+    });
+
+    res.status(201).json({ success: true, campaign });
+}));
+
+// Campanhas da sessão
+sessionRoutes.get('/campaigns', requireScope('send'), (req, res) => {
+    res.json({ success: true, campaigns: campaigns.list(req.waSession.id) });
+});
 
-        await sock.sendMessage(jid, { 
-            document: docBuffer, 
-            fileName: filename || 'documento',
-            mimetype: mimetype || 'application/octet-stream'
+// Campanha da sessão atual (404 se for de outra sessão)
+function loadCampaign(req, res, next) {
+    const campaign = campaigns.get(req.params.campaignId);
+    if (!campaign || campaign.sessionId !== req.waSession.id) {
+        return res.status(404).json({ success: false, error: 'Campanha não encontrada' });
+    }
+    req.campaign = campaign;
+    next();
+}
+
+// Detalhe (com contagem por status)
+sessionRoutes.get('/campaigns/:campaignId', requireScope('send'), loadCampaign, (req, res) => {
+    res.json({ success: true, campaign: req.campaign });
+});
+
+// Destinatários e resultado de cada um (filtro: status)
+sessionRoutes.get('/campaigns/:campaignId/recipients', requireScope('send'), loadCampaign, (req, res) => {
+    res.json({
+        success: true,
+        recipients: campaigns.recipients(req.campaign.id, { status: req.query.status })
+    });
+});
+
+// Relatório (format=csv para download)
+sessionRoutes.get('/campaigns/:campaignId/report', requireScope('send'), loadCampaign, (req, res) => {
+    if (req.query.format === 'csv') {
+        res.attachment(`campanha-${req.campaign.id}.csv`);
+        res.type('text/csv; charset=utf-8');
+        return res.send(campaigns.report(req.campaign.id, 'csv'));
+    }
+    res.json({ success: true, ...campaigns.report(req.campaign.id, 'json') });
+});
+
+// Iniciar (opcional: startAt), pausar, retomar ou cancelar
+sessionRoutes.post('/campaigns/:campaignId/:action(start|pause|resume|cancel)', requireScope('send'), loadCampaign, (req, res) => {
+    const startAt = parseTime(req.body.startAt);
+    const result = campaigns.control(req.campaign.id, req.params.action, { startAt: startAt ? startAt * 1000 : null });
+
+    if (result.error) {
+        return res.status(409).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, campaign: result.campaign });
+});
+
+// Remover campanha (rascunho, concluída ou cancelada)
+sessionRoutes.delete('/campaigns/:campaignId', requireScope('send'), loadCampaign, (req, res) => {
+    if (!campaigns.remove(req.campaign.id)) {
+        return res.status(409).json({
+            success: false,
+            error: 'Campanha em andamento: cancele antes de remover'
         });
+    }
+    res.json({ success: true, message: 'Campanha removida' });
+});
 
-        log(`Documento enviado para ${jid}`);
-        res.json({ success: true, message: 'Documento enviado' });
-    } catch (error) {
-        log('Erro ao enviar documento:', error.message);
-        res.status(500).json({ success: false, error: error.message });
+// Números descadastrados (responderam com uma das OPT_OUT_KEYWORDS)
+sessionRoutes.get('/opt-outs', requireScope('send'), (req, res) => {
+    res.json({ success: true, optOuts: campaigns.listOptOuts(req.waSession.id), keywords: OPT_OUT_KEYWORDS });
+});
+
+// Descadastrar manualmente
+sessionRoutes.post('/opt-outs', requireScope('send'), (req, res) => {
+    const { phone } = req.body;
+    const invalid = phone ? phoneNumbers.normalize(phone).error : 'phone é obrigatório';
+
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
     }
+    res.status(201).json({ success: true, optOut: campaigns.addOptOut(req.waSession.id, formatPhone(phone)) });
 });
 
+// Remover descadastro
+sessionRoutes.delete('/opt-outs/:phone', requireScope('send'), (req, res) => {
+    if (!campaigns.removeOptOut(req.waSession.id, formatPhone(req.params.phone))) {
+        return res.status(404).json({ success: false, error: 'Número não está descadastrado' });
+    }
+    res.json({ success: true, message: 'Descadastro removido' });
+});
+
+// Jobs da fila de envio
+sessionRoutes.get('/queue', requireScope('send'), (req, res) => {
+    const limit = parseInt(req.query.limit) || 50;
+    res.json({
+        success: true,
+        jobs: sendQueue.list({ sessionId: req.waSession.id, status: req.query.status, limit }),
+        pending: sendQueue.pendingCount(req.waSession.id)
+    });
+});
+
+// Status de um job
+sessionRoutes.get('/queue/:jobId', requireScope('send'), (req, res) => {
+    const job = sendQueue.get(req.params.jobId);
+    if (!job || job.sessionId !== req.waSession.id) {
+        return res.status(404).json({ success: false, error: 'Job não encontrado' });
+    }
+    res.json({ success: true, job });
+});
+
+// Cancelar job pendente ou agendado
+sessionRoutes.delete('/queue/:jobId', requireScope('send'), (req, res) => {
+    const existing = sendQueue.get(req.params.jobId);
+    if (!existing || existing.sessionId !== req.waSession.id) {
+        return res.status(404).json({ success: false, error: 'Job não encontrado' });
+    }
+
+    const { job, cancelled } = sendQueue.cancel(existing.id);
+    if (!cancelled) {
+        return res.status(409).json({ 
+            success: false, 
+            error: `Job não pode ser cancelado (status: ${job.status})`,
+            job
+        });
+    }
+    res.json({ success: true, message: 'Envio cancelado', job });
+});
+
+// Exige a sessão conectada para operações diretas no WhatsApp
+function requireConnection(req, res, next) {
+    if (!req.waSession.isConnected()) {
+        return res.status(503).json({ 
+            success: false, 
+            error: 'WhatsApp não conectado',
+            code: 'NOT_CONNECTED',
+            status: req.waSession.status
+        });
+    }
+    next();
+}
+
+// Listar grupos dos quais o número participa
+sessionRoutes.get('/groups', requireScope('groups'), requireConnection, asyncHandler(async (req, res) => {
+    const groups = await req.waSession.sock.groupFetchAllParticipating();
+    res.json({ success: true, groups: Object.values(groups).map(summarizeGroup) });
+}));
+
+// Criar grupo
+sessionRoutes.post('/groups', requireScope('groups'), requireConnection, asyncHandler(async (req, res) => {
+    const { subject, participants } = req.body;
+
+    if (!subject || !Array.isArray(participants) || participants.length === 0) {
+        throw apiError(400, 'VALIDATION_ERROR', 'subject e participants (lista de telefones) são obrigatórios');
+    }
+
+    const metadata = await req.waSession.sock.groupCreate(subject, participants.map(formatPhone));
+    req.log(`Grupo criado: ${metadata.id} (${subject})`);
+    res.status(201).json({ success: true, group: { ...summarizeGroup(metadata), participants: metadata.participants } });
+}));
+
+// Metadados e participantes de um grupo
+sessionRoutes.get('/groups/:groupId', requireScope('groups'), requireConnection, asyncHandler(async (req, res) => {
+    const metadata = await req.waSession.sock.groupMetadata(toGroupJid(req.params.groupId));
+    res.json({ success: true, group: { ...summarizeGroup(metadata), participants: metadata.participants } });
+}));
+
+// Alterar assunto, descrição e configurações (announce: só admins enviam; locked: só admins editam)
+sessionRoutes.patch('/groups/:groupId', requireScope('groups'), requireConnection, asyncHandler(async (req, res) => {
+    const { subject, description, announce, locked } = req.body;
+    const jid = toGroupJid(req.params.groupId);
+    const sock = req.waSession.sock;
+
+    if (subject === undefined && description === undefined && announce === undefined && locked === undefined) {
+        throw apiError(400, 'VALIDATION_ERROR', 'Informe subject, description, announce ou locked');
+    }
+
+    if (subject !== undefined) {
+        await sock.groupUpdateSubject(jid, subject);
+    }
+    if (description !== undefined) {
+        await sock.groupUpdateDescription(jid, description || undefined);
+    }
+    if (announce !== undefined) {
+        await sock.groupSettingUpdate(jid, announce ? 'announcement' : 'not_announcement');
+    }
+    if (locked !== undefined) {
+        await sock.groupSettingUpdate(jid, locked ? 'locked' : 'unlocked');
+    }
+
+    const metadata = await sock.groupMetadata(jid);
+    res.json({ success: true, group: summarizeGroup(metadata) });
+}));
+
+// Adicionar, remover, promover ou rebaixar participantes
+sessionRoutes.post('/groups/:groupId/participants', requireScope('groups'), requireConnection, asyncHandler(async (req, res) => {
+    const { action, participants } = req.body;
+
+    if (!['add', 'remove', 'promote', 'demote'].includes(action) || 
+        !Array.isArray(participants) || participants.length === 0) {
+        throw apiError(400, 'VALIDATION_ERROR', 'action (add, remove, promote, demote) e participants são obrigatórios');
+    }
+
+    const results = await req.waSession.sock.groupParticipantsUpdate(
+        toGroupJid(req.params.groupId),
+        participants.map(formatPhone),
+        action
+    );
+    res.json({ success: true, results });
+}));
+
+// Link de convite
+sessionRoutes.get('/groups/:groupId/invite', requireScope('groups'), requireConnection, asyncHandler(async (req, res) => {
+    const code = await req.waSession.sock.groupInviteCode(toGroupJid(req.params.groupId));
+    res.json({ success: true, code, link: `https://chat.whatsapp.com/${code}` });
+}));
+
+// Revogar link de convite (gera um novo)
+sessionRoutes.post('/groups/:groupId/invite/revoke', requireScope('groups'), requireConnection, asyncHandler(async (req, res) => {
+    const code = await req.waSession.sock.groupRevokeInvite(toGroupJid(req.params.groupId));
+    res.json({ success: true, code, link: `https://chat.whatsapp.com/${code}` });
+}));
+
+// Sair do grupo
+sessionRoutes.post('/groups/:groupId/leave', requireScope('groups'), requireConnection, asyncHandler(async (req, res) => {
+    await req.waSession.sock.groupLeave(toGroupJid(req.params.groupId));
+    req.log(`Saiu do grupo: ${req.params.groupId}`);
+    res.json({ success: true, message: 'Saiu do grupo' });
+}));
+
 // Logout
-app.post('/logout', async (req, res) => {
-    try {
-        if (sock) {
-            await sock.logout();
+sessionRoutes.post('/logout', requireScope('admin'), asyncHandler(async (req, res) => {
+    await req.waSession.logout();
+    res.json({ success: true, message: 'Desconectado com sucesso' });
+}));
+
+// Exportar a sessão num arquivo criptografado (includeData=true inclui mensagens, contatos e conversas)
+sessionRoutes.post('/backup', requireScope('admin'), asyncHandler(async (req, res) => {
+    const { passphrase, includeData } = req.body;
+
+    const { archive, payload } = await backups.exportSession(req.waSession.id, {
+        passphrase,
+        includeData: includeData === true || includeData === 'true'
+    });
+    const filename = `${payload.sessionId}-${payload.createdAt.replace(/[:.]/g, '-')}.wabk`;
+
+    res.set('Content-Type', 'application/octet-stream');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(archive);
+}));
+
+// Restaurar um backup: arquivo no campo "file" (multipart) ou corpo application/octet-stream.
+// Senha em "passphrase" ou no cabeçalho X-Backup-Passphrase; force=true substitui uma sessão conectada
+sessionRoutes.post('/restore', requireGlobalAdmin, express.raw({ type: 'application/octet-stream', limit: '200mb' }), acceptUpload, asyncHandler(async (req, res) => {
+    const session = req.waSession;
+    const archive = req.file ? req.file.buffer : (Buffer.isBuffer(req.body) ? req.body : null);
+    const fields = Buffer.isBuffer(req.body) ? {} : (req.body || {});
+    const passphrase = req.get('x-backup-passphrase') || fields.passphrase || req.query.passphrase;
+    const force = [fields.force, req.query.force].some(value => value === true || value === 'true');
+
+    if (!archive || archive.length === 0) {
+        throw apiError(400, 'VALIDATION_ERROR', 'Envie o arquivo de backup no campo "file" ou como application/octet-stream');
+    }
+
+    if (session.isConnected() && !force) {
+        throw apiError(409, 'CONFLICT', 'Sessão conectada. Use force=true para substituir as credenciais atuais.');
+    }
+
+    const restored = await backups.importSession(session.id, archive, { passphrase });
+    res.json({ success: true, message: 'Backup restaurado, reconectando', ...restored });
+}));
+
+// =============================================================
+// WHATSAPP SIMULADO (WA_MODE=mock)
+// =============================================================
+// Controle do backend simulado para os testes de integração: leitura
+// do QR, mensagens recebidas, recibos, presença e quedas de conexão passam
+// pelos mesmos eventos do socket real. As rotas só existem no modo mock.
+
+if (isMock()) {
+    // O socket simulado existe a partir do primeiro connect da sessão
+    const requireMockSocket = (req, res, next) => {
+        if (!req.waSession.sock?.mock) {
+            return res.status(409).json({ success: false, error: 'Socket simulado ainda não criado', status: req.waSession.status });
+        }
+        next();
+    };
+
+    const mockRoute = handler => async (req, res) => {
+        try {
+            res.json({ success: true, ...(await handler(req.waSession.sock.mock, req)) });
+        } catch (error) {
+            res.status(error.status || error.output?.statusCode || 500).json({ success: false, error: error.message });
+        }
+    };
+
+    // Simula a leitura do QR (ou o uso do código de pareamento) no celular
+    sessionRoutes.post('/mock/scan', requireScope('admin'), requireMockSocket, mockRoute(async (mock, req) => ({
+        user: await mock.scan({ phone: req.body.phone, name: req.body.name })
+    })));
+
+    // Mensagem recebida: text, location, message (crua) ou mídia no campo "file" / media.base64.
+    // Responde depois de gravada (e da mídia baixada)
+    sessionRoutes.post('/mock/messages', requireScope('admin'), requireMockSocket, acceptUpload, mockRoute(async (mock, req) => {
+        const body = req.body;
+        const from = phoneNumbers.normalize(body.from);
+        if (from.error) {
+            throw Object.assign(new Error(`from: ${from.error}`), { status: 400 });
+        }
+
+        let media = null;
+        if (req.file || body.media) {
+            const fields = req.file ? body : body.media;
+            media = {
+                kind: fields.kind || 'image',
+                buffer: req.file ? req.file.buffer : Buffer.from(String(fields.base64 || ''), 'base64'),
+                mimetype: fields.mimetype || req.file?.mimetype,
+                fileName: fields.fileName || req.file?.originalname,
+                caption: fields.caption,
+                ptt: fields.ptt === true || fields.ptt === 'true' ? true : undefined
+            };
         }
-        
-        connectionStatus = 'disconnected';
-        qrCode = null;
-        qrDataUrl = null;
 
-        // Limpa credenciais
-        fs.rmSync(AUTH_FOLDER, { recursive: true, force: true });
-        fs.mkdirSync(AUTH_FOLDER, { recursive: true });
+        const waMessage = await mock.injectMessage({
+            from: from.jid,
+            id: body.id,
+            text: body.text,
+            media,
+            location: body.location,
+            message: body.message,
+            participant: body.participant ? phoneNumbers.normalize(body.participant).jid : undefined,
+            senderPn: body.senderPn ? phoneNumbers.normalize(body.senderPn).jid : undefined,
+            pushName: body.pushName,
+            fromMe: body.fromMe === true || body.fromMe === 'true',
+            quotedId: body.quotedId,
+            upsertType: body.upsertType,
+            timestamp: body.timestamp ? Number(body.timestamp) : undefined
+        });
+        const stored = req.waSession.messageStore.get(waMessage.key.id);
+
+        return { messageId: waMessage.key.id, message: stored ? withMediaUrls([stored])[0] : null };
+    }));
+
+    // Recibo de uma mensagem enviada: server_ack, delivered, read ou played
+    sessionRoutes.post('/mock/receipts', requireScope('admin'), requireMockSocket, mockRoute(async (mock, req) => {
+        const participant = req.body.participant ? phoneNumbers.normalize(req.body.participant).jid : undefined;
+        await mock.receipt({ messageId: req.body.messageId, status: req.body.status, participant });
+        const stored = req.waSession.messageStore.get(req.body.messageId);
+        return { messageId: req.body.messageId, status: stored?.status || null };
+    }));
+
+    // Queda de conexão (reason: connectionLost, loggedOut, restartRequired... ou o código)
+    sessionRoutes.post('/mock/disconnect', requireScope('admin'), requireMockSocket, mockRoute(async (mock, req) => {
+        const { reason } = req.body;
+        return await mock.disconnect({ reason: /^\d+$/.test(String(reason)) ? Number(reason) : reason });
+    }));
+
+    // Presença de um contato: from, presence (available, composing...), chat e lastSeen opcionais
+    sessionRoutes.post('/mock/presence', requireScope('admin'), requireMockSocket, mockRoute(async (mock, req) => {
+        const from = phoneNumbers.normalize(req.body.from);
+        if (from.error) {
+            throw Object.assign(new Error(`from: ${from.error}`), { status: 400 });
+        }
+        return await mock.presence({
+            from: from.jid,
+            chat: req.body.chat,
+            presence: req.body.presence,
+            lastSeen: req.body.lastSeen ? Number(req.body.lastSeen) : undefined
+        });
+    }));
 
-        log('Logout realizado com sucesso');
-        res.json({ success: true, message: 'Desconectado com sucesso' });
-    } catch (error) {
-        log('Erro no logout:', error.message);
-        res.status(500).json({ success: false, error: error.message });
+    // Presença, digitação e leituras enviadas pelo servidor ao socket simulado
+    sessionRoutes.get('/mock/activity', requireScope('admin'), requireMockSocket, mockRoute(async mock => ({
+        activity: mock.activity
+    })));
+
+    sessionRoutes.delete('/mock/activity', requireScope('admin'), requireMockSocket, mockRoute(async mock => ({
+        cleared: mock.clearActivity().length
+    })));
+
+    // Envios registrados pelo socket simulado
+    sessionRoutes.get('/mock/sent', requireScope('admin'), requireMockSocket, mockRoute(async mock => ({
+        sent: mock.sent
+    })));
+
+    sessionRoutes.delete('/mock/sent', requireScope('admin'), requireMockSocket, mockRoute(async mock => ({
+        cleared: mock.clearSent().length
+    })));
+}
+
+app.use('/sessions/:sessionId', (req, res, next) => {
+    const session = sessions.get(req.params.sessionId);
+    if (!session) {
+        return res.status(404).json({ success: false, error: 'Sessão não encontrada' });
     }
-});
+    if (!apiKeys.canAccessSession(apiKeys.identify(req), session.id)) {
+        return res.status(403).json({ success: false, error: 'Sem acesso a esta sessão' });
+    }
+    req.waSession = session;
+    next();
+}, sessionRoutes);
+
+app.use((req, res, next) => {
+    const session = sessions.getDefault();
+    if (!apiKeys.canAccessSession(apiKeys.identify(req), session.id)) {
+        return res.status(403).json({ success: false, error: 'Sem acesso a esta sessão' });
+    }
+    req.waSession = session;
+    next();
+}, sessionRoutes);
+
+// Rotas inexistentes e erros repassados pelas rotas (next(error)) respondem no formato padrão
+app.use(notFound);
+app.use(createErrorHandler({ log }));
 
 // =============================================================
 // INICIALIZAÇÃO
@@ -637,33 +2024,52 @@ app.listen(PORT, () => {
     log(`Porta: ${PORT}`);
     log(`URL: ${SELF_URL}`);
     log(`Dados: ${DATA_FOLDER}`);
-    log(`Auth: ${AUTH_FOLDER}`);
-    log(`Mídia: ${MEDIA_FOLDER}`);
+    log(`Auth: ${AUTH_STORE === 'file' ? AUTH_FOLDER : AUTH_STORE}`);
+    log(`Mídia: ${MEDIA_STORAGE === 's3' ? `S3 (${process.env.S3_BUCKET})` : MEDIA_FOLDER}`);
+    log(`Transcodificação: ${canTranscode() ? 'ativa (ffmpeg)' : 'desativada'}`);
+    log(`WhatsApp: ${isMock() ? 'SIMULADO (WA_MODE=mock, controle em /mock)' : 'Baileys'}`);
+    log(`Autenticação: ${apiKeys.isEnabled() ? 'API key obrigatória' : 'DESATIVADA (defina API_KEY)'}`);
+    log(`Sessões: ${sessions.list().map(session => session.id).join(', ')}`);
     log(`===========================================`);
 
-    // Inicia conexão WhatsApp
-    connectWhatsApp();
+    // Inicia a conexão de todas as sessões
+    sessions.startAll();
 
     // Inicia keep-alive
     startKeepAlive();
 
-    // Limpeza inicial de mídia antiga
-    cleanOldMedia();
+    // Processa entregas de webhook pendentes
+    webhooks.start();
+
+    // Processa a fila de envio
+    sendQueue.start();
+
+    // Retoma campanhas em andamento
+    campaigns.start();
+
+    // Backup automático (se BACKUP_INTERVAL_HOURS estiver definido)
+    backups.start();
+
+    // Indexa a mídia existente e faz a limpeza inicial de mídia e mensagens antigas
+    mediaStorage.start().catch(error => log('Erro ao iniciar armazenamento de mídia:', error.message, 'error'));
+    sessions.list().forEach(session => session.messageStore.prune());
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
     log('Recebido SIGTERM, encerrando...');
-    if (sock) {
-        sock.end();
-    }
+    sessions.stopAll();
+    sendQueue.flush();
+    mediaStorage.flush();
+    webhooks.flush();
     process.exit(0);
 });
 
 process.on('SIGINT', () => {
     log('Recebido SIGINT, encerrando...');
-    if (sock) {
-        sock.end();
-    }
+    sessions.stopAll();
+    sendQueue.flush();
+    mediaStorage.flush();
+    webhooks.flush();
     process.exit(0);
 });
@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const ADMIN_KEY = 'chave-admin-teste';
+const CUSTOMER = '5511912345678';
+
+// PNG 1x1
+const PNG = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+    'base64'
+);
+
+let server;
+
+before(async () => {
+    server = await startServer({ API_KEY: ADMIN_KEY });
+    await server.connect({ phone: '5511988887777' });
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+test('console é servido sem API key; os dados exigem a chave', async () => {
+    const page = await server.request('GET', '/admin', { apiKey: null });
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get('content-type'), /text\/html/);
+    assert.match(page.body.toString(), /Console WhatsApp/);
+
+    const history = await server.request('GET', '/connection-history', { apiKey: null });
+    assert.equal(history.status, 401);
+});
+
+test('limpeza de mídia sob demanda remove os arquivos antigos', async () => {
+    const form = new FormData();
+    form.append('from', CUSTOMER);
+    form.append('file', new Blob([PNG], { type: 'image/png' }), 'foto.png');
+    const injected = await server.request('POST', '/mock/messages', { form });
+    assert.ok(injected.body.message.media.localUrl);
+
+    const invalid = await server.request('POST', '/media/cleanup', { body: { olderThanDays: -1 } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'VALIDATION_ERROR');
+
+    // Dentro da retenção padrão (7 dias): nada sai
+    const kept = await server.request('POST', '/media/cleanup', { body: {} });
+    assert.equal(kept.status, 200);
+    assert.equal(kept.body.removed, 0);
+
+    const cleaned = await server.request('POST', '/media/cleanup', { body: { olderThanDays: 0 } });
+    assert.equal(cleaned.body.removed, 1);
+    assert.equal(cleaned.body.freedBytes, PNG.length);
+    assert.equal(cleaned.body.mediaCount, 0);
+
+    const { messages } = (await server.request('GET', `/messages?chat=${CUSTOMER}`)).body;
+    assert.equal(messages[0].media.localUrl, null);
+});
+
+test('histórico de conexão registra a queda com o motivo e a reconexão', async () => {
+    const initial = await server.request('GET', '/connection-history');
+    assert.equal(initial.body.history[0].event, 'connection.open');
+
+    await server.request('POST', '/mock/disconnect', { body: { reason: 'connectionLost' } });
+
+    const { history } = (await server.request('GET', '/connection-history')).body;
+    assert.deepEqual(history.slice(0, 2).map(entry => entry.event), ['connection.reconnecting', 'connection.close']);
+    assert.equal(history[0].attempt, 1);
+    assert.equal(history[1].reason, 'connectionLost');
+    assert.equal(history[1].statusCode, 408);
+    assert.ok(Date.parse(history[1].at));
+
+    const status = (await server.request('GET', '/status')).body;
+    assert.equal(status.lastDisconnect.reason, 'connectionLost');
+    assert.equal(status.lastDisconnect.statusCode, 408);
+});
@@ -0,0 +1,153 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const CUSTOMER = '5511912345678';
+
+let server;
+
+before(async () => {
+    server = await startServer({ TYPING_MIN_MS: '300', TYPING_MAX_MS: '300' });
+    await server.connect();
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+const sentTo = async text => (await server.request('GET', '/mock/sent')).body.sent
+    .filter(entry => entry.message.extendedTextMessage?.text === text);
+
+test('repetição com a mesma Idempotency-Key devolve a resposta original sem reenviar', async () => {
+    const body = { phone: CUSTOMER, message: 'Seu boleto vence amanhã' };
+    const headers = { 'idempotency-key': 'boleto-123' };
+
+    const first = await server.request('POST', '/send', { body, headers });
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('idempotent-replayed'), null);
+
+    const retry = await server.request('POST', '/send', { body, headers });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.equal(retry.body.messageId, first.body.messageId);
+    assert.equal((await sentTo(body.message)).length, 1);
+
+    const reused = await server.request('POST', '/send', { body: { ...body, message: 'Outro texto' }, headers });
+    assert.equal(reused.status, 422);
+    assert.equal(reused.body.code, 'IDEMPOTENCY_KEY_REUSED');
+});
+
+test('repetição durante o envio original aguarda o resultado', async () => {
+    const body = { phone: CUSTOMER, message: 'Pedido confirmado', typing: true };
+    const headers = { 'idempotency-key': 'pedido-987' };
+
+    const [first, second] = await Promise.all([
+        server.request('POST', '/send', { body, headers }),
+        server.request('POST', '/send', { body, headers })
+    ]);
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    assert.equal(first.body.messageId, second.body.messageId);
+    assert.equal((await sentTo(body.message)).length, 1);
+});
+
+test('sem Idempotency-Key cada chamada envia de novo', async () => {
+    const body = { phone: CUSTOMER, message: 'Promoção de hoje' };
+    await server.request('POST', '/send', { body });
+    await server.request('POST', '/send', { body });
+    assert.equal((await sentTo(body.message)).length, 2);
+
+    const invalid = await server.request('POST', '/send', { body, headers: { 'idempotency-key': 'x'.repeat(300) } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'INVALID_IDEMPOTENCY_KEY');
+});
+
+test('corpo inválido responde VALIDATION_ERROR com os campos', async () => {
+    const missing = await server.request('POST', '/send', { body: { phone: CUSTOMER } });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, 'VALIDATION_ERROR');
+    assert.deepEqual(missing.body.details, [{ field: 'message', message: 'message é obrigatório' }]);
+
+    const wrongType = await server.request('POST', '/send', { body: { phone: CUSTOMER, message: 'oi', typing: 'muito' } });
+    assert.equal(wrongType.body.code, 'VALIDATION_ERROR');
+    assert.equal(wrongType.body.details[0].field, 'typing');
+
+    const withoutMedia = await server.request('POST', '/send-image', { body: { phone: CUSTOMER, caption: 'sem imagem' } });
+    assert.equal(withoutMedia.status, 400);
+    assert.equal(withoutMedia.body.error, 'phone e (imageUrl, imageBase64 ou file) são obrigatórios');
+
+    const richType = await server.request('POST', '/messages/send', { body: { type: 'sticker', phone: CUSTOMER } });
+    assert.equal(richType.body.details[0].field, 'type');
+
+    const missingTarget = await server.request('POST', '/messages/send', { body: { type: 'reaction', messageId: 'nao-existe', emoji: '👍' } });
+    assert.equal(missingTarget.status, 404);
+    assert.equal(missingTarget.body.code, 'MESSAGE_NOT_FOUND');
+
+    // Validação falha antes de guardar a chave: a correção pode usar a mesma chave
+    const headers = { 'idempotency-key': 'corrigido-1' };
+    assert.equal((await server.request('POST', '/send', { body: { phone: CUSTOMER }, headers })).status, 400);
+    assert.equal((await server.request('POST', '/send', { body: { phone: CUSTOMER, message: 'Corrigido' }, headers })).status, 200);
+});
+
+test('multipart converte os campos de texto antes de validar', async () => {
+    const form = new FormData();
+    form.append('phone', CUSTOMER);
+    form.append('imageBase64', 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==');
+    form.append('wait', 'false');
+    form.append('typing', 'abc');
+
+    const invalid = await server.request('POST', '/send-image', { form });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.details[0].field, 'typing');
+
+    const valid = new FormData();
+    valid.append('phone', CUSTOMER);
+    valid.append('imageBase64', 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==');
+    valid.append('wait', 'false');
+    const accepted = await server.request('POST', '/send-image', { form: valid });
+    assert.equal(accepted.status, 202);
+});
+
+test('erros têm código padronizado em todas as rotas', async () => {
+    const notFound = await server.request('GET', '/rota-que-nao-existe');
+    assert.equal(notFound.status, 404);
+    assert.equal(notFound.body.code, 'NOT_FOUND');
+
+    const legacy = await server.request('GET', '/messages/nao-existe/status');
+    assert.equal(legacy.status, 404);
+    assert.equal(legacy.body.code, 'NOT_FOUND');
+
+    const malformed = await server.request('POST', '/send', {
+        headers: { 'content-type': 'application/json' },
+        form: '{"phone": '
+    });
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.code, 'INVALID_JSON');
+});
+
+test('descrição OpenAPI reflete as rotas, escopos e schemas', async () => {
+    const response = await server.request('GET', '/openapi.json', { apiKey: null });
+    assert.equal(response.status, 200);
+
+    const { openapi, paths, components } = response.body;
+    assert.equal(openapi, '3.1.0');
+    assert.ok(components.schemas.Error);
+
+    const send = paths['/send'].post;
+    assert.equal(send['x-required-scope'], 'send');
+    assert.deepEqual(send.requestBody.content['application/json'].schema.required, ['phone', 'message']);
+    assert.ok(send.parameters.some(parameter => parameter.name === 'Idempotency-Key' && parameter.in === 'header'));
+
+    const image = paths['/send-image'].post.requestBody.content;
+    assert.ok(image['multipart/form-data'].schema.properties.file);
+    assert.equal(image['application/json'].schema.properties.file, undefined);
+
+    const scoped = paths['/sessions/{sessionId}/groups/{groupId}'].get;
+    assert.deepEqual(scoped.parameters.map(parameter => parameter.name), ['sessionId', 'groupId']);
+
+    const campaignAction = paths['/campaigns/{campaignId}/{action}'].post;
+    assert.deepEqual(campaignAction.parameters[1].schema.enum, ['start', 'pause', 'resume', 'cancel']);
+
+    assert.deepEqual(paths['/health'].get.security, []);
+});
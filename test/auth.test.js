@@ -0,0 +1,123 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const ADMIN_KEY = 'chave-admin-dos-testes';
+
+let server;
+
+before(async () => {
+    server = await startServer({ API_KEY: ADMIN_KEY });
+    await server.connect();
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+test('rotas exigem API key quando há chave configurada', async () => {
+    const anonymous = await server.request('GET', '/status', { apiKey: null });
+    assert.equal(anonymous.status, 401);
+
+    const wrong = await server.request('GET', '/status', { apiKey: 'chave-errada' });
+    assert.equal(wrong.status, 401);
+
+    const admin = await server.request('GET', '/status');
+    assert.equal(admin.status, 200);
+    assert.equal(admin.body.connected, true);
+
+    const health = await server.request('GET', '/health', { apiKey: null });
+    assert.equal(health.status, 200);
+});
+
+test('chave com escopo limitado só acessa o que o escopo permite', async () => {
+    const created = await server.request('POST', '/api-keys', { body: { name: 'crm-leitura', scopes: ['messages:read'] } });
+    assert.equal(created.status, 201);
+    const readKey = created.body.apiKey.key;
+
+    const messages = await server.request('GET', '/messages', { apiKey: readKey });
+    assert.equal(messages.status, 200);
+
+    const send = await server.request('POST', '/send', { apiKey: readKey, body: { phone: '11987654321', message: 'oi' } });
+    assert.equal(send.status, 403);
+
+    const mock = await server.request('GET', '/mock/sent', { apiKey: readKey });
+    assert.equal(mock.status, 403);
+
+    // A chave também vale por Authorization: Bearer e ?apiKey=
+    const bearer = await server.request('GET', '/messages', { apiKey: null, headers: { authorization: `Bearer ${readKey}` } });
+    assert.equal(bearer.status, 200);
+    const query = await server.request('GET', `/messages?apiKey=${readKey}`, { apiKey: null });
+    assert.equal(query.status, 200);
+});
+
+test('chave restrita a uma sessão não acessa as outras', async () => {
+    await server.request('POST', '/sessions', { body: { id: 'filial' } });
+    const created = await server.request('POST', '/api-keys', {
+        body: { name: 'filial', scopes: ['*'], sessions: ['filial'] }
+    });
+    const branchKey = created.body.apiKey.key;
+
+    const own = await server.request('GET', '/sessions/filial/status', { apiKey: branchKey });
+    assert.equal(own.status, 200);
+
+    const other = await server.request('GET', '/status', { apiKey: branchKey });
+    assert.equal(other.status, 403);
+
+    // Rotas globais: a chave da filial não cria chaves, webhooks ou regras que valham para todas as sessões
+    const escalated = await server.request('POST', '/api-keys', {
+        apiKey: branchKey,
+        body: { name: 'escalada', scopes: ['*'] }
+    });
+    assert.equal(escalated.status, 403);
+
+    const webhook = await server.request('POST', '/webhooks', { apiKey: branchKey, body: { url: 'https://example.com/hook' } });
+    assert.equal(webhook.status, 403);
+
+    const rules = await server.request('GET', '/rules', { apiKey: branchKey });
+    assert.equal(rules.status, 403);
+
+    // Criar e remover sessões também é global: a chave não sai da própria lista
+    const newSession = await server.request('POST', '/sessions', { apiKey: branchKey, body: { id: 'outra' } });
+    assert.equal(newSession.status, 403);
+    const removed = await server.request('DELETE', '/sessions/filial', { apiKey: branchKey });
+    assert.equal(removed.status, 403);
+
+    // Restaurar credenciais grava no disco: só chaves sem restrição de sessões
+    const restore = await server.request('POST', '/sessions/filial/restore', {
+        apiKey: branchKey,
+        body: { passphrase: 'qualquer-senha' }
+    });
+    assert.equal(restore.status, 403);
+
+    const keys = await server.request('GET', '/api-keys');
+    assert.ok(!keys.body.keys.some(entry => entry.name === 'escalada'));
+});
+
+test('chave removida deixa de valer', async () => {
+    const created = await server.request('POST', '/api-keys', { body: { name: 'temporaria', scopes: ['send'] } });
+    const { id, key } = created.body.apiKey;
+
+    const removed = await server.request('DELETE', `/api-keys/${id}`);
+    assert.equal(removed.status, 200);
+
+    const response = await server.request('GET', '/queue', { apiKey: key });
+    assert.equal(response.status, 401);
+});
+
+test('sem chave configurada o cadastro de chaves fica fechado', async () => {
+    const open = await startServer();
+    try {
+        const status = await open.request('GET', '/status');
+        assert.equal(status.status, 200);
+
+        const created = await open.request('POST', '/api-keys', { body: { name: 'intrusa', scopes: ['*'] } });
+        assert.equal(created.status, 401);
+        assert.equal((await open.request('GET', '/api-keys')).status, 401);
+
+        // Nenhuma chave foi criada: a API segue no modo legado
+        assert.equal((await open.request('GET', '/status')).status, 200);
+    } finally {
+        await open.stop();
+    }
+});
@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, waitFor } = require('./helpers');
+const { encryptBackup, decryptBackup } = require('../lib/backup');
+
+const PASSPHRASE = 'senha-do-backup';
+
+let server;
+
+before(async () => {
+    server = await startServer();
+    await server.connect();
+    await server.request('POST', '/mock/messages', { body: { from: '5511912345678', text: 'Antes do backup' } });
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+const exportBackup = async () => (await server.request('POST', '/backup', { body: { passphrase: PASSPHRASE, includeData: true } })).body;
+
+function restore(archive) {
+    return server.request('POST', '/restore?force=true', {
+        form: archive,
+        headers: { 'content-type': 'application/octet-stream', 'x-backup-passphrase': PASSPHRASE }
+    });
+}
+
+test('backup com nome de arquivo perigoso é recusado sem parar a sessão', async () => {
+    const payload = await decryptBackup(await exportBackup(), PASSPHRASE);
+
+    for (const name of ['..', '.', '../fora.json']) {
+        const tampered = await encryptBackup({ ...payload, data: { ...payload.data, [name]: 'e30=' } }, PASSPHRASE);
+        const response = await restore(tampered);
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /Arquivo de dados inválido/);
+    }
+
+    const status = (await server.request('GET', '/status')).body;
+    assert.equal(status.connected, true);
+});
+
+test('backup com chave de credencial fora da pasta da sessão é recusado', async () => {
+    const payload = await decryptBackup(await exportBackup(), PASSPHRASE);
+    const apiKeysFile = path.join(server.dataFolder, 'api_keys.json');
+
+    for (const key of ['../api_keys', '..\\api_keys', 'sub/creds']) {
+        const tampered = await encryptBackup({ ...payload, auth: { ...payload.auth, [key]: '[]' } }, PASSPHRASE);
+        const response = await restore(tampered);
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /Credencial inválida/);
+    }
+
+    const notText = await encryptBackup({ ...payload, auth: { ...payload.auth, creds: { me: null } } }, PASSPHRASE);
+    assert.equal((await restore(notText)).status, 400);
+
+    assert.equal(fs.existsSync(apiKeysFile), false);
+    const status = (await server.request('GET', '/status')).body;
+    assert.equal(status.connected, true);
+});
+
+test('backup válido restaura as credenciais e reconecta', async () => {
+    const archive = await exportBackup();
+    const response = await restore(archive);
+    assert.equal(response.status, 200);
+    assert.ok(response.body.dataFiles.length > 0);
+
+    await waitFor(async () => (await server.request('GET', '/status')).body.connected, { timeout: 10000, message: 'a reconexão' });
+    const { messages } = (await server.request('GET', '/messages?q=backup')).body;
+    assert.equal(messages[0].text, 'Antes do backup');
+});
@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers');
+
+const OPTED_OUT = '5511911111111';
+const CUSTOMER = '5511922222222';
+
+let server;
+
+before(async () => {
+    server = await startServer();
+    await server.connect();
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+test('quem respondeu SAIR é descadastrado e ignorado pela campanha', async () => {
+    await server.request('POST', '/mock/messages', { body: { from: OPTED_OUT, text: 'Sair.' } });
+    const optOuts = await waitFor(async () => {
+        const response = await server.request('GET', '/opt-outs');
+        return response.body.optOuts.length > 0 && response.body.optOuts;
+    }, { message: 'o descadastro' });
+    assert.equal(optOuts[0].jid, `${OPTED_OUT}@s.whatsapp.net`);
+
+    const created = await server.request('POST', '/campaigns', {
+        body: {
+            name: 'Promoção',
+            template: 'Olá {{nome}}, temos novidades!',
+            csv: `phone,nome\n${OPTED_OUT},Ana\n${CUSTOMER},Bruno`,
+            minDelaySeconds: 1,
+            maxDelaySeconds: 1,
+            start: true
+        }
+    });
+    assert.equal(created.status, 201);
+    const campaignId = created.body.campaign.id;
+
+    await waitFor(async () => {
+        const response = await server.request('GET', `/campaigns/${campaignId}`);
+        return response.body.campaign.status === 'completed';
+    }, { timeout: 10000, interval: 200, message: 'a campanha terminar' });
+
+    const { recipients } = (await server.request('GET', `/campaigns/${campaignId}/recipients`)).body;
+    const byPhone = Object.fromEntries(recipients.map(recipient => [recipient.jid.split('@')[0], recipient]));
+    assert.equal(byPhone[OPTED_OUT].status, 'skipped');
+    assert.equal(byPhone[OPTED_OUT].error, 'Descadastrado');
+    assert.equal(byPhone[CUSTOMER].status, 'sent');
+
+    const sent = (await server.request('GET', '/mock/sent')).body.sent;
+    const texts = sent.map(entry => entry.message.extendedTextMessage?.text || entry.message.conversation);
+    assert.ok(texts.includes('Olá Bruno, temos novidades!'));
+    assert.ok(!sent.some(entry => entry.jid === `${OPTED_OUT}@s.whatsapp.net`));
+});
+
+test('linha inválida e mídia que não confere com o tipo são recusadas', async () => {
+    const invalidRow = await server.request('POST', '/campaigns', {
+        body: { template: 'Olá', recipients: [{ phone: CUSTOMER }, null] }
+    });
+    assert.equal(invalidRow.status, 400);
+    assert.equal(invalidRow.body.code, 'VALIDATION_ERROR');
+    assert.match(invalidRow.body.error, /recipients\[1\]/);
+
+    const notImage = await server.request('POST', '/campaigns', {
+        body: {
+            template: 'Olá',
+            recipients: [{ phone: CUSTOMER }],
+            media: { type: 'image', base64: Buffer.from('<html><body>oi</body></html>').toString('base64') }
+        }
+    });
+    assert.equal(notImage.status, 415);
+});
+
+test('descadastro vindo de um LID é registrado pelo telefone', async () => {
+    const phone = '5511933333333';
+    await server.request('POST', '/mock/messages', { body: { from: '123456789012345@lid', senderPn: phone, text: 'PARAR' } });
+
+    await waitFor(async () => {
+        const response = await server.request('GET', '/opt-outs');
+        return response.body.optOuts.some(entry => entry.jid === `${phone}@s.whatsapp.net`);
+    }, { message: 'o descadastro do LID' });
+});
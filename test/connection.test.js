@@ -0,0 +1,94 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, waitFor } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+const status = async (sessionId) => (await server.request('GET', server.sessionPath(sessionId, '/status'))).body;
+
+test('gera o QR simulado e conecta depois do scan', async () => {
+    const qr = await waitFor(async () => {
+        const response = await server.request('GET', '/qr');
+        return response.body.success && response.body;
+    }, { message: 'o QR' });
+
+    assert.match(qr.qr, /^data:image\/png;base64,/);
+    assert.equal(qr.status, 'waiting_qr');
+
+    const user = await server.connect({ phone: '5511988887777' });
+    assert.equal(user.id, '5511988887777:1@s.whatsapp.net');
+
+    const current = await status();
+    assert.equal(current.connected, true);
+    assert.equal(current.user.id, user.id);
+
+    const afterScan = await server.request('GET', '/qr');
+    assert.equal(afterScan.body.connected, true);
+});
+
+test('scan sem QR pendente é recusado', async () => {
+    const response = await server.request('POST', '/mock/scan', { body: {} });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.success, false);
+});
+
+test('reconecta sozinho depois de uma queda de conexão', async () => {
+    const response = await server.request('POST', '/mock/disconnect', { body: { reason: 'connectionLost' } });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.statusCode, 408);
+
+    const dropped = await status();
+    assert.equal(dropped.connected, false);
+    assert.equal(dropped.reconnectAttempts, 1);
+
+    // Primeira tentativa em 5s; as credenciais gravadas reconectam sem QR
+    await waitFor(async () => (await status()).connected, { timeout: 10000, message: 'a reconexão' });
+    assert.equal((await status()).reconnectAttempts, 0);
+});
+
+test('motivo de desconexão inválido retorna 400', async () => {
+    const response = await server.request('POST', '/mock/disconnect', { body: { reason: 'tempestade' } });
+    assert.equal(response.status, 400);
+});
+
+test('código de pareamento numa sessão nova', async () => {
+    const created = await server.request('POST', '/sessions', { body: { id: 'pareamento' } });
+    assert.equal(created.status, 201);
+
+    await waitFor(async () => (await status('pareamento')).hasQR, { message: 'o QR da sessão nova' });
+
+    const pairing = await server.request('POST', '/sessions/pareamento/pairing-code', { body: { phone: '5521977776666' } });
+    assert.equal(pairing.status, 200);
+    assert.match(pairing.body.code, /^[0-9A-F]{8}$/);
+    assert.equal(pairing.body.status, 'waiting_pairing');
+
+    // O celular usa o código: o número conectado é o do pareamento
+    const scanned = await server.request('POST', '/sessions/pareamento/mock/scan', { body: {} });
+    assert.equal(scanned.body.user.id, '5521977776666:1@s.whatsapp.net');
+
+    const current = await status('pareamento');
+    assert.equal(current.connected, true);
+    assert.equal(current.pairing, null);
+});
+
+test('logout pelo celular desconecta e apaga as credenciais', async () => {
+    const response = await server.request('POST', '/sessions/pareamento/mock/disconnect', { body: { reason: 'loggedOut' } });
+    assert.equal(response.status, 200);
+
+    const current = await status('pareamento');
+    assert.equal(current.connected, false);
+    assert.equal(current.status, 'disconnected');
+
+    const authFolder = path.join(server.dataFolder, 'sessions', 'pareamento', 'auth_info');
+    await waitFor(() => !fs.existsSync(path.join(authFolder, 'creds.json')), { message: 'as credenciais serem apagadas' });
+});
@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const ANA = '5511912345678';
+const BRUNO = '5521987654321';
+const jid = phone => `${phone}@s.whatsapp.net`;
+
+let server;
+
+before(async () => {
+    server = await startServer();
+    await server.connect();
+
+    await server.request('POST', '/mock/messages', { body: { from: ANA, text: 'Oi, é a Ana', pushName: 'Ana Souza', timestamp: 1773144000 } });
+    await server.request('POST', '/mock/messages', { body: { from: ANA, text: 'Tudo certo?', pushName: 'Ana Souza', timestamp: 1773144060 } });
+    await server.request('POST', '/mock/messages', { body: { from: BRUNO, text: 'Bom dia', pushName: 'Bruno Lima', timestamp: 1773147600 } });
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+test('conversas ficam mais recentes primeiro, com última mensagem e não lidas', async () => {
+    const response = await server.request('GET', '/chats');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.total, 2);
+
+    const [first, second] = response.body.chats;
+    assert.equal(first.jid, jid(BRUNO));
+    assert.equal(first.displayName, 'Bruno Lima');
+    assert.equal(first.lastMessage.text, 'Bom dia');
+    assert.equal(second.jid, jid(ANA));
+    assert.equal(second.unreadCount, 2);
+    assert.equal(second.isGroup, false);
+    assert.deepEqual(second.tags, []);
+});
+
+test('filtros e paginação das conversas', async () => {
+    const byName = await server.request('GET', '/chats?q=ana');
+    assert.deepEqual(byName.body.chats.map(chat => chat.jid), [jid(ANA)]);
+
+    const byNumber = await server.request('GET', '/chats?q=55219');
+    assert.deepEqual(byNumber.body.chats.map(chat => chat.jid), [jid(BRUNO)]);
+
+    assert.equal((await server.request('GET', '/chats?type=group')).body.total, 0);
+    assert.equal((await server.request('GET', '/chats?archived=true')).body.total, 0);
+
+    const page = await server.request('GET', '/chats?limit=1&offset=1');
+    assert.equal(page.body.total, 2);
+    assert.deepEqual(page.body.chats.map(chat => chat.jid), [jid(ANA)]);
+
+    await server.request('POST', `/chats/${ANA}/read`);
+    const unread = await server.request('GET', '/chats?unread=true');
+    assert.deepEqual(unread.body.chats.map(chat => chat.jid), [jid(BRUNO)]);
+});
+
+test('detalhe da conversa aceita o número e responde 404 para desconhecida', async () => {
+    const chat = await server.request('GET', `/chats/${BRUNO}`);
+    assert.equal(chat.status, 200);
+    assert.equal(chat.body.chat.jid, jid(BRUNO));
+
+    const unknown = await server.request('GET', '/chats/5531999990000');
+    assert.equal(unknown.status, 404);
+});
+
+test('contatos vêm do pushName e são ordenados por nome', async () => {
+    const response = await server.request('GET', '/contacts');
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.contacts.map(contact => contact.displayName), ['Ana Souza', 'Bruno Lima']);
+    assert.equal(response.body.contacts[0].pushName, 'Ana Souza');
+
+    const filtered = await server.request('GET', '/contacts?q=bruno');
+    assert.deepEqual(filtered.body.contacts.map(contact => contact.jid), [jid(BRUNO)]);
+});
+
+test('perfil do contato: sem foto vira null e a segunda leitura vem do cache', async () => {
+    const first = await server.request('GET', `/contacts/${ANA}/profile`);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.contact.displayName, 'Ana Souza');
+    assert.equal(first.body.profile.pictureUrl, null);
+    assert.equal(first.body.profile.about, 'Disponível');
+    assert.equal(first.body.profile.cached, false);
+
+    const second = await server.request('GET', `/contacts/${ANA}/profile`);
+    assert.equal(second.body.profile.cached, true);
+
+    const refreshed = await server.request('GET', `/contacts/${ANA}/profile?refresh=true`);
+    assert.equal(refreshed.body.profile.cached, false);
+});
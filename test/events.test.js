@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers');
+
+const ADMIN_KEY = 'chave-admin-dos-testes';
+const CUSTOMER = '5511912345678';
+
+let server;
+let readKey;
+
+before(async () => {
+    server = await startServer({ API_KEY: ADMIN_KEY });
+    const created = await server.request('POST', '/api-keys', { body: { name: 'painel', scopes: ['messages:read'] } });
+    readKey = created.body.apiKey.key;
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+// Lê o stream SSE até done(eventos) ser verdadeiro; encerra a conexão ao final
+async function readEvents(urlPath, { apiKey = ADMIN_KEY, headers = {}, done }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), 5000);
+    const response = await fetch(`${server.baseUrl}${urlPath}`, {
+        headers: { 'x-api-key': apiKey, ...headers },
+        signal: controller.signal
+    });
+    const reader = response.body.getReader();
+    const events = [];
+    let text = '';
+
+    try {
+        while (!done(events)) {
+            const { value } = await reader.read();
+            text += Buffer.from(value).toString();
+            const blocks = text.split('\n\n');
+            text = blocks.pop();
+            blocks.forEach(block => {
+                const fields = Object.fromEntries(block.split('\n')
+                    .filter(line => /^(id|event|data): /.test(line))
+                    .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+                if (fields.event) events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+            });
+        }
+        return events;
+    } finally {
+        clearTimeout(timer);
+        controller.abort();
+    }
+}
+
+const firstQr = events => events.find(entry => entry.event === 'connection.qr');
+
+test('QR no stream só chega com o conteúdo para chaves admin', async () => {
+    await waitFor(async () => (await server.request('GET', '/status')).body.hasQR, { message: 'o QR simulado' });
+    const path = '/events?types=connection.qr&lastEventId=0';
+
+    const forReader = firstQr(await readEvents(path, { apiKey: readKey, done: firstQr }));
+    assert.equal(forReader.data.sessionId, 'default');
+    assert.equal(forReader.data.qr, undefined);
+    assert.equal(forReader.data.qrDataUrl, undefined);
+
+    const forAdmin = firstQr(await readEvents(path, { done: firstQr }));
+    assert.match(forAdmin.data.qrDataUrl, /^data:image\/png;base64,/);
+});
+
+test('retoma a partir do Last-Event-ID sem repetir eventos', async () => {
+    await server.connect();
+    for (const text of ['primeira', 'segunda']) {
+        await server.request('POST', '/mock/messages', { body: { from: CUSTOMER, text } });
+    }
+
+    const received = events => events.filter(entry => entry.event === 'message.received');
+    const all = received(await readEvents('/events?types=message.received&lastEventId=0', {
+        apiKey: readKey,
+        done: events => received(events).length >= 2
+    }));
+    assert.deepEqual(all.map(entry => entry.data.text), ['primeira', 'segunda']);
+
+    const resumed = received(await readEvents('/events?types=message.received', {
+        apiKey: readKey,
+        headers: { 'last-event-id': all[0].id },
+        done: events => received(events).length >= 1
+    }));
+    assert.deepEqual(resumed.map(entry => entry.data.text), ['segunda']);
+});
+
+test('evento do código de pareamento não publica o código', async () => {
+    await server.request('POST', '/sessions', { body: { id: 'pareamento' } });
+    await waitFor(async () => (await server.request('GET', '/sessions/pareamento/status')).body.hasQR, { message: 'o QR simulado' });
+    const pairing = await server.request('POST', '/sessions/pareamento/pairing-code', { body: { phone: '5521977776666' } });
+    assert.equal(pairing.status, 200);
+
+    const isPairing = entry => entry.event === 'connection.pairing_code';
+    const events = await readEvents('/sessions/pareamento/events?types=connection.pairing_code&lastEventId=0', {
+        done: events => events.some(isPairing)
+    });
+    const { data } = events.find(isPairing);
+    assert.equal(data.phone, '5521977776666');
+    assert.ok(data.expiresAt);
+    assert.equal(data.code, undefined);
+});
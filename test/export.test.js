@@ -0,0 +1,155 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { startServer } = require('./helpers');
+
+const CUSTOMER = '5511912345678';
+const CUSTOMER_JID = `${CUSTOMER}@s.whatsapp.net`;
+const OTHER = '5521955554444';
+
+const PNG = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+    'base64'
+);
+
+let server;
+let firstId;
+let replyId;
+
+// Lê as entradas de um ZIP (diretório central) e descompacta o conteúdo
+function readZip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const files = {};
+
+    for (let i = 0; i < count; i++) {
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        files[name] = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return files;
+}
+
+before(async () => {
+    server = await startServer({ EXPORT_TIMEZONE: 'America/Sao_Paulo' });
+    await server.connect({ phone: '5511988887777' });
+
+    // 2026-03-10 12:00:00 UTC = 09:00:00 em São Paulo
+    const first = await server.request('POST', '/mock/messages', {
+        body: { from: CUSTOMER, text: 'Meu pedido chegou quebrado', pushName: 'Maria Souza', timestamp: 1773144000 }
+    });
+    firstId = first.body.messageId;
+
+    const form = new FormData();
+    form.append('from', CUSTOMER);
+    form.append('kind', 'image');
+    form.append('caption', 'Foto da caixa <amassada>');
+    form.append('file', new Blob([PNG], { type: 'image/png' }), 'caixa.png');
+    await server.request('POST', '/mock/messages', { form });
+
+    const reply = await server.request('POST', '/send', { body: { phone: CUSTOMER, message: 'Vamos trocar, desculpe!', quotedId: firstId } });
+    replyId = reply.body.messageId;
+
+    await server.request('POST', '/mock/messages', { body: { from: OTHER, text: 'Outra conversa' } });
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+test('exporta a conversa em JSON com nomes, fuso e citação', async () => {
+    const response = await server.request('GET', `/export?chat=${CUSTOMER}&format=json`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /attachment; filename="conversa-5511912345678-.*\.json"/);
+
+    const { export: meta, messages, total } = response.body;
+    assert.equal(meta.chat, CUSTOMER_JID);
+    assert.equal(meta.chatName, 'Maria Souza');
+    assert.equal(meta.timezone, 'America/Sao_Paulo');
+    assert.equal(total, 3);
+    assert.ok(messages.every(message => message.chat === CUSTOMER_JID && message.raw === undefined));
+
+    const [first, image, reply] = messages;
+    assert.equal(first.id, firstId);
+    assert.equal(first.senderName, 'Maria Souza');
+    assert.equal(first.localTime, '2026-03-10 09:00:00');
+    assert.equal(image.type, 'imageMessage');
+    assert.ok(image.media.url.includes('/media/'));
+    assert.equal(image.media.originalName, 'caixa.png');
+    assert.equal(reply.id, replyId);
+    assert.equal(reply.fromMe, true);
+    assert.equal(reply.quoted.id, firstId);
+    assert.equal(reply.quoted.text, 'Meu pedido chegou quebrado');
+});
+
+test('fuso horário da exportação é configurável', async () => {
+    const response = await server.request('GET', `/export?chat=${CUSTOMER}&timezone=Europe/Lisbon`);
+    assert.equal(response.body.messages[0].localTime, '2026-03-10 12:00:00');
+
+    const invalid = await server.request('GET', `/export?chat=${CUSTOMER}&timezone=Marte/Olimpo`);
+    assert.equal(invalid.status, 400);
+});
+
+test('exporta CSV com uma linha por mensagem', async () => {
+    const response = await server.request('GET', `/export?chat=${CUSTOMER}&format=csv`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+
+    const lines = response.body.toString('utf8').replace(/^\uFEFF/, '').trim().split('\r\n');
+    assert.equal(lines.length, 4);
+    assert.ok(lines[0].startsWith('id,chat,chatName,localTime'));
+    assert.ok(lines[3].includes('Vamos trocar, desculpe!'));
+    assert.ok(lines[3].includes('Meu pedido chegou quebrado'));
+});
+
+test('exporta HTML legível e com o conteúdo escapado', async () => {
+    const response = await server.request('GET', `/export?chat=${CUSTOMER}&format=html`);
+    const html = response.body.toString('utf8');
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.ok(html.includes('Conversa com Maria Souza'));
+    assert.ok(html.includes('Foto da caixa &lt;amassada&gt;'));
+    assert.ok(!html.includes('<amassada>'));
+    assert.ok(html.includes('10/03/2026'));
+});
+
+test('ZIP traz as transcrições e os arquivos de mídia', async () => {
+    const response = await server.request('GET', `/export?chat=${CUSTOMER}&format=zip`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/zip');
+
+    const files = readZip(response.body);
+    const mediaFiles = Object.keys(files).filter(name => name.startsWith('media/'));
+    assert.ok(files['transcricao.html']);
+    assert.equal(mediaFiles.length, 1);
+    assert.deepEqual(files[mediaFiles[0]], PNG);
+
+    const transcript = JSON.parse(files['transcricao.json']);
+    const image = transcript.messages.find(message => message.type === 'imageMessage');
+    assert.equal(image.media.url, mediaFiles[0]);
+    assert.ok(files['transcricao.html'].toString().includes(`src="${mediaFiles[0]}"`));
+});
+
+test('exporta um período de todas as conversas', async () => {
+    const response = await server.request('GET', `/export?since=${encodeURIComponent('2026-04-01T00:00:00Z')}`);
+    assert.equal(response.status, 200);
+
+    const chats = new Set(response.body.messages.map(message => message.chat));
+    assert.ok(chats.has(CUSTOMER_JID));
+    assert.ok(chats.has(`${OTHER}@s.whatsapp.net`));
+    assert.ok(!response.body.messages.some(message => message.id === firstId));
+});
+
+test('valida os parâmetros da exportação', async () => {
+    assert.equal((await server.request('GET', '/export')).status, 400);
+    assert.equal((await server.request('GET', `/export?chat=${CUSTOMER}&format=pdf`)).status, 400);
+    assert.equal((await server.request('GET', '/export?since=ontem')).status, 400);
+});
@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let groupId;
+
+before(async () => {
+    server = await startServer();
+    await server.connect();
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+test('cria grupo e lista os grupos do número', async () => {
+    const created = await server.request('POST', '/groups', {
+        body: { subject: 'Clientes VIP', participants: ['11987654321', '11912345678'] }
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.group.subject, 'Clientes VIP');
+    assert.equal(created.body.group.participants.length, 3);
+    groupId = created.body.group.id;
+
+    const invalid = await server.request('POST', '/groups', { body: { subject: 'Sem participantes' } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'VALIDATION_ERROR');
+
+    const list = await server.request('GET', '/groups');
+    assert.ok(list.body.groups.some(group => group.id === groupId && group.size === 3));
+
+    // O grupo novo entra nas conversas
+    const chats = await server.request('GET', '/chats?type=group');
+    assert.ok(chats.body.chats.some(chat => chat.jid === groupId));
+});
+
+test('altera assunto, descrição e configurações', async () => {
+    const response = await server.request('PATCH', `/groups/${groupId}`, {
+        body: { subject: 'Clientes Premium', description: 'Ofertas exclusivas', announce: true }
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.group.subject, 'Clientes Premium');
+    assert.equal(response.body.group.description, 'Ofertas exclusivas');
+    assert.equal(response.body.group.announce, true);
+});
+
+test('gerencia participantes', async () => {
+    const added = await server.request('POST', `/groups/${groupId}/participants`, {
+        body: { action: 'add', participants: ['21955554444'] }
+    });
+    assert.equal(added.status, 200);
+    assert.equal(added.body.results[0].status, '200');
+
+    const promoted = await server.request('POST', `/groups/${groupId}/participants`, {
+        body: { action: 'promote', participants: ['21955554444'] }
+    });
+    assert.equal(promoted.body.results[0].status, '200');
+
+    const metadata = await server.request('GET', `/groups/${groupId}`);
+    const participant = metadata.body.group.participants.find(entry => entry.id === '5521955554444@s.whatsapp.net');
+    assert.equal(participant.admin, 'admin');
+
+    const invalid = await server.request('POST', `/groups/${groupId}/participants`, { body: { action: 'ban', participants: ['x'] } });
+    assert.equal(invalid.status, 400);
+});
+
+test('convite e revogação do link', async () => {
+    const invite = await server.request('GET', `/groups/${groupId}/invite`);
+    assert.equal(invite.status, 200);
+    assert.equal(invite.body.link, `https://chat.whatsapp.com/${invite.body.code}`);
+
+    const revoked = await server.request('POST', `/groups/${groupId}/invite/revoke`);
+    assert.notEqual(revoked.body.code, invite.body.code);
+});
+
+test('sai do grupo e o grupo deixa de existir', async () => {
+    const left = await server.request('POST', `/groups/${groupId}/leave`);
+    assert.equal(left.status, 200);
+
+    // Erro do WhatsApp (Boom) passa pelo errorHandler com o status e o código padrão
+    const missing = await server.request('GET', `/groups/${groupId}`);
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'NOT_FOUND');
+});
+
+test('operações de grupo exigem a sessão conectada', async () => {
+    await server.request('POST', '/mock/disconnect', { body: { reason: 'connectionLost' } });
+
+    const response = await server.request('GET', '/groups');
+    assert.equal(response.status, 503);
+});
@@ -0,0 +1,129 @@
+/**
+ * =============================================================
+ * APOIO AOS TESTES DE INTEGRAÇÃO
+ * =============================================================
+ *
+ * Sobe o servidor real (servidor.js) com WA_MODE=mock numa porta
+ * livre e numa pasta de dados temporária, e oferece um cliente HTTP
+ * simples para as rotas da API e do simulador (/mock).
+ * =============================================================
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER_FILE = path.join(__dirname, '..', 'servidor.js');
+const START_TIMEOUT_MS = 15000;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Repete check() até retornar algo verdadeiro (ou estourar o tempo)
+async function waitFor(check, { timeout = 5000, interval = 50, message = 'condição' } = {}) {
+    const deadline = Date.now() + timeout;
+    let last;
+    while (Date.now() < deadline) {
+        last = await check();
+        if (last) return last;
+        await sleep(interval);
+    }
+    throw new Error(`Tempo esgotado aguardando ${message} (último valor: ${JSON.stringify(last)})`);
+}
+
+// Sobe um servidor simulado; env complementa/substitui as variáveis padrão
+async function startServer(env = {}) {
+    const port = await freePort();
+    const dataFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-test-'));
+    const baseUrl = `http://127.0.0.1:${port}`;
+    const output = [];
+
+    const child = spawn(process.execPath, [SERVER_FILE], {
+        env: {
+            ...process.env,
+            WA_MODE: 'mock',
+            PORT: String(port),
+            SELF_URL: baseUrl,
+            DATA_FOLDER: dataFolder,
+            KEEPALIVE_INTERVAL: '999',
+            MEDIA_TRANSCODE: 'false',
+            SEND_INTERVAL_MS: '0',
+            SEND_RECIPIENT_INTERVAL_MS: '0',
+            LOG_LEVEL: 'warn',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    child.stdout.on('data', chunk => output.push(chunk));
+    child.stderr.on('data', chunk => output.push(chunk));
+
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    async function request(method, urlPath, { body, form, apiKey = env.API_KEY, headers = {} } = {}) {
+        const init = { method, headers: { ...headers } };
+        if (apiKey) init.headers['x-api-key'] = apiKey;
+        if (form) {
+            init.body = form;
+        } else if (body !== undefined) {
+            init.headers['content-type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+
+        const response = await fetch(`${baseUrl}${urlPath}`, init);
+        const type = response.headers.get('content-type') || '';
+        const data = type.includes('application/json') ? await response.json() : Buffer.from(await response.arrayBuffer());
+        return { status: response.status, headers: response.headers, body: data };
+    }
+
+    // keepData: mantém a pasta de dados (para subir outro servidor sobre ela)
+    async function stop({ keepData = false } = {}) {
+        if (child.exitCode === null) child.kill('SIGTERM');
+        await exited;
+        if (!keepData) fs.rmSync(dataFolder, { recursive: true, force: true });
+    }
+
+    try {
+        await waitFor(async () => {
+            if (child.exitCode !== null) throw new Error(`Servidor encerrou ao iniciar:\n${Buffer.concat(output)}`);
+            return request('GET', '/health').then(response => response.status === 200, () => false);
+        }, { timeout: START_TIMEOUT_MS, interval: 100, message: 'o servidor iniciar' });
+    } catch (error) {
+        await stop();
+        throw error;
+    }
+
+    // Atalhos para as sessões (default sem prefixo)
+    const sessionPath = (sessionId, urlPath) => (sessionId ? `/sessions/${sessionId}${urlPath}` : urlPath);
+
+    // Lê o QR simulado e aguarda a sessão conectar
+    async function connect({ sessionId, phone } = {}) {
+        await waitFor(async () => (await request('GET', sessionPath(sessionId, '/status'))).body.hasQR, {
+            message: 'o QR simulado'
+        });
+        const scanned = await request('POST', sessionPath(sessionId, '/mock/scan'), { body: { phone } });
+        if (scanned.status !== 200) throw new Error(`Falha no scan: ${JSON.stringify(scanned.body)}`);
+        await waitFor(async () => (await request('GET', sessionPath(sessionId, '/status'))).body.connected, {
+            message: 'a sessão conectar'
+        });
+        return scanned.body.user;
+    }
+
+    return { baseUrl, dataFolder, request, stop, connect, sessionPath, output };
+}
+
+module.exports = { startServer, waitFor, sleep };
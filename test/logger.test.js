@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const { createLogger } = require('../lib/logger');
+
+// Logger que grava as linhas JSON num array
+function capture(options = {}) {
+    const lines = [];
+    const destination = new Writable({
+        write(chunk, encoding, callback) {
+            lines.push(...chunk.toString().trim().split('\n').map(line => JSON.parse(line)));
+            callback();
+        }
+    });
+    return { lines, ...createLogger({ destination, ...options }) };
+}
+
+test('cada linha é um JSON com nível, hora, sessão e dados', () => {
+    const { lines, log } = capture();
+
+    log('[vendas] Sessão conectada', { phone: '5511987654321' });
+    log('Webhook falhou definitivamente (message -> https://crm):', 'HTTP 500', 'error');
+
+    assert.equal(lines.length, 2);
+    const [connected, failed] = lines;
+
+    assert.equal(connected.level, 'info');
+    assert.equal(connected.msg, 'Sessão conectada');
+    assert.equal(connected.sessionId, 'vendas');
+    assert.deepEqual(connected.data, { phone: '5511987654321' });
+    assert.equal(typeof connected.pid, 'number');
+    assert.ok(!Number.isNaN(Date.parse(connected.time)));
+
+    assert.equal(failed.level, 'error');
+    assert.equal(failed.detail, 'HTTP 500');
+});
+
+test('o nível vem do argumento, não do texto da mensagem', () => {
+    const { lines, log } = capture();
+
+    log('Cliente escreveu "erro no pedido"');
+    log('Keep-alive: status 503', null, 'warn');
+
+    assert.deepEqual(lines.map(line => line.level), ['info', 'warn']);
+});
+
+test('log.child fixa campos (requestId) e respeita LOG_LEVEL', () => {
+    const { lines, log } = capture({ level: 'warn' });
+    const requestLog = log.child({ requestId: 'req-1' });
+
+    requestLog('Grupo criado: 123@g.us (VIP)');
+    requestLog('Erro interno em POST /groups:', new Error('falhou'), 'error');
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].requestId, 'req-1');
+    assert.equal(lines[0].level, 'error');
+    assert.equal(lines[0].err.message, 'falhou');
+});
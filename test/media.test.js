@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const CUSTOMER = '5511912345678';
+
+// PNG 1x1
+const PNG = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+    'base64'
+);
+const HTML = Buffer.from('<!DOCTYPE html><html><script>alert(localStorage.waApiKey)</script></html>');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+    await server.connect();
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+async function receive(kind, buffer, type, name) {
+    const form = new FormData();
+    form.append('from', CUSTOMER);
+    form.append('kind', kind);
+    form.append('file', new Blob([buffer], { type }), name);
+    const injected = await server.request('POST', '/mock/messages', { form });
+    assert.equal(injected.status, 200);
+    return injected.body.message.media;
+}
+
+test('documento com HTML disfarçado é guardado pelo tipo real e servido como download em sandbox', async () => {
+    const media = await receive('document', HTML, 'application/pdf', 'fatura.pdf');
+    assert.equal(media.mimeType, 'text/html');
+    assert.match(media.key, /\.html$/);
+
+    const served = await server.request('GET', media.localUrl);
+    assert.equal(served.status, 200);
+    assert.match(served.headers.get('content-disposition'), /^attachment/);
+    assert.equal(served.headers.get('x-content-type-options'), 'nosniff');
+    assert.equal(served.headers.get('content-security-policy'), 'sandbox');
+});
+
+test('imagem continua abrindo no navegador', async () => {
+    const media = await receive('image', PNG, 'text/html', 'foto.html');
+    assert.equal(media.mimeType, 'image/png');
+    assert.match(media.key, /\.png$/);
+
+    const served = await server.request('GET', media.localUrl);
+    assert.equal(served.status, 200);
+    assert.equal(served.headers.get('content-type'), 'image/png');
+    assert.equal(served.headers.get('content-disposition'), null);
+    assert.equal(served.headers.get('x-content-type-options'), 'nosniff');
+});
@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createMediaFetcher } = require('../lib/mediaFetch');
+
+const PDF = Buffer.from('%PDF-1.4\n%teste\n');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        // Sem Content-Length: o limite só é percebido durante o download
+        if (req.url === '/grande.pdf') {
+            res.writeHead(200, { 'Content-Type': 'application/pdf' });
+            return res.end(Buffer.concat([PDF, Buffer.alloc(2048)]));
+        }
+        if (req.url === '/lento.pdf') {
+            res.writeHead(200, { 'Content-Type': 'application/pdf' });
+            return res.write(PDF);
+        }
+        res.writeHead(200, { 'Content-Type': 'application/pdf' });
+        res.end(PDF);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+}));
+
+const fetcher = (options = {}) => createMediaFetcher({ maxBytes: 1024, allowlist: ['127.0.0.1'], ...options });
+
+test('nome de arquivo com escape inválido na URL não derruba o processo', async () => {
+    const result = await fetcher().fetchMedia(`${baseUrl}/a%ZZ.pdf`);
+    assert.equal(result.filename, 'a%ZZ.pdf');
+    assert.equal(result.mimetype, 'application/pdf');
+
+    const decoded = await fetcher().fetchMedia(`${baseUrl}/nota%20fiscal.pdf`);
+    assert.equal(decoded.filename, 'nota fiscal.pdf');
+});
+
+test('endereço interno é bloqueado fora da allowlist', async () => {
+    await assert.rejects(
+        createMediaFetcher({ maxBytes: 1024 }).fetchMedia(`${baseUrl}/arquivo.pdf`),
+        error => error.status === 403
+    );
+});
+
+test('limite de tamanho e tempo durante o download rejeitam sem derrubar o processo', async () => {
+    await assert.rejects(fetcher().fetchMedia(`${baseUrl}/grande.pdf`), error => error.status === 413);
+    await assert.rejects(fetcher({ timeoutMs: 200 }).fetchMedia(`${baseUrl}/lento.pdf`), error => error.status === 504);
+});
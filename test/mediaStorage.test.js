@@ -0,0 +1,93 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMediaStorage, createLocalBackend } = require('../lib/mediaStorage');
+const { waitFor, sleep } = require('./helpers');
+
+let dataFolder;
+let mediaFolder;
+
+beforeEach(() => {
+    dataFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-media-'));
+    mediaFolder = path.join(dataFolder, 'media');
+});
+
+afterEach(() => {
+    fs.rmSync(dataFolder, { recursive: true, force: true });
+});
+
+function createStorage(options = {}) {
+    return createMediaStorage({
+        backend: createLocalBackend({ folder: mediaFolder }),
+        dataFolder,
+        tempFolder: path.join(dataFolder, 'tmp'),
+        secret: 'segredo',
+        baseUrl: 'http://localhost',
+        urlTtlSeconds: 60,
+        retentionDays: 30,
+        log: () => {},
+        ...options
+    });
+}
+
+// Conteúdo único de 100 bytes
+const blob = () => crypto.randomBytes(100);
+
+test('acima da cota, sai primeiro a mídia acessada há mais tempo', async () => {
+    const storage = createStorage({ quotaBytes: 250 });
+
+    const first = await storage.save(blob(), { mimetype: 'application/octet-stream' });
+    await sleep(5);
+    const firstContent = fs.readFileSync(path.join(mediaFolder, first.key));
+    const second = await storage.save(blob(), { mimetype: 'application/octet-stream' });
+    await sleep(5);
+
+    // Reenviar o mesmo conteúdo conta como acesso (e não ocupa espaço novo)
+    const again = await storage.save(firstContent, { mimetype: 'application/octet-stream' });
+    assert.equal(again.key, first.key);
+    assert.equal(again.deduplicated, true);
+    await sleep(5);
+
+    const third = await storage.save(blob(), { mimetype: 'application/octet-stream' });
+
+    await waitFor(() => !storage.has(second.key), { message: 'a remoção pela cota' });
+    assert.equal(storage.has(first.key), true);
+    assert.equal(storage.has(third.key), true);
+    assert.equal(fs.existsSync(path.join(mediaFolder, second.key)), false);
+    assert.deepEqual(storage.stats(), { backend: 'local', count: 2, bytes: 200, quotaBytes: 250 });
+    storage.flush();
+});
+
+test('sem cota, nada é removido', async () => {
+    const storage = createStorage({ quotaBytes: 0 });
+    for (let i = 0; i < 4; i++) await storage.save(blob());
+
+    const result = await storage.cleanup();
+    assert.deepEqual(result, { expired: 0, evicted: 0 });
+    assert.equal(storage.stats().count, 4);
+    assert.equal(storage.stats().quotaBytes, null);
+    storage.flush();
+});
+
+test('a limpeza aplica a cota às mídias já existentes na pasta', async () => {
+    fs.mkdirSync(mediaFolder, { recursive: true });
+    ['a.bin', 'b.bin', 'c.bin'].forEach((name, index) => {
+        const file = path.join(mediaFolder, name);
+        fs.writeFileSync(file, blob());
+        // a.bin é a mais antiga
+        const time = new Date(Date.now() - (3 - index) * 60000);
+        fs.utimesSync(file, time, time);
+    });
+
+    const storage = createStorage({ quotaBytes: 150 });
+    await storage.start();
+
+    assert.equal(storage.has('a.bin'), false);
+    assert.equal(storage.has('b.bin'), false);
+    assert.equal(storage.has('c.bin'), true);
+    assert.deepEqual(fs.readdirSync(mediaFolder).filter(name => !name.startsWith('.')), ['c.bin']);
+    storage.flush();
+});
@@ -0,0 +1,209 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers');
+
+const CUSTOMER = '5511912345678';
+const CUSTOMER_JID = `${CUSTOMER}@s.whatsapp.net`;
+
+// PNG 1x1
+const PNG = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+    'base64'
+);
+
+let server;
+
+before(async () => {
+    server = await startServer({ WA_MOCK_UNREGISTERED: '5511900000000' });
+    await server.connect();
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+const sent = async () => (await server.request('GET', '/mock/sent')).body.sent;
+
+test('envia texto e o simulador registra o envio', async () => {
+    const response = await server.request('POST', '/send', { body: { phone: '11987654321', message: 'Olá, tudo bem?' } });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.ok(response.body.messageId);
+
+    const record = (await sent()).find(entry => entry.id === response.body.messageId);
+    assert.equal(record.jid, '5511987654321@s.whatsapp.net');
+    assert.equal(record.type, 'extendedTextMessage');
+    assert.equal(record.message.extendedTextMessage.text, 'Olá, tudo bem?');
+
+    const stored = await server.request('GET', '/messages?fromMe=true');
+    assert.ok(stored.body.messages.some(message => message.id === response.body.messageId && message.text === 'Olá, tudo bem?'));
+});
+
+test('acompanha o status de entrega pelos recibos', async () => {
+    const { body } = await server.request('POST', '/send', { body: { phone: '11987654321', message: 'Recibo' } });
+    const statusOf = async () => (await server.request('GET', `/messages/${body.messageId}/status`)).body;
+
+    // O simulador confirma o envio (server_ack) logo depois
+    await waitFor(async () => (await statusOf()).status === 'server_ack', { message: 'o server_ack' });
+
+    for (const status of ['delivered', 'read']) {
+        const receipt = await server.request('POST', '/mock/receipts', { body: { messageId: body.messageId, status } });
+        assert.equal(receipt.status, 200);
+        assert.equal(receipt.body.status, status);
+    }
+
+    const current = await statusOf();
+    assert.equal(current.status, 'read');
+    assert.deepEqual(current.statusHistory.map(entry => entry.status), ['pending', 'server_ack', 'delivered', 'read']);
+    assert.ok(current.receipts['5511987654321@s.whatsapp.net'].readAt);
+
+    const unknown = await server.request('POST', '/mock/receipts', { body: { messageId: 'NAOEXISTE', status: 'read' } });
+    assert.equal(unknown.status, 404);
+});
+
+test('mensagem recebida aparece no histórico e nas conversas', async () => {
+    const injected = await server.request('POST', '/mock/messages', {
+        body: { from: CUSTOMER, text: 'Quero um orçamento', pushName: 'Maria' }
+    });
+    assert.equal(injected.status, 200);
+    assert.equal(injected.body.message.text, 'Quero um orçamento');
+    assert.equal(injected.body.message.from, CUSTOMER_JID);
+
+    const messages = await server.request('GET', `/messages?chat=${CUSTOMER}`);
+    const stored = messages.body.messages.find(message => message.id === injected.body.messageId);
+    assert.ok(stored);
+    // O WebMessageInfo original (chaves de mídia) não é guardado nem exposto
+    assert.equal(stored.raw, undefined);
+
+    const chat = await server.request('GET', `/chats/${CUSTOMER_JID}`);
+    assert.equal(chat.status, 200);
+    assert.equal(chat.body.chat.lastMessage.text, 'Quero um orçamento');
+    assert.ok(chat.body.chat.unreadCount >= 1);
+
+    const chatMessages = await server.request('GET', `/chats/${CUSTOMER_JID}/messages`);
+    assert.ok(chatMessages.body.messages.some(message => message.id === injected.body.messageId));
+});
+
+test('mídia recebida é baixada e servida pelo link assinado', async () => {
+    const form = new FormData();
+    form.append('from', CUSTOMER);
+    form.append('kind', 'image');
+    form.append('caption', 'Foto do produto');
+    form.append('file', new Blob([PNG], { type: 'image/png' }), 'produto.png');
+
+    const injected = await server.request('POST', '/mock/messages', { form });
+    assert.equal(injected.status, 200);
+
+    const { message } = injected.body;
+    assert.equal(message.type, 'imageMessage');
+    assert.equal(message.text, 'Foto do produto');
+    assert.ok(message.media.fullUrl);
+
+    const media = await fetch(message.media.fullUrl);
+    assert.equal(media.status, 200);
+    assert.deepEqual(Buffer.from(await media.arrayBuffer()), PNG);
+});
+
+test('reação e edição recebidas alteram a mensagem original', async () => {
+    const original = await server.request('POST', '/mock/messages', { body: { from: CUSTOMER, text: 'Preciso de 10 unidades' } });
+    const key = { remoteJid: CUSTOMER_JID, fromMe: false, id: original.body.messageId };
+
+    await server.request('POST', '/mock/messages', {
+        body: { from: CUSTOMER, message: { reactionMessage: { key, text: '👍' } } }
+    });
+    await server.request('POST', '/mock/messages', {
+        body: { from: CUSTOMER, message: { protocolMessage: { type: 14, key, editedMessage: { conversation: 'Preciso de 12 unidades' } } } }
+    });
+
+    const { body } = await server.request('GET', `/messages?chat=${CUSTOMER}&q=unidades`);
+    const message = body.messages.find(entry => entry.id === original.body.messageId);
+    assert.equal(message.text, 'Preciso de 12 unidades');
+    assert.equal(message.originalText, 'Preciso de 10 unidades');
+    assert.equal(message.reactions[CUSTOMER_JID], '👍');
+});
+
+test('envio tipado (localização) vira locationMessage', async () => {
+    const response = await server.request('POST', '/messages/send', {
+        body: { type: 'location', phone: CUSTOMER, latitude: -23.55, longitude: -46.63, name: 'Loja' }
+    });
+    assert.equal(response.status, 200);
+
+    const record = (await sent()).find(entry => entry.id === response.body.messageId);
+    assert.equal(record.type, 'locationMessage');
+    assert.equal(record.message.locationMessage.degreesLatitude, -23.55);
+});
+
+test('resposta automática por palavra-chave', async () => {
+    const rule = await server.request('POST', '/rules', {
+        body: { name: 'preço', match: { keywords: ['preço'] }, actions: [{ type: 'reply', text: 'Nossa tabela de preços: ...' }] }
+    });
+    assert.equal(rule.status, 201);
+
+    await server.request('DELETE', '/mock/sent');
+    await server.request('POST', '/mock/messages', { body: { from: CUSTOMER, text: 'Qual o preço?' } });
+
+    const reply = await waitFor(async () => (await sent()).find(entry => entry.jid === CUSTOMER_JID), { message: 'a resposta automática' });
+    assert.equal(reply.message.extendedTextMessage.text, 'Nossa tabela de preços: ...');
+});
+
+test('verifica quais números têm WhatsApp', async () => {
+    const response = await server.request('POST', '/check-numbers', { body: { phones: ['11987654321', '11900000000'] } });
+    assert.equal(response.status, 200);
+
+    const [registered, unregistered] = response.body.results;
+    assert.equal(registered.exists, true);
+    assert.equal(registered.jid, '5511987654321@s.whatsapp.net');
+    assert.equal(unregistered.exists, false);
+    assert.equal(unregistered.jid, null);
+});
+
+test('mensagem inválida no simulador retorna 400', async () => {
+    const withoutContent = await server.request('POST', '/mock/messages', { body: { from: CUSTOMER } });
+    assert.equal(withoutContent.status, 400);
+
+    const invalidFrom = await server.request('POST', '/mock/messages', { body: { from: 'abc', text: 'oi' } });
+    assert.equal(invalidFrom.status, 400);
+});
+
+test('envios ao mesmo destinatário saem na ordem em que foram enfileirados', async () => {
+    const texts = ['Pedido recebido', 'Pedido separado', 'Pedido enviado'];
+    for (const message of texts) {
+        const response = await server.request('POST', '/send', { body: { phone: CUSTOMER, message, wait: false } });
+        assert.equal(response.status, 202);
+    }
+
+    const delivered = await waitFor(async () => {
+        const matching = (await sent()).filter(entry => texts.includes(entry.message.extendedTextMessage?.text));
+        return matching.length === texts.length && matching;
+    }, { timeout: 10000, message: 'os três envios' });
+    assert.deepEqual(delivered.map(entry => entry.message.extendedTextMessage.text), texts);
+});
+
+test('envio agendado para depois não segura os imediatos ao mesmo destinatário', async () => {
+    const sendAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const scheduled = await server.request('POST', '/send', { body: { phone: CUSTOMER, message: 'Lembrete de amanhã', sendAt } });
+    assert.equal(scheduled.status, 202);
+
+    const now = await server.request('POST', '/send', { body: { phone: CUSTOMER, message: 'Mensagem imediata' } });
+    assert.equal(now.status, 200);
+    assert.ok((await sent()).some(entry => entry.id === now.body.messageId));
+
+    const job = await server.request('GET', `/queue/${scheduled.body.jobId}`);
+    assert.equal(job.body.job.status, 'scheduled');
+    await server.request('DELETE', `/queue/${scheduled.body.jobId}`);
+});
+
+test('envio com a sessão desconectada fica na fila até reconectar', async () => {
+    await server.request('POST', '/mock/disconnect', { body: { reason: 'connectionLost' } });
+
+    const queued = await server.request('POST', '/send', { body: { phone: '11987654321', message: 'Depois da queda' } });
+    assert.equal(queued.status, 202);
+    assert.equal(queued.body.queued, true);
+
+    const job = await waitFor(async () => {
+        const response = await server.request('GET', `/queue/${queued.body.jobId}`);
+        return response.body.job.status === 'sent' && response.body.job;
+    }, { timeout: 15000, interval: 200, message: 'o envio da fila' });
+
+    assert.ok((await sent()).some(entry => entry.id === job.messageId));
+});
@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer({ LOG_LEVEL: 'info' });
+    await server.connect();
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+// Linhas JSON já escritas pelo servidor
+function logLines() {
+    return Buffer.concat(server.output).toString().split('\n')
+        .filter(line => line.startsWith('{'))
+        .map(line => JSON.parse(line));
+}
+
+test('/metrics expõe contadores, gauges e histogramas no formato do Prometheus', async () => {
+    await server.request('GET', '/status');
+    await server.request('GET', '/status');
+
+    const response = await server.request('GET', '/metrics');
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+
+    const text = response.body.toString();
+    assert.match(text, /^# HELP whatsapp_http_requests_total /m);
+    assert.match(text, /^# TYPE whatsapp_http_requests_total counter$/m);
+    assert.match(text, /^whatsapp_http_requests_total\{method="GET",route="\/status",status="200"\} [2-9]\d*$/m);
+    assert.match(text, /^whatsapp_session_connected\{session="default"\} 1$/m);
+    assert.match(text, /^# TYPE whatsapp_http_request_duration_seconds histogram$/m);
+    assert.match(text, /^whatsapp_http_request_duration_seconds_bucket\{method="GET",route="\/status",le="\+Inf"\} \d+$/m);
+    assert.match(text, /^whatsapp_http_request_duration_seconds_count\{method="GET",route="\/status"\} \d+$/m);
+});
+
+test('logs das rotas saem em JSON com o requestId da requisição', async () => {
+    const created = await server.request('POST', '/groups', {
+        body: { subject: 'Logs', participants: ['11987654321'] },
+        headers: { 'x-request-id': 'teste-logs-1' }
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.headers.get('x-request-id'), 'teste-logs-1');
+
+    const lines = await waitFor(() => {
+        const found = logLines().filter(line => line.requestId === 'teste-logs-1');
+        return found.length >= 2 && found;
+    }, { message: 'os logs da requisição' });
+
+    const route = lines.find(line => line.msg.startsWith('Grupo criado'));
+    assert.equal(route.level, 'info');
+
+    const access = lines.find(line => line.msg === 'Requisição HTTP');
+    assert.equal(access.method, 'POST');
+    assert.equal(access.route, '/groups');
+    assert.equal(access.status, 201);
+    assert.equal(typeof access.durationMs, 'number');
+});
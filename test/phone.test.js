@@ -0,0 +1,119 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createNumberResolver, brazilianVariants } = require('../lib/phone');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let dataFolder;
+
+beforeEach(() => {
+    dataFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-phone-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dataFolder, { recursive: true, force: true });
+});
+
+const resolver = (options = {}) => createNumberResolver({ dataFolder, log: () => {}, ...options });
+
+// onWhatsApp falso: só os números listados existem
+function fakeSock(existing) {
+    return {
+        calls: 0,
+        async onWhatsApp(...jids) {
+            this.calls++;
+            return jids.map(jid => ({ jid, exists: existing.includes(jid.split('@')[0]) }));
+        }
+    };
+}
+
+function readCache() {
+    return JSON.parse(fs.readFileSync(path.join(dataFolder, 'number_cache.json'), 'utf8'));
+}
+
+test('normaliza formatos comuns para o JID canônico', () => {
+    const { normalize } = resolver();
+
+    for (const input of [
+        '11987654321',
+        '(11) 98765-4321',
+        '011 98765-4321',
+        '5511987654321',
+        '+55 11 98765-4321',
+        '0055 11 98765-4321',
+        '1187654321',
+        '5511987654321@c.us',
+        '5511987654321:12@s.whatsapp.net'
+    ]) {
+        assert.equal(normalize(input).jid, '5511987654321@s.whatsapp.net', input);
+    }
+
+    assert.equal(normalize('120363025246125486@g.us').kind, 'group');
+    assert.equal(normalize('5511912345678-1609459200').jid, '5511912345678-1609459200@g.us');
+    assert.equal(normalize('+1 415 555 2671').jid, '14155552671@s.whatsapp.net');
+});
+
+test('recusa entradas inválidas', () => {
+    const { normalize } = resolver();
+
+    assert.match(normalize('').error, /vazio/);
+    assert.match(normalize('abc').error, /inválido/);
+    assert.match(normalize('123@exemplo.com').error, /JID inválido/);
+    assert.match(normalize('+1234567').error, /inválido/);
+    assert.match(normalize('+1234567890123456').error, /inválido/);
+});
+
+test('número local sem DDD é recusado no Brasil', () => {
+    const { normalize, isValidJid } = resolver();
+
+    assert.match(normalize('98765-4321').error, /sem DDD/);
+    assert.match(normalize('8765-4321').error, /sem DDD/);
+    assert.equal(isValidJid('987654321'), false);
+
+    // Com DDI explícito, ou com outro país padrão, segue a regra geral
+    assert.equal(normalize('+55 11 98765-4321').error, undefined);
+    assert.equal(resolver({ defaultCountryCode: '351' }).normalize('912345678').jid, '351912345678@s.whatsapp.net');
+});
+
+test('nono dígito: celular ganha o 9, fixo fica como está', () => {
+    assert.deepEqual(brazilianVariants('5511987654321'), ['5511987654321', '551187654321']);
+    assert.deepEqual(brazilianVariants('551187654321'), ['5511987654321', '551187654321']);
+    assert.deepEqual(brazilianVariants('551133334444'), ['551133334444']);
+    assert.deepEqual(brazilianVariants('14155552671'), ['14155552671']);
+
+    assert.equal(resolver().normalize('1133334444').jid, '551133334444@s.whatsapp.net');
+});
+
+test('check guarda a variante que existe e usa o cache nas próximas consultas', async () => {
+    const phone = resolver();
+    const sock = fakeSock(['551187654321']);
+
+    const [result] = await phone.check(sock, ['11987654321']);
+    assert.equal(result.exists, true);
+    assert.equal(result.jid, '551187654321@s.whatsapp.net');
+    assert.equal(result.cached, false);
+    assert.equal(phone.toJid('11987654321'), '551187654321@s.whatsapp.net');
+
+    const [again] = await phone.check(sock, ['11987654321']);
+    assert.equal(again.cached, true);
+    assert.equal(sock.calls, 1);
+});
+
+test('cache descarta entradas vencidas e respeita o limite de tamanho', async () => {
+    const ago = ms => new Date(Date.now() - ms).toISOString();
+    fs.writeFileSync(path.join(dataFolder, 'number_cache.json'), JSON.stringify({
+        '5511900000001': { exists: true, jid: '5511900000001@s.whatsapp.net', checkedAt: ago(8 * DAY) },
+        '5511900000002': { exists: false, jid: null, checkedAt: ago(2 * DAY) },
+        '5511900000003': { exists: true, jid: '5511900000003@s.whatsapp.net', checkedAt: ago(3 * DAY) },
+        '5511900000004': { exists: true, jid: '5511900000004@s.whatsapp.net', checkedAt: ago(1 * DAY) }
+    }));
+
+    const phone = resolver({ maxCacheEntries: 1 });
+    await phone.check(fakeSock([]), ['11900000005']);
+
+    // Vencidas saem; acima do limite sai a mais antiga; a nova sempre entra
+    assert.deepEqual(Object.keys(readCache()).sort(), ['5511900000004', '5511900000005']);
+});
@@ -0,0 +1,129 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers');
+
+const CUSTOMER = '5511912345678';
+const CUSTOMER_JID = `${CUSTOMER}@s.whatsapp.net`;
+
+let server;
+
+before(async () => {
+    server = await startServer({ TYPING_MS_PER_CHAR: '10', TYPING_MIN_MS: '300', TYPING_MAX_MS: '600' });
+    await server.connect();
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+const activity = async () => (await server.request('GET', '/mock/activity')).body.activity;
+const clearActivity = () => server.request('DELETE', '/mock/activity');
+
+test('marca a conversa como lida e zera as não lidas', async () => {
+    const first = await server.request('POST', '/mock/messages', { body: { from: CUSTOMER, text: 'Oi' } });
+    const second = await server.request('POST', '/mock/messages', { body: { from: CUSTOMER, text: 'Tem alguém aí?' } });
+    assert.equal((await server.request('GET', `/chats/${CUSTOMER}`)).body.chat.unreadCount, 2);
+
+    const response = await server.request('POST', `/chats/${CUSTOMER}/read`);
+    assert.equal(response.status, 200);
+    assert.deepEqual([...response.body.read].sort(), [first.body.messageId, second.body.messageId].sort());
+    assert.equal(response.body.unreadCount, 0);
+
+    const read = (await activity()).find(entry => entry.kind === 'read');
+    assert.equal(read.keys.length, 2);
+    assert.ok(read.keys.every(key => key.remoteJid === CUSTOMER_JID && key.fromMe === false));
+});
+
+test('marca como lidas só as mensagens informadas', async () => {
+    await clearActivity();
+    const first = await server.request('POST', '/mock/messages', { body: { from: CUSTOMER, text: 'Pedido 123' } });
+    await server.request('POST', '/mock/messages', { body: { from: CUSTOMER, text: 'Pedido 456' } });
+
+    const response = await server.request('POST', `/chats/${CUSTOMER}/read`, { body: { messageIds: [first.body.messageId, 'inexistente'] } });
+    assert.deepEqual(response.body.read, [first.body.messageId]);
+    assert.equal(response.body.unreadCount, 1);
+
+    const invalid = await server.request('POST', `/chats/${CUSTOMER}/read`, { body: { messageIds: 'x' } });
+    assert.equal(invalid.status, 400);
+});
+
+test('altera a presença da conta', async () => {
+    await clearActivity();
+    const response = await server.request('POST', '/presence', { body: { presence: 'unavailable' } });
+    assert.equal(response.status, 200);
+
+    const [entry] = await activity();
+    assert.equal(entry.presence, 'unavailable');
+    assert.equal(entry.jid, null);
+
+    const invalid = await server.request('POST', '/presence', { body: { presence: 'ocupado' } });
+    assert.equal(invalid.status, 400);
+});
+
+test('"digitando..." com duração volta sozinho para parado', async () => {
+    await clearActivity();
+    const response = await server.request('POST', `/chats/${CUSTOMER}/presence`, { body: { state: 'composing', duration: 100 } });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.duration, 100);
+
+    await waitFor(async () => (await activity()).some(entry => entry.presence === 'paused'), { message: 'o paused' });
+    const states = (await activity()).map(entry => `${entry.presence}:${entry.jid}`);
+    assert.deepEqual(states, [`composing:${CUSTOMER_JID}`, `paused:${CUSTOMER_JID}`]);
+
+    const invalid = await server.request('POST', `/chats/${CUSTOMER}/presence`, { body: { state: 'dormindo' } });
+    assert.equal(invalid.status, 400);
+});
+
+test('envio com typing simula a digitação antes de enviar', async () => {
+    await clearActivity();
+    const startedAt = Date.now();
+    const response = await server.request('POST', '/send', { body: { phone: CUSTOMER, message: 'Já estou verificando seu pedido', typing: true } });
+    assert.equal(response.status, 200);
+    assert.ok(Date.now() - startedAt >= 300);
+
+    const entries = await activity();
+    assert.deepEqual(entries.map(entry => entry.presence), ['composing', 'paused']);
+
+    const record = (await server.request('GET', '/mock/sent')).body.sent.find(entry => entry.id === response.body.messageId);
+    assert.ok(Date.parse(record.at) >= Date.parse(entries[1].at));
+
+    const job = await server.request('GET', `/queue/${response.body.jobId}`);
+    assert.deepEqual(job.body.job.typing, { ms: 310, state: 'composing' });
+
+    const invalid = await server.request('POST', '/send', { body: { phone: CUSTOMER, message: 'oi', typing: 'muito' } });
+    assert.equal(invalid.status, 400);
+});
+
+test('assina e expõe a presença dos contatos', async () => {
+    await clearActivity();
+    const subscribed = await server.request('POST', '/presence/subscribe', { body: { phones: [CUSTOMER] } });
+    assert.deepEqual(subscribed.body.subscribed, [CUSTOMER_JID]);
+    assert.deepEqual((await activity()).map(entry => `${entry.kind}:${entry.jid}`), [`subscribe:${CUSTOMER_JID}`]);
+
+    await server.request('POST', '/mock/presence', { body: { from: CUSTOMER, presence: 'composing' } });
+    const presence = await server.request('GET', `/presence/${CUSTOMER}`);
+    assert.equal(presence.body.presence.presence, 'composing');
+    assert.equal(presence.body.presence.subscribed, true);
+
+    await server.request('POST', '/mock/presence', { body: { from: CUSTOMER, presence: 'unavailable', lastSeen: 1773144000 } });
+    const list = await server.request('GET', '/presence');
+    const contact = list.body.contacts.find(entry => entry.jid === CUSTOMER_JID);
+    assert.equal(contact.presence, 'unavailable');
+    assert.equal(contact.lastSeen, '2026-03-10T12:00:00.000Z');
+
+    const unknown = await server.request('GET', '/presence/5521955554444');
+    assert.equal(unknown.status, 404);
+});
+
+test('assinaturas e presença da conta são refeitas na reconexão', async () => {
+    await clearActivity();
+    await server.request('POST', '/mock/disconnect', { body: { reason: 'restartRequired' } });
+
+    await waitFor(async () => (await activity()).some(entry => entry.kind === 'subscribe'), {
+        timeout: 10000,
+        message: 'a nova assinatura'
+    });
+    const entries = await activity();
+    assert.ok(entries.some(entry => entry.presence === 'unavailable' && entry.jid === null));
+    assert.ok(entries.some(entry => entry.kind === 'subscribe' && entry.jid === CUSTOMER_JID));
+});
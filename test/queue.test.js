@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startServer } = require('./helpers');
+
+test('job enfileirado logo antes do SIGTERM continua na fila depois do restart', async () => {
+    const first = await startServer();
+    await first.connect();
+
+    const sendAt = new Date(Math.floor(Date.now() / 1000) * 1000 + 60 * 60 * 1000).toISOString();
+    const scheduled = await first.request('POST', '/send', { body: { phone: '11987654321', message: 'Lembrete', sendAt } });
+    assert.equal(scheduled.status, 202);
+
+    // Dentro do intervalo da gravação adiada: só o flush do encerramento grava o job
+    await first.stop({ keepData: true });
+
+    const second = await startServer({ DATA_FOLDER: first.dataFolder });
+    try {
+        const job = await second.request('GET', `/queue/${scheduled.body.jobId}`);
+        assert.equal(job.status, 200);
+        assert.equal(job.body.job.status, 'scheduled');
+        assert.equal(job.body.job.sendAt, sendAt);
+    } finally {
+        await second.stop();
+        fs.rmSync(first.dataFolder, { recursive: true, force: true });
+    }
+});
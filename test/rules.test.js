@@ -0,0 +1,136 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { startServer, waitFor } = require('./helpers');
+const { validateRule, isInsideBusinessHours } = require('../lib/rules');
+
+const SECRET = 'segredo-das-regras';
+const CUSTOMER = '5511912345678';
+
+let server;
+let receiver;
+let receiverUrl;
+let received = [];
+
+before(async () => {
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.end('ok');
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/crm`;
+
+    server = await startServer({ WEBHOOK_SECRET: SECRET, MEDIA_FETCH_ALLOWLIST: '127.0.0.1' });
+    await server.connect();
+});
+
+after(async () => {
+    await server?.stop();
+    await new Promise(resolve => receiver.close(resolve));
+});
+
+// Segunda-feira, 19/10/2026; São Paulo é UTC-3
+const at = utc => new Date(`2026-10-19T${utc}:00Z`);
+
+test('horário comercial: dias, início inclusivo e fim exclusivo', () => {
+    const hours = { start: '08:00', end: '18:00' };
+
+    assert.equal(isInsideBusinessHours(hours, at('11:00')), true);
+    assert.equal(isInsideBusinessHours(hours, at('10:59')), false);
+    assert.equal(isInsideBusinessHours(hours, at('20:59')), true);
+    assert.equal(isInsideBusinessHours(hours, at('21:00')), false);
+
+    // Sábado fica fora do padrão (segunda a sexta)
+    assert.equal(isInsideBusinessHours(hours, new Date('2026-10-24T15:00:00Z')), false);
+    assert.equal(isInsideBusinessHours({ ...hours, days: [6] }, new Date('2026-10-24T15:00:00Z')), true);
+});
+
+test('horário comercial: expediente que passa da meia-noite e outro fuso', () => {
+    const night = { start: '22:00', end: '06:00', days: [0, 1, 2, 3, 4, 5, 6] };
+    assert.equal(isInsideBusinessHours(night, at('02:00')), true);
+    assert.equal(isInsideBusinessHours(night, at('08:59')), true);
+    assert.equal(isInsideBusinessHours(night, at('09:00')), false);
+    assert.equal(isInsideBusinessHours(night, at('15:00')), false);
+
+    // 11:00 UTC é 12:00 em Lisboa (horário de verão até 25/10)
+    const lisbon = { start: '12:00', end: '13:00', timezone: 'Europe/Lisbon' };
+    assert.equal(isInsideBusinessHours(lisbon, at('11:00')), true);
+    assert.equal(isInsideBusinessHours(lisbon, at('12:00')), false);
+});
+
+test('validação das regras de horário e da ação webhook', () => {
+    const rule = (match, actions = [{ type: 'reply', text: 'oi' }]) => ({ name: 'teste', match, actions });
+
+    assert.match(validateRule(rule({ businessHours: { start: '8:00', end: '18:00' } })), /start e end/);
+    assert.match(validateRule(rule({ businessHours: { start: '08:00', end: '18:00', when: 'sempre' } })), /inside ou outside/);
+    assert.match(validateRule(rule({ businessHours: { start: '08:00', end: '18:00', timezone: 'Marte/Olympus' } })), /timezone/);
+    assert.equal(validateRule(rule({ businessHours: { start: '08:00', end: '18:00', when: 'outside' } })), null);
+
+    const webhook = rule({}, [{ type: 'webhook', url: 'https://crm.exemplo.com/hook' }]);
+    assert.equal(validateRule(webhook), null);
+    assert.match(validateRule(webhook, undefined, { canForward: false }), /WEBHOOK_SECRET/);
+});
+
+test('businessHours: when outside casa fora do expediente e o padrão (inside) não', async () => {
+    // Nenhum dia de expediente: sempre "fora do horário"
+    const closed = { start: '08:00', end: '18:00', days: [] };
+    const created = await server.request('POST', '/rules', {
+        body: {
+            name: 'plantão',
+            match: { keywords: ['plantão'], businessHours: { ...closed, when: 'outside' } },
+            actions: [{ type: 'reply', text: 'Estamos fora do horário' }]
+        }
+    });
+    assert.equal(created.status, 201);
+
+    const matched = await server.request('POST', '/rules/test', { body: { phone: CUSTOMER, text: 'plantão?' } });
+    assert.deepEqual(matched.body.matched.map(rule => rule.name), ['plantão']);
+
+    const inside = await server.request('PUT', `/rules/${created.body.rule.id}`, {
+        body: { ...created.body.rule, match: { keywords: ['plantão'], businessHours: closed } }
+    });
+    assert.equal(inside.status, 200);
+
+    const none = await server.request('POST', '/rules/test', { body: { phone: CUSTOMER, text: 'plantão?' } });
+    assert.deepEqual(none.body.matched, []);
+
+    await server.request('DELETE', `/rules/${created.body.rule.id}`);
+});
+
+test('encaminhamento das regras sai assinado pelo despachante e não alcança endereços internos', async () => {
+    const created = await server.request('POST', '/rules', {
+        body: {
+            name: 'crm',
+            match: { keywords: ['orçamento'] },
+            actions: [
+                { type: 'webhook', url: receiverUrl },
+                { type: 'webhook', url: 'http://169.254.169.254/latest/meta-data' }
+            ]
+        }
+    });
+    assert.equal(created.status, 201);
+
+    await server.request('POST', '/mock/messages', { body: { from: CUSTOMER, text: 'Quero um orçamento' } });
+
+    const [delivery] = await waitFor(() => received.length > 0 && received, { message: 'o encaminhamento' });
+    const { headers, body } = delivery;
+    const expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-webhook-event'], 'rule.forward');
+    assert.equal(headers['x-webhook-signature'], expected);
+
+    const payload = JSON.parse(body);
+    assert.equal(payload.rule.name, 'crm');
+    assert.equal(payload.data.text, 'Quero um orçamento');
+
+    const blocked = await waitFor(async () => {
+        const { deliveries } = (await server.request('GET', '/webhooks/deliveries?event=rule.forward&status=failed')).body;
+        return deliveries.find(entry => entry.url.startsWith('http://169.254.169.254'));
+    }, { message: 'a entrega bloqueada' });
+    assert.equal(blocked.attempts, 1);
+    assert.match(blocked.lastError, /Endereço interno/);
+});
@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, waitFor } = require('./helpers');
+
+// Cabeçalhos suficientes para o tipo ser reconhecido; sem ffmpeg, ninguém decodifica
+const OGG = Buffer.concat([Buffer.from('OggS'), crypto.randomBytes(60)]);
+const MP4 = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypisom'), crypto.randomBytes(60)]);
+
+const sha256 = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+let server;
+
+before(async () => {
+    // Transcodificação ligada, mas sem ffmpeg/ffprobe no caminho
+    server = await startServer({
+        MEDIA_TRANSCODE: 'true',
+        FFMPEG_PATH: '/nao/existe/ffmpeg',
+        FFPROBE_PATH: '/nao/existe/ffprobe'
+    });
+    await server.connect();
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+async function sentRecord(messageId) {
+    return waitFor(async () => {
+        const { sent } = (await server.request('GET', '/mock/sent')).body;
+        return sent.find(entry => entry.id === messageId);
+    }, { message: `o envio ${messageId}` });
+}
+
+test('sem ffmpeg, o áudio segue como veio, como nota de voz Opus', async () => {
+    const response = await server.request('POST', '/send-audio', {
+        body: { phone: '11987654321', audioBase64: OGG.toString('base64') }
+    });
+    assert.equal(response.status, 200);
+
+    const { content } = await sentRecord(response.body.messageId);
+    assert.equal(content.audio.sha256, sha256(OGG));
+    assert.equal(content.mimetype, 'audio/ogg; codecs=opus');
+    assert.equal(content.ptt, true);
+    assert.equal(content.seconds, undefined);
+    assert.equal(content.waveform, undefined);
+});
+
+test('sem ffmpeg, o vídeo segue como veio, sem miniatura', async () => {
+    const response = await server.request('POST', '/send-video', {
+        body: { phone: '11987654321', videoBase64: MP4.toString('base64'), caption: 'Demonstração' }
+    });
+    assert.equal(response.status, 200);
+
+    const { content } = await sentRecord(response.body.messageId);
+    assert.equal(content.video.sha256, sha256(MP4));
+    assert.equal(content.caption, 'Demonstração');
+    assert.equal(content.jpegThumbnail, undefined);
+});
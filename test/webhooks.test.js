@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createWebhookDispatcher } = require('../lib/webhooks');
+const { waitFor } = require('./helpers');
+
+const SECRET = 'segredo-do-webhook';
+
+let receiver;
+let url;
+let received = [];
+let failNext = 0;
+let dataFolder;
+
+before(async () => {
+    receiver = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            received.push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+            res.writeHead(failNext-- > 0 ? 500 : 200).end();
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${receiver.address().port}/hook`;
+    dataFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-webhooks-'));
+});
+
+after(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+    fs.rmSync(dataFolder, { recursive: true, force: true });
+});
+
+const createDispatcher = () => createWebhookDispatcher({ dataFolder, envUrls: [url], secret: SECRET, log: () => {} });
+const deliveriesFile = () => path.join(dataFolder, 'webhook_deliveries.json');
+
+test('entrega assinada com HMAC do timestamp e do corpo', async () => {
+    received = [];
+    const webhooks = createDispatcher();
+    webhooks.dispatch('message.received', { sessionId: 'default', text: 'Olá' });
+
+    const [delivery] = await waitFor(() => received.length > 0 && received, { message: 'a entrega' });
+    const { headers, body } = delivery;
+    const expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+
+    assert.equal(headers['x-webhook-event'], 'message.received');
+    assert.equal(headers['x-webhook-signature'], expected);
+    assert.equal(JSON.parse(body).data.text, 'Olá');
+    // Gravada ainda "sending", a entrega seria reenviada pelo dispatcher do próximo teste
+    await waitFor(() => webhooks.pendingCount() === 0, { message: 'a confirmação da entrega' });
+    webhooks.flush();
+});
+
+test('falha fica pendente para nova tentativa e o reenvio entrega', async () => {
+    received = [];
+    failNext = 1;
+    const webhooks = createDispatcher();
+    webhooks.dispatch('connection.open', { sessionId: 'default' });
+
+    const failed = await waitFor(() => {
+        const [delivery] = webhooks.listDeliveries({ event: 'connection.open' });
+        return delivery?.lastStatusCode === 500 && delivery;
+    }, { message: 'a primeira tentativa' });
+    assert.equal(failed.status, 'pending');
+    assert.equal(failed.attempts, 1);
+
+    webhooks.replay(failed.id);
+    await waitFor(() => webhooks.getDelivery(failed.id).status === 'delivered', { message: 'o reenvio' });
+    webhooks.flush();
+});
+
+test('rajada de eventos é gravada em disco de uma vez, depois de um intervalo', async () => {
+    fs.rmSync(deliveriesFile(), { force: true });
+    const webhooks = createDispatcher();
+
+    for (let i = 0; i < 50; i++) {
+        webhooks.dispatch('message.received', { sessionId: 'default', text: `mensagem ${i}` });
+    }
+    assert.equal(fs.existsSync(deliveriesFile()), false);
+
+    const saved = await waitFor(() => fs.existsSync(deliveriesFile()) && JSON.parse(fs.readFileSync(deliveriesFile(), 'utf8')), {
+        timeout: 3000,
+        message: 'a gravação das entregas'
+    });
+    assert.ok(saved.filter(delivery => delivery.event === 'message.received').length >= 50);
+    await waitFor(() => webhooks.pendingCount() === 0, { message: 'as entregas' });
+    webhooks.flush();
+});
+
+test('URLs do ambiente sem WEBHOOK_SECRET impedem a inicialização', () => {
+    assert.throws(
+        () => createWebhookDispatcher({ dataFolder, envUrls: [url], secret: '', log: () => {} }),
+        /WEBHOOK_SECRET/
+    );
+});